@@ -1,7 +1,76 @@
 'use strict';
 
 const { Contract } = require('fabric-contract-api');
+const { KeyEndorsementPolicy } = require('fabric-shim');
 const crypto = require('crypto');
+const grading = require('./grading');
+
+/**
+ * Public-safe reason categories for degree suspension
+ * (shown to verifiers instead of the detailed reason)
+ */
+const SUSPENSION_CATEGORIES = [
+    'DISCIPLINARY_INVESTIGATION',
+    'ACADEMIC_INTEGRITY_REVIEW',
+    'ADMINISTRATIVE_REVIEW',
+    'LEGAL_HOLD'
+];
+
+/**
+ * Private data collection holding the detailed reasons of degree suspensions
+ * (the public degree record only carries the category)
+ */
+const SUSPENSION_COLLECTION = 'DegreeSuspensionCollection';
+
+/**
+ * Degree fields that QueryDegreesWithPagination can sort on
+ * (each needs a matching CouchDB index)
+ */
+const DEGREE_SORT_FIELDS = ['issueDate', 'studentName', 'degreeId', 'university', 'major', 'classification'];
+
+/**
+ * Transcript access grant scopes
+ * - full: the whole transcript record
+ * - gpa-only: studentId, gpa and updatedAt only
+ */
+const GRANT_SCOPES = ['full', 'gpa-only'];
+
+/**
+ * Decisions on transcript correction requests (as in the off-chain correction_requests.status)
+ */
+const CORRECTION_DECISIONS = ['approved', 'rejected'];
+
+/**
+ * Name of the configuration record holding the endorsement policy applied to
+ * newly issued degrees (stored under the 'config' composite key namespace)
+ */
+const DEGREE_ENDORSEMENT_CONFIG = 'degree-endorsement';
+
+/**
+ * Format of MSP IDs in endorsement policies and the university registry
+ */
+const MSP_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * MSP of the governance body (e.g. the Ministry of Education) that manages the
+ * university registry. It is kept apart from the issuing MSPs: only its
+ * OU=governance identities may change the registry, and no university may
+ * authorise it to issue degrees. Fixed in the chaincode package rather than
+ * read from the peer environment, so every peer endorses registry changes
+ * alike; changing it takes a new chaincode definition.
+ */
+const GOVERNANCE_MSP_ID = 'MoetMSP';
+
+/**
+ * Accreditation statuses of registered universities
+ * (only ACCREDITED universities can issue degrees)
+ */
+const ACCREDITATION_STATUSES = ['ACCREDITED', 'SUSPENDED', 'WITHDRAWN'];
+
+/**
+ * University registry fields that UpdateUniversity can change
+ */
+const UNIVERSITY_UPDATABLE_FIELDS = ['legalName', 'authorizedMSPs', 'authorizedIssuers', 'accreditationStatus', 'validFrom', 'validUntil'];
 
 /**
  * DegreeContract - Smart Contract for Degree and Transcript Management
@@ -45,13 +114,17 @@ class DegreeContract extends Contract {
      * @param {string} studentId - Student ID
      * @param {string} degreeType - Type of degree (Bachelor, Master, PhD, etc.)
      * @param {string} studentName - Full name of the student
-     * @param {string} university - Name of the issuing university
+     * @param {string} university - Code or legal name of the issuing university; it must be
+     *   registered (RegisterUniversity) to the caller's MSP
      * @param {string} major - Major/Field of study
      * @param {string} classification - Classification (Excellent, Good, etc.)
      * @param {string} issueDate - Date of issuance (ISO 8601 format)
-     * @param {string} transcriptHash - Hash of the private transcript (optional)
+     * @param {string} transcriptHash - Hash of the private transcript (optional).
+     *   The student's current transcript hash is bound automatically; if given,
+     *   it must match it.
      * @returns {string} JSON string of the created degree
-     * @throws {Error} If degree with same ID already exists
+     * @throws {Error} If degree with same ID already exists, the caller may not issue degrees
+     *   of the university, or transcriptHash does not match
      */
     async IssueDegree(ctx, degreeId, studentId, degreeType, studentName, university, major, classification, issueDate, transcriptHash) {
         console.log('============= START : Issue Degree ===========');
@@ -59,11 +132,14 @@ class DegreeContract extends Contract {
         // AUTHORIZATION: Only admin can issue degrees
         this._requireAdmin(ctx);
         
-        // Check if degree already exists
-        const exists = await this.DegreeExists(ctx, degreeId);
-        if (exists) {
-            throw new Error(`Degree ${degreeId} already exists`);
-        }
+        // Check that the key is free (no degree or other record under the ID)
+        await this._requireUnusedDegreeId(ctx, degreeId);
+
+        // The university must be registered to the caller's MSP
+        const issuer = await this._requireUniversityIssuer(ctx, university);
+
+        // Bind the student's current transcript
+        const transcriptBinding = await this._resolveTranscriptBinding(ctx, studentId, transcriptHash);
 
         // Create degree object
         const degree = {
@@ -72,17 +148,28 @@ class DegreeContract extends Contract {
             degreeType: degreeType,
             studentName: studentName,
             university: university,
+            universityCode: issuer.code,
             major: major,
             classification: classification,
             issueDate: issueDate,
-            transcriptHash: transcriptHash || '',
+            transcriptHash: transcriptBinding.transcriptHash,
+            transcriptVersion: transcriptBinding.transcriptVersion,
             status: 'ACTIVE', // Default status
+            version: 1,
             timestamp: this._getTimestamp(ctx),
+            lastAction: 'ISSUED',
+            lastModifiedBy: this._getCallerInfo(ctx),
             docType: 'degree'
         };
 
         // Store in World State (PUBLIC)
         await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(degree)));
+
+        // Later changes to the degree need the default endorsing organisations, if configured
+        const endorsingOrgs = await this._getDefaultEndorsingOrgs(ctx);
+        if (endorsingOrgs.length > 0) {
+            await this._setKeyEndorsingOrgs(ctx, degreeId, endorsingOrgs);
+        }
         
         console.log(`Degree ${degreeId} issued successfully for ${studentName}`);
         console.log('============= END : Issue Degree ===========');
@@ -90,6 +177,109 @@ class DegreeContract extends Contract {
         return JSON.stringify(degree);
     }
 
+    /**
+     * Issue multiple degree certificates in a single transaction
+     * Each record is validated and written independently, so one bad record
+     * (missing fields, duplicate ID) does not prevent the others from being issued.
+     * As in IssueDegree, each degree's university must be registered to the caller's
+     * MSP and each degree is bound to the student's current transcript.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreesJson - JSON array of degree records
+     *   [{ degreeId, studentId, degreeType, studentName, university, major,
+     *      classification, issueDate, transcriptHash }]
+     * @returns {string} JSON summary with per-item results
+     * @throws {Error} If the payload is not a non-empty JSON array
+     */
+    async IssueDegreesBatch(ctx, degreesJson) {
+        console.log('============= START : Issue Degrees Batch ===========');
+
+        // AUTHORIZATION: Only admin can issue degrees
+        this._requireAdmin(ctx);
+
+        let degrees;
+        try {
+            degrees = JSON.parse(degreesJson);
+        } catch (err) {
+            throw new Error(`Invalid degrees payload: ${err.message}`);
+        }
+
+        if (!Array.isArray(degrees) || degrees.length === 0) {
+            throw new Error('Invalid degrees payload: expected a non-empty array');
+        }
+
+        const requiredFields = ['degreeId', 'studentId', 'degreeType', 'studentName', 'university', 'major', 'classification', 'issueDate'];
+        const endorsingOrgs = await this._getDefaultEndorsingOrgs(ctx);
+        const seenIds = new Set();
+        const results = [];
+
+        for (let index = 0; index < degrees.length; index++) {
+            const data = degrees[index] || {};
+            const degreeId = data.degreeId;
+
+            const missingFields = requiredFields.filter(field => !data[field] || typeof data[field] !== 'string');
+            if (missingFields.length > 0) {
+                results.push({ index, degreeId: degreeId || null, success: false, error: `Missing required fields: ${missingFields.join(', ')}` });
+                continue;
+            }
+
+            if (seenIds.has(degreeId)) {
+                results.push({ index, degreeId, success: false, error: `Duplicate degreeId ${degreeId} in batch` });
+                continue;
+            }
+            seenIds.add(degreeId);
+
+            let issuer;
+            let transcriptBinding;
+            try {
+                await this._requireUnusedDegreeId(ctx, degreeId);
+                issuer = await this._requireUniversityIssuer(ctx, data.university);
+                transcriptBinding = await this._resolveTranscriptBinding(ctx, data.studentId, data.transcriptHash);
+            } catch (err) {
+                results.push({ index, degreeId, success: false, error: err.message });
+                continue;
+            }
+
+            const degree = {
+                degreeId: degreeId,
+                studentId: data.studentId,
+                degreeType: data.degreeType,
+                studentName: data.studentName,
+                university: data.university,
+                universityCode: issuer.code,
+                major: data.major,
+                classification: data.classification,
+                issueDate: data.issueDate,
+                transcriptHash: transcriptBinding.transcriptHash,
+                transcriptVersion: transcriptBinding.transcriptVersion,
+                status: 'ACTIVE',
+                version: 1,
+                timestamp: this._getTimestamp(ctx),
+                lastAction: 'ISSUED',
+                lastModifiedBy: this._getCallerInfo(ctx),
+                docType: 'degree'
+            };
+
+            await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(degree)));
+            if (endorsingOrgs.length > 0) {
+                await this._setKeyEndorsingOrgs(ctx, degreeId, endorsingOrgs);
+            }
+            results.push({ index, degreeId, success: true });
+        }
+
+        const succeeded = results.filter(r => r.success).length;
+
+        console.log(`Batch processed: ${succeeded} issued, ${results.length - succeeded} failed`);
+        console.log('============= END : Issue Degrees Batch ===========');
+
+        return JSON.stringify({
+            total: results.length,
+            succeeded: succeeded,
+            failed: results.length - succeeded,
+            results: results
+        });
+    }
+
     /**
      * Revoke a degree
      * Updates the status of a degree to 'REVOKED'
@@ -105,12 +295,7 @@ class DegreeContract extends Contract {
         // AUTHORIZATION: Only admin can revoke degrees
         this._requireAdmin(ctx);
 
-        const degreeBytes = await ctx.stub.getState(degreeId);
-        if (!degreeBytes || degreeBytes.length === 0) {
-            throw new Error(`Degree ${degreeId} does not exist`);
-        }
-
-        const degree = JSON.parse(degreeBytes.toString());
+        const degree = await this._getDegree(ctx, degreeId);
         
         // Check if already revoked
         if (degree.status === 'REVOKED') {
@@ -122,6 +307,8 @@ class DegreeContract extends Contract {
         degree.revocationReason = reason;
         degree.revokedAt = this._getTimestamp(ctx);
         degree.revokedBy = ctx.clientIdentity.getMSPID();
+        degree.lastAction = 'REVOKED';
+        degree.lastModifiedBy = this._getCallerInfo(ctx);
 
         await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(degree)));
 
@@ -131,6 +318,485 @@ class DegreeContract extends Contract {
         return JSON.stringify(degree);
     }
 
+    /**
+     * Reinstate a revoked degree
+     * Sets the status back to 'ACTIVE' (e.g. revocation made in error or
+     * overturned on appeal). The original revocation details are moved to
+     * revocationHistory so they remain on the current record as well as in
+     * the key history.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID to reinstate
+     * @param {string} reason - Reason for reinstatement
+     * @returns {string} JSON string of the reinstated degree
+     * @throws {Error} If degree does not exist or is not revoked
+     */
+    async ReinstateDegree(ctx, degreeId, reason) {
+        console.log('============= START : Reinstate Degree ===========');
+
+        // AUTHORIZATION: Only admin can reinstate degrees
+        this._requireAdmin(ctx);
+
+        if (!reason || reason.trim() === '') {
+            throw new Error('Reinstatement reason is required');
+        }
+
+        const degree = await this._getDegree(ctx, degreeId);
+
+        if (degree.status !== 'REVOKED') {
+            throw new Error(`Degree ${degreeId} is not revoked`);
+        }
+
+        const reinstatedAt = this._getTimestamp(ctx);
+        const reinstatedBy = ctx.clientIdentity.getMSPID();
+
+        const revocation = {
+            revocationReason: degree.revocationReason,
+            revokedAt: degree.revokedAt,
+            revokedBy: degree.revokedBy,
+            reinstatementReason: reason,
+            reinstatedAt: reinstatedAt,
+            reinstatedBy: reinstatedBy,
+            reinstatedTxId: ctx.stub.getTxID()
+        };
+
+        delete degree.revocationReason;
+        delete degree.revokedAt;
+        delete degree.revokedBy;
+
+        degree.status = 'ACTIVE';
+        degree.revocationHistory = [...(degree.revocationHistory || []), revocation];
+        degree.reinstatementReason = reason;
+        degree.reinstatedAt = reinstatedAt;
+        degree.reinstatedBy = reinstatedBy;
+        degree.lastAction = 'REINSTATED';
+        degree.lastModifiedBy = this._getCallerInfo(ctx);
+
+        await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(degree)));
+
+        console.log(`Degree ${degreeId} reinstated successfully`);
+        console.log('============= END : Reinstate Degree ===========');
+
+        return JSON.stringify(degree);
+    }
+
+    /**
+     * Temporarily suspend a degree
+     * Sets the status to 'SUSPENDED' while an investigation is pending.
+     * The category is public-safe and shown to verifiers; the detailed
+     * reason is passed as transient data and stored in
+     * DegreeSuspensionCollection, so it never reaches the public ledger.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID to suspend
+     * @param {string} category - Public-safe reason category (see SUSPENSION_CATEGORIES)
+     * @param {string} reviewBy - Optional review-by date (YYYY-MM-DD), empty string if none
+     * @transient {Buffer} reason - Detailed reason (internal)
+     * @returns {string} JSON string of the suspended degree (public fields)
+     * @throws {Error} If degree does not exist, is not active, or input is invalid
+     */
+    async SuspendDegree(ctx, degreeId, category, reviewBy) {
+        console.log('============= START : Suspend Degree ===========');
+
+        // AUTHORIZATION: Only admin can suspend degrees
+        this._requireAdmin(ctx);
+
+        if (!SUSPENSION_CATEGORIES.includes(category)) {
+            throw new Error(`Invalid suspension category. Must be one of: ${SUSPENSION_CATEGORIES.join(', ')}`);
+        }
+        const reason = this._getTransientReason(ctx);
+        if (!reason) {
+            throw new Error('Suspension reason is required (transient data: reason)');
+        }
+        if (reviewBy && !/^\d{4}-\d{2}-\d{2}$/.test(reviewBy)) {
+            throw new Error('Invalid reviewBy date. Must be in YYYY-MM-DD format');
+        }
+
+        const degree = await this._getDegree(ctx, degreeId);
+
+        if ((degree.status || 'ACTIVE') !== 'ACTIVE') {
+            throw new Error(`Degree ${degreeId} is ${degree.status} and cannot be suspended`);
+        }
+
+        const suspendedAt = this._getTimestamp(ctx);
+        const detailsKey = `suspension-${degreeId}-${ctx.stub.getTxID()}`;
+        await ctx.stub.putPrivateData(SUSPENSION_COLLECTION, detailsKey, Buffer.from(JSON.stringify({
+            degreeId: degreeId,
+            category: category,
+            reason: reason,
+            suspendedAt: suspendedAt,
+            suspendedBy: ctx.clientIdentity.getMSPID()
+        })));
+
+        degree.status = 'SUSPENDED';
+        degree.suspension = {
+            category: category,
+            reviewBy: reviewBy || null,
+            suspendedAt: suspendedAt,
+            suspendedBy: ctx.clientIdentity.getMSPID(),
+            detailsKey: detailsKey
+        };
+        degree.lastAction = 'SUSPENDED';
+        degree.lastModifiedBy = this._getCallerInfo(ctx);
+
+        await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(degree)));
+
+        console.log(`Degree ${degreeId} suspended (${category})`);
+        console.log('============= END : Suspend Degree ===========');
+
+        return JSON.stringify(this._publicDegree(degree));
+    }
+
+    /**
+     * Lift the suspension of a degree
+     * Sets the status back to 'ACTIVE' and moves the public suspension details
+     * to suspensionHistory. The outcome of the investigation is passed as
+     * transient data and added to the private suspension record.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID to unsuspend
+     * @transient {Buffer} reason - Outcome of the investigation (internal)
+     * @returns {string} JSON string of the degree (public fields)
+     * @throws {Error} If degree does not exist or is not suspended
+     */
+    async UnsuspendDegree(ctx, degreeId) {
+        console.log('============= START : Unsuspend Degree ===========');
+
+        // AUTHORIZATION: Only admin can unsuspend degrees
+        this._requireAdmin(ctx);
+
+        const reason = this._getTransientReason(ctx);
+        if (!reason) {
+            throw new Error('Unsuspension reason is required (transient data: reason)');
+        }
+
+        const degree = await this._getDegree(ctx, degreeId);
+
+        if (degree.status !== 'SUSPENDED') {
+            throw new Error(`Degree ${degreeId} is not suspended`);
+        }
+
+        const liftedAt = this._getTimestamp(ctx);
+        const detailsKey = degree.suspension.detailsKey
+            || `suspension-${degreeId}-${ctx.stub.getTxID()}`;
+        const detailsBytes = await ctx.stub.getPrivateData(SUSPENSION_COLLECTION, detailsKey);
+        // Suspensions recorded before the collection existed kept the reason in world state
+        const details = detailsBytes && detailsBytes.length > 0
+            ? JSON.parse(detailsBytes.toString())
+            : {
+                degreeId: degreeId,
+                category: degree.suspension.category,
+                reason: degree.suspension.reason || null,
+                suspendedAt: degree.suspension.suspendedAt,
+                suspendedBy: degree.suspension.suspendedBy
+            };
+        await ctx.stub.putPrivateData(SUSPENSION_COLLECTION, detailsKey, Buffer.from(JSON.stringify({
+            ...details,
+            liftReason: reason,
+            liftedAt: liftedAt,
+            liftedBy: ctx.clientIdentity.getMSPID()
+        })));
+
+        const { reason: legacyReason, ...publicSuspension } = degree.suspension;
+        degree.suspensionHistory = [...(degree.suspensionHistory || []), {
+            ...publicSuspension,
+            detailsKey: detailsKey,
+            liftedAt: liftedAt,
+            liftedBy: ctx.clientIdentity.getMSPID()
+        }];
+        delete degree.suspension;
+
+        degree.status = 'ACTIVE';
+        degree.lastAction = 'UNSUSPENDED';
+        degree.lastModifiedBy = this._getCallerInfo(ctx);
+
+        await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(degree)));
+
+        console.log(`Degree ${degreeId} suspension lifted`);
+        console.log('============= END : Unsuspend Degree ===========');
+
+        return JSON.stringify(this._publicDegree(degree));
+    }
+
+    /**
+     * Get the detailed reasons of a degree's suspensions (current and past)
+     * from DegreeSuspensionCollection. Only admin can read them.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @returns {string} JSON array of suspension records, oldest first
+     * @throws {Error} If the caller is not admin or the degree does not exist
+     */
+    async QuerySuspensionDetails(ctx, degreeId) {
+        // AUTHORIZATION: Only admin can read suspension reasons
+        this._requireAdmin(ctx);
+
+        const degree = await this._getDegree(ctx, degreeId);
+
+        const suspensions = [...(degree.suspensionHistory || []), ...(degree.suspension ? [degree.suspension] : [])];
+        const details = [];
+        for (const suspension of suspensions) {
+            const detailsBytes = suspension.detailsKey
+                ? await ctx.stub.getPrivateData(SUSPENSION_COLLECTION, suspension.detailsKey)
+                : null;
+            if (detailsBytes && detailsBytes.length > 0) {
+                details.push(JSON.parse(detailsBytes.toString()));
+            } else {
+                // Recorded before the collection existed
+                details.push({
+                    degreeId: degreeId,
+                    category: suspension.category,
+                    reason: suspension.reason || null,
+                    suspendedAt: suspension.suspendedAt,
+                    suspendedBy: suspension.suspendedBy,
+                    liftReason: suspension.liftReason || null,
+                    liftedAt: suspension.liftedAt || null,
+                    liftedBy: suspension.liftedBy || null
+                });
+            }
+        }
+
+        return JSON.stringify(details);
+    }
+
+    /**
+     * Amend (reissue) a degree
+     * Records a new version of the degree with the changed fields while keeping
+     * the degreeId. The previous version is preserved under its own key
+     * (degree-version-<degreeId>-<version>) and referenced from the new version.
+     *
+     * Amendable fields: degreeType, studentName, university, major,
+     * classification, issueDate, transcriptHash
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID to amend
+     * @param {string} changesJson - JSON object of field -> new value
+     * @param {string} reason - Reason for the amendment
+     * @returns {string} JSON string of the new degree version
+     * @throws {Error} If degree does not exist, is revoked, or changes are invalid
+     */
+    async AmendDegree(ctx, degreeId, changesJson, reason) {
+        console.log('============= START : Amend Degree ===========');
+
+        // AUTHORIZATION: Only admin can amend degrees
+        this._requireAdmin(ctx);
+
+        if (!reason || reason.trim() === '') {
+            throw new Error('Amendment reason is required');
+        }
+
+        const degree = await this._getDegree(ctx, degreeId);
+
+        if (degree.status === 'REVOKED') {
+            throw new Error(`Degree ${degreeId} is revoked and cannot be amended`);
+        }
+
+        let changes;
+        try {
+            changes = JSON.parse(changesJson);
+        } catch (err) {
+            throw new Error(`Invalid amendment changes: ${err.message}`);
+        }
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new Error('Invalid amendment changes: expected a JSON object');
+        }
+
+        const amendableFields = ['degreeType', 'studentName', 'university', 'major', 'classification', 'issueDate', 'transcriptHash'];
+        const invalidFields = Object.keys(changes).filter(field => !amendableFields.includes(field));
+        if (invalidFields.length > 0) {
+            throw new Error(`Fields cannot be amended: ${invalidFields.join(', ')}`);
+        }
+
+        // Keep only fields whose value actually changes
+        const changedFields = {};
+        for (const [field, value] of Object.entries(changes)) {
+            if (typeof value !== 'string') {
+                throw new Error(`Invalid value for ${field}: must be a string`);
+            }
+            if (degree[field] !== value) {
+                changedFields[field] = { from: degree[field] === undefined ? null : degree[field], to: value };
+            }
+        }
+
+        if (Object.keys(changedFields).length === 0) {
+            throw new Error(`Amendment of degree ${degreeId} does not change any field`);
+        }
+
+        // Moving a degree to another university needs the same authorisation as issuing it
+        const issuer = changedFields.university
+            ? await this._requireUniversityIssuer(ctx, changedFields.university.to)
+            : null;
+
+        // Preserve the previous version under its own key
+        const previousVersion = degree.version || 1;
+        const previousVersionKey = `degree-version-${degreeId}-${previousVersion}`;
+        const snapshot = {
+            ...degree,
+            version: previousVersion,
+            docType: 'degree-version'
+        };
+        await ctx.stub.putState(previousVersionKey, Buffer.from(JSON.stringify(snapshot)));
+
+        const amendedAt = this._getTimestamp(ctx);
+        const amendment = {
+            version: previousVersion + 1,
+            previousVersion: previousVersion,
+            previousVersionKey: previousVersionKey,
+            reason: reason,
+            changes: changedFields,
+            amendedAt: amendedAt,
+            amendedBy: ctx.clientIdentity.getMSPID(),
+            txId: ctx.stub.getTxID()
+        };
+
+        const amendedDegree = {
+            ...degree,
+            ...Object.fromEntries(Object.entries(changedFields).map(([field, change]) => [field, change.to])),
+            ...(issuer ? { universityCode: issuer.code } : {}),
+            version: previousVersion + 1,
+            previousVersionKey: previousVersionKey,
+            amendmentReason: reason,
+            amendedAt: amendedAt,
+            amendedBy: amendment.amendedBy,
+            amendments: [...(degree.amendments || []), amendment],
+            lastAction: 'AMENDED',
+            lastModifiedBy: this._getCallerInfo(ctx),
+            docType: 'degree'
+        };
+
+        await ctx.stub.putState(degreeId, Buffer.from(JSON.stringify(amendedDegree)));
+
+        console.log(`Degree ${degreeId} amended to version ${amendedDegree.version}`);
+        console.log('============= END : Amend Degree ===========');
+
+        return JSON.stringify(amendedDegree);
+    }
+
+    /**
+     * Query a specific version of a degree
+     * The current version is read from the degree key, older versions from
+     * the snapshots written by AmendDegree.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @param {string} version - Version number (integer >= 1)
+     * @returns {string} JSON string of the degree version
+     * @throws {Error} If the version is not a positive integer, or the degree or version does not exist
+     */
+    async QueryDegreeVersion(ctx, degreeId, version) {
+        if (!/^[1-9]\d*$/.test(String(version))) {
+            throw new Error('version must be a positive integer');
+        }
+
+        const degree = await this._getDegree(ctx, degreeId);
+        if (String(degree.version || 1) === String(version)) {
+            return JSON.stringify(this._publicDegree(degree));
+        }
+
+        const versionBytes = await ctx.stub.getState(`degree-version-${degreeId}-${version}`);
+        if (!versionBytes || versionBytes.length === 0) {
+            throw new Error(`Version ${version} of degree ${degreeId} does not exist`);
+        }
+
+        return JSON.stringify(this._publicDegree(JSON.parse(versionBytes.toString())));
+    }
+
+    /**
+     * Get the full change history of a degree from the ledger key history
+     * Returns every state the degree key went through (issued, revoked, amended, ...)
+     * ordered from oldest to newest, with the transaction ID, timestamp and
+     * the organisation (MSP and OU) that made each change. The client
+     * certificate identity of the caller is not disclosed.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @returns {string} JSON array of history entries
+     * @throws {Error} If the key has no history or does not hold a degree
+     */
+    async GetDegreeHistory(ctx, degreeId) {
+        console.log('============= START : Get Degree History ===========');
+
+        const iterator = await ctx.stub.getHistoryForKey(degreeId);
+        const entries = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            const modification = result.value;
+            let state = null;
+            if (!modification.isDelete && modification.value && modification.value.length > 0) {
+                try {
+                    state = JSON.parse(Buffer.from(modification.value).toString('utf8'));
+                } catch (err) {
+                    console.log('Error parsing history record:', err);
+                }
+            }
+
+            entries.push({
+                txId: modification.txId,
+                timestamp: modification.timestamp ? this._toISOString(modification.timestamp) : null,
+                isDelete: modification.isDelete,
+                state: state
+            });
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        // Fabric 2.x returns key history newest first; reverse before the stable
+        // sort so entries committed in the same millisecond keep their commit order
+        entries.reverse();
+        entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+        // Only degree keys have a degree history (not transcripts, grants, registry entries...)
+        const firstState = entries.find(entry => entry.state);
+        const currentBytes = await ctx.stub.getState(degreeId);
+        const currentState = currentBytes && currentBytes.length > 0 ? JSON.parse(currentBytes.toString()) : null;
+        if (!firstState || firstState.state.docType !== 'degree' || (currentState && currentState.docType !== 'degree')) {
+            throw new Error(`Degree ${degreeId} does not exist`);
+        }
+
+        let previous = null;
+        const history = entries.map(entry => {
+            const state = entry.state;
+            let action;
+            if (entry.isDelete) {
+                action = 'DELETED';
+            } else if (state && state.lastAction) {
+                action = state.lastAction;
+            } else if (!previous) {
+                action = 'ISSUED';
+            } else if (state && state.status === 'REVOKED' && previous.status !== 'REVOKED') {
+                // Records written before lastAction was tracked
+                action = 'REVOKED';
+            } else {
+                action = 'UPDATED';
+            }
+
+            // Records written before lastModifiedBy was tracked only know the revoking MSP
+            const modifiedBy = state && state.lastModifiedBy
+                ? this._publicCallerInfo(state.lastModifiedBy)
+                : { mspId: action === 'REVOKED' && state ? state.revokedBy : null, ou: null };
+
+            previous = state || previous;
+
+            return {
+                txId: entry.txId,
+                timestamp: entry.timestamp,
+                action: action,
+                status: state ? state.status : null,
+                version: state ? (state.version || 1) : null,
+                modifiedBy: modifiedBy,
+                revokedBy: state && action === 'REVOKED' ? state.revokedBy : undefined,
+                state: this._publicDegree(state)
+            };
+        });
+
+        console.log(`Found ${history.length} history entries for degree ${degreeId}`);
+        console.log('============= END : Get Degree History ===========');
+
+        return JSON.stringify(history);
+    }
+
     /**
      * Query degrees by student ID
      * 
@@ -183,7 +849,7 @@ class DegreeContract extends Contract {
             let record;
             try {
                 record = JSON.parse(strValue);
-                allResults.push(record);
+                allResults.push(this._publicDegree(record));
             } catch (err) {
                 console.log('Error parsing record:', err);
             }
@@ -209,16 +875,12 @@ class DegreeContract extends Contract {
     async QueryDegree(ctx, degreeId) {
         console.log('============= START : Query Degree ===========');
         
-        const degreeBytes = await ctx.stub.getState(degreeId);
-        
-        if (!degreeBytes || degreeBytes.length === 0) {
-            throw new Error(`Degree ${degreeId} does not exist`);
-        }
+        const degree = await this._getDegree(ctx, degreeId);
 
         console.log(`Degree ${degreeId} found`);
         console.log('============= END : Query Degree ===========');
         
-        return degreeBytes.toString();
+        return JSON.stringify(this._publicDegree(degree));
     }
 
     /**
@@ -230,7 +892,60 @@ class DegreeContract extends Contract {
      */
     async DegreeExists(ctx, degreeId) {
         const degreeBytes = await ctx.stub.getState(degreeId);
-        return degreeBytes && degreeBytes.length > 0;
+        return this._parseDegree(degreeBytes) !== null;
+    }
+
+    /**
+     * Parse a World State value if it is a degree record
+     * Degrees share the key namespace with other records (transcripts, grants,
+     * configuration...), so a value under a degree ID is only a degree with docType 'degree'.
+     * @param {Uint8Array} degreeBytes - World State value
+     * @returns {Object|null} Degree record, or null if the value is empty or not a degree
+     * @private
+     */
+    _parseDegree(degreeBytes) {
+        if (!degreeBytes || degreeBytes.length === 0) {
+            return null;
+        }
+        try {
+            const record = JSON.parse(degreeBytes.toString());
+            return record && record.docType === 'degree' ? record : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a degree record
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @returns {Promise<Object>} Degree record
+     * @throws {Error} If no degree record is stored under the ID
+     * @private
+     */
+    async _getDegree(ctx, degreeId) {
+        const degree = this._parseDegree(await ctx.stub.getState(degreeId));
+        if (!degree) {
+            throw new Error(`Degree ${degreeId} does not exist`);
+        }
+        return degree;
+    }
+
+    /**
+     * Check that a degree ID can be used for a new degree
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @throws {Error} If a degree or any other record is stored under the ID
+     * @private
+     */
+    async _requireUnusedDegreeId(ctx, degreeId) {
+        const existing = await ctx.stub.getState(degreeId);
+        if (this._parseDegree(existing)) {
+            throw new Error(`Degree ${degreeId} already exists`);
+        }
+        if (existing && existing.length > 0) {
+            throw new Error(`Degree ID ${degreeId} is already used by another record`);
+        }
     }
 
     /**
@@ -260,7 +975,7 @@ class DegreeContract extends Contract {
                 record = JSON.parse(strValue);
                 // Filter only degree records
                 if (record.docType === 'degree') {
-                    allResults.push(record);
+                    allResults.push(this._publicDegree(record));
                 }
             } catch (err) {
                 console.log('Error parsing record:', err);
@@ -277,18 +992,124 @@ class DegreeContract extends Contract {
     }
 
     /**
-     * Update student transcript using Private Data Collection
-     * 
-     * CRITICAL SECURITY:
-     * - Transcript and GPA data MUST be passed via Transient Data
-     * - Transient Data is NOT written to transaction log
-     * - Transient Data is NOT sent to Orderer
+     * Query degrees with filters, sorting and bookmark-based pagination
+     * Uses a CouchDB rich query, so only the requested page is read from the state database.
+     * Must be called as a read-only (evaluate) transaction.
+     * Only admin can list degrees
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} filtersJson - JSON object of filters
+     *   { university, major, degreeType, classification, status,
+     *     issueDateFrom, issueDateTo, sortBy, sortOrder }
+     * @param {string} pageSize - Number of records per page
+     * @param {string} bookmark - Bookmark returned by the previous page ('' for the first page)
+     * @returns {string} JSON { records, fetchedRecordsCount, bookmark }
+     * @throws {Error} If filters are invalid
+     */
+    async QueryDegreesWithPagination(ctx, filtersJson, pageSize, bookmark) {
+        console.log('============= START : Query Degrees With Pagination ===========');
+
+        // AUTHORIZATION: Only admin can list degrees
+        this._requireAdmin(ctx);
+
+        let filters;
+        try {
+            filters = filtersJson ? JSON.parse(filtersJson) : {};
+        } catch (err) {
+            throw new Error('Invalid filters JSON');
+        }
+
+        const size = parseInt(pageSize, 10);
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error('pageSize must be a positive integer');
+        }
+
+        // Filter values go into the selector as they are; an object value would be read as CouchDB operators
+        const filterFields = ['university', 'major', 'degreeType', 'classification', 'status'];
+        for (const field of [...filterFields, 'issueDateFrom', 'issueDateTo']) {
+            if (filters[field] !== undefined && filters[field] !== null && typeof filters[field] !== 'string') {
+                throw new Error(`Filter ${field} must be a string`);
+            }
+        }
+
+        const selector = { docType: 'degree' };
+        for (const field of filterFields) {
+            if (filters[field]) {
+                selector[field] = filters[field];
+            }
+        }
+
+        if (filters.issueDateFrom || filters.issueDateTo) {
+            selector.issueDate = {};
+            if (filters.issueDateFrom) selector.issueDate.$gte = filters.issueDateFrom;
+            if (filters.issueDateTo) selector.issueDate.$lte = filters.issueDateTo;
+        }
+
+        const queryString = { selector: selector };
+
+        if (filters.sortBy) {
+            if (!DEGREE_SORT_FIELDS.includes(filters.sortBy)) {
+                throw new Error(`Invalid sortBy. Must be one of: ${DEGREE_SORT_FIELDS.join(', ')}`);
+            }
+            const sortOrder = filters.sortOrder === 'desc' ? 'desc' : 'asc';
+            // CouchDB can only sort on fields that are part of the selector
+            if (!selector[filters.sortBy]) {
+                selector[filters.sortBy] = { $gt: null };
+            }
+            queryString.sort = [{ [filters.sortBy]: sortOrder }];
+        }
+
+        const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(
+            JSON.stringify(queryString),
+            size,
+            bookmark || ''
+        );
+
+        const records = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
+            try {
+                records.push(this._publicDegree(JSON.parse(strValue)));
+            } catch (err) {
+                console.log('Error parsing record:', err);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        console.log(`Fetched ${records.length} degrees`);
+        console.log('============= END : Query Degrees With Pagination ===========');
+
+        return JSON.stringify({
+            records: records,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark
+        });
+    }
+
+    /**
+     * Update student transcript using Private Data Collection
+     * 
+     * CRITICAL SECURITY:
+     * - Transcript and GPA data MUST be passed via Transient Data
+     * - Transient Data is NOT written to transaction log
+     * - Transient Data is NOT sent to Orderer
      * - Only the HASH of private data is stored on public ledger
      * - Actual data is stored in Private Data Collection (SideDB)
      * 
+     * VERSIONING:
+     * - The current transcript stays under the studentId key (and transcript-<studentId> metadata)
+     * - Every version is also kept under transcript-version-<studentId>-<version>,
+     *   privately (full record) and in World State (metadata with the hash)
+     * 
      * @param {Context} ctx - Transaction context
      * @param {string} studentId - Student ID (passed as argument - PUBLIC)
-     * @transient {Buffer} transcript - Transcript data (passed via Transient Data - PRIVATE)
+     * @transient {Buffer} transcript - Transcript data { course: grade } (passed via Transient Data - PRIVATE)
+     * @transient {Buffer} [courses] - Structured course records, used instead of transcript
+     *   (see lib/grading.js); the GPA is computed from them and must match gpa if given
+     * @transient {Buffer} [gradingScale] - { id, university, name } of the grading scale the
+     *   backend used to compute the courses' grade points (recorded for audit)
      * @transient {Buffer} gpa - GPA value (passed via Transient Data - PRIVATE)
      * @returns {string} JSON confirmation
      * @throws {Error} If transient data is missing or GPA is invalid
@@ -307,14 +1128,11 @@ class DegreeContract extends Contract {
         const transientMap = ctx.stub.getTransient();
         
         // Validate transient data exists
-        if (!transientMap.has('transcript') || !transientMap.has('gpa')) {
-            throw new Error('Missing required transient data: transcript and gpa');
+        const hasCourses = transientMap.has('courses');
+        if (!hasCourses && (!transientMap.has('transcript') || !transientMap.has('gpa'))) {
+            throw new Error('Missing required transient data: transcript and gpa (or courses)');
         }
 
-        // Parse transient data from Buffer
-        const transcriptBuffer = transientMap.get('transcript');
-        const gpaBuffer = transientMap.get('gpa');
-
         // Optional personal info
         let personalInfo = {};
         if (transientMap.has('personalInfo')) {
@@ -322,8 +1140,30 @@ class DegreeContract extends Contract {
             personalInfo = JSON.parse(personalInfoBuffer.toString('utf8'));
         }
 
-        const transcript = JSON.parse(transcriptBuffer.toString('utf8'));
-        const gpa = gpaBuffer.toString('utf8');
+        let transcript;
+        let gpa = transientMap.has('gpa') ? transientMap.get('gpa').toString('utf8') : null;
+        let courses = null;
+        let totalCredits = null;
+
+        if (hasCourses) {
+            // Structured courses: the GPA is computed here and cross-checked
+            courses = grading.validateCourses(JSON.parse(transientMap.get('courses').toString('utf8')));
+            const computed = grading.computeGpa(courses);
+            totalCredits = computed.totalCredits;
+
+            if (gpa !== null && !grading.gpaMatches(gpa, computed.gpa)) {
+                throw new Error(`GPA mismatch. Submitted: ${gpa}, computed from courses: ${computed.gpa.toFixed(2)}`);
+            }
+            gpa = computed.gpa.toFixed(2);
+
+            // Grade of the latest attempt per course code, as in unstructured transcripts
+            transcript = {};
+            for (const course of grading.latestAttempts(courses)) {
+                transcript[course.code] = course.grade;
+            }
+        } else {
+            transcript = JSON.parse(transientMap.get('transcript').toString('utf8'));
+        }
 
         // Validate GPA range
         const gpaNumber = parseFloat(gpa);
@@ -335,15 +1175,36 @@ class DegreeContract extends Contract {
         const updatedBy = ctx.clientIdentity.getMSPID();
         const updatedAt = this._getTimestamp(ctx);
 
+        // Next version number (previous metadata without a version is version 1)
+        const previousMetadataBytes = await ctx.stub.getState(`transcript-${studentId}`);
+        let version = 1;
+        if (previousMetadataBytes && previousMetadataBytes.length > 0) {
+            const previousMetadata = JSON.parse(previousMetadataBytes.toString());
+            if (!previousMetadata.version) {
+                // Transcript written before versioning: keep it as version 1
+                await this._backfillFirstTranscriptVersion(ctx, studentId, previousMetadata);
+            }
+            version = (previousMetadata.version || 1) + 1;
+        }
+
         // Create transcript object for Private Data Collection
         const transcriptData = {
             studentId: studentId,
             transcript: transcript,
             gpa: gpa,
             personalInfo: personalInfo,
+            version: version,
             updatedAt: updatedAt,
             updatedBy: updatedBy
         };
+        if (courses) {
+            transcriptData.courses = courses;
+            transcriptData.totalCredits = totalCredits;
+            if (transientMap.has('gradingScale')) {
+                const { id, university, name } = JSON.parse(transientMap.get('gradingScale').toString('utf8'));
+                transcriptData.gradingScale = { id: id || null, university: university || null, name: name || null };
+            }
+        }
 
         // ============================================================
         // Store in Private Data Collection (SideDB)
@@ -356,6 +1217,11 @@ class DegreeContract extends Contract {
             studentId,
             transcriptDataBuffer
         );
+        await ctx.stub.putPrivateData(
+            'TranscriptCollection',
+            `transcript-version-${studentId}-${version}`,
+            transcriptDataBuffer
+        );
 
         // Calculate hash for return
         const transcriptHash = crypto.createHash('sha256').update(transcriptDataBuffer).digest('hex');
@@ -367,6 +1233,7 @@ class DegreeContract extends Contract {
         // ============================================================
         const publicMetadata = {
             studentId: studentId,
+            version: version,
             updatedAt: updatedAt,
             updatedBy: updatedBy,
             transcriptHash: transcriptHash, // Store hash in public metadata too
@@ -377,16 +1244,22 @@ class DegreeContract extends Contract {
             `transcript-${studentId}`,
             Buffer.from(JSON.stringify(publicMetadata))
         );
+        await ctx.stub.putState(
+            `transcript-version-${studentId}-${version}`,
+            Buffer.from(JSON.stringify({ ...publicMetadata, docType: 'transcript-version' }))
+        );
 
         console.log(`Transcript for student ${studentId} updated successfully`);
         console.log('Private data stored in TranscriptCollection');
         console.log('Public metadata stored in World State');
         console.log(`Transcript Hash: ${transcriptHash}`);
+        console.log(`Transcript version: ${version}`);
         console.log('============= END : Update Transcript ===========');
 
         return JSON.stringify({ 
             success: true, 
             studentId: studentId,
+            version: version,
             transcriptHash: transcriptHash,
             message: 'Transcript updated successfully'
         });
@@ -406,6 +1279,58 @@ class DegreeContract extends Contract {
         return Buffer.from(hash).toString('hex');
     }
 
+    /**
+     * Check a transcript hash against the ledger
+     * Compares it with the current private data hash and the hashes recorded in the
+     * public version metadata. Only hashes and version numbers are read, so no
+     * authorization is required.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @param {string} transcriptHash - SHA-256 (hex) of a transcript record
+     * @returns {string} JSON { studentId, match, current, version, currentVersion, updatedAt }
+     *   version is the matching version (null if none)
+     * @throws {Error} If the student has no transcript
+     */
+    async VerifyTranscriptHash(ctx, studentId, transcriptHash) {
+        console.log('============= START : Verify Transcript Hash ===========');
+
+        const currentHash = await this.GetTranscriptHash(ctx, studentId);
+
+        const metadataBytes = await ctx.stub.getState(`transcript-${studentId}`);
+        const metadata = metadataBytes && metadataBytes.length > 0 ? JSON.parse(metadataBytes.toString()) : {};
+        const currentVersion = metadata.version || 1;
+
+        let matched = null;
+        if (transcriptHash === currentHash) {
+            matched = { version: currentVersion, updatedAt: metadata.updatedAt || null };
+        } else {
+            // Superseded versions (a transcript written before versioning has none)
+            for (let version = currentVersion - 1; version >= 1 && !matched; version--) {
+                const versionBytes = await ctx.stub.getState(`transcript-version-${studentId}-${version}`);
+                if (!versionBytes || versionBytes.length === 0) {
+                    continue;
+                }
+                const record = JSON.parse(versionBytes.toString());
+                if (record.transcriptHash === transcriptHash) {
+                    matched = { version: version, updatedAt: record.updatedAt || null };
+                }
+            }
+        }
+
+        console.log(`Transcript hash for student ${studentId}: ${matched ? `matches version ${matched.version}` : 'no match'}`);
+        console.log('============= END : Verify Transcript Hash ===========');
+
+        return JSON.stringify({
+            studentId: studentId,
+            match: matched !== null,
+            current: matched !== null && matched.version === currentVersion,
+            version: matched ? matched.version : null,
+            currentVersion: currentVersion,
+            updatedAt: matched ? matched.updatedAt : null
+        });
+    }
+
     /**
      * Query transcript from Private Data Collection
      * Only authorized organizations can access this data
@@ -418,7 +1343,128 @@ class DegreeContract extends Contract {
     async QueryTranscript(ctx, studentId) {
         console.log('============= START : Query Transcript ===========');
         
-        // AUTHORIZATION: Check role-based access
+        // AUTHORIZATION: admin, the owning student, or an MSP with an active grant
+        const scope = await this._authorizeTranscriptRead(ctx, studentId);
+
+        // Get private data
+        const transcriptBytes = await ctx.stub.getPrivateData(
+            'TranscriptCollection',
+            studentId
+        );
+
+        if (!transcriptBytes || transcriptBytes.length === 0) {
+            throw new Error(`Transcript for student ${studentId} not found`);
+        }
+
+        console.log(`Transcript for student ${studentId} found`);
+        console.log('============= END : Query Transcript ===========');
+
+        return this._applyGrantScope(transcriptBytes, scope);
+    }
+
+    /**
+     * List the versions of a student's transcript (public metadata only)
+     * Same access rules as QueryTranscript.
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @returns {string} JSON array of { studentId, version, updatedAt, updatedBy, transcriptHash }, oldest first
+     * @throws {Error} If the student has no transcript
+     */
+    async QueryTranscriptVersions(ctx, studentId) {
+        console.log('============= START : Query Transcript Versions ===========');
+
+        await this._authorizeTranscriptRead(ctx, studentId);
+
+        const metadataBytes = await ctx.stub.getState(`transcript-${studentId}`);
+        if (!metadataBytes || metadataBytes.length === 0) {
+            throw new Error(`Transcript for student ${studentId} not found`);
+        }
+
+        const queryString = {
+            selector: {
+                docType: 'transcript-version',
+                studentId: studentId
+            }
+        };
+
+        const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
+        const versions = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            try {
+                const { docType, ...version } = JSON.parse(Buffer.from(result.value.value.toString()).toString('utf8'));
+                versions.push(version);
+            } catch (err) {
+                console.log('Error parsing record:', err);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        // Transcript written before versioning: its metadata is version 1
+        if (versions.length === 0) {
+            const { docType, ...metadata } = JSON.parse(metadataBytes.toString());
+            versions.push({ ...metadata, version: metadata.version || 1 });
+        }
+
+        versions.sort((a, b) => a.version - b.version);
+
+        console.log(`Found ${versions.length} versions of transcript for student ${studentId}`);
+        console.log('============= END : Query Transcript Versions ===========');
+
+        return JSON.stringify(versions);
+    }
+
+    /**
+     * Query one version of a student's transcript from the Private Data Collection
+     * Same access rules (and grant scope) as QueryTranscript.
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @param {string} version - Version number
+     * @returns {string} JSON string of the transcript version
+     * @throws {Error} If the version does not exist
+     */
+    async QueryTranscriptVersion(ctx, studentId, version) {
+        const scope = await this._authorizeTranscriptRead(ctx, studentId);
+
+        let transcriptBytes = await ctx.stub.getPrivateData(
+            'TranscriptCollection',
+            `transcript-version-${studentId}-${version}`
+        );
+
+        if (!transcriptBytes || transcriptBytes.length === 0) {
+            // Transcript written before versioning: the current record is version 1
+            const metadataBytes = await ctx.stub.getState(`transcript-${studentId}`);
+            const metadata = metadataBytes && metadataBytes.length > 0 ? JSON.parse(metadataBytes.toString()) : null;
+            if (metadata && !metadata.version && String(version) === '1') {
+                transcriptBytes = await ctx.stub.getPrivateData('TranscriptCollection', studentId);
+            }
+        }
+
+        if (!transcriptBytes || transcriptBytes.length === 0) {
+            throw new Error(`Version ${version} of transcript for student ${studentId} does not exist`);
+        }
+
+        return this._applyGrantScope(transcriptBytes, scope);
+    }
+
+    /**
+     * Check that the caller may read a student's transcript
+     * 
+     * - Admin can read any transcript
+     * - Student can only read their own transcript
+     * - Any other caller needs an active grant for its MSP
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID of the transcript
+     * @returns {Promise<string>} Scope of the access: full or gpa-only
+     * @throws {Error} If access is denied
+     * @private
+     */
+    async _authorizeTranscriptRead(ctx, studentId) {
         const clientIdentity = ctx.clientIdentity;
         const ou = clientIdentity.getAttributeValue('ou');
         const roleAttr = clientIdentity.getAttributeValue('role');
@@ -430,8 +1476,6 @@ class DegreeContract extends Contract {
         const isStudent = ou === 'student' || roleAttr === 'student';
         const isAdmin = ou === 'admin' || roleAttr === 'admin';
         
-        // Admin can view any transcript
-        // Student can only view their own transcript
         if (isStudent) {
             // Get student's username from certificate
             const username = clientIdentity.getAttributeValue('studentId') || 
@@ -442,74 +1486,151 @@ class DegreeContract extends Contract {
                     `Requested: ${studentId}, Caller: ${username}`
                 );
             }
-        } else if (!isAdmin) {
-            // Only admin and student roles can query transcripts
+            return 'full';
+        }
+
+        if (isAdmin) {
+            return 'full';
+        }
+
+        const grant = await this._getAccessGrant(ctx, studentId, clientMSP);
+        if (!grant || !this._isGrantActive(ctx, grant)) {
             throw new Error(
-                `Access denied. Only admin or student can query transcripts. ` +
+                `Access denied. No active access grant for MSP ${clientMSP} on transcript of student ${studentId}. ` +
                 `Caller OU: ${ou || 'unknown'}, role: ${roleAttr || 'unknown'}`
             );
         }
 
-        // Get private data
-        const transcriptBytes = await ctx.stub.getPrivateData(
-            'TranscriptCollection',
-            studentId
+        const scope = grant.scope || 'full';
+        console.log(`Access allowed by grant for MSP ${clientMSP} (scope: ${scope})`);
+        return scope;
+    }
+
+    /**
+     * Reduce a private transcript record to what a grant scope allows
+     * Full access returns the stored bytes unchanged (they match the on-chain hash).
+     * 
+     * @param {Buffer} transcriptBytes - Stored transcript record
+     * @param {string} scope - full or gpa-only
+     * @returns {string} JSON string
+     * @private
+     */
+    _applyGrantScope(transcriptBytes, scope) {
+        if (scope === 'gpa-only') {
+            const transcript = JSON.parse(transcriptBytes.toString());
+            return JSON.stringify({
+                studentId: transcript.studentId,
+                gpa: transcript.gpa,
+                version: transcript.version,
+                updatedAt: transcript.updatedAt,
+                scope: scope
+            });
+        }
+
+        return transcriptBytes.toString();
+    }
+
+    /**
+     * Keep a transcript written before versioning as version 1
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @param {Object} metadata - Its transcript-metadata record
+     * @private
+     */
+    async _backfillFirstTranscriptVersion(ctx, studentId, metadata) {
+        const transcriptBytes = await ctx.stub.getPrivateData('TranscriptCollection', studentId);
+        if (transcriptBytes && transcriptBytes.length > 0) {
+            await ctx.stub.putPrivateData(
+                'TranscriptCollection',
+                `transcript-version-${studentId}-1`,
+                transcriptBytes
+            );
+        }
+
+        await ctx.stub.putState(
+            `transcript-version-${studentId}-1`,
+            Buffer.from(JSON.stringify({ ...metadata, version: 1, docType: 'transcript-version' }))
         );
+    }
 
-        if (!transcriptBytes || transcriptBytes.length === 0) {
-            throw new Error(`Transcript for student ${studentId} not found`);
+    /**
+     * Resolve the transcript a new degree is bound to
+     * Uses the hash of the student's current transcript in TranscriptCollection.
+     * Without an on-chain transcript the supplied hash (if any) is kept as given.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @param {string} [suppliedHash] - Hash supplied by the caller
+     * @returns {Promise<{transcriptHash: string, transcriptVersion: number|null}>}
+     * @throws {Error} If suppliedHash differs from the current transcript hash
+     * @private
+     */
+    async _resolveTranscriptBinding(ctx, studentId, suppliedHash) {
+        const hash = await ctx.stub.getPrivateDataHash('TranscriptCollection', studentId);
+        if (!hash || hash.length === 0) {
+            return { transcriptHash: suppliedHash || '', transcriptVersion: null };
         }
 
-        console.log(`Transcript for student ${studentId} found`);
-        console.log('============= END : Query Transcript ===========');
+        const currentHash = Buffer.from(hash).toString('hex');
+        if (suppliedHash && suppliedHash !== currentHash) {
+            throw new Error(`transcriptHash does not match the current transcript of student ${studentId}`);
+        }
 
-        return transcriptBytes.toString();
+        const metadataBytes = await ctx.stub.getState(`transcript-${studentId}`);
+        const metadata = metadataBytes && metadataBytes.length > 0 ? JSON.parse(metadataBytes.toString()) : {};
+
+        return { transcriptHash: currentHash, transcriptVersion: metadata.version || 1 };
     }
 
     /**
      * Grant access to private transcript data
-     * This is a simplified implementation. In a real scenario, this would involve
-     * updating the Private Data Collection policy or sharing an off-chain key.
-     * Here we just record the grant on the ledger for auditing.
+     * Records a grant on the ledger; QueryTranscript lets callers from the
+     * target MSP read the transcript while the grant is active.
+     * The target MSP must be a member of TranscriptCollection (memberOnlyRead).
      * 
      * @param {Context} ctx - Transaction context
      * @param {string} studentId - Student ID
      * @param {string} targetMSP - MSP ID to grant access to
+     * @param {string} [scope] - full (default) or gpa-only
+     * @param {string} [expiresAt] - ISO 8601 expiry date (no expiry if empty)
      * @returns {string} JSON confirmation
      */
-    async GrantAccess(ctx, studentId, targetMSP) {
+    async GrantAccess(ctx, studentId, targetMSP, scope, expiresAt) {
         console.log('============= START : Grant Access ===========');
         
         // AUTHORIZATION: Only student can grant access to their own data
-        const clientIdentity = ctx.clientIdentity;
-        const ou = clientIdentity.getAttributeValue('ou');
-        const roleAttr = clientIdentity.getAttributeValue('role');
-        
-        // Check if caller is a student (OU=student)
-        const isStudent = ou === 'student' || roleAttr === 'student';
-        
-        if (!isStudent) {
-            throw new Error(
-                `Access denied. Only students can grant access to transcripts. ` +
-                `Caller OU: ${ou || 'unknown'}, role: ${roleAttr || 'unknown'}`
-            );
+        this._requireTranscriptOwner(ctx, studentId, 'grant access to');
+
+        if (!targetMSP) {
+            throw new Error('targetMSP is required');
         }
-        
-        // Verify caller is granting access to their own transcript
-        const username = clientIdentity.getAttributeValue('studentId') || 
-                        clientIdentity.getAttributeValue('username');
-        if (username && username !== studentId) {
-            throw new Error(
-                `Access denied. Students can only grant access to their own transcript. ` +
-                `Requested: ${studentId}, Caller: ${username}`
-            );
+
+        const grantScope = scope || 'full';
+        if (!GRANT_SCOPES.includes(grantScope)) {
+            throw new Error(`Invalid scope: ${grantScope}. Must be one of: ${GRANT_SCOPES.join(', ')}`);
+        }
+
+        const grantedAt = this._getTimestamp(ctx);
+        let grantExpiresAt = null;
+        if (expiresAt) {
+            const expiry = new Date(expiresAt);
+            if (isNaN(expiry.getTime())) {
+                throw new Error(`Invalid expiresAt: ${expiresAt}`);
+            }
+            if (expiry <= new Date(grantedAt)) {
+                throw new Error('expiresAt must be in the future');
+            }
+            grantExpiresAt = expiry.toISOString();
         }
         
         const grantRecord = {
             studentId: studentId,
             targetMSP: targetMSP,
+            scope: grantScope,
+            status: 'ACTIVE',
+            expiresAt: grantExpiresAt,
             grantedBy: ctx.clientIdentity.getMSPID(),
-            grantedAt: this._getTimestamp(ctx),
+            grantedAt: grantedAt,
             docType: 'access-grant'
         };
 
@@ -518,39 +1639,877 @@ class DegreeContract extends Contract {
             Buffer.from(JSON.stringify(grantRecord))
         );
 
-        console.log(`Access granted for student ${studentId} to MSP ${targetMSP}`);
+        console.log(`Access granted for student ${studentId} to MSP ${targetMSP} (scope: ${grantScope})`);
         console.log('============= END : Grant Access ===========');
 
         return JSON.stringify(grantRecord);
     }
 
     /**
-     * Get deterministic timestamp from transaction
-     * @param {Context} ctx 
+     * Revoke a transcript access grant
+     * The grant record is kept (status REVOKED) for auditing.
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @param {string} targetMSP - MSP ID whose access is revoked
+     * @returns {string} JSON of the revoked grant
+     * @throws {Error} If no active grant exists
      */
-    _getTimestamp(ctx) {
-        const timestamp = ctx.stub.getTxTimestamp();
-        const milliseconds = (timestamp.seconds.low || timestamp.seconds) * 1000;
-        return new Date(milliseconds).toISOString();
+    async RevokeAccess(ctx, studentId, targetMSP) {
+        console.log('============= START : Revoke Access ===========');
+
+        // AUTHORIZATION: Only student can revoke access to their own data
+        this._requireTranscriptOwner(ctx, studentId, 'revoke access to');
+
+        const grant = await this._getAccessGrant(ctx, studentId, targetMSP);
+        if (!grant) {
+            throw new Error(`Access grant for student ${studentId} to MSP ${targetMSP} does not exist`);
+        }
+        if (grant.status === 'REVOKED') {
+            throw new Error(`Access grant for student ${studentId} to MSP ${targetMSP} is already revoked`);
+        }
+
+        grant.status = 'REVOKED';
+        grant.revokedAt = this._getTimestamp(ctx);
+        grant.revokedBy = ctx.clientIdentity.getMSPID();
+
+        await ctx.stub.putState(
+            `grant-${studentId}-${targetMSP}`,
+            Buffer.from(JSON.stringify(grant))
+        );
+
+        console.log(`Access revoked for student ${studentId} from MSP ${targetMSP}`);
+        console.log('============= END : Revoke Access ===========');
+
+        return JSON.stringify(grant);
     }
 
     /**
-     * Check if the caller has the required role (OU attribute)
-     * 
-     * Role mapping:
-     * - 'admin' -> OU=admin (can issue/revoke degrees, update transcripts)
-     * - 'student' -> OU=student (can view own degrees/transcripts)
+     * Query all access grants of a student's transcript
+     * Each grant is returned with an "active" flag (not revoked and not expired).
      * 
      * @param {Context} ctx - Transaction context
-     * @param {string} requiredRole - Required role (admin, student)
-     * @throws {Error} If caller doesn't have the required role
-     * @private
+     * @param {string} studentId - Student ID
+     * @returns {string} JSON array of grants
      */
-    _checkRole(ctx, requiredRole) {
-        const clientIdentity = ctx.clientIdentity;
-        
-        // Get OU (Organizational Unit) attribute from client certificate
-        // OU is set during enrollment and indicates user's role
+    async QueryAccessGrants(ctx, studentId) {
+        console.log('============= START : Query Access Grants ===========');
+
+        // AUTHORIZATION: Admin, or the student who owns the transcript
+        const ou = ctx.clientIdentity.getAttributeValue('ou');
+        const roleAttr = ctx.clientIdentity.getAttributeValue('role');
+        if (ou !== 'admin' && roleAttr !== 'admin') {
+            this._requireTranscriptOwner(ctx, studentId, 'list access grants of');
+        }
+
+        const queryString = {
+            selector: {
+                docType: 'access-grant',
+                studentId: studentId
+            }
+        };
+
+        const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
+        const grants = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            try {
+                const grant = JSON.parse(Buffer.from(result.value.value.toString()).toString('utf8'));
+                grant.active = this._isGrantActive(ctx, grant);
+                grants.push(grant);
+            } catch (err) {
+                console.log('Error parsing record:', err);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        console.log(`Found ${grants.length} access grants for student ${studentId}`);
+        console.log('============= END : Query Access Grants ===========');
+
+        return JSON.stringify(grants);
+    }
+
+    /**
+     * Record the decision on a transcript correction request
+     * Correction requests are kept off-chain; anchoring each decision makes
+     * later changes to the off-chain record detectable. A decision is final,
+     * so it can only be recorded once per request.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} requestId - Correction request ID (off-chain)
+     * @param {string} studentId - Student ID
+     * @param {string} requestedDataHash - SHA-256 (hex) of the requested change
+     * @param {string} decision - approved or rejected
+     * @param {string} reviewer - Username of the reviewing admin
+     * @param {string} [transcriptTxId] - Transaction that applied an approved correction
+     * @returns {string} JSON of the correction-decision record
+     * @throws {Error} If the input is invalid or a decision is already recorded
+     */
+    async RecordCorrectionDecision(ctx, requestId, studentId, requestedDataHash, decision, reviewer, transcriptTxId) {
+        console.log('============= START : Record Correction Decision ===========');
+
+        // AUTHORIZATION: Only admin can review correction requests
+        this._requireAdmin(ctx);
+
+        if (!requestId || !studentId || !reviewer) {
+            throw new Error('requestId, studentId and reviewer are required');
+        }
+        if (!CORRECTION_DECISIONS.includes(decision)) {
+            throw new Error(`Invalid decision: ${decision}. Must be one of: ${CORRECTION_DECISIONS.join(', ')}`);
+        }
+        if (!/^[0-9a-f]{64}$/.test(requestedDataHash || '')) {
+            throw new Error('requestedDataHash must be a hex SHA-256 hash');
+        }
+
+        const key = `correction-decision-${requestId}`;
+        const existing = await ctx.stub.getState(key);
+        if (existing && existing.length > 0) {
+            throw new Error(`Decision for correction request ${requestId} already recorded`);
+        }
+
+        const record = {
+            docType: 'correction-decision',
+            requestId: String(requestId),
+            studentId: studentId,
+            requestedDataHash: requestedDataHash,
+            decision: decision,
+            reviewer: reviewer,
+            transcriptTxId: transcriptTxId || null,
+            decidedAt: this._getTimestamp(ctx),
+            recordedBy: this._getCallerInfo(ctx),
+            txId: ctx.stub.getTxID()
+        };
+
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
+
+        console.log(`Correction request ${requestId} ${decision} by ${reviewer}`);
+        console.log('============= END : Record Correction Decision ===========');
+
+        return JSON.stringify(record);
+    }
+
+    /**
+     * Query all recorded correction decisions
+     *
+     * @param {Context} ctx - Transaction context
+     * @returns {string} JSON array of correction-decision records
+     */
+    async QueryCorrectionDecisions(ctx) {
+        console.log('============= START : Query Correction Decisions ===========');
+
+        // AUTHORIZATION: Only admin can review correction requests
+        this._requireAdmin(ctx);
+
+        const iterator = await ctx.stub.getQueryResult(JSON.stringify({
+            selector: { docType: 'correction-decision' }
+        }));
+        const decisions = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            try {
+                decisions.push(JSON.parse(Buffer.from(result.value.value.toString()).toString('utf8')));
+            } catch (err) {
+                console.log('Error parsing record:', err);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        console.log(`Found ${decisions.length} correction decisions`);
+        console.log('============= END : Query Correction Decisions ===========');
+
+        return JSON.stringify(decisions);
+    }
+
+    /**
+     * Set the key-level (state-based) endorsement policy of a degree
+     * Once set, every change to the degree (revoke, suspend, amend, ...) must be
+     * endorsed by a peer of each listed organisation, e.g. the university and the
+     * Ministry of Education, in addition to the chaincode endorsement policy.
+     * This transaction itself is validated against the degree's current policy,
+     * so an existing policy can only be changed with its organisations' endorsement.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @param {string} orgsJson - JSON array of MSP IDs, e.g. ["Org1MSP", "MoetMSP"]
+     * @returns {string} JSON { degreeId, endorsingOrgs, previousEndorsingOrgs, txId }
+     * @throws {Error} If the degree does not exist or the MSP list is invalid
+     */
+    async SetDegreeEndorsementPolicy(ctx, degreeId, orgsJson) {
+        console.log('============= START : Set Degree Endorsement Policy ===========');
+
+        // AUTHORIZATION: Only admin can change degree endorsement policies
+        this._requireAdmin(ctx);
+
+        const exists = await this.DegreeExists(ctx, degreeId);
+        if (!exists) {
+            throw new Error(`Degree ${degreeId} does not exist`);
+        }
+
+        const endorsingOrgs = this._parseEndorsingOrgs(orgsJson, false);
+        const previousEndorsingOrgs = await this._getKeyEndorsingOrgs(ctx, degreeId);
+        await this._setKeyEndorsingOrgs(ctx, degreeId, endorsingOrgs);
+
+        console.log(`Degree ${degreeId} now requires endorsement by ${endorsingOrgs.join(', ')}`);
+        console.log('============= END : Set Degree Endorsement Policy ===========');
+
+        return JSON.stringify({
+            degreeId: degreeId,
+            endorsingOrgs: endorsingOrgs,
+            previousEndorsingOrgs: previousEndorsingOrgs,
+            txId: ctx.stub.getTxID()
+        });
+    }
+
+    /**
+     * Read the key-level endorsement policy of a degree
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} degreeId - Degree ID
+     * @returns {string} JSON { degreeId, endorsingOrgs } (empty when only the
+     *   chaincode endorsement policy applies)
+     * @throws {Error} If the degree does not exist
+     */
+    async GetDegreeEndorsementPolicy(ctx, degreeId) {
+        const exists = await this.DegreeExists(ctx, degreeId);
+        if (!exists) {
+            throw new Error(`Degree ${degreeId} does not exist`);
+        }
+
+        return JSON.stringify({
+            degreeId: degreeId,
+            endorsingOrgs: await this._getKeyEndorsingOrgs(ctx, degreeId)
+        });
+    }
+
+    /**
+     * Set the endorsement policy applied to newly issued degrees
+     * IssueDegree and IssueDegreesBatch give each new degree a key-level policy
+     * requiring these organisations. The setting is protected the same way: once
+     * organisations are configured, changing it again needs their endorsement.
+     * An empty list stops applying a policy to new degrees (existing degrees keep theirs).
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} orgsJson - JSON array of MSP IDs (may be empty)
+     * @returns {string} JSON of the degree-endorsement-config record
+     * @throws {Error} If the MSP list is invalid
+     */
+    async SetDegreeEndorsementDefaults(ctx, orgsJson) {
+        console.log('============= START : Set Degree Endorsement Defaults ===========');
+
+        // AUTHORIZATION: Only admin can change degree endorsement policies
+        this._requireAdmin(ctx);
+
+        const endorsingOrgs = this._parseEndorsingOrgs(orgsJson, true);
+        const config = {
+            docType: 'degree-endorsement-config',
+            endorsingOrgs: endorsingOrgs,
+            updatedAt: this._getTimestamp(ctx),
+            updatedBy: this._getCallerInfo(ctx),
+            txId: ctx.stub.getTxID()
+        };
+
+        const configKey = this._configKey(ctx, DEGREE_ENDORSEMENT_CONFIG);
+        await ctx.stub.putState(configKey, Buffer.from(JSON.stringify(config)));
+        if (endorsingOrgs.length > 0) {
+            await this._setKeyEndorsingOrgs(ctx, configKey, endorsingOrgs);
+        }
+
+        console.log(`New degrees require endorsement by ${endorsingOrgs.join(', ') || 'the chaincode policy only'}`);
+        console.log('============= END : Set Degree Endorsement Defaults ===========');
+
+        return JSON.stringify(config);
+    }
+
+    /**
+     * Read the endorsement policy applied to newly issued degrees
+     *
+     * @param {Context} ctx - Transaction context
+     * @returns {string} JSON of the degree-endorsement-config record
+     *   ({ endorsingOrgs: [] } if never set)
+     */
+    async GetDegreeEndorsementDefaults(ctx) {
+        const configBytes = await ctx.stub.getState(this._configKey(ctx, DEGREE_ENDORSEMENT_CONFIG));
+        if (!configBytes || configBytes.length === 0) {
+            return JSON.stringify({ docType: 'degree-endorsement-config', endorsingOrgs: [] });
+        }
+        return configBytes.toString();
+    }
+
+    /**
+     * Parse and validate a JSON array of MSP IDs
+     * @param {string} orgsJson - JSON array of MSP IDs
+     * @param {boolean} allowEmpty - Whether an empty array is accepted
+     * @returns {Array<string>} Unique MSP IDs, sorted
+     * @throws {Error} If the list is invalid
+     * @private
+     */
+    _parseEndorsingOrgs(orgsJson, allowEmpty) {
+        let orgs;
+        try {
+            orgs = JSON.parse(orgsJson);
+        } catch (err) {
+            throw new Error(`Invalid endorsing organisations: ${err.message}`);
+        }
+
+        if (!Array.isArray(orgs) || (!allowEmpty && orgs.length === 0)) {
+            throw new Error('Endorsing organisations must be a non-empty array of MSP IDs');
+        }
+        for (const org of orgs) {
+            if (typeof org !== 'string' || !MSP_ID_PATTERN.test(org)) {
+                throw new Error(`Invalid MSP ID: ${org}`);
+            }
+        }
+        return [...new Set(orgs)].sort();
+    }
+
+    /**
+     * MSP IDs whose peers must endorse changes to a key (key-level policy)
+     * @param {Context} ctx - Transaction context
+     * @param {string} key - World State key
+     * @returns {Promise<Array<string>>} MSP IDs, empty if the key has no policy
+     * @private
+     */
+    async _getKeyEndorsingOrgs(ctx, key) {
+        const policyBytes = await ctx.stub.getStateValidationParameter(key);
+        if (!policyBytes || policyBytes.length === 0) {
+            return [];
+        }
+        return new KeyEndorsementPolicy(policyBytes).listOrgs().sort();
+    }
+
+    /**
+     * Require a peer of each organisation to endorse changes to a key
+     * @param {Context} ctx - Transaction context
+     * @param {string} key - World State key
+     * @param {Array<string>} orgs - MSP IDs
+     * @private
+     */
+    async _setKeyEndorsingOrgs(ctx, key, orgs) {
+        const policy = new KeyEndorsementPolicy();
+        policy.addOrgs('PEER', ...orgs);
+        await ctx.stub.setStateValidationParameter(key, policy.getPolicy());
+    }
+
+    /**
+     * MSP IDs configured with SetDegreeEndorsementDefaults
+     * @param {Context} ctx - Transaction context
+     * @returns {Promise<Array<string>>} MSP IDs, empty if not configured
+     * @private
+     */
+    async _getDefaultEndorsingOrgs(ctx) {
+        const config = JSON.parse(await this.GetDegreeEndorsementDefaults(ctx));
+        return Array.isArray(config.endorsingOrgs) ? config.endorsingOrgs : [];
+    }
+
+    /**
+     * Composite key of a chaincode configuration record
+     * Configuration lives in its own composite key namespace, so a degree ID
+     * can never address (or overwrite) it.
+     * @param {Context} ctx - Transaction context
+     * @param {string} name - Configuration name
+     * @returns {string} Composite key
+     * @private
+     */
+    _configKey(ctx, name) {
+        return ctx.stub.createCompositeKey('config', [name]);
+    }
+
+    /**
+     * Register a university in the on-chain registry
+     * Degrees can only be issued in the name of a registered, accredited
+     * university, by admins of its authorised MSPs (and, if listed, only by its
+     * authorised issuers), within its validity period.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} universityJson - JSON object:
+     *   { code, legalName, authorizedMSPs: [mspId], authorizedIssuers: [enrollmentId] (optional),
+     *     accreditationStatus (default ACCREDITED), validFrom (default now), validUntil (optional) }
+     * @returns {string} JSON of the university record
+     * @throws {Error} If the caller is not governance, the entry is invalid or already registered
+     */
+    async RegisterUniversity(ctx, universityJson) {
+        console.log('============= START : Register University ===========');
+
+        // AUTHORIZATION: Only governance can manage the university registry
+        this._requireGovernance(ctx);
+
+        let data;
+        try {
+            data = JSON.parse(universityJson);
+        } catch (err) {
+            throw new Error(`Invalid university: ${err.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid university: expected a JSON object');
+        }
+        if (typeof data.code !== 'string' || !MSP_ID_PATTERN.test(data.code)) {
+            throw new Error('code is required and may contain only letters, digits, ".", "_" and "-"');
+        }
+
+        const existing = await ctx.stub.getState(this._universityKey(ctx, data.code));
+        if (existing && existing.length > 0) {
+            throw new Error(`University ${data.code} is already registered`);
+        }
+
+        const now = this._getTimestamp(ctx);
+        const university = {
+            docType: 'university',
+            code: data.code,
+            ...this._validateUniversityFields({
+                legalName: data.legalName,
+                authorizedMSPs: data.authorizedMSPs,
+                authorizedIssuers: data.authorizedIssuers || [],
+                accreditationStatus: data.accreditationStatus || 'ACCREDITED',
+                validFrom: data.validFrom || now,
+                validUntil: data.validUntil || null
+            }),
+            registeredAt: now,
+            updatedAt: now,
+            updatedBy: this._getCallerInfo(ctx),
+            txId: ctx.stub.getTxID()
+        };
+
+        await this._putUniversityNameIndex(ctx, university.legalName, university.code);
+        await ctx.stub.putState(this._universityKey(ctx, university.code), Buffer.from(JSON.stringify(university)));
+
+        console.log(`University ${university.code} registered for ${university.authorizedMSPs.join(', ')}`);
+        console.log('============= END : Register University ===========');
+
+        return JSON.stringify(university);
+    }
+
+    /**
+     * Update a registered university (e.g. suspend its accreditation, add an MSP)
+     * The previous entries remain in the key history.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} code - University code
+     * @param {string} changesJson - JSON object with any of: legalName, authorizedMSPs,
+     *   authorizedIssuers, accreditationStatus, validFrom, validUntil
+     * @returns {string} JSON of the updated university record
+     * @throws {Error} If the caller is not governance, the university is not registered or a change is invalid
+     */
+    async UpdateUniversity(ctx, code, changesJson) {
+        console.log('============= START : Update University ===========');
+
+        // AUTHORIZATION: Only governance can manage the university registry
+        this._requireGovernance(ctx);
+
+        const universityBytes = await ctx.stub.getState(this._universityKey(ctx, code));
+        if (!universityBytes || universityBytes.length === 0) {
+            throw new Error(`University ${code} is not registered`);
+        }
+        const university = JSON.parse(universityBytes.toString());
+
+        let changes;
+        try {
+            changes = JSON.parse(changesJson);
+        } catch (err) {
+            throw new Error(`Invalid university changes: ${err.message}`);
+        }
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+            throw new Error('Invalid university changes: expected a non-empty JSON object');
+        }
+        const invalidFields = Object.keys(changes).filter(field => !UNIVERSITY_UPDATABLE_FIELDS.includes(field));
+        if (invalidFields.length > 0) {
+            throw new Error(`Fields cannot be updated: ${invalidFields.join(', ')}`);
+        }
+
+        const fields = this._validateUniversityFields({
+            ...Object.fromEntries(UNIVERSITY_UPDATABLE_FIELDS.map(field => [field, university[field]])),
+            ...changes
+        });
+
+        if (fields.legalName !== university.legalName) {
+            await this._putUniversityNameIndex(ctx, fields.legalName, code);
+            await ctx.stub.deleteState(this._universityNameKey(ctx, university.legalName));
+        }
+
+        const updated = {
+            ...university,
+            ...fields,
+            updatedAt: this._getTimestamp(ctx),
+            updatedBy: this._getCallerInfo(ctx),
+            txId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(this._universityKey(ctx, code), Buffer.from(JSON.stringify(updated)));
+
+        console.log(`University ${code} updated (${Object.keys(changes).join(', ')})`);
+        console.log('============= END : Update University ===========');
+
+        return JSON.stringify(updated);
+    }
+
+    /**
+     * Query a registered university
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} codeOrName - University code or legal name
+     * @returns {string} JSON of the university record
+     * @throws {Error} If the university is not registered
+     */
+    async QueryUniversity(ctx, codeOrName) {
+        const university = await this._findUniversity(ctx, codeOrName);
+        if (!university) {
+            throw new Error(`University ${codeOrName} is not registered`);
+        }
+        return JSON.stringify(university);
+    }
+
+    /**
+     * Query all registered universities
+     *
+     * @param {Context} ctx - Transaction context
+     * @returns {string} JSON array of university records
+     */
+    async QueryAllUniversities(ctx) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey('university', []);
+        const universities = [];
+
+        let result = await iterator.next();
+        while (!result.done) {
+            try {
+                universities.push(JSON.parse(Buffer.from(result.value.value.toString()).toString('utf8')));
+            } catch (err) {
+                console.log('Error parsing record:', err);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return JSON.stringify(universities);
+    }
+
+    /**
+     * Validate the updatable fields of a university registry entry
+     * @param {Object} fields - legalName, authorizedMSPs, authorizedIssuers,
+     *   accreditationStatus, validFrom, validUntil
+     * @returns {Object} Normalised fields (MSPs and issuers unique and sorted, dates as ISO strings)
+     * @throws {Error} If a field is invalid
+     * @private
+     */
+    _validateUniversityFields(fields) {
+        if (typeof fields.legalName !== 'string' || fields.legalName.trim() === '') {
+            throw new Error('legalName is required and must be a non-empty string');
+        }
+
+        const msps = fields.authorizedMSPs;
+        if (!Array.isArray(msps) || msps.length === 0 || msps.some(msp => typeof msp !== 'string' || !MSP_ID_PATTERN.test(msp))) {
+            throw new Error('authorizedMSPs must be a non-empty array of MSP IDs');
+        }
+        if (msps.includes(GOVERNANCE_MSP_ID)) {
+            throw new Error(`authorizedMSPs must not include the governance MSP ${GOVERNANCE_MSP_ID}`);
+        }
+
+        const issuers = fields.authorizedIssuers;
+        if (!Array.isArray(issuers) || issuers.some(issuer => typeof issuer !== 'string' || issuer.trim() === '')) {
+            throw new Error('authorizedIssuers must be an array of enrollment IDs');
+        }
+
+        if (!ACCREDITATION_STATUSES.includes(fields.accreditationStatus)) {
+            throw new Error(`Invalid accreditationStatus: ${fields.accreditationStatus}. Must be one of: ${ACCREDITATION_STATUSES.join(', ')}`);
+        }
+
+        const validFrom = new Date(fields.validFrom);
+        if (isNaN(validFrom.getTime())) {
+            throw new Error('validFrom must be a date');
+        }
+        let validUntil = null;
+        if (fields.validUntil !== null && fields.validUntil !== undefined) {
+            validUntil = new Date(fields.validUntil);
+            if (isNaN(validUntil.getTime()) || validUntil <= validFrom) {
+                throw new Error('validUntil must be a date after validFrom');
+            }
+        }
+
+        return {
+            legalName: fields.legalName.trim(),
+            authorizedMSPs: [...new Set(msps)].sort(),
+            authorizedIssuers: [...new Set(issuers.map(issuer => issuer.trim()))].sort(),
+            accreditationStatus: fields.accreditationStatus,
+            validFrom: validFrom.toISOString(),
+            validUntil: validUntil ? validUntil.toISOString() : null
+        };
+    }
+
+    /**
+     * Composite key of a university registry entry
+     * Registry entries live in their own composite key namespace, so a degree ID
+     * can never address (or overwrite) a university.
+     * @param {Context} ctx - Transaction context
+     * @param {string} code - University code
+     * @returns {string} Composite key
+     * @private
+     */
+    _universityKey(ctx, code) {
+        return ctx.stub.createCompositeKey('university', [code]);
+    }
+
+    /**
+     * Composite key mapping a legal name (case-insensitive) to its university code
+     * @param {Context} ctx - Transaction context
+     * @param {string} legalName - Legal name
+     * @returns {string} Composite key
+     * @private
+     */
+    _universityNameKey(ctx, legalName) {
+        return ctx.stub.createCompositeKey('university~name', [legalName.trim().toLowerCase()]);
+    }
+
+    /**
+     * Point a legal name at a university code
+     * @param {Context} ctx - Transaction context
+     * @param {string} legalName - Legal name
+     * @param {string} code - University code
+     * @throws {Error} If another university has the legal name
+     * @private
+     */
+    async _putUniversityNameIndex(ctx, legalName, code) {
+        const key = this._universityNameKey(ctx, legalName);
+        const existing = await ctx.stub.getState(key);
+        if (existing && existing.length > 0 && existing.toString() !== code) {
+            throw new Error(`Legal name ${legalName} is already registered to university ${existing.toString()}`);
+        }
+        await ctx.stub.putState(key, Buffer.from(code));
+    }
+
+    /**
+     * Look up a registered university by code or legal name
+     * @param {Context} ctx - Transaction context
+     * @param {string} codeOrName - University code or legal name
+     * @returns {Promise<Object|null>} University record, or null if not registered
+     * @private
+     */
+    async _findUniversity(ctx, codeOrName) {
+        if (!codeOrName || typeof codeOrName !== 'string') {
+            return null;
+        }
+
+        let universityBytes = await ctx.stub.getState(this._universityKey(ctx, codeOrName));
+        if (!universityBytes || universityBytes.length === 0) {
+            const codeBytes = await ctx.stub.getState(this._universityNameKey(ctx, codeOrName));
+            if (!codeBytes || codeBytes.length === 0) {
+                return null;
+            }
+            universityBytes = await ctx.stub.getState(this._universityKey(ctx, codeBytes.toString()));
+        }
+        return JSON.parse(universityBytes.toString());
+    }
+
+    /**
+     * Check that the caller may issue degrees in the name of a university
+     * The university must be registered and accredited, the transaction must fall
+     * within its validity period, the caller's MSP must be authorised and, when the
+     * entry lists authorised issuers, the caller's enrollment ID must be one of them.
+     *
+     * @param {Context} ctx - Transaction context
+     * @param {string} university - University code or legal name
+     * @returns {Promise<Object>} University record
+     * @throws {Error} If the caller may not issue degrees of the university
+     * @private
+     */
+    async _requireUniversityIssuer(ctx, university) {
+        const entry = await this._findUniversity(ctx, university);
+        if (!entry) {
+            throw new Error(`University ${university} is not registered`);
+        }
+
+        const mspId = ctx.clientIdentity.getMSPID();
+        if (!entry.authorizedMSPs.includes(mspId)) {
+            throw new Error(`MSP ${mspId} is not authorised to issue degrees of university ${entry.code}`);
+        }
+
+        const enrollmentId = ctx.clientIdentity.getAttributeValue('hf.EnrollmentID');
+        if (entry.authorizedIssuers.length > 0 && !entry.authorizedIssuers.includes(enrollmentId)) {
+            throw new Error(`Issuer ${enrollmentId || 'unknown'} is not authorised to issue degrees of university ${entry.code}`);
+        }
+
+        if (entry.accreditationStatus !== 'ACCREDITED') {
+            throw new Error(`University ${entry.code} is not accredited (${entry.accreditationStatus})`);
+        }
+
+        const now = this._getTimestamp(ctx);
+        if (now < entry.validFrom || (entry.validUntil && now > entry.validUntil)) {
+            throw new Error(`Registration of university ${entry.code} is not valid at ${now}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Read the access grant of a student's transcript for an MSP
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID
+     * @param {string} mspId - Grantee MSP ID
+     * @returns {Promise<Object|null>} Grant record, or null if none
+     * @private
+     */
+    async _getAccessGrant(ctx, studentId, mspId) {
+        const grantBytes = await ctx.stub.getState(`grant-${studentId}-${mspId}`);
+        if (!grantBytes || grantBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(grantBytes.toString());
+    }
+
+    /**
+     * Check whether a grant is in force at the transaction timestamp
+     * Grants recorded before grant status existed have no status and count as active.
+     * @param {Context} ctx - Transaction context
+     * @param {Object} grant - Grant record
+     * @returns {boolean} True if the grant is not revoked and not expired
+     * @private
+     */
+    _isGrantActive(ctx, grant) {
+        if (grant.status === 'REVOKED') {
+            return false;
+        }
+        return !grant.expiresAt || new Date(grant.expiresAt) > new Date(this._getTimestamp(ctx));
+    }
+
+    /**
+     * Check that the caller is the student who owns a transcript
+     * @param {Context} ctx - Transaction context
+     * @param {string} studentId - Student ID of the transcript
+     * @param {string} action - Action for the error message (e.g. 'grant access to')
+     * @throws {Error} If the caller is not that student
+     * @private
+     */
+    _requireTranscriptOwner(ctx, studentId, action) {
+        const clientIdentity = ctx.clientIdentity;
+        const ou = clientIdentity.getAttributeValue('ou');
+        const roleAttr = clientIdentity.getAttributeValue('role');
+        
+        // Check if caller is a student (OU=student)
+        const isStudent = ou === 'student' || roleAttr === 'student';
+        
+        if (!isStudent) {
+            throw new Error(
+                `Access denied. Only students can ${action} transcripts. ` +
+                `Caller OU: ${ou || 'unknown'}, role: ${roleAttr || 'unknown'}`
+            );
+        }
+        
+        // Verify caller is acting on their own transcript
+        const username = clientIdentity.getAttributeValue('studentId') || 
+                        clientIdentity.getAttributeValue('username');
+        if (username && username !== studentId) {
+            throw new Error(
+                `Access denied. Students can only ${action} their own transcript. ` +
+                `Requested: ${studentId}, Caller: ${username}`
+            );
+        }
+    }
+
+    /**
+     * Get deterministic timestamp from transaction
+     * @param {Context} ctx 
+     */
+    _getTimestamp(ctx) {
+        return this._toISOString(ctx.stub.getTxTimestamp());
+    }
+
+    /**
+     * Convert a protobuf Timestamp ({ seconds, nanos }) to an ISO 8601 string
+     * @param {Object} timestamp - Protobuf timestamp
+     * @returns {string} ISO 8601 date string
+     */
+    _toISOString(timestamp) {
+        const seconds = typeof timestamp.seconds === 'object' && timestamp.seconds !== null
+            ? (typeof timestamp.seconds.toNumber === 'function' ? timestamp.seconds.toNumber() : timestamp.seconds.low)
+            : Number(timestamp.seconds);
+        const milliseconds = seconds * 1000 + Math.floor((timestamp.nanos || 0) / 1e6);
+        return new Date(milliseconds).toISOString();
+    }
+
+    /**
+     * Describe the caller for audit fields (who made a change)
+     * @param {Context} ctx - Transaction context
+     * @returns {Object} { mspId, ou, id }
+     */
+    _getCallerInfo(ctx) {
+        const clientIdentity = ctx.clientIdentity;
+        return {
+            mspId: clientIdentity.getMSPID(),
+            ou: clientIdentity.getAttributeValue('ou') || clientIdentity.getAttributeValue('role') || null,
+            id: clientIdentity.getID()
+        };
+    }
+
+    /**
+     * Read the free-text reason passed as transient data
+     * @param {Context} ctx - Transaction context
+     * @returns {string|null} Trimmed reason, or null if missing or blank
+     */
+    _getTransientReason(ctx) {
+        const transientMap = ctx.stub.getTransient();
+        if (!transientMap.has('reason')) {
+            return null;
+        }
+        const reason = transientMap.get('reason').toString('utf8').trim();
+        return reason === '' ? null : reason;
+    }
+
+    /**
+     * Remove internal suspension reasons and the caller's x509 identity from a
+     * degree record before returning it (degrees suspended before
+     * DegreeSuspensionCollection kept the reasons in world state)
+     * @param {Object} degree - Degree record
+     * @returns {Object} Copy of the degree without suspension reasons or caller ID
+     */
+    _publicDegree(degree) {
+        if (!degree || (!degree.suspension && !degree.suspensionHistory && !degree.lastModifiedBy)) {
+            return degree;
+        }
+        const publicDegree = { ...degree };
+        if (degree.lastModifiedBy) {
+            publicDegree.lastModifiedBy = this._publicCallerInfo(degree.lastModifiedBy);
+        }
+        if (degree.suspension) {
+            const { reason, ...suspension } = degree.suspension;
+            publicDegree.suspension = suspension;
+        }
+        if (degree.suspensionHistory) {
+            publicDegree.suspensionHistory = degree.suspensionHistory.map(({ reason, liftReason, ...entry }) => entry);
+        }
+        return publicDegree;
+    }
+
+    /**
+     * Reduce recorded caller info to the organisation that made a change
+     * (the x509 identity of the individual caller is left out of public responses)
+     * @param {Object} callerInfo - { mspId, ou, id } from _getCallerInfo
+     * @returns {Object} { mspId, ou }
+     */
+    _publicCallerInfo(callerInfo) {
+        return {
+            mspId: callerInfo.mspId || null,
+            ou: callerInfo.ou || null
+        };
+    }
+
+    /**
+     * Check if the caller has the required role (OU attribute)
+     * 
+     * Role mapping:
+     * - 'admin' -> OU=admin (can issue/revoke degrees, update transcripts)
+     * - 'student' -> OU=student (can view own degrees/transcripts)
+     * - 'governance' -> OU=governance (manages the university registry, GOVERNANCE_MSP_ID only)
+     * 
+     * @param {Context} ctx - Transaction context
+     * @param {string} requiredRole - Required role (admin, student)
+     * @throws {Error} If caller doesn't have the required role
+     * @private
+     */
+    _checkRole(ctx, requiredRole) {
+        const clientIdentity = ctx.clientIdentity;
+        
+        // Get OU (Organizational Unit) attribute from client certificate
+        // OU is set during enrollment and indicates user's role
         const ou = clientIdentity.getAttributeValue('ou');
         
         // Also check 'role' attribute as fallback
@@ -593,6 +2552,23 @@ class DegreeContract extends Contract {
     _requireStudent(ctx) {
         this._checkRole(ctx, 'student');
     }
+
+    /**
+     * Check if the caller is a governance identity (manages the university registry)
+     * The role alone is not enough: any MSP's CA can issue OU=governance
+     * certificates, so the caller must also belong to GOVERNANCE_MSP_ID.
+     * @param {Context} ctx - Transaction context
+     * @throws {Error} If caller does not have the governance role or is not of the governance MSP
+     * @private
+     */
+    _requireGovernance(ctx) {
+        this._checkRole(ctx, 'governance');
+
+        const mspId = ctx.clientIdentity.getMSPID();
+        if (mspId !== GOVERNANCE_MSP_ID) {
+            throw new Error(`Access denied. Required MSP for governance: ${GOVERNANCE_MSP_ID}, actual MSP: ${mspId}`);
+        }
+    }
 }
 
 module.exports = DegreeContract;
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Structured transcript courses and GPA computation
+ *
+ * A course record:
+ * {
+ *   code: 'INT1306',            // course code
+ *   name: 'Cau truc du lieu',   // course name
+ *   credits: 3,                 // credit hours (> 0)
+ *   semester: '2023-2024/1',    // semester label
+ *   grade: '8.5',               // grade on the course's scale
+ *   scale: '10-point',          // 10-point | letter | 4-point
+ *   attempt: 1,                 // 1 for the first attempt, 2+ for retakes
+ *   letter: 'A',                // optional, letter grade from the university's grading scale
+ *   gradePoint: 4.0             // optional, 4-point grade point from the university's grading scale
+ * }
+ *
+ * The backend normalises grades with the university's grading scale (kept
+ * off-chain) and sends letter and gradePoint. Without them the built-in
+ * tables below (credit-based training regulation) are used.
+ *
+ * GPA is the credit-weighted average of 4-point grade points, counting only
+ * the latest attempt of each course.
+ */
+
+/**
+ * 10-point grade -> letter grade (lower bound inclusive), as in the
+ * Vietnamese credit-based training regulation
+ */
+const TEN_POINT_TO_LETTER = [
+    { min: 8.5, letter: 'A' },
+    { min: 8.0, letter: 'B+' },
+    { min: 7.0, letter: 'B' },
+    { min: 6.5, letter: 'C+' },
+    { min: 5.5, letter: 'C' },
+    { min: 5.0, letter: 'D+' },
+    { min: 4.0, letter: 'D' },
+    { min: 0, letter: 'F' }
+];
+
+/**
+ * Letter grade -> 4-point grade point
+ */
+const LETTER_TO_POINT = {
+    'A+': 4.0,
+    'A': 4.0,
+    'B+': 3.5,
+    'B': 3.0,
+    'C+': 2.5,
+    'C': 2.0,
+    'D+': 1.5,
+    'D': 1.0,
+    'F': 0
+};
+
+const GRADE_SCALES = ['10-point', 'letter', '4-point'];
+
+/**
+ * Largest difference allowed between the submitted and the computed GPA
+ */
+const GPA_TOLERANCE = 0.01;
+
+/**
+ * Check that a grade is a number within a numeric scale (10-point or 4-point)
+ * @param {string|number} grade - Grade
+ * @param {string} scale - 10-point or 4-point
+ * @returns {boolean} True if valid
+ */
+function isValidNumericGrade(grade, scale) {
+    const value = Number(grade);
+    const max = scale === '10-point' ? 10 : 4;
+    return grade !== '' && grade !== null && !isNaN(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Convert a grade to a 4-point grade point (built-in tables)
+ * @param {string|number} grade - Grade on the given scale
+ * @param {string} scale - 10-point, letter or 4-point
+ * @returns {number} Grade point (0-4)
+ * @throws {Error} If the grade is not valid on the scale
+ */
+function toGradePoint(grade, scale) {
+    if (scale === 'letter') {
+        const point = LETTER_TO_POINT[String(grade).trim().toUpperCase()];
+        if (point === undefined) {
+            throw new Error(`Invalid letter grade: ${grade}`);
+        }
+        return point;
+    }
+
+    const value = Number(grade);
+    if (!isValidNumericGrade(grade, scale)) {
+        throw new Error(`Invalid ${scale} grade: ${grade}. Must be between 0 and ${scale === '10-point' ? 10 : 4}`);
+    }
+    if (scale === '4-point') {
+        return value;
+    }
+
+    const { letter } = TEN_POINT_TO_LETTER.find(step => value >= step.min);
+    return LETTER_TO_POINT[letter];
+}
+
+/**
+ * Validate and normalise structured course records
+ * @param {Array<Object>} courses - Course records
+ * @returns {Array<Object>} Normalised records (scale, attempt, letter and gradePoint filled in, credits as numbers)
+ * @throws {Error} If a record is invalid
+ */
+function validateCourses(courses) {
+    if (!Array.isArray(courses) || courses.length === 0) {
+        throw new Error('courses must be a non-empty array');
+    }
+
+    const seen = new Set();
+    return courses.map((course, index) => {
+        const label = `courses[${index}]`;
+        if (!course || typeof course !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        for (const field of ['code', 'name', 'semester']) {
+            if (typeof course[field] !== 'string' || course[field].trim() === '') {
+                throw new Error(`${label}.${field} is required and must be a non-empty string`);
+            }
+        }
+
+        const credits = Number(course.credits);
+        if (isNaN(credits) || credits <= 0 || credits > 30) {
+            throw new Error(`${label}.credits must be a number greater than 0 and at most 30`);
+        }
+
+        const scale = course.scale || '10-point';
+        if (!GRADE_SCALES.includes(scale)) {
+            throw new Error(`${label}.scale must be one of: ${GRADE_SCALES.join(', ')}`);
+        }
+
+        const attempt = course.attempt === undefined ? 1 : Number(course.attempt);
+        if (!Number.isInteger(attempt) || attempt < 1) {
+            throw new Error(`${label}.attempt must be a positive integer`);
+        }
+
+        let letter = null;
+        let gradePoint;
+        if (course.gradePoint !== undefined && course.gradePoint !== null) {
+            gradePoint = Number(course.gradePoint);
+            if (isNaN(gradePoint) || gradePoint < 0 || gradePoint > 4) {
+                throw new Error(`${label}.gradePoint must be a number between 0 and 4`);
+            }
+            if (scale === 'letter' ? String(course.grade).trim() === '' : !isValidNumericGrade(course.grade, scale)) {
+                throw new Error(`${label}.grade: Invalid ${scale} grade: ${course.grade}`);
+            }
+            letter = typeof course.letter === 'string' ? course.letter : null;
+        } else {
+            try {
+                gradePoint = toGradePoint(course.grade, scale);
+            } catch (error) {
+                throw new Error(`${label}.grade: ${error.message}`);
+            }
+            if (scale === 'letter') {
+                letter = String(course.grade).trim().toUpperCase();
+            } else if (scale === '10-point') {
+                letter = TEN_POINT_TO_LETTER.find(step => Number(course.grade) >= step.min).letter;
+            }
+        }
+
+        const key = `${course.code}#${attempt}`;
+        if (seen.has(key)) {
+            throw new Error(`Duplicate course ${course.code} attempt ${attempt}`);
+        }
+        seen.add(key);
+
+        return {
+            code: course.code.trim(),
+            name: course.name.trim(),
+            credits: credits,
+            semester: course.semester.trim(),
+            grade: String(course.grade).trim(),
+            scale: scale,
+            attempt: attempt,
+            letter: letter,
+            gradePoint: gradePoint
+        };
+    });
+}
+
+/**
+ * Latest attempt of each course
+ * @param {Array<Object>} courses - Validated course records
+ * @returns {Array<Object>} One record per course code
+ */
+function latestAttempts(courses) {
+    const latest = new Map();
+    for (const course of courses) {
+        const current = latest.get(course.code);
+        if (!current || course.attempt > current.attempt) {
+            latest.set(course.code, course);
+        }
+    }
+    return [...latest.values()];
+}
+
+/**
+ * Compute the cumulative GPA (4-point) of validated course records
+ * @param {Array<Object>} courses - Courses from validateCourses (with gradePoint)
+ * @returns {{gpa: number, totalCredits: number}} GPA rounded to 2 decimals
+ */
+function computeGpa(courses) {
+    let totalCredits = 0;
+    let totalPoints = 0;
+    for (const course of latestAttempts(courses)) {
+        totalCredits += course.credits;
+        totalPoints += course.credits * course.gradePoint;
+    }
+
+    return {
+        gpa: totalCredits > 0 ? Math.round((totalPoints / totalCredits) * 100) / 100 : 0,
+        totalCredits: totalCredits
+    };
+}
+
+/**
+ * Check a submitted GPA against the computed one
+ * @param {string|number} submitted - Submitted GPA
+ * @param {number} computed - GPA from computeGpa
+ * @returns {boolean} True if they differ by at most GPA_TOLERANCE
+ */
+function gpaMatches(submitted, computed) {
+    const value = parseFloat(submitted);
+    // Compare in hundredths to avoid floating point noise
+    return !isNaN(value) && Math.abs(Math.round(value * 100) - Math.round(computed * 100)) <= GPA_TOLERANCE * 100;
+}
+
+module.exports = {
+    GRADE_SCALES,
+    GPA_TOLERANCE,
+    toGradePoint,
+    validateCourses,
+    latestAttempts,
+    computeGpa,
+    gpaMatches
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, STUDENT } = require('./fixtures');
+
+const STUDENT_ID = STUDENT.attrs.studentId;
+const OTHER_STUDENT = { mspId: 'Org1MSP', attrs: { ou: 'student', studentId: 'CT070212' } };
+const EMPLOYER = { mspId: 'Org2MSP', attrs: { ou: 'client' } };
+
+describe('transcript access grants', () => {
+    let contract;
+    let ctx;
+
+    /**
+     * Read the transcript as the employer
+     * @returns {Promise<Object>} Parsed transcript
+     */
+    async function readAsEmployer() {
+        ctx.setIdentity(EMPLOYER).nextTransaction();
+        return JSON.parse(await contract.QueryTranscript(ctx, STUDENT_ID));
+    }
+
+    /**
+     * Grant the employer access as the student
+     * @param {string} [scope] - Grant scope
+     * @param {string} [expiresAt] - Grant expiry
+     * @returns {Promise<Object>} Grant record
+     */
+    async function grant(scope = '', expiresAt = '') {
+        ctx.setIdentity(STUDENT).nextTransaction();
+        return JSON.parse(await contract.GrantAccess(ctx, STUDENT_ID, EMPLOYER.mspId, scope, expiresAt));
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        ctx.nextTransaction({
+            transcript: { ATTT101: 'A', ATTT102: 'B+' },
+            gpa: '3.60',
+            personalInfo: { citizenId: '001200000001' }
+        });
+        await contract.UpdateTranscript(ctx, STUDENT_ID);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('denies a third-party MSP without a grant', async () => {
+        await expect(readAsEmployer()).rejects.toThrow(/No active access grant for MSP Org2MSP/);
+    });
+
+    it('gives full access under a full grant', async () => {
+        const record = await grant();
+
+        expect(record).toMatchObject({ scope: 'full', status: 'ACTIVE', expiresAt: null, targetMSP: 'Org2MSP' });
+        const transcript = await readAsEmployer();
+        expect(transcript.transcript).toEqual({ ATTT101: 'A', ATTT102: 'B+' });
+        expect(transcript.personalInfo).toEqual({ citizenId: '001200000001' });
+    });
+
+    it('returns only the GPA under a gpa-only grant', async () => {
+        await grant('gpa-only');
+
+        const transcript = await readAsEmployer();
+        expect(transcript).toEqual({
+            studentId: STUDENT_ID,
+            gpa: '3.60',
+            version: 1,
+            updatedAt: expect.any(String),
+            scope: 'gpa-only'
+        });
+    });
+
+    it('stops access once the grant has expired', async () => {
+        const expiresAt = new Date((ctx.timestamp().seconds.low + 5) * 1000).toISOString();
+        await grant('full', expiresAt);
+        await expect(readAsEmployer()).resolves.toHaveProperty('gpa', '3.60');
+
+        for (let i = 0; i < 5; i++) {
+            ctx.nextTransaction();
+        }
+        await expect(readAsEmployer()).rejects.toThrow(/No active access grant/);
+
+        ctx.setIdentity(STUDENT).nextTransaction();
+        const grants = JSON.parse(await contract.QueryAccessGrants(ctx, STUDENT_ID));
+        expect(grants).toEqual([expect.objectContaining({ targetMSP: 'Org2MSP', status: 'ACTIVE', active: false })]);
+    });
+
+    it('stops access after revocation and keeps the revoked grant', async () => {
+        await grant();
+        ctx.setIdentity(STUDENT).nextTransaction();
+        const revoked = JSON.parse(await contract.RevokeAccess(ctx, STUDENT_ID, EMPLOYER.mspId));
+
+        expect(revoked).toMatchObject({ status: 'REVOKED', revokedBy: 'Org1MSP' });
+        await expect(readAsEmployer()).rejects.toThrow(/No active access grant/);
+
+        ctx.setIdentity(STUDENT).nextTransaction();
+        await expect(contract.RevokeAccess(ctx, STUDENT_ID, EMPLOYER.mspId)).rejects.toThrow(/already revoked/);
+    });
+
+    it('rejects an invalid scope and an expiry that is not in the future', async () => {
+        await expect(grant('grades-only')).rejects.toThrow(/Invalid scope: grades-only/);
+        await expect(grant('full', 'tomorrow')).rejects.toThrow(/Invalid expiresAt/);
+        await expect(grant('full', '2020-01-01T00:00:00Z')).rejects.toThrow(/must be in the future/);
+    });
+
+    it('only lets the owning student grant or revoke access', async () => {
+        ctx.setIdentity(OTHER_STUDENT).nextTransaction();
+        await expect(contract.GrantAccess(ctx, STUDENT_ID, EMPLOYER.mspId, '', ''))
+            .rejects.toThrow(/only grant access to their own transcript/);
+
+        ctx.setIdentity(ADMIN).nextTransaction();
+        await expect(contract.GrantAccess(ctx, STUDENT_ID, EMPLOYER.mspId, '', ''))
+            .rejects.toThrow(/Only students can grant access to transcripts/);
+
+        await grant();
+        ctx.setIdentity(EMPLOYER).nextTransaction();
+        await expect(contract.RevokeAccess(ctx, STUDENT_ID, EMPLOYER.mspId))
+            .rejects.toThrow(/Only students can revoke access to transcripts/);
+    });
+
+    it('does not let a student read another student\'s transcript', async () => {
+        ctx.setIdentity(OTHER_STUDENT).nextTransaction();
+        await expect(contract.QueryTranscript(ctx, STUDENT_ID)).rejects.toThrow(/only view their own transcript/);
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const crypto = require('crypto');
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, STUDENT } = require('./fixtures');
+
+const HASH = crypto.createHash('sha256').update('{"grade":"A"}').digest('hex');
+
+describe('correction decisions', () => {
+    let contract;
+    let ctx;
+
+    /**
+     * Record a decision as the admin
+     * @param {Array<string>} [args] - Arguments after ctx
+     * @returns {Promise<Object>} Decision record
+     */
+    async function record(args = ['12', 'CT070211', HASH, 'approved', 'admin1', 'tx-transcript']) {
+        ctx.setIdentity(ADMIN).nextTransaction();
+        return JSON.parse(await contract.RecordCorrectionDecision(ctx, ...args));
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('records a decision with its transaction and lists it', async () => {
+        const decision = await record();
+
+        expect(decision).toMatchObject({
+            docType: 'correction-decision',
+            requestId: '12',
+            requestedDataHash: HASH,
+            decision: 'approved',
+            reviewer: 'admin1',
+            transcriptTxId: 'tx-transcript',
+            txId: ctx.txId
+        });
+
+        await record(['13', 'CT070212', HASH, 'rejected', 'admin2', '']);
+        const decisions = JSON.parse(await contract.QueryCorrectionDecisions(ctx));
+        expect(decisions.map(d => [d.requestId, d.decision, d.transcriptTxId])).toEqual([
+            ['12', 'approved', 'tx-transcript'],
+            ['13', 'rejected', null]
+        ]);
+    });
+
+    it('records a decision only once per request', async () => {
+        await record();
+
+        await expect(record(['12', 'CT070211', HASH, 'rejected', 'admin2', '']))
+            .rejects.toThrow('Decision for correction request 12 already recorded');
+        expect(ctx.getJSON('correction-decision-12').decision).toBe('approved');
+    });
+
+    it.each([
+        [['12', 'CT070211', HASH, 'pending', 'admin1', ''], /Invalid decision: pending/],
+        [['12', 'CT070211', 'not-a-hash', 'approved', 'admin1', ''], /must be a hex SHA-256 hash/],
+        [['', 'CT070211', HASH, 'approved', 'admin1', ''], /requestId, studentId and reviewer are required/]
+    ])('rejects invalid input (%#)', async (args, message) => {
+        await expect(record(args)).rejects.toThrow(message);
+    });
+
+    it('only lets admins record and list decisions', async () => {
+        ctx.setIdentity(STUDENT).nextTransaction();
+
+        await expect(contract.RecordCorrectionDecision(ctx, '12', 'CT070211', HASH, 'approved', 'CT070211', ''))
+            .rejects.toThrow(/admin/i);
+        await expect(contract.QueryCorrectionDecisions(ctx)).rejects.toThrow(/admin/i);
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Every CouchDB rich query issued by the contract must be served by an index
+ * in META-INF/statedb/couchdb/indexes: all fields of the index appear in the
+ * selector, and the sort fields (if any) are part of the index.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN } = require('./fixtures');
+
+const INDEX_DIR = path.join(__dirname, '..', 'META-INF', 'statedb', 'couchdb', 'indexes');
+const CONTRACT_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'lib', 'degree-contract.js'), 'utf8');
+
+const DEGREE_FILTERS = ['university', 'major', 'degreeType', 'classification', 'status'];
+const DEGREE_SORT_FIELDS = ['issueDate', 'studentName', 'degreeId', 'university', 'major', 'classification'];
+
+/**
+ * Rich-query calls of every contract method that issues one.
+ * Each entry runs the method with arguments covering its selector variants.
+ */
+const QUERY_CALLS = {
+    QueryDegreesByStudent: [['CT070211']],
+    QueryDegreesWithPagination: [
+        ['{}'],
+        ...DEGREE_FILTERS.map(field => [JSON.stringify({ [field]: 'x' })]),
+        [JSON.stringify({ issueDateFrom: '2025-01-01', issueDateTo: '2025-12-31' })],
+        ...DEGREE_SORT_FIELDS.map(sortBy => [JSON.stringify({ sortBy, sortOrder: 'desc' })]),
+        [JSON.stringify({ major: 'x', sortBy: 'studentName' })]
+    ].map(([filters]) => [filters, '10', '']),
+    QueryTranscriptVersions: [['CT070211']],
+    QueryAccessGrants: [['CT070211']],
+    QueryCorrectionDecisions: [[]]
+};
+
+const indexes = fs.readdirSync(INDEX_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(INDEX_DIR, file), 'utf8')) }));
+
+/**
+ * Find an index usable for a query
+ * @param {Object} query - { selector, sort }
+ * @returns {Object|undefined} Matching index definition
+ */
+function findIndex(query) {
+    const selectorFields = Object.keys(query.selector);
+    const sortFields = (query.sort || []).map(entry => Object.keys(entry)[0]);
+    return indexes.find(({ index }) =>
+        index.fields.every(field => selectorFields.includes(field)) &&
+        sortFields.every(field => index.fields.includes(field)));
+}
+
+/**
+ * Names of contract methods whose body calls getQueryResult*
+ * @returns {Array<string>} Method names
+ */
+function methodsIssuingRichQueries() {
+    const methods = new Set();
+    let current = null;
+    for (const line of CONTRACT_SOURCE.split('\n')) {
+        const method = line.match(/^ {4}async ([A-Za-z_]\w*)\(ctx/);
+        if (method) {
+            current = method[1];
+        }
+        if (/getQueryResult/.test(line) && current) {
+            methods.add(current);
+        }
+    }
+    return [...methods].sort();
+}
+
+describe('CouchDB index coverage', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await ctx.stub.putState('transcript-CT070211', Buffer.from(JSON.stringify({ docType: 'transcript-metadata', studentId: 'CT070211', version: 1 })));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('defines every index with fields, ddoc and name', () => {
+        for (const definition of indexes) {
+            expect(definition.index.fields.length).toBeGreaterThan(0);
+            expect(definition.ddoc).toEqual(expect.any(String));
+            expect(definition.name).toEqual(expect.any(String));
+            expect(definition.type).toBe('json');
+        }
+    });
+
+    it('exercises every method that issues a rich query', () => {
+        expect(Object.keys(QUERY_CALLS).sort()).toEqual(methodsIssuingRichQueries());
+    });
+
+    it('rejects QueryDegreesWithPagination filters that are not strings', async () => {
+        for (const filters of [{ university: { $regex: '.*' } }, { major: ['x'] }, { issueDateFrom: { $gt: null } }]) {
+            ctx.queries = [];
+            await expect(contract.QueryDegreesWithPagination(ctx, JSON.stringify(filters), '10', ''))
+                .rejects.toThrow(`Filter ${Object.keys(filters)[0]} must be a string`);
+            expect(ctx.queries).toEqual([]);
+        }
+    });
+
+    for (const [method, calls] of Object.entries(QUERY_CALLS)) {
+        it(`${method} only issues indexed selectors`, async () => {
+            for (const args of calls) {
+                ctx.queries = [];
+                await contract[method](ctx, ...args);
+
+                expect(ctx.queries.length).toBeGreaterThan(0);
+                for (const query of ctx.queries) {
+                    const index = findIndex(query);
+                    if (!index) {
+                        throw new Error(`No index serves ${method} query ${JSON.stringify(query)}`);
+                    }
+                }
+            }
+        });
+    }
+});
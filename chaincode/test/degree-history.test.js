@@ -0,0 +1,92 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, DEGREE, registerUniversity, issueDegree } = require('./fixtures');
+
+describe('GetDegreeHistory', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await registerUniversity(contract, ctx);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('lists changes oldest first with the organisation behind each one', async () => {
+        await issueDegree(contract, ctx);
+        ctx.nextTransaction();
+        await contract.RevokeDegree(ctx, DEGREE.degreeId, 'Fraud');
+
+        const history = JSON.parse(await contract.GetDegreeHistory(ctx, DEGREE.degreeId));
+
+        expect(history.map(entry => entry.action)).toEqual(['ISSUED', 'REVOKED']);
+        for (const entry of history) {
+            expect(entry.modifiedBy).toEqual({ mspId: 'Org1MSP', ou: 'admin' });
+            expect(entry.state.lastModifiedBy).toEqual({ mspId: 'Org1MSP', ou: 'admin' });
+            expect(JSON.stringify(entry)).not.toContain('x509::');
+        }
+    });
+
+    it('keeps the sub-second part of commit timestamps', async () => {
+        ctx.nanos = 987654321;
+        await issueDegree(contract, ctx);
+
+        const [issued] = JSON.parse(await contract.GetDegreeHistory(ctx, DEGREE.degreeId));
+
+        expect(issued.timestamp).toMatch(/\.987Z$/);
+        expect(Date.parse(issued.timestamp)).toBe(ctx.timestamp().seconds.low * 1000 + 987);
+    });
+
+    it('does not expose the history of keys that are not degrees', async () => {
+        await ctx.stub.putState('transcript-CT070211', Buffer.from(JSON.stringify({ docType: 'transcript-metadata' })));
+        await expect(contract.GetDegreeHistory(ctx, 'transcript-CT070211')).rejects.toThrow('does not exist');
+
+        await ctx.stub.putState('config-degree-endorsement', Buffer.from(JSON.stringify({ endorsingOrgs: [] })));
+        await expect(contract.GetDegreeHistory(ctx, 'config-degree-endorsement')).rejects.toThrow('does not exist');
+    });
+
+    it('rejects unknown degrees', async () => {
+        await expect(contract.GetDegreeHistory(ctx, 'VN.KMA.2025.999')).rejects.toThrow('Degree VN.KMA.2025.999 does not exist');
+    });
+});
+
+describe('public degree records', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await registerUniversity(contract, ctx);
+        await issueDegree(contract, ctx);
+        ctx.nextTransaction();
+        await contract.AmendDegree(ctx, DEGREE.degreeId, JSON.stringify({ major: 'Cong nghe thong tin' }), 'Typo');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('leaves the caller x509 identity out of query results', async () => {
+        expect(ctx.getJSON(DEGREE.degreeId).lastModifiedBy.id).toContain('x509::');
+
+        const degree = JSON.parse(await contract.QueryDegree(ctx, DEGREE.degreeId));
+        const first = JSON.parse(await contract.QueryDegreeVersion(ctx, DEGREE.degreeId, '1'));
+        const current = JSON.parse(await contract.QueryDegreeVersion(ctx, DEGREE.degreeId, '2'));
+        const page = JSON.parse(await contract.QueryDegreesWithPagination(ctx, '{}', '10', ''));
+
+        for (const record of [degree, first, current, ...page.records]) {
+            expect(record.lastModifiedBy).toEqual({ mspId: 'Org1MSP', ou: 'admin' });
+            expect(record.lastModifiedBy.id).toBeUndefined();
+            expect(JSON.stringify(record)).not.toContain('x509::');
+        }
+    });
+});
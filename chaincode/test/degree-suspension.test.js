@@ -0,0 +1,112 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, STUDENT, DEGREE, registerUniversity, issueDegree } = require('./fixtures');
+
+const REASON = 'Plagiarism report on thesis under review';
+const LIFT_REASON = 'Investigation closed, no violation found';
+
+describe('degree suspension', () => {
+    let contract;
+    let ctx;
+
+    /**
+     * Everything a public reader can see: world state, key history and query responses
+     * @returns {Promise<string>} Concatenated public data
+     */
+    async function publicData() {
+        const worldState = [...ctx.world.values()].map(value => value.toString()).join('\n');
+        const history = await contract.GetDegreeHistory(ctx, DEGREE.degreeId);
+        const versions = await contract.QueryDegreeVersion(ctx, DEGREE.degreeId, '1');
+        const degree = await contract.QueryDegree(ctx, DEGREE.degreeId);
+        return [worldState, history, versions, degree].join('\n');
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await registerUniversity(contract, ctx);
+        await issueDegree(contract, ctx);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps suspension reasons out of world state and every public response', async () => {
+        ctx.nextTransaction({ reason: REASON });
+        const suspendResponse = await contract.SuspendDegree(ctx, DEGREE.degreeId, 'ACADEMIC_INTEGRITY_REVIEW', '2025-12-31');
+        ctx.nextTransaction({ reason: LIFT_REASON });
+        const unsuspendResponse = await contract.UnsuspendDegree(ctx, DEGREE.degreeId);
+
+        const exposed = [suspendResponse, unsuspendResponse, await publicData()].join('\n');
+        expect(exposed).not.toContain(REASON);
+        expect(exposed).not.toContain(LIFT_REASON);
+
+        const degree = ctx.getJSON(DEGREE.degreeId);
+        expect(degree.status).toBe('ACTIVE');
+        expect(degree.suspensionHistory).toEqual([expect.objectContaining({
+            category: 'ACADEMIC_INTEGRITY_REVIEW',
+            reviewBy: '2025-12-31',
+            detailsKey: expect.stringMatching(/^suspension-/)
+        })]);
+    });
+
+    it('lets admins read the reasons from the private collection', async () => {
+        ctx.nextTransaction({ reason: REASON });
+        await contract.SuspendDegree(ctx, DEGREE.degreeId, 'LEGAL_HOLD', '');
+        ctx.nextTransaction({ reason: LIFT_REASON });
+        await contract.UnsuspendDegree(ctx, DEGREE.degreeId);
+
+        const details = JSON.parse(await contract.QuerySuspensionDetails(ctx, DEGREE.degreeId));
+
+        expect(details).toEqual([expect.objectContaining({
+            category: 'LEGAL_HOLD',
+            reason: REASON,
+            liftReason: LIFT_REASON
+        })]);
+
+        ctx.setIdentity(STUDENT);
+        await expect(contract.QuerySuspensionDetails(ctx, DEGREE.degreeId)).rejects.toThrow();
+    });
+
+    it('requires the reason as transient data', async () => {
+        ctx.nextTransaction();
+        await expect(contract.SuspendDegree(ctx, DEGREE.degreeId, 'LEGAL_HOLD', ''))
+            .rejects.toThrow('Suspension reason is required');
+
+        ctx.nextTransaction({ reason: REASON });
+        await contract.SuspendDegree(ctx, DEGREE.degreeId, 'LEGAL_HOLD', '');
+        ctx.nextTransaction({ reason: '   ' });
+        await expect(contract.UnsuspendDegree(ctx, DEGREE.degreeId))
+            .rejects.toThrow('Unsuspension reason is required');
+    });
+
+    it('strips reasons of degrees suspended before the private collection existed', async () => {
+        const legacy = {
+            ...ctx.getJSON(DEGREE.degreeId),
+            status: 'SUSPENDED',
+            suspension: { category: 'LEGAL_HOLD', reason: REASON, reviewBy: null, suspendedAt: '2025-01-01T00:00:00.000Z', suspendedBy: 'Org1MSP' },
+            suspensionHistory: [{ category: 'LEGAL_HOLD', reason: 'Old case', liftReason: 'Closed', liftedAt: '2024-01-01T00:00:00.000Z' }]
+        };
+        ctx.nextTransaction();
+        await ctx.stub.putState(DEGREE.degreeId, Buffer.from(JSON.stringify(legacy)));
+
+        const degree = JSON.parse(await contract.QueryDegree(ctx, DEGREE.degreeId));
+        const history = JSON.parse(await contract.GetDegreeHistory(ctx, DEGREE.degreeId));
+
+        for (const exposed of [JSON.stringify(degree), JSON.stringify(history)]) {
+            expect(exposed).not.toContain(REASON);
+            expect(exposed).not.toContain('Old case');
+        }
+
+        ctx.nextTransaction({ reason: LIFT_REASON });
+        await contract.UnsuspendDegree(ctx, DEGREE.degreeId);
+        expect(JSON.stringify(ctx.getJSON(DEGREE.degreeId).suspensionHistory[1])).not.toContain(REASON);
+
+        const details = JSON.parse(await contract.QuerySuspensionDetails(ctx, DEGREE.degreeId));
+        expect(details.map(entry => entry.reason)).toEqual(['Old case', REASON]);
+    });
+});
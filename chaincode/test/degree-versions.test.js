@@ -0,0 +1,37 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, DEGREE, registerUniversity, issueDegree } = require('./fixtures');
+
+describe('QueryDegreeVersion', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await registerUniversity(contract, ctx);
+        await issueDegree(contract, ctx);
+        ctx.nextTransaction();
+        await contract.AmendDegree(ctx, DEGREE.degreeId, JSON.stringify({ studentName: 'Nguyen Van B' }), 'Typo in name');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('returns superseded and current versions', async () => {
+        const first = JSON.parse(await contract.QueryDegreeVersion(ctx, DEGREE.degreeId, '1'));
+        const current = JSON.parse(await contract.QueryDegreeVersion(ctx, DEGREE.degreeId, '2'));
+
+        expect(first.studentName).toBe('Nguyen Van A');
+        expect(current.studentName).toBe('Nguyen Van B');
+    });
+
+    it.each(['0', '-1', '1.5', 'abc', '', '01'])('rejects version %p', async (version) => {
+        await expect(contract.QueryDegreeVersion(ctx, DEGREE.degreeId, version))
+            .rejects.toThrow('version must be a positive integer');
+    });
+});
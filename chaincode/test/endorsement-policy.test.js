@@ -0,0 +1,158 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, STUDENT, DEGREE, registerUniversity, issueDegree } = require('./fixtures');
+
+describe('degree endorsement policies', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await registerUniversity(contract, ctx);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * World State key of the endorsement defaults
+     * @returns {string} Composite key
+     */
+    function defaultsKey() {
+        return ctx.stub.createCompositeKey('config', ['degree-endorsement']);
+    }
+
+    describe('SetDegreeEndorsementPolicy', () => {
+        beforeEach(async () => {
+            await issueDegree(contract, ctx);
+            ctx.nextTransaction();
+        });
+
+        it('sets a key-level policy on the degree and reports the previous one', async () => {
+            const first = JSON.parse(await contract.SetDegreeEndorsementPolicy(ctx, DEGREE.degreeId, '["MoetMSP", "Org1MSP", "MoetMSP"]'));
+            expect(first).toEqual({
+                degreeId: DEGREE.degreeId,
+                endorsingOrgs: ['MoetMSP', 'Org1MSP'],
+                previousEndorsingOrgs: [],
+                txId: ctx.txId
+            });
+            expect(ctx.validationParameters.has(DEGREE.degreeId)).toBe(true);
+
+            ctx.nextTransaction();
+            const second = JSON.parse(await contract.SetDegreeEndorsementPolicy(ctx, DEGREE.degreeId, '["Org1MSP"]'));
+            expect(second.previousEndorsingOrgs).toEqual(['MoetMSP', 'Org1MSP']);
+
+            const policy = JSON.parse(await contract.GetDegreeEndorsementPolicy(ctx, DEGREE.degreeId));
+            expect(policy).toEqual({ degreeId: DEGREE.degreeId, endorsingOrgs: ['Org1MSP'] });
+        });
+
+        it('reports no organisations when only the chaincode policy applies', async () => {
+            const policy = JSON.parse(await contract.GetDegreeEndorsementPolicy(ctx, DEGREE.degreeId));
+
+            expect(policy.endorsingOrgs).toEqual([]);
+        });
+
+        it.each([
+            ['[]', 'Endorsing organisations must be a non-empty array of MSP IDs'],
+            ['"Org1MSP"', 'Endorsing organisations must be a non-empty array of MSP IDs'],
+            ['["Org1 MSP"]', 'Invalid MSP ID: Org1 MSP'],
+            ['[42]', 'Invalid MSP ID: 42'],
+            ['not json', /Invalid endorsing organisations/]
+        ])('rejects the organisation list %s', async (orgsJson, message) => {
+            await expect(contract.SetDegreeEndorsementPolicy(ctx, DEGREE.degreeId, orgsJson)).rejects.toThrow(message);
+            expect(ctx.validationParameters.has(DEGREE.degreeId)).toBe(false);
+        });
+
+        it('requires an admin and an existing degree', async () => {
+            ctx.setIdentity(STUDENT);
+            await expect(contract.SetDegreeEndorsementPolicy(ctx, DEGREE.degreeId, '["Org1MSP"]')).rejects.toThrow('Access denied. Required role: admin');
+
+            ctx.setIdentity(ADMIN);
+            await expect(contract.SetDegreeEndorsementPolicy(ctx, 'VN.KMA.2025.999', '["Org1MSP"]'))
+                .rejects.toThrow('Degree VN.KMA.2025.999 does not exist');
+            await expect(contract.GetDegreeEndorsementPolicy(ctx, 'VN.KMA.2025.999'))
+                .rejects.toThrow('Degree VN.KMA.2025.999 does not exist');
+            expect(ctx.validationParameters.size).toBe(0);
+        });
+    });
+
+    describe('SetDegreeEndorsementDefaults', () => {
+        it('returns an empty list before the defaults are configured', async () => {
+            const defaults = JSON.parse(await contract.GetDegreeEndorsementDefaults(ctx));
+
+            expect(defaults).toEqual({ docType: 'degree-endorsement-config', endorsingOrgs: [] });
+        });
+
+        it('records the defaults and protects the setting with the same policy', async () => {
+            const config = JSON.parse(await contract.SetDegreeEndorsementDefaults(ctx, '["Org1MSP", "MoetMSP"]'));
+
+            expect(config).toMatchObject({
+                docType: 'degree-endorsement-config',
+                endorsingOrgs: ['MoetMSP', 'Org1MSP'],
+                txId: ctx.txId
+            });
+            expect(JSON.parse(await contract.GetDegreeEndorsementDefaults(ctx)).endorsingOrgs).toEqual(['MoetMSP', 'Org1MSP']);
+            expect(await contract._getKeyEndorsingOrgs(ctx, defaultsKey())).toEqual(['MoetMSP', 'Org1MSP']);
+        });
+
+        it('applies the defaults to degrees issued afterwards', async () => {
+            await issueDegree(contract, ctx, { degreeId: 'VN.KMA.2025.000' });
+            await contract.SetDegreeEndorsementDefaults(ctx, '["Org1MSP", "MoetMSP"]');
+
+            await issueDegree(contract, ctx);
+            ctx.nextTransaction();
+            await contract.IssueDegreesBatch(ctx, JSON.stringify([{ ...DEGREE, degreeId: 'VN.KMA.2025.002' }]));
+
+            for (const degreeId of [DEGREE.degreeId, 'VN.KMA.2025.002']) {
+                const policy = JSON.parse(await contract.GetDegreeEndorsementPolicy(ctx, degreeId));
+                expect(policy.endorsingOrgs).toEqual(['MoetMSP', 'Org1MSP']);
+            }
+            const earlier = JSON.parse(await contract.GetDegreeEndorsementPolicy(ctx, 'VN.KMA.2025.000'));
+            expect(earlier.endorsingOrgs).toEqual([]);
+        });
+
+        it('stops applying a policy to new degrees once cleared', async () => {
+            await contract.SetDegreeEndorsementDefaults(ctx, '["MoetMSP"]');
+            ctx.nextTransaction();
+            await contract.SetDegreeEndorsementDefaults(ctx, '[]');
+
+            await issueDegree(contract, ctx);
+
+            expect(ctx.validationParameters.has(DEGREE.degreeId)).toBe(false);
+        });
+
+        it('keeps the defaults apart from a degree issued under the old config key', async () => {
+            await issueDegree(contract, ctx, { degreeId: 'config-degree-endorsement' });
+            ctx.nextTransaction();
+            await contract.SetDegreeEndorsementDefaults(ctx, '["Org1MSP"]');
+
+            expect(ctx.getJSON('config-degree-endorsement')).toMatchObject({ docType: 'degree', degreeId: 'config-degree-endorsement' });
+            expect(JSON.parse(await contract.GetDegreeEndorsementDefaults(ctx)).endorsingOrgs).toEqual(['Org1MSP']);
+
+            ctx.nextTransaction();
+            await issueDegree(contract, ctx);
+            expect(await contract._getKeyEndorsingOrgs(ctx, DEGREE.degreeId)).toEqual(['Org1MSP']);
+        });
+
+        it('issues degrees when the stored defaults have no organisation list', async () => {
+            await ctx.stub.putState(defaultsKey(), Buffer.from(JSON.stringify({ docType: 'degree-endorsement-config' })));
+
+            await issueDegree(contract, ctx);
+
+            expect(ctx.validationParameters.has(DEGREE.degreeId)).toBe(false);
+        });
+
+        it('rejects invalid MSP IDs and non-admin callers', async () => {
+            await expect(contract.SetDegreeEndorsementDefaults(ctx, '["Moet/MSP"]')).rejects.toThrow('Invalid MSP ID: Moet/MSP');
+
+            ctx.setIdentity(STUDENT);
+            await expect(contract.SetDegreeEndorsementDefaults(ctx, '["MoetMSP"]')).rejects.toThrow('Access denied. Required role: admin');
+            expect(ctx.world.has(defaultsKey())).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Shared fixtures for chaincode unit tests
+ */
+
+const ADMIN = { mspId: 'Org1MSP', attrs: { ou: 'admin', 'hf.EnrollmentID': 'admin1' } };
+const SECOND_ADMIN = { mspId: 'Org1MSP', attrs: { ou: 'admin', 'hf.EnrollmentID': 'admin2' } };
+const STUDENT = { mspId: 'Org1MSP', attrs: { ou: 'student', 'hf.EnrollmentID': 'CT070211', studentId: 'CT070211' } };
+const GOVERNANCE = { mspId: 'MoetMSP', attrs: { ou: 'governance', 'hf.EnrollmentID': 'moet1' } };
+
+const UNIVERSITY = {
+    code: 'KMA',
+    legalName: 'Hoc vien Ky thuat Mat ma',
+    authorizedMSPs: ['Org1MSP']
+};
+
+const DEGREE = {
+    degreeId: 'VN.KMA.2025.001',
+    studentId: 'CT070211',
+    degreeType: 'Ky Su',
+    studentName: 'Nguyen Van A',
+    university: 'KMA',
+    major: 'An toan thong tin',
+    classification: 'Gioi',
+    issueDate: '2025-06-30'
+};
+
+/**
+ * Register a university as the governance identity, then switch back to the admin
+ * @param {DegreeContract} contract - Contract under test
+ * @param {MockContext} ctx - Mock context
+ * @param {Object} [overrides] - University fields to override
+ * @returns {Promise<Object>} Registered university
+ */
+async function registerUniversity(contract, ctx, overrides = {}) {
+    ctx.setIdentity(GOVERNANCE).nextTransaction();
+    const university = JSON.parse(await contract.RegisterUniversity(ctx, JSON.stringify({ ...UNIVERSITY, ...overrides })));
+    ctx.setIdentity(ADMIN).nextTransaction();
+    return university;
+}
+
+/**
+ * Issue a degree as the admin identity
+ * @param {DegreeContract} contract - Contract under test
+ * @param {MockContext} ctx - Mock context
+ * @param {Object} [overrides] - Degree fields to override
+ * @returns {Promise<Object>} Issued degree
+ */
+async function issueDegree(contract, ctx, overrides = {}) {
+    const degree = { ...DEGREE, ...overrides };
+    ctx.setIdentity(ADMIN).nextTransaction();
+    return JSON.parse(await contract.IssueDegree(
+        ctx,
+        degree.degreeId,
+        degree.studentId,
+        degree.degreeType,
+        degree.studentName,
+        degree.university,
+        degree.major,
+        degree.classification,
+        degree.issueDate,
+        degree.transcriptHash || ''
+    ));
+}
+
+module.exports = {
+    ADMIN,
+    SECOND_ADMIN,
+    STUDENT,
+    GOVERNANCE,
+    UNIVERSITY,
+    DEGREE,
+    registerUniversity,
+    issueDegree
+};
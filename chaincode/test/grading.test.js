@@ -0,0 +1,134 @@
+'use strict';
+
+const grading = require('../lib/grading');
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN } = require('./fixtures');
+
+/**
+ * Build a course record
+ * @param {Object} [overrides] - Fields to override
+ * @returns {Object} Course
+ */
+function course(overrides = {}) {
+    return { code: 'INT1306', name: 'Cau truc du lieu', credits: 3, semester: '2023-2024/1', grade: '8.5', ...overrides };
+}
+
+describe('grading', () => {
+    describe('toGradePoint', () => {
+        it.each([
+            ['10', '10-point', 4.0],
+            ['8.5', '10-point', 4.0],
+            ['8.49', '10-point', 3.5],
+            ['7.0', '10-point', 3.0],
+            ['5.49', '10-point', 1.5],
+            ['4', '10-point', 1.0],
+            ['3.99', '10-point', 0],
+            [' b+ ', 'letter', 3.5],
+            ['F', 'letter', 0],
+            ['3.2', '4-point', 3.2]
+        ])('converts %p on the %s scale to %p', (grade, scale, point) => {
+            expect(grading.toGradePoint(grade, scale)).toBe(point);
+        });
+
+        it.each([
+            ['10.5', '10-point'],
+            ['-1', '10-point'],
+            ['', '10-point'],
+            ['4.5', '4-point'],
+            ['E', 'letter']
+        ])('rejects %p on the %s scale', (grade, scale) => {
+            expect(() => grading.toGradePoint(grade, scale)).toThrow(/Invalid/);
+        });
+    });
+
+    describe('validateCourses', () => {
+        it('fills in scale, attempt, letter and grade point', () => {
+            expect(grading.validateCourses([course({ credits: '3' })])).toEqual([{
+                code: 'INT1306',
+                name: 'Cau truc du lieu',
+                credits: 3,
+                semester: '2023-2024/1',
+                grade: '8.5',
+                scale: '10-point',
+                attempt: 1,
+                letter: 'A',
+                gradePoint: 4.0
+            }]);
+        });
+
+        it('keeps the letter and grade point sent by the backend\'s grading scale', () => {
+            const [record] = grading.validateCourses([course({ grade: '8.2', letter: 'A-', gradePoint: 3.7 })]);
+            expect(record).toMatchObject({ letter: 'A-', gradePoint: 3.7 });
+        });
+
+        it.each([
+            [[], /non-empty array/],
+            [[course({ code: ' ' })], /courses\[0\]\.code is required/],
+            [[course({ credits: 0 })], /credits must be a number greater than 0/],
+            [[course({ scale: '100-point' })], /scale must be one of/],
+            [[course({ attempt: 0 })], /attempt must be a positive integer/],
+            [[course({ grade: '11' })], /courses\[0\]\.grade: Invalid 10-point grade/],
+            [[course({ gradePoint: 5 })], /gradePoint must be a number between 0 and 4/],
+            [[course(), course()], /Duplicate course INT1306 attempt 1/]
+        ])('rejects invalid courses (%#)', (courses, message) => {
+            expect(() => grading.validateCourses(courses)).toThrow(message);
+        });
+    });
+
+    describe('computeGpa', () => {
+        it('weights grade points by credits and counts only the latest attempt', () => {
+            const courses = grading.validateCourses([
+                course({ code: 'INT1306', credits: 3, grade: '3.0', attempt: 1 }),
+                course({ code: 'INT1306', credits: 3, grade: '8.5', attempt: 2 }),
+                course({ code: 'INT1340', credits: 2, grade: 'C', scale: 'letter' })
+            ]);
+
+            expect(grading.latestAttempts(courses).map(c => c.attempt)).toEqual([2, 1]);
+            // (3 * 4.0 + 2 * 2.0) / 5
+            expect(grading.computeGpa(courses)).toEqual({ gpa: 3.2, totalCredits: 5 });
+        });
+
+        it('matches a submitted GPA within the tolerance only', () => {
+            expect(grading.gpaMatches('3.21', 3.2)).toBe(true);
+            expect(grading.gpaMatches('3.22', 3.2)).toBe(false);
+            expect(grading.gpaMatches('abc', 3.2)).toBe(false);
+        });
+    });
+
+    describe('UpdateTranscript with structured courses', () => {
+        let contract;
+        let ctx;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            contract = new DegreeContract();
+            ctx = new MockContext(ADMIN);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('computes the GPA from the courses and stores them with the grading scale', async () => {
+            ctx.nextTransaction({
+                courses: [course({ grade: '7.2' }), course({ code: 'INT1340', credits: 2, grade: 'A', scale: 'letter' })],
+                gradingScale: { id: 4, university: 'KMA', name: 'KMA 2021', extra: 'ignored' }
+            });
+            await contract.UpdateTranscript(ctx, 'CT070211');
+
+            const stored = JSON.parse(ctx.privateData.get('TranscriptCollection/CT070211').toString());
+            expect(stored.gpa).toBe('3.40');
+            expect(stored.totalCredits).toBe(5);
+            expect(stored.transcript).toEqual({ INT1306: '7.2', INT1340: 'A' });
+            expect(stored.gradingScale).toEqual({ id: 4, university: 'KMA', name: 'KMA 2021' });
+        });
+
+        it('rejects a submitted GPA that does not match the courses', async () => {
+            ctx.nextTransaction({ courses: [course()], gpa: '3.50' });
+
+            await expect(contract.UpdateTranscript(ctx, 'CT070211'))
+                .rejects.toThrow('GPA mismatch. Submitted: 3.50, computed from courses: 4.00');
+        });
+    });
+});
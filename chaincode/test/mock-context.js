@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * In-memory transaction context for chaincode unit tests
+ *
+ * Implements the subset of the fabric-shim stub and ClientIdentity used by
+ * DegreeContract: world state with key history, private data collections,
+ * transient data, composite keys, key-level endorsement parameters and
+ * CouchDB-style rich queries (equality and range selectors).
+ */
+
+const crypto = require('crypto');
+
+const BASE_SECONDS = 1750000000;
+
+/**
+ * Iterator over a fixed list of results, shaped like the shim's iterators
+ * @param {Array<Object>} results - Values returned by next()
+ * @returns {Object} Iterator with next() and close()
+ */
+function listIterator(results) {
+    let index = 0;
+    return {
+        next: async () => (index < results.length ? { value: results[index++], done: false } : { done: true }),
+        close: async () => {}
+    };
+}
+
+/**
+ * Check a JSON document against a CouchDB selector (equality, $in, $gte, $lte)
+ * @param {Object} doc - Document
+ * @param {Object} selector - Selector
+ * @returns {boolean} True if the document matches
+ */
+function matchesSelector(doc, selector) {
+    return Object.entries(selector).every(([field, condition]) => {
+        const value = doc[field];
+        if (condition === null || typeof condition !== 'object') {
+            return value === condition;
+        }
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$in': return operand.includes(value);
+                case '$gte': return value >= operand;
+                case '$lte': return value <= operand;
+                case '$gt': return value > operand;
+                case '$lt': return value < operand;
+                default: return true;
+            }
+        });
+    });
+}
+
+class MockContext {
+    /**
+     * @param {Object} [identity] - Caller identity
+     * @param {string} [identity.mspId='Org1MSP'] - MSP ID
+     * @param {Object} [identity.attrs={ ou: 'admin' }] - Certificate attributes (ou, role, hf.EnrollmentID)
+     */
+    constructor(identity = {}) {
+        this.world = new Map();
+        this.history = new Map();
+        this.privateData = new Map();
+        this.validationParameters = new Map();
+        this.transient = new Map();
+        this.queries = [];
+        this.txCount = 0;
+        this.nanos = 0;
+        this.setIdentity(identity);
+
+        const ctx = this;
+        this.clientIdentity = {
+            getMSPID: () => ctx.mspId,
+            getAttributeValue: (name) => (ctx.attrs[name] === undefined ? null : ctx.attrs[name]),
+            getID: () => `x509::/C=VN/OU=${ctx.attrs.ou || 'client'}/CN=${ctx.attrs['hf.EnrollmentID'] || 'admin'}::/CN=ca.org1.example.com`
+        };
+        this.stub = this._createStub();
+        this.nextTransaction();
+    }
+
+    /**
+     * Switch the caller identity for the next calls
+     * @param {Object} identity - { mspId, attrs }
+     * @returns {MockContext} this
+     */
+    setIdentity({ mspId = 'Org1MSP', attrs = { ou: 'admin' } } = {}) {
+        this.mspId = mspId;
+        this.attrs = attrs;
+        return this;
+    }
+
+    /**
+     * Start a new transaction: new transaction ID and a later timestamp
+     * @param {Object} [transient] - Transient data as { key: string|Object }
+     * @returns {MockContext} this
+     */
+    nextTransaction(transient = {}) {
+        this.txCount++;
+        this.txId = `tx${this.txCount}`;
+        this.transient = new Map(Object.entries(transient).map(([key, value]) => [
+            key,
+            Buffer.from(typeof value === 'string' ? value : JSON.stringify(value))
+        ]));
+        return this;
+    }
+
+    /**
+     * Read a world state value as parsed JSON
+     * @param {string} key - Key
+     * @returns {Object|undefined} Parsed value
+     */
+    getJSON(key) {
+        const value = this.world.get(key);
+        return value ? JSON.parse(value.toString()) : undefined;
+    }
+
+    /**
+     * Timestamp of the current transaction, shaped like the protobuf Timestamp
+     * @returns {Object} { seconds: { low, high }, nanos }
+     */
+    timestamp() {
+        return { seconds: { low: BASE_SECONDS + this.txCount, high: 0 }, nanos: this.nanos };
+    }
+
+    _record(key, value, isDelete) {
+        const entries = this.history.get(key) || [];
+        entries.push({ txId: this.txId, value, isDelete, timestamp: this.timestamp() });
+        this.history.set(key, entries);
+    }
+
+    _createStub() {
+        const ctx = this;
+        return {
+            getTxID: () => ctx.txId,
+            getTxTimestamp: () => ctx.timestamp(),
+            getTransient: () => ctx.transient,
+            getState: async (key) => ctx.world.get(key) || Buffer.alloc(0),
+            putState: async (key, value) => {
+                const buffer = Buffer.from(value);
+                ctx.world.set(key, buffer);
+                ctx._record(key, buffer, false);
+            },
+            deleteState: async (key) => {
+                ctx.world.delete(key);
+                ctx._record(key, Buffer.alloc(0), true);
+            },
+            getHistoryForKey: async (key) => listIterator((ctx.history.get(key) || []).slice()),
+            createCompositeKey: (objectType, attributes) => `\u0000${objectType}\u0000${attributes.map(a => `${a}\u0000`).join('')}`,
+            getStateByPartialCompositeKey: async (objectType, attributes) => {
+                const prefix = ctx.stub.createCompositeKey(objectType, attributes);
+                const results = [...ctx.world.entries()]
+                    .filter(([key]) => key.startsWith(prefix))
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([key, value]) => ({ key, value }));
+                return listIterator(results);
+            },
+            getStateByRange: async (startKey, endKey) => {
+                const results = [...ctx.world.entries()]
+                    .filter(([key]) => !key.startsWith('\u0000') && (!startKey || key >= startKey) && (!endKey || key < endKey))
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([key, value]) => ({ key, value }));
+                return listIterator(results);
+            },
+            getQueryResult: async (queryString) => listIterator(ctx._runQuery(queryString)),
+            getQueryResultWithPagination: async (queryString, pageSize) => {
+                const results = ctx._runQuery(queryString).slice(0, pageSize);
+                return {
+                    iterator: listIterator(results),
+                    metadata: { fetchedRecordsCount: results.length, bookmark: '' }
+                };
+            },
+            getPrivateData: async (collection, key) => ctx.privateData.get(`${collection}/${key}`) || Buffer.alloc(0),
+            putPrivateData: async (collection, key, value) => {
+                ctx.privateData.set(`${collection}/${key}`, Buffer.from(value));
+            },
+            deletePrivateData: async (collection, key) => {
+                ctx.privateData.delete(`${collection}/${key}`);
+            },
+            getPrivateDataHash: async (collection, key) => {
+                const value = ctx.privateData.get(`${collection}/${key}`);
+                return value ? crypto.createHash('sha256').update(value).digest() : Buffer.alloc(0);
+            },
+            setStateValidationParameter: async (key, parameter) => {
+                ctx.validationParameters.set(key, Buffer.from(parameter));
+            },
+            getStateValidationParameter: async (key) => ctx.validationParameters.get(key) || Buffer.alloc(0)
+        };
+    }
+
+    _runQuery(queryString) {
+        const query = JSON.parse(queryString);
+        this.queries.push(query);
+        const results = [];
+        for (const [key, value] of this.world.entries()) {
+            let doc;
+            try {
+                doc = JSON.parse(value.toString());
+            } catch (err) {
+                continue;
+            }
+            if (doc && typeof doc === 'object' && matchesSelector(doc, query.selector || {})) {
+                results.push({ key, value });
+            }
+        }
+        return results;
+    }
+}
+
+module.exports = { MockContext };
@@ -0,0 +1,75 @@
+'use strict';
+
+const crypto = require('crypto');
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, DEGREE, registerUniversity, issueDegree } = require('./fixtures');
+
+describe('transcript binding at issuance', () => {
+    let contract;
+    let ctx;
+
+    /**
+     * Write the student's transcript as the admin
+     * @param {string} gpa - GPA
+     * @returns {Promise<string>} Hash of the stored transcript
+     */
+    async function updateTranscript(gpa) {
+        ctx.setIdentity(ADMIN).nextTransaction({ transcript: { ATTT101: 'A' }, gpa });
+        return JSON.parse(await contract.UpdateTranscript(ctx, DEGREE.studentId)).transcriptHash;
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await registerUniversity(contract, ctx);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('binds the hash and version of the student\'s current transcript', async () => {
+        await updateTranscript('3.00');
+        const currentHash = await updateTranscript('3.50');
+
+        const degree = await issueDegree(contract, ctx);
+
+        const stored = ctx.privateData.get(`TranscriptCollection/${DEGREE.studentId}`);
+        expect(currentHash).toBe(crypto.createHash('sha256').update(stored).digest('hex'));
+        expect(degree).toMatchObject({ transcriptHash: currentHash, transcriptVersion: 2 });
+    });
+
+    it('accepts a supplied hash only if it matches the current transcript', async () => {
+        const firstHash = await updateTranscript('3.00');
+        const currentHash = await updateTranscript('3.50');
+
+        await expect(issueDegree(contract, ctx, { transcriptHash: firstHash }))
+            .rejects.toThrow(`transcriptHash does not match the current transcript of student ${DEGREE.studentId}`);
+        await expect(issueDegree(contract, ctx, { transcriptHash: currentHash }))
+            .resolves.toMatchObject({ transcriptHash: currentHash, transcriptVersion: 2 });
+    });
+
+    it('keeps a supplied hash as given when the student has no transcript on chain', async () => {
+        await expect(issueDegree(contract, ctx, { transcriptHash: 'abc123' }))
+            .resolves.toMatchObject({ transcriptHash: 'abc123', transcriptVersion: null });
+    });
+
+    it('binds each degree of a batch and reports a mismatch per record', async () => {
+        const currentHash = await updateTranscript('3.50');
+        const batch = [
+            { ...DEGREE },
+            { ...DEGREE, degreeId: 'VN.KMA.2025.002', transcriptHash: 'stale' },
+            { ...DEGREE, degreeId: 'VN.KMA.2025.003', studentId: 'CT070299' }
+        ];
+
+        ctx.nextTransaction();
+        const summary = JSON.parse(await contract.IssueDegreesBatch(ctx, JSON.stringify(batch)));
+
+        expect(summary).toMatchObject({ succeeded: 2, failed: 1 });
+        expect(summary.results[1].error).toMatch(/transcriptHash does not match/);
+        expect(ctx.getJSON(DEGREE.degreeId)).toMatchObject({ transcriptHash: currentHash, transcriptVersion: 1 });
+        expect(ctx.getJSON('VN.KMA.2025.003')).toMatchObject({ transcriptHash: '', transcriptVersion: null });
+    });
+});
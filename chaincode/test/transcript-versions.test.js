@@ -0,0 +1,76 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const { ADMIN, STUDENT } = require('./fixtures');
+
+const STUDENT_ID = STUDENT.attrs.studentId;
+const EMPLOYER = { mspId: 'Org2MSP', attrs: { ou: 'client' } };
+
+describe('transcript versions', () => {
+    let contract;
+    let ctx;
+
+    /**
+     * Write a transcript as the admin
+     * @param {Object} transcript - course -> grade
+     * @param {string} gpa - GPA
+     */
+    async function updateTranscript(transcript, gpa) {
+        ctx.setIdentity(ADMIN).nextTransaction({ transcript, gpa });
+        await contract.UpdateTranscript(ctx, STUDENT_ID);
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+        await updateTranscript({ ATTT101: 'B' }, '3.00');
+        await updateTranscript({ ATTT101: 'A' }, '4.00');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps every version and lists their public metadata, oldest first', async () => {
+        const versions = JSON.parse(await contract.QueryTranscriptVersions(ctx, STUDENT_ID));
+
+        expect(versions.map(v => v.version)).toEqual([1, 2]);
+        expect(versions[0]).not.toHaveProperty('gpa');
+        expect(versions[0].transcriptHash).not.toBe(versions[1].transcriptHash);
+
+        const first = JSON.parse(await contract.QueryTranscriptVersion(ctx, STUDENT_ID, '1'));
+        const current = JSON.parse(await contract.QueryTranscript(ctx, STUDENT_ID));
+        expect(first).toMatchObject({ version: 1, gpa: '3.00', transcript: { ATTT101: 'B' } });
+        expect(current).toMatchObject({ version: 2, gpa: '4.00', transcript: { ATTT101: 'A' } });
+    });
+
+    it('applies the caller\'s grant scope to old versions too', async () => {
+        ctx.setIdentity(STUDENT).nextTransaction();
+        await contract.GrantAccess(ctx, STUDENT_ID, EMPLOYER.mspId, 'gpa-only', '');
+
+        ctx.setIdentity(EMPLOYER).nextTransaction();
+        const first = JSON.parse(await contract.QueryTranscriptVersion(ctx, STUDENT_ID, '1'));
+        expect(first).toEqual({ studentId: STUDENT_ID, gpa: '3.00', version: 1, updatedAt: expect.any(String), scope: 'gpa-only' });
+    });
+
+    it('backfills a transcript written before versioning as version 1', async () => {
+        ctx = new MockContext(ADMIN);
+        const legacy = { studentId: STUDENT_ID, transcript: { ATTT101: 'C' }, gpa: '2.00' };
+        ctx.privateData.set(`TranscriptCollection/${STUDENT_ID}`, Buffer.from(JSON.stringify(legacy)));
+        ctx.world.set(`transcript-${STUDENT_ID}`, Buffer.from(JSON.stringify({ studentId: STUDENT_ID, docType: 'transcript-metadata' })));
+
+        await expect(contract.QueryTranscriptVersion(ctx, STUDENT_ID, '1')).resolves.toBe(JSON.stringify(legacy));
+
+        await updateTranscript({ ATTT101: 'A' }, '4.00');
+        const versions = JSON.parse(await contract.QueryTranscriptVersions(ctx, STUDENT_ID));
+        expect(versions.map(v => v.version)).toEqual([1, 2]);
+        expect(JSON.parse(await contract.QueryTranscriptVersion(ctx, STUDENT_ID, '1'))).toEqual(legacy);
+    });
+
+    it('reports a version that does not exist', async () => {
+        await expect(contract.QueryTranscriptVersion(ctx, STUDENT_ID, '3'))
+            .rejects.toThrow(`Version 3 of transcript for student ${STUDENT_ID} does not exist`);
+    });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const DegreeContract = require('../lib/degree-contract');
+const { MockContext } = require('./mock-context');
+const {
+    ADMIN,
+    SECOND_ADMIN,
+    GOVERNANCE,
+    UNIVERSITY,
+    DEGREE,
+    registerUniversity,
+    issueDegree
+} = require('./fixtures');
+
+describe('university registry', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('governance', () => {
+        it('registers universities only for OU=governance identities of the governance MSP', async () => {
+            await expect(contract.RegisterUniversity(ctx, JSON.stringify(UNIVERSITY)))
+                .rejects.toThrow('Access denied. Required role: governance');
+
+            ctx.setIdentity({ mspId: 'Org1MSP', attrs: GOVERNANCE.attrs });
+            await expect(contract.RegisterUniversity(ctx, JSON.stringify(UNIVERSITY)))
+                .rejects.toThrow('Access denied. Required MSP for governance: MoetMSP, actual MSP: Org1MSP');
+
+            ctx.setIdentity(GOVERNANCE);
+            const university = JSON.parse(await contract.RegisterUniversity(ctx, JSON.stringify(UNIVERSITY)));
+            expect(university).toMatchObject({ code: 'KMA', authorizedMSPs: ['Org1MSP'], accreditationStatus: 'ACCREDITED' });
+        });
+
+        it('does not let an issuer MSP update the registry with a governance certificate', async () => {
+            await registerUniversity(contract, ctx);
+
+            ctx.setIdentity({ mspId: 'Org1MSP', attrs: { ou: 'governance', 'hf.EnrollmentID': 'admin1' } });
+            await expect(contract.UpdateUniversity(ctx, 'KMA', JSON.stringify({ authorizedIssuers: ['admin1'] })))
+                .rejects.toThrow('Required MSP for governance');
+            expect(JSON.parse(await contract.QueryUniversity(ctx, 'KMA')).authorizedIssuers).toEqual([]);
+        });
+
+        it('does not take the governance MSP from the peer environment', async () => {
+            process.env.GOVERNANCE_MSP_ID = 'Org1MSP';
+            try {
+                jest.isolateModules(() => {
+                    contract = new (require('../lib/degree-contract'))();
+                });
+            } finally {
+                delete process.env.GOVERNANCE_MSP_ID;
+            }
+
+            ctx.setIdentity({ mspId: 'Org1MSP', attrs: GOVERNANCE.attrs });
+            await expect(contract.RegisterUniversity(ctx, JSON.stringify(UNIVERSITY)))
+                .rejects.toThrow('Required MSP for governance: MoetMSP');
+        });
+
+        it('keeps the governance MSP out of the issuing MSPs', async () => {
+            ctx.setIdentity(GOVERNANCE);
+            await expect(contract.RegisterUniversity(ctx, JSON.stringify({ ...UNIVERSITY, authorizedMSPs: ['Org1MSP', 'MoetMSP'] })))
+                .rejects.toThrow('authorizedMSPs must not include the governance MSP MoetMSP');
+
+            await contract.RegisterUniversity(ctx, JSON.stringify(UNIVERSITY));
+            ctx.nextTransaction();
+            await expect(contract.UpdateUniversity(ctx, 'KMA', JSON.stringify({ authorizedMSPs: ['MoetMSP'] })))
+                .rejects.toThrow('authorizedMSPs must not include the governance MSP MoetMSP');
+        });
+    });
+
+    describe('key namespace', () => {
+        it('stores entries under a composite key that no degree ID can address', async () => {
+            await registerUniversity(contract, ctx);
+
+            expect(ctx.world.has('university-KMA')).toBe(false);
+            expect(ctx.getJSON(ctx.stub.createCompositeKey('university', ['KMA']))).toMatchObject({ docType: 'university', code: 'KMA' });
+
+            await issueDegree(contract, ctx, { degreeId: 'university-KMA' });
+            expect(JSON.parse(await contract.QueryUniversity(ctx, 'KMA')).legalName).toBe(UNIVERSITY.legalName);
+        });
+
+        it('lists registered universities without degrees or name index entries', async () => {
+            await registerUniversity(contract, ctx);
+            await registerUniversity(contract, ctx, { code: 'HUST', legalName: 'Dai hoc Bach khoa Ha Noi' });
+            await issueDegree(contract, ctx);
+
+            const universities = JSON.parse(await contract.QueryAllUniversities(ctx));
+
+            expect(universities.map(university => university.code).sort()).toEqual(['HUST', 'KMA']);
+        });
+
+        it('finds a university by its legal name', async () => {
+            await registerUniversity(contract, ctx);
+
+            const university = JSON.parse(await contract.QueryUniversity(ctx, UNIVERSITY.legalName.toUpperCase()));
+
+            expect(university.code).toBe('KMA');
+        });
+    });
+
+    describe('degree records', () => {
+        beforeEach(async () => {
+            await registerUniversity(contract, ctx);
+            await ctx.stub.putState('transcript-CT070211', Buffer.from(JSON.stringify({ docType: 'transcript-metadata', studentId: 'CT070211' })));
+        });
+
+        it('does not treat other records as degrees', async () => {
+            await expect(contract.QueryDegree(ctx, 'transcript-CT070211')).rejects.toThrow('Degree transcript-CT070211 does not exist');
+            await expect(contract.DegreeExists(ctx, 'transcript-CT070211')).resolves.toBe(false);
+
+            ctx.nextTransaction();
+            await expect(contract.RevokeDegree(ctx, 'transcript-CT070211', 'Fraud')).rejects.toThrow('does not exist');
+            await expect(contract.AmendDegree(ctx, 'transcript-CT070211', JSON.stringify({ major: 'x' }), 'Typo'))
+                .rejects.toThrow('does not exist');
+            expect(ctx.getJSON('transcript-CT070211')).toEqual({ docType: 'transcript-metadata', studentId: 'CT070211' });
+        });
+
+        it('refuses to issue a degree over another record', async () => {
+            await expect(issueDegree(contract, ctx, { degreeId: 'transcript-CT070211' }))
+                .rejects.toThrow('Degree ID transcript-CT070211 is already used by another record');
+
+            ctx.nextTransaction();
+            const batch = JSON.parse(await contract.IssueDegreesBatch(ctx, JSON.stringify([{ ...DEGREE, degreeId: 'transcript-CT070211' }])));
+            expect(batch.results[0]).toMatchObject({ success: false, error: 'Degree ID transcript-CT070211 is already used by another record' });
+            expect(ctx.getJSON('transcript-CT070211').docType).toBe('transcript-metadata');
+        });
+    });
+});
+
+describe('IssueDegree university authorisation', () => {
+    let contract;
+    let ctx;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        contract = new DegreeContract();
+        ctx = new MockContext(ADMIN);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refuses universities that are not registered', async () => {
+        await expect(issueDegree(contract, ctx)).rejects.toThrow('University KMA is not registered');
+        expect(ctx.world.has(DEGREE.degreeId)).toBe(false);
+    });
+
+    it('issues degrees of a university registered to the caller MSP and records its code', async () => {
+        await registerUniversity(contract, ctx);
+
+        const degree = await issueDegree(contract, ctx, { university: UNIVERSITY.legalName });
+
+        expect(degree.universityCode).toBe('KMA');
+    });
+
+    it('refuses admins of MSPs the university has not authorised', async () => {
+        await registerUniversity(contract, ctx, { authorizedMSPs: ['Org2MSP'] });
+
+        await expect(issueDegree(contract, ctx)).rejects.toThrow('MSP Org1MSP is not authorised to issue degrees of university KMA');
+    });
+
+    it('restricts issuance to the listed issuers', async () => {
+        await registerUniversity(contract, ctx, { authorizedIssuers: ['admin2'] });
+
+        await expect(issueDegree(contract, ctx)).rejects.toThrow('Issuer admin1 is not authorised to issue degrees of university KMA');
+
+        ctx.setIdentity(SECOND_ADMIN).nextTransaction();
+        const degree = JSON.parse(await contract.IssueDegree(ctx, DEGREE.degreeId, DEGREE.studentId, DEGREE.degreeType,
+            DEGREE.studentName, DEGREE.university, DEGREE.major, DEGREE.classification, DEGREE.issueDate, ''));
+        expect(degree.degreeId).toBe(DEGREE.degreeId);
+    });
+
+    it('refuses universities whose accreditation is suspended', async () => {
+        await registerUniversity(contract, ctx);
+        ctx.setIdentity(GOVERNANCE).nextTransaction();
+        await contract.UpdateUniversity(ctx, 'KMA', JSON.stringify({ accreditationStatus: 'SUSPENDED' }));
+
+        await expect(issueDegree(contract, ctx)).rejects.toThrow('University KMA is not accredited (SUSPENDED)');
+    });
+
+    it('refuses issuance outside the validity period of the registration', async () => {
+        await registerUniversity(contract, ctx, { validFrom: '2030-01-01' });
+        await expect(issueDegree(contract, ctx)).rejects.toThrow(/Registration of university KMA is not valid at/);
+
+        ctx.setIdentity(GOVERNANCE).nextTransaction();
+        await contract.UpdateUniversity(ctx, 'KMA', JSON.stringify({ validFrom: '2020-01-01', validUntil: '2021-01-01' }));
+        await expect(issueDegree(contract, ctx)).rejects.toThrow(/Registration of university KMA is not valid at/);
+    });
+
+    it('reports unauthorised records of a batch individually', async () => {
+        await registerUniversity(contract, ctx);
+        await registerUniversity(contract, ctx, { code: 'HUST', legalName: 'Dai hoc Bach khoa Ha Noi', authorizedMSPs: ['Org2MSP'] });
+
+        const batch = JSON.parse(await contract.IssueDegreesBatch(ctx, JSON.stringify([
+            DEGREE,
+            { ...DEGREE, degreeId: 'VN.HUST.2025.001', university: 'HUST' }
+        ])));
+
+        expect(batch.results).toEqual([
+            expect.objectContaining({ index: 0, success: true }),
+            expect.objectContaining({ index: 1, success: false, error: 'MSP Org1MSP is not authorised to issue degrees of university HUST' })
+        ]);
+    });
+});
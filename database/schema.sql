@@ -66,7 +66,7 @@ CREATE TABLE IF NOT EXISTS correction_requests (
     id SERIAL PRIMARY KEY,
     student_id VARCHAR(100) NOT NULL,
     request_type VARCHAR(50) NOT NULL,
-    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'approving', 'approved', 'rejected')),
     requested_data JSONB NOT NULL,
     current_data JSONB,
     reason TEXT,
@@ -75,12 +75,24 @@ CREATE TABLE IF NOT EXISTS correction_requests (
     reviewed_by VARCHAR(255),
     reviewed_at TIMESTAMP WITH TIME ZONE,
     notes TEXT,
+    transaction_id VARCHAR(255),
+    decision_transaction_id VARCHAR(255),
     
     -- Foreign key to users table
     CONSTRAINT fk_request_user FOREIGN KEY (requested_by) 
         REFERENCES users(username) ON DELETE CASCADE
 );
 
+-- Fabric transactions of an approved correction and of the anchored decision
+-- (for databases created before these columns existed)
+ALTER TABLE correction_requests ADD COLUMN IF NOT EXISTS transaction_id VARCHAR(255);
+ALTER TABLE correction_requests ADD COLUMN IF NOT EXISTS decision_transaction_id VARCHAR(255);
+
+-- Databases created before approvals were claimed before applying them
+ALTER TABLE correction_requests DROP CONSTRAINT IF EXISTS correction_requests_status_check;
+ALTER TABLE correction_requests ADD CONSTRAINT correction_requests_status_check
+    CHECK (status IN ('pending', 'approving', 'approved', 'rejected'));
+
 -- Index for student_id lookups
 CREATE INDEX IF NOT EXISTS idx_correction_requests_student_id ON correction_requests(student_id);
 
@@ -93,6 +105,199 @@ CREATE INDEX IF NOT EXISTS idx_correction_requests_requested_by ON correction_re
 -- Index for requested_at (for sorting by date)
 CREATE INDEX IF NOT EXISTS idx_correction_requests_requested_at ON correction_requests(requested_at DESC);
 
+-- =============================================================================
+-- TABLE: import_jobs
+-- Tracks CSV imports of graduating cohorts (degrees or transcripts)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id SERIAL PRIMARY KEY,
+    import_type VARCHAR(50) NOT NULL CHECK (import_type IN ('degree', 'transcript')),
+    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('awaiting_approval', 'pending', 'running', 'completed', 'completed_with_errors', 'failed')),
+    file_name VARCHAR(255),
+    column_mapping JSONB,
+    total_rows INTEGER DEFAULT 0,
+    succeeded_rows INTEGER DEFAULT 0,
+    failed_rows INTEGER DEFAULT 0,
+    error TEXT,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Foreign key to users table
+    CONSTRAINT fk_import_job_user FOREIGN KEY (created_by)
+        REFERENCES users(username) ON DELETE CASCADE
+);
+
+-- Index for status lookups
+CREATE INDEX IF NOT EXISTS idx_import_jobs_status ON import_jobs(status);
+
+-- Index for created_at (for sorting by date)
+CREATE INDEX IF NOT EXISTS idx_import_jobs_created_at ON import_jobs(created_at DESC);
+
+-- Databases created before degree imports needed approval
+ALTER TABLE import_jobs DROP CONSTRAINT IF EXISTS import_jobs_status_check;
+ALTER TABLE import_jobs ADD CONSTRAINT import_jobs_status_check
+    CHECK (status IN ('awaiting_approval', 'pending', 'running', 'completed', 'completed_with_errors', 'failed'));
+
+-- =============================================================================
+-- TABLE: import_job_rows
+-- Stores each mapped CSV row of an import job and its processing result
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS import_job_rows (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER NOT NULL,
+    row_number INTEGER NOT NULL,
+    row_data JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    error TEXT,
+    transaction_id VARCHAR(255),
+    attempts INTEGER DEFAULT 0,
+    processed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Foreign key to import_jobs table
+    CONSTRAINT fk_import_row_job FOREIGN KEY (job_id)
+        REFERENCES import_jobs(id) ON DELETE CASCADE,
+    CONSTRAINT unique_import_row UNIQUE (job_id, row_number)
+);
+
+-- Index for per-job status lookups (re-running failed rows)
+CREATE INDEX IF NOT EXISTS idx_import_job_rows_job_status ON import_job_rows(job_id, status);
+
+-- =============================================================================
+-- TABLE: transcript_share_links
+-- Time-limited links through which students share their transcript
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS transcript_share_links (
+    id SERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    student_id VARCHAR(100) NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    label VARCHAR(255),
+    include_personal_info BOOLEAN DEFAULT FALSE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_views INTEGER CHECK (max_views IS NULL OR max_views > 0),
+    view_count INTEGER DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key to users table
+    CONSTRAINT fk_share_link_user FOREIGN KEY (created_by)
+        REFERENCES users(username) ON DELETE CASCADE
+);
+
+-- Index for listing a student's links
+CREATE INDEX IF NOT EXISTS idx_transcript_share_links_created_by ON transcript_share_links(created_by, created_at DESC);
+
+-- =============================================================================
+-- TABLE: transcript_share_access_log
+-- Records every attempt to open a transcript share link
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS transcript_share_access_log (
+    id SERIAL PRIMARY KEY,
+    link_id INTEGER NOT NULL,
+    outcome VARCHAR(50) NOT NULL CHECK (outcome IN ('granted', 'expired', 'revoked', 'view_limit_reached', 'error')),
+    ip_address VARCHAR(100),
+    user_agent TEXT,
+    accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key to transcript_share_links table
+    CONSTRAINT fk_share_access_link FOREIGN KEY (link_id)
+        REFERENCES transcript_share_links(id) ON DELETE CASCADE
+);
+
+-- Index for per-link access history (newest first)
+CREATE INDEX IF NOT EXISTS idx_transcript_share_access_log_link ON transcript_share_access_log(link_id, accessed_at DESC);
+
+-- =============================================================================
+-- TABLE: grading_scales
+-- Per-university grade conversion tables (10-point -> letter -> 4-point)
+-- and GPA thresholds for degree classification
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS grading_scales (
+    id SERIAL PRIMARY KEY,
+    university VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    ten_point_to_letter JSONB NOT NULL,
+    letter_to_point JSONB NOT NULL,
+    classifications JSONB NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key to users table
+    CONSTRAINT fk_grading_scale_user FOREIGN KEY (created_by)
+        REFERENCES users(username) ON DELETE CASCADE
+);
+
+-- One scale per university (case-insensitive), also used for lookups
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grading_scales_university_lower ON grading_scales(LOWER(university));
+
+-- =============================================================================
+-- TABLE: pending_actions
+-- Degree actions (issue, batch issue, import, revoke, reinstate, amend)
+-- awaiting approval by several admins
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS pending_actions (
+    id SERIAL PRIMARY KEY,
+    action_type VARCHAR(50) NOT NULL CHECK (action_type IN ('issue_degree', 'issue_degree_batch', 'import_degrees',
+        'revoke_degree', 'reinstate_degree', 'amend_degree')),
+    subject VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'executing', 'executed', 'rejected', 'expired', 'failed')),
+    required_approvals INTEGER NOT NULL CHECK (required_approvals >= 1),
+    proposed_by VARCHAR(255) NOT NULL,
+    proposed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    decided_by VARCHAR(255),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    transaction_id VARCHAR(255),
+    result JSONB,
+    error TEXT,
+
+    -- Foreign key to users table
+    CONSTRAINT fk_pending_action_user FOREIGN KEY (proposed_by)
+        REFERENCES users(username) ON DELETE CASCADE
+);
+
+-- Index for status lookups
+CREATE INDEX IF NOT EXISTS idx_pending_actions_status ON pending_actions(status);
+
+-- At most one pending or executing action of a type per degree, batch or import job
+DROP INDEX IF EXISTS idx_pending_actions_pending_subject;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_actions_open_subject
+    ON pending_actions(action_type, subject) WHERE status IN ('pending', 'executing');
+
+-- Databases created before batch, import, reinstate and amend actions
+ALTER TABLE pending_actions DROP CONSTRAINT IF EXISTS pending_actions_action_type_check;
+ALTER TABLE pending_actions ADD CONSTRAINT pending_actions_action_type_check
+    CHECK (action_type IN ('issue_degree', 'issue_degree_batch', 'import_degrees',
+        'revoke_degree', 'reinstate_degree', 'amend_degree'));
+
+-- Databases created before actions were claimed for execution
+ALTER TABLE pending_actions DROP CONSTRAINT IF EXISTS pending_actions_status_check;
+ALTER TABLE pending_actions ADD CONSTRAINT pending_actions_status_check
+    CHECK (status IN ('pending', 'executing', 'executed', 'rejected', 'expired', 'failed'));
+
+-- =============================================================================
+-- TABLE: pending_action_approvals
+-- Approvals of pending actions (the proposer's included), one per admin
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS pending_action_approvals (
+    id SERIAL PRIMARY KEY,
+    action_id INTEGER NOT NULL,
+    approver VARCHAR(255) NOT NULL,
+    approved_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT fk_approval_action FOREIGN KEY (action_id)
+        REFERENCES pending_actions(id) ON DELETE CASCADE,
+    CONSTRAINT fk_approval_user FOREIGN KEY (approver)
+        REFERENCES users(username) ON DELETE CASCADE,
+    CONSTRAINT uq_approval_action_approver UNIQUE (action_id, approver)
+);
+
 -- =============================================================================
 -- TRIGGERS: Auto-update updated_at timestamp
 -- =============================================================================
@@ -120,6 +325,13 @@ CREATE TRIGGER update_identities_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger for grading_scales table
+DROP TRIGGER IF EXISTS update_grading_scales_updated_at ON grading_scales;
+CREATE TRIGGER update_grading_scales_updated_at 
+    BEFORE UPDATE ON grading_scales 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- =============================================================================
 -- COMMENTS
 -- =============================================================================
@@ -127,6 +339,13 @@ CREATE TRIGGER update_identities_updated_at
 COMMENT ON TABLE users IS 'Stores user authentication and profile information';
 COMMENT ON TABLE identities IS 'Stores X.509 certificates and private keys for Fabric network';
 COMMENT ON TABLE correction_requests IS 'Stores transcript correction requests';
+COMMENT ON TABLE import_jobs IS 'Tracks CSV imports of degrees and transcripts';
+COMMENT ON TABLE import_job_rows IS 'Stores per-row data and results of CSV import jobs';
+COMMENT ON TABLE transcript_share_links IS 'Time-limited transcript share links created by students';
+COMMENT ON TABLE transcript_share_access_log IS 'Access attempts on transcript share links';
+COMMENT ON TABLE grading_scales IS 'Per-university grading scales used to normalise grades and derive classifications';
+COMMENT ON TABLE pending_actions IS 'Degree issuance, revocation, reinstatement and amendment awaiting multi-admin approval';
+COMMENT ON TABLE pending_action_approvals IS 'Admin approvals of pending degree actions';
 
 COMMENT ON COLUMN users.username IS 'Unique username for login';
 COMMENT ON COLUMN users.password_hash IS 'Bcrypt hashed password';
@@ -0,0 +1,24 @@
+/**
+ * Jest setup
+ *
+ * Provides the Fabric settings validated by src/config/fabric-config.js when
+ * it is loaded, so service modules can be required in unit tests. Tests mock
+ * the database and the Fabric gateway; nothing here is contacted.
+ */
+
+const TEST_FABRIC_ENV = {
+  PEER_ENDPOINT: 'localhost:7051',
+  MSP_ID: 'Org1MSP',
+  CHANNEL_NAME: 'degree-channel',
+  CHAINCODE_NAME: 'degree-cc',
+  CERT_PATH: '/dev/null',
+  KEY_PATH: '/dev/null',
+  TLS_CERT_PATH: '/dev/null',
+  JWT_SECRET: 'test-jwt-secret'
+};
+
+for (const [name, value] of Object.entries(TEST_FABRIC_ENV)) {
+  if (!process.env[name]) {
+    process.env[name] = value;
+  }
+}
@@ -18,6 +18,13 @@ const cors = require('cors');
 const { GatewayConnectionManager } = require('./fabric/gateway-connection');
 const apiRoutes = require('./routes/api-routes');
 const authRoutes = require('./routes/auth-routes');
+const importRoutes = require('./routes/import-routes');
+const gradingScaleRoutes = require('./routes/grading-scale-routes');
+const correctionRoutes = require('./routes/correction-routes');
+const pendingActionRoutes = require('./routes/pending-action-routes');
+const endorsementPolicyRoutes = require('./routes/endorsement-policy-routes');
+const universityRoutes = require('./routes/university-routes');
+const wellKnownRoutes = require('./routes/well-known-routes');
 const { errorHandler } = require('./middleware/error-handler');
 const config = require('./config/fabric-config');
 
@@ -53,9 +60,30 @@ app.use((req, res, next) => {
 // Mount Auth routes at /api/auth
 app.use('/api/auth', authRoutes);
 
+// Mount CSV import routes at /api/admin/imports
+app.use('/api/admin/imports', importRoutes);
+
+// Mount grading-scale registry routes at /api/admin/grading-scales
+app.use('/api/admin/grading-scales', gradingScaleRoutes);
+
+// Mount transcript correction review routes at /api/admin/corrections
+app.use('/api/admin/corrections', correctionRoutes);
+
+// Mount multi-signature degree action routes at /api/admin/pending-actions
+app.use('/api/admin/pending-actions', pendingActionRoutes);
+
+// Mount default degree endorsement policy routes at /api/admin/endorsement-policy
+app.use('/api/admin/endorsement-policy', endorsementPolicyRoutes);
+
+// Mount university registry routes at /api/universities
+app.use('/api/universities', universityRoutes);
+
 // Mount API routes at /api
 app.use('/api', apiRoutes);
 
+// Mount discovery documents (issuer DID document) at /.well-known
+app.use('/.well-known', wellKnownRoutes);
+
 // Error handler middleware (must be last middleware)
 app.use(errorHandler);
 
@@ -84,6 +112,15 @@ async function startServer() {
       throw new Error('Failed to connect to PostgreSQL database');
     }
     console.log('Database connection initialized successfully');
+
+    // Import jobs run inside this process: any job left pending/running was interrupted
+    const ImportService = require('./services/import-service');
+    await ImportService.failInterruptedJobs();
+    // Likewise pending actions left executing and correction approvals left approving
+    const PendingActionService = require('./services/pending-action-service');
+    await PendingActionService.failInterruptedActions();
+    const CorrectionService = require('./services/correction-service');
+    await CorrectionService.resetInterruptedApprovals();
     console.log('');
 
     // Initialize Gateway connection (Singleton Pattern)
@@ -0,0 +1,35 @@
+/**
+ * Approval Configuration
+ * Multi-admin approval of degree actions, loaded from environment variables
+ */
+
+require('dotenv').config();
+
+/**
+ * Parse a positive integer setting
+ * @param {string} value - Environment value
+ * @param {number} defaultValue - Value if unset or invalid
+ * @returns {number} Setting
+ */
+function positiveInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 1 ? parsed : defaultValue;
+}
+
+const approvalConfig = {
+  // Number of distinct admins, the proposer included, who must approve an action
+  // before it is submitted to Fabric (1 = no second approval)
+  quorum: {
+    issue_degree: positiveInt(process.env.APPROVAL_QUORUM_ISSUE_DEGREE, 2),
+    issue_degree_batch: positiveInt(process.env.APPROVAL_QUORUM_ISSUE_DEGREE_BATCH, 2),
+    import_degrees: positiveInt(process.env.APPROVAL_QUORUM_IMPORT_DEGREES, 2),
+    revoke_degree: positiveInt(process.env.APPROVAL_QUORUM_REVOKE_DEGREE, 2),
+    reinstate_degree: positiveInt(process.env.APPROVAL_QUORUM_REINSTATE_DEGREE, 2),
+    amend_degree: positiveInt(process.env.APPROVAL_QUORUM_AMEND_DEGREE, 2)
+  },
+
+  // Pending actions not approved within this many hours expire
+  expiryHours: positiveInt(process.env.PENDING_ACTION_EXPIRY_HOURS, 72)
+};
+
+module.exports = approvalConfig;
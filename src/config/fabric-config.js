@@ -50,10 +50,32 @@ function loadConfig() {
     KEY_PATH: process.env.KEY_PATH,
     TLS_CERT_PATH: process.env.TLS_CERT_PATH,
 
+    // Organisations whose peers must endorse degree transactions (comma-separated MSP IDs,
+    // e.g. the university and the Ministry of Education). Empty: the gateway picks the
+    // endorsers from the chaincode endorsement policy.
+    ENDORSING_ORGANIZATIONS: (process.env.ENDORSING_ORGANIZATIONS || '')
+      .split(',')
+      .map(org => org.trim())
+      .filter(org => org !== ''),
+
     // Server Configuration
     PORT: process.env.PORT || 3000,
     NODE_ENV: process.env.NODE_ENV || 'development',
 
+    // Public verification page encoded in diploma QR codes
+    VERIFY_BASE_URL: process.env.VERIFY_BASE_URL || `http://localhost:${process.env.PORT || 3000}/verify`,
+
+    // Public base URL of this API (used in credentialStatus links of Verifiable Credentials)
+    PUBLIC_API_URL: process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}/api`,
+    // Issuer DID of Verifiable Credentials (defaults to did:web of PUBLIC_API_URL's host)
+    ISSUER_DID: process.env.ISSUER_DID,
+
+    // Diploma PDF and credential signing identity (defaults to the organisation identity above)
+    CERTIFICATE_SIGNING_CERT_PATH: process.env.CERTIFICATE_SIGNING_CERT_PATH || process.env.CERT_PATH,
+    CERTIFICATE_SIGNING_KEY_PATH: process.env.CERTIFICATE_SIGNING_KEY_PATH || process.env.KEY_PATH,
+    // Optional TTF font with Vietnamese glyphs for diploma PDFs
+    CERTIFICATE_FONT_PATH: process.env.CERTIFICATE_FONT_PATH,
+
     // Logging
     LOG_LEVEL: process.env.LOG_LEVEL || 'info'
   };
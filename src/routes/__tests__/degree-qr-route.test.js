@@ -0,0 +1,73 @@
+/**
+ * GET /api/degrees/:id/qr: query parameter validation
+ * POST /api/verify/qr: payload validation
+ */
+
+jest.mock('../../database/db');
+
+const express = require('express');
+const request = require('supertest');
+const QrService = require('../../services/qr-service');
+const apiRoutes = require('../api-routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(QrService, 'generateDegreeQr').mockResolvedValue({
+    contentType: 'image/svg+xml',
+    data: '<svg/>',
+    verificationUrl: 'http://localhost:3000/verify/VN.KMA.2025.001?h=abc',
+    degreeHash: 'abc'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/degrees/:id/qr', () => {
+  it('rejects a repeated format parameter with 400', async () => {
+    const res = await request(app).get('/api/degrees/VN.KMA.2025.001/qr?format=png&format=svg');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/format/);
+    expect(QrService.generateDegreeQr).not.toHaveBeenCalled();
+  });
+
+  it('rejects a nested format parameter with 400', async () => {
+    const res = await request(app).get('/api/degrees/VN.KMA.2025.001/qr?format[a]=svg');
+
+    expect(res.status).toBe(400);
+    expect(QrService.generateDegreeQr).not.toHaveBeenCalled();
+  });
+
+  it('passes a single format through case-insensitively', async () => {
+    const res = await request(app).get('/api/degrees/VN.KMA.2025.001/qr?format=SVG');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-degree-hash']).toBe('abc');
+    expect(QrService.generateDegreeQr).toHaveBeenCalledWith('VN.KMA.2025.001', 'svg', null);
+  });
+});
+
+describe('POST /api/verify/qr', () => {
+  it('rejects a payload with malformed percent-encoding with 400', async () => {
+    const res = await request(app)
+      .post('/api/verify/qr')
+      .send({ payload: 'http://x/verify/%E0%A4%A?h=ab' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('payload must be a verification URL');
+  });
+});
+
+describe('QrService.generateDegreeQr', () => {
+  it.each([['constructor'], ['toString'], [['svg']]])('rejects format %p', async (format) => {
+    QrService.generateDegreeQr.mockRestore();
+
+    await expect(QrService.generateDegreeQr('VN.KMA.2025.001', format)).rejects.toThrow('format must be one of: png, svg');
+  });
+});
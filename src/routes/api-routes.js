@@ -19,6 +19,13 @@ const router = express.Router();
 // Import services
 const DegreeService = require('../services/degree-service');
 const TranscriptService = require('../services/transcript-service');
+const QrService = require('../services/qr-service');
+const CertificateService = require('../services/certificate-service');
+const CredentialService = require('../services/credential-service');
+const DisclosureService = require('../services/disclosure-service');
+const ShareLinkService = require('../services/share-link-service');
+const CorrectionService = require('../services/correction-service');
+const PendingActionService = require('../services/pending-action-service');
 const { getAuthService } = require('../services/auth-service');
 
 // Import Gateway Connection Manager for health check
@@ -91,6 +98,26 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * Respond to a proposed degree action
+ * @param {Object} res - Express response object
+ * @param {Object} outcome - Result of PendingActionService.proposeAction
+ * @private
+ */
+function sendPendingActionOutcome(res, outcome) {
+  if (outcome.executed) {
+    return res.status(200).json({ ...outcome.result, pendingAction: outcome.pendingAction });
+  }
+
+  const { requiredApprovals, approvals } = outcome.pendingAction;
+  return res.status(202).json({
+    success: true,
+    status: 'pending_approval',
+    message: `Awaiting approval by ${requiredApprovals - approvals.length} more admin(s)`,
+    pendingAction: outcome.pendingAction
+  });
+}
+
 /**
  * POST /api/degrees
  * 
@@ -111,19 +138,45 @@ router.get('/health', async (req, res) => {
  *   "studentName": "Nguyen Van A",
  *   "universityName": "Hoc Vien Ky Thuat Mat Ma",
  *   "major": "Cong nghe thong tin",
- *   "classification": "Xuat sac",
+ *   "classification": "Xuat sac" (optional),
  *   "issueDate": "2025-06-20",
  *   "transcriptHash": "a1b2c3d4..." (optional)
  * }
  * 
- * Success Response (200):
+ * If classification is omitted it is derived from the student's transcript GPA
+ * using the university's grading scale (see /api/admin/grading-scales).
+ * 
+ * universityName is the code or legal name of a university in the registry
+ * (see /api/universities). The chaincode only issues the degree if the university
+ * is registered to the caller's MSP (and issuer, if restricted), accredited and
+ * within its validity period; otherwise the request fails with 400.
+ * 
+ * Multi-signature: the request creates a pending issue_degree action approved by
+ * the caller. It is submitted to Fabric only once enough distinct admins have
+ * approved it via POST /api/admin/pending-actions/:id/approve
+ * (APPROVAL_QUORUM_ISSUE_DEGREE, default 2).
+ * 
+ * The degree is bound to the student's current transcript: the chaincode records
+ * its hash and version (transcriptHash, transcriptVersion). A transcriptHash given
+ * in the body must match it (400 otherwise); it is only kept as given when the
+ * student has no transcript on the ledger.
+ * 
+ * Pending Response (202):
+ * {
+ *   "success": true,
+ *   "status": "pending_approval",
+ *   "pendingAction": { "actionId": 7, "type": "issue_degree", "requiredApprovals": 2, "approvals": [ ... ], ... }
+ * }
+ * 
+ * Success Response (200), when the quorum is 1:
  * {
  *   "success": true,
  *   "transactionId": "abc123...",
- *   "degree": { ... }
+ *   "degree": { ..., "transcriptHash": "a1b2c3d4...", "transcriptVersion": 3 },
+ *   "pendingAction": { ..., "status": "executed" }
  * }
  * 
- * Error Response (400/401/403/500):
+ * Error Response (400/401/403/409/500):
  * {
  *   "success": false,
  *   "error": "Error message"
@@ -137,18 +190,15 @@ router.post('/degrees', authMiddleware, requireRole('admin'), async (req, res) =
     const { degreeId, studentId, degreeType, studentName, universityName, major, classification, issueDate, transcriptHash } = req.body;
 
     // Validate required fields
-    if (!degreeId || !studentId || !degreeType || !studentName || !universityName || !major || !classification || !issueDate) {
+    if (!degreeId || !studentId || !degreeType || !studentName || !universityName || !major || !issueDate) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: degreeId, studentId, degreeType, studentName, universityName, major, classification, issueDate'
+        error: 'Missing required fields: degreeId, studentId, degreeType, studentName, universityName, major, issueDate'
       });
     }
 
-    // Get authenticated user's username for dynamic identity
-    const authenticatedUsername = req.user ? req.user.username : null;
-
-    // Call DegreeService to issue degree with user identity
-    const result = await DegreeService.issueDegree({
+    // Propose the issuance; DegreeService submits it once the quorum is reached
+    const outcome = await PendingActionService.proposeAction('issue_degree', {
       degreeId,
       studentId,
       degreeType,
@@ -158,10 +208,9 @@ router.post('/degrees', authMiddleware, requireRole('admin'), async (req, res) =
       classification,
       issueDate,
       transcriptHash
-    }, authenticatedUsername);
+    }, req.user.username);
 
-    // Return success response
-    return res.status(200).json(result);
+    return sendPendingActionOutcome(res, outcome);
 
   } catch (error) {
     console.error('Error in POST /api/degrees:', error.message);
@@ -206,6 +255,157 @@ router.post('/degrees', authMiddleware, requireRole('admin'), async (req, res) =
   }
 });
 
+/**
+ * POST /api/degrees/batch
+ *
+ * Issue multiple degrees in a single transaction (e.g. a graduation ceremony).
+ * Each record uses the same fields as POST /api/degrees (a missing classification is
+ * derived from the student's transcript GPA) and is validated individually.
+ * Invalid records and duplicate degreeIds (inside the batch or already on the ledger)
+ * are reported per item instead of aborting the whole batch.
+ *
+ * Multi-signature: the whole batch is one pending issue_degree_batch action,
+ * submitted once enough distinct admins have approved it
+ * (APPROVAL_QUORUM_ISSUE_DEGREE_BATCH, default 2).
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Request Body:
+ * {
+ *   "degrees": [
+ *     { "degreeId": "VN.KMA.2025.001", "studentId": "CT070211", ... },
+ *     { "degreeId": "VN.KMA.2025.002", "studentId": "CT070212", ... }
+ *   ]
+ * }
+ *
+ * Pending Response (202): the pending action (see POST /api/degrees)
+ *
+ * Success Response (200), when the quorum is 1:
+ * {
+ *   "success": true,
+ *   "transactionId": "abc123...",
+ *   "total": 2,
+ *   "succeeded": 1,
+ *   "failed": 1,
+ *   "results": [
+ *     { "index": 0, "degreeId": "VN.KMA.2025.001", "success": true, "transactionId": "abc123..." },
+ *     { "index": 1, "degreeId": "VN.KMA.2025.002", "success": false, "error": "Degree VN.KMA.2025.002 already exists" }
+ *   ],
+ *   "pendingAction": { ..., "status": "executed" }
+ * }
+ */
+router.post('/degrees/batch', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { degrees } = req.body;
+
+    if (!Array.isArray(degrees)) {
+      return res.status(400).json({
+        success: false,
+        error: 'degrees must be an array of degree records'
+      });
+    }
+
+    // Propose the batch; DegreeService submits it once the quorum is reached
+    const outcome = await PendingActionService.proposeAction('issue_degree_batch', { degrees }, req.user.username);
+
+    return sendPendingActionOutcome(res, outcome);
+
+  } catch (error) {
+    console.error('Error in POST /api/degrees/batch:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof EndorsementError) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof ConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to issue degree batch'
+    });
+  }
+});
+
+/**
+ * GET /api/degrees
+ *
+ * List degrees with filters, sorting and bookmark-based pagination.
+ * Backed by a CouchDB rich query, so only one page is read per request.
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Query Parameters (all optional):
+ * - universityName, major, degreeType, classification: exact match filters
+ * - status: ACTIVE | REVOKED | SUSPENDED
+ * - issueDateFrom, issueDateTo: issue date range (YYYY-MM-DD, inclusive)
+ * - sortBy: issueDate | studentName | degreeId | universityName | major | classification
+ * - sortOrder: asc (default) | desc
+ * - pageSize: 1-100 (default 20)
+ * - bookmark: value of pagination.bookmark from the previous page
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "degrees": [{ "degreeId": "VN.KMA.2025.001", ... }],
+ *   "pagination": {
+ *     "pageSize": 20,
+ *     "fetchedRecordsCount": 20,
+ *     "bookmark": "g1AAAA...",
+ *     "hasMore": true
+ *   }
+ * }
+ */
+router.get('/degrees', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const {
+      universityName, major, degreeType, classification, status,
+      issueDateFrom, issueDateTo, sortBy, sortOrder, pageSize, bookmark
+    } = req.query;
+
+    const result = await DegreeService.listDegrees({
+      universityName, major, degreeType, classification, status,
+      issueDateFrom, issueDateTo, sortBy, sortOrder, pageSize, bookmark
+    }, username);
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error in GET /api/degrees:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to list degrees' });
+  }
+});
+
 /**
  * GET /api/my-degrees
  * Get degrees for the logged-in student
@@ -225,6 +425,62 @@ router.get('/my-degrees', authMiddleware, requireRole('student'), async (req, re
   }
 });
 
+/**
+ * GET /api/my-degrees/:id/certificate.pdf
+ *
+ * Download the logged-in student's diploma as a signed PDF.
+ * The PDF shows the degree fields, the Fabric transaction ID that issued the
+ * degree and the verification QR code, and carries a detached CMS signature
+ * made with the issuing organisation's key so it can be validated offline.
+ *
+ * ABAC: Chỉ cho phép OU=student (chỉ văn bằng của chính mình)
+ *
+ * Success Response (200): application/pdf (attachment)
+ * Error Responses: 400 (degree not active), 403 (not the owner), 404 (not found)
+ */
+router.get('/my-degrees/:id/certificate.pdf', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const username = req.user.username;
+
+    // Get studentId from user profile
+    const authService = getAuthService();
+    const userProfile = await authService.getUserProfile(username);
+    const studentId = userProfile ? userProfile.studentId : username;
+
+    const verification = await DegreeService.verifyDegree(req.params.id, username);
+
+    // AUTHORIZATION: Student can only download their own diploma
+    if (verification.degree.studentId !== studentId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Students can only download their own diploma.'
+      });
+    }
+
+    const certificate = await CertificateService.generateDegreeCertificate(verification, username);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${certificate.fileName}"`);
+    res.set('X-Degree-Hash', certificate.degreeHash);
+    return res.status(200).send(certificate.pdf);
+
+  } catch (error) {
+    console.error('Error in GET /api/my-degrees/:id/certificate.pdf:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to generate certificate' });
+  }
+});
+
 /**
  * GET /api/my-transcript
  * Get transcript for the logged-in student
@@ -244,6 +500,210 @@ router.get('/my-transcript', authMiddleware, requireRole('student'), async (req,
   }
 });
 
+/**
+ * POST /api/my-transcript/disclosures
+ *
+ * Create a selective disclosure package from the logged-in student's transcript,
+ * e.g. to share only GPA and a few courses with an employer. The package holds a
+ * statement signed by the organisation (salted digests of every transcript field,
+ * bound to the on-chain transcriptHash) and the disclosures of the selected fields.
+ * Undisclosed fields (e.g. personalInfo) cannot be recovered from the package.
+ *
+ * ABAC: Chỉ cho phép OU=student (bảng điểm của chính mình)
+ *
+ * Request Body:
+ * {
+ *   "fields": ["gpa"],
+ *   "courses": ["Co so du lieu", "Mat ma hoc"],
+ *   "personalInfo": [],
+ *   "expiresInDays": 30
+ * }
+ *
+ * Success Response (201):
+ * {
+ *   "success": true,
+ *   "package": { "statement": { ..., "proof": { ... } }, "disclosures": ["WyJzYWx0Ii..."] },
+ *   "disclosedFields": ["gpa", "transcript.Co so du lieu", "transcript.Mat ma hoc"],
+ *   "expiresAt": "2025-08-01T00:00:00.000Z"
+ * }
+ */
+router.post('/my-transcript/disclosures', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    // Get studentId from user profile
+    const authService = getAuthService();
+    const userProfile = await authService.getUserProfile(req.user.username);
+    const studentId = userProfile ? userProfile.studentId : req.user.username;
+
+    const { fields, courses, personalInfo, expiresInDays } = req.body;
+    const result = await DisclosureService.createDisclosurePackage(
+      studentId,
+      { fields, courses, personalInfo, expiresInDays },
+      req.user.username
+    );
+
+    return res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/my-transcript/disclosures:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to create disclosure package' });
+  }
+});
+
+/**
+ * POST /api/my-transcript/share-links
+ *
+ * Create a time-limited link that shows the logged-in student's transcript
+ * (e.g. to a recruiter) through the public GET /api/shared/:token endpoint.
+ * The token is only returned in this response.
+ *
+ * ABAC: Chỉ cho phép OU=student (bảng điểm của chính mình)
+ *
+ * Request Body:
+ * {
+ *   "expiresInDays": 7,
+ *   "maxViews": 5,
+ *   "label": "ACME Corp recruiter",
+ *   "includePersonalInfo": false
+ * }
+ *
+ * Success Response (201):
+ * {
+ *   "success": true,
+ *   "link": {
+ *     "linkId": 3, "state": "active", "expiresAt": "...", "maxViews": 5, "viewCount": 0,
+ *     "token": "q8Zr...", "url": "http://localhost:3000/api/shared/q8Zr..."
+ *   }
+ * }
+ */
+router.post('/my-transcript/share-links', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    // Get studentId from user profile
+    const authService = getAuthService();
+    const userProfile = await authService.getUserProfile(req.user.username);
+    const studentId = userProfile ? userProfile.studentId : req.user.username;
+
+    const { expiresInDays, maxViews, label, includePersonalInfo } = req.body;
+    const result = await ShareLinkService.createShareLink(
+      studentId,
+      { expiresInDays, maxViews, label, includePersonalInfo },
+      req.user.username
+    );
+
+    return res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/my-transcript/share-links:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to create share link' });
+  }
+});
+
+/**
+ * GET /api/my-transcript/share-links
+ * List the logged-in student's share links with their state and view counts
+ */
+router.get('/my-transcript/share-links', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const result = await ShareLinkService.listShareLinks(req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/my-transcript/share-links:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/my-transcript/share-links/:id
+ * Revoke a share link; the link stops working immediately
+ */
+router.delete('/my-transcript/share-links/:id', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const result = await ShareLinkService.revokeShareLink(req.params.id, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in DELETE /api/my-transcript/share-links/:id:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/my-transcript/share-links/:id/access-log
+ * Every attempt to open the link (granted or denied), newest first
+ */
+router.get('/my-transcript/share-links/:id/access-log', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const result = await ShareLinkService.getShareLinkAccessLog(req.params.id, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/my-transcript/share-links/:id/access-log:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/my-transcript/correction-requests
+ *
+ * The student's own correction requests, newest first, with their review status
+ * (pending, approved or rejected), the admin's notes and, once approved, the
+ * transaction ID of the corrected transcript.
+ *
+ * ABAC: Chỉ cho phép sinh viên (OU=student)
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "requests": [
+ *     { "requestId": 12, "status": "approved", "notes": "...", "reviewedAt": "...", "transactionId": "abc123...", ... }
+ *   ]
+ * }
+ */
+router.get('/my-transcript/correction-requests', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const result = await CorrectionService.listMyCorrectionRequests(req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/my-transcript/correction-requests:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/transcripts
  * 
@@ -279,6 +739,21 @@ router.get('/my-transcript', authMiddleware, requireRole('student'), async (req,
  *   }
  * }
  * 
+ * Structured courses can be sent instead of detailedGrades; the GPA is then
+ * computed from them (gpa is optional and, if sent, must match):
+ * {
+ *   "studentId": "CT070211",
+ *   "courses": [
+ *     { "code": "INT1306", "name": "Cau truc du lieu", "credits": 3, "semester": "2023-2024/1",
+ *       "grade": "6.0", "scale": "10-point", "attempt": 1 },
+ *     { "code": "INT1306", "name": "Cau truc du lieu", "credits": 3, "semester": "2024-2025/1",
+ *       "grade": "8.7", "scale": "10-point", "attempt": 2 },
+ *     { "code": "ENG101", "name": "Tieng Anh 1", "credits": 2, "semester": "2023-2024/1",
+ *       "grade": "B+", "scale": "letter" }
+ *   ],
+ *   "personalInfo": { ... }
+ * }
+ * 
  * Success Response (200):
  * {
  *   "success": true,
@@ -297,7 +772,7 @@ router.get('/my-transcript', authMiddleware, requireRole('student'), async (req,
 router.post('/transcripts', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     // Extract transcript data from request body (theo thiết kế)
-    const { studentId, gpa, detailedGrades, personalInfo } = req.body;
+    const { studentId, gpa, detailedGrades, courses, personalInfo } = req.body;
 
     // Validate required fields
     if (!studentId) {
@@ -307,17 +782,18 @@ router.post('/transcripts', authMiddleware, requireRole('admin'), async (req, re
       });
     }
 
-    if (!gpa) {
+    // gpa is computed from structured courses
+    if (!gpa && !courses) {
       return res.status(400).json({
         success: false,
         error: 'Missing required field: gpa'
       });
     }
 
-    if (!detailedGrades) {
+    if (!detailedGrades && !courses) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required field: detailedGrades'
+        error: 'Missing required field: detailedGrades (or courses)'
       });
     }
 
@@ -329,7 +805,7 @@ router.post('/transcripts', authMiddleware, requireRole('admin'), async (req, re
       });
     }
 
-    if (typeof gpa !== 'string') {
+    if (gpa !== undefined && typeof gpa !== 'string') {
       return res.status(400).json({
         success: false,
         error: 'gpa must be a string'
@@ -337,7 +813,7 @@ router.post('/transcripts', authMiddleware, requireRole('admin'), async (req, re
     }
 
     // Validate detailedGrades is a valid object
-    if (typeof detailedGrades !== 'object' || Array.isArray(detailedGrades)) {
+    if (detailedGrades !== undefined && (typeof detailedGrades !== 'object' || Array.isArray(detailedGrades))) {
       return res.status(400).json({
         success: false,
         error: 'detailedGrades must be a valid JSON object'
@@ -360,6 +836,7 @@ router.post('/transcripts', authMiddleware, requireRole('admin'), async (req, re
       studentId,
       gpa,
       detailedGrades,
+      courses,
       personalInfo
     }, authenticatedUsername);
 
@@ -413,7 +890,20 @@ router.post('/transcripts', authMiddleware, requireRole('admin'), async (req, re
  * POST /api/transcripts/request-correction
  * 
  * Submit a request to correct a transcript.
- * Only for students.
+ * Only for students. Admins review it via /api/admin/corrections; the student
+ * follows its status via GET /api/my-transcript/correction-requests.
+ * 
+ * Request Body:
+ * {
+ *   "details": { "type": "transcript_correction", "reason": "...", ... }
+ * }
+ * 
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "message": "Correction request submitted successfully",
+ *   "request": { "requestId": 12, "status": "pending", ... }
+ * }
  */
 router.post('/transcripts/request-correction', authMiddleware, requireRole('student'), async (req, res) => {
   try {
@@ -424,10 +914,15 @@ router.post('/transcripts/request-correction', authMiddleware, requireRole('stud
     const userProfile = await authService.getUserProfile(req.user.username);
     const studentId = userProfile ? userProfile.studentId : req.user.username;
 
-    const result = await TranscriptService.submitCorrectionRequest(studentId, details, req.user.username);
+    const result = await CorrectionService.submitCorrectionRequest(studentId, details, req.user.username);
     return res.status(200).json(result);
   } catch (error) {
     console.error('Error in POST /api/transcripts/request-correction:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
     return res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -440,7 +935,7 @@ router.post('/transcripts/request-correction', authMiddleware, requireRole('stud
  * 
  * Theo thiết kế: VerifyDegree(ctx, degreeId)
  * - Truy vấn World State để lấy thông tin văn bằng
- * - Trả về trạng thái hiện tại (ACTIVE/REVOKED) và thông tin xác thực
+ * - Trả về trạng thái hiện tại (ACTIVE/REVOKED/SUSPENDED) và thông tin xác thực
  * - Không yêu cầu đăng nhập (Public verification)
  * 
  * ABAC: Public endpoint - không yêu cầu xác thực
@@ -461,11 +956,47 @@ router.post('/transcripts/request-correction', authMiddleware, requireRole('stud
  *     "major": "Cong nghe thong tin",
  *     "classification": "Xuat sac",
  *     "issueDate": "2025-06-20",
- *     "status": "ACTIVE"
+ *     "status": "ACTIVE",
+ *     "version": 2
+ *   },
+ *   "transcript": {
+ *     "linked": true,
+ *     "recordedHash": "a1b2c3d4...",
+ *     "recordedVersion": 3,
+ *     "currentHash": "a1b2c3d4...",
+ *     "matches": true
+ *   },
+ *   "university": {
+ *     "code": "KMA",
+ *     "legalName": "Hoc Vien Ky Thuat Mat Ma",
+ *     "authorizedMSPs": ["Org1MSP"],
+ *     "accreditationStatus": "ACCREDITED",
+ *     "validFrom": "2025-01-01T00:00:00.000Z",
+ *     "validUntil": null,
+ *     ...
+ *   },
+ *   "amendments": {
+ *     "count": 1,
+ *     "lastAmendedAt": "2025-07-01T08:00:00.000Z",
+ *     "history": [{ "version": 2, "reason": "...", "changedFields": ["studentName"], ... }]
  *   }
  * }
- * 
- * Not Found Response (404):
+ *
+ * transcript.matches is false when the student's transcript was updated after issuance
+ * (currentHash is null if it no longer exists) and null when the degree has no transcriptHash.
+ * university is the current registry entry of the issuing university (see /api/universities),
+ * null for degrees of universities that are not registered.
+ *
+ * Suspended degree (200): verified is false and only the reason category is disclosed
+ * {
+ *   "success": true,
+ *   "verified": false,
+ *   "status": "SUSPENDED",
+ *   "suspension": { "category": "ACADEMIC_INTEGRITY_REVIEW", "suspendedAt": "...", "reviewBy": "2025-12-31" },
+ *   "degree": { ..., "status": "SUSPENDED" }
+ * }
+ * 
+ * Not Found Response (404):
  * {
  *   "success": false,
  *   "error": "Degree not found"
@@ -536,66 +1067,1085 @@ router.get('/verify/:id', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/verify/qr
+ *
+ * Verify a scanned diploma QR code against the ledger.
+ * The degree hash in the payload is recomputed from the current ledger record,
+ * so tampered, forged or superseded (amended) codes are detected.
+ *
+ * ABAC: Public endpoint - không yêu cầu xác thực
+ *
+ * Request Body (either form):
+ * { "payload": "https://verify.example.edu/verify/VN.KMA.2025.001?h=9f86d0..." }
+ * { "degreeId": "VN.KMA.2025.001", "hash": "9f86d0..." }
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "valid": true,
+ *   "verified": true,
+ *   "reason": null,
+ *   "status": "ACTIVE",
+ *   "degree": { ... }
+ * }
+ *
+ * Invalid code (200): valid is false and reason is DEGREE_NOT_FOUND or HASH_MISMATCH.
+ * Genuine code for a revoked/suspended degree: valid is true, verified is false,
+ * reason is DEGREE_REVOKED or DEGREE_SUSPENDED.
+ */
+router.post('/verify/qr', optionalAuth, async (req, res) => {
+  try {
+    const { payload, degreeId, hash } = req.body;
+    const username = req.user ? req.user.username : null;
+
+    const result = await QrService.verifyQrPayload({ payload, degreeId, hash }, username);
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/verify/qr:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to verify QR code' });
+  }
+});
+
+/**
+ * POST /api/verify/credential
+ *
+ * Verify a degree credential exported by GET /api/degrees/:id/credential (any format).
+ * Checks the Data Integrity proof against the issuer key, then the current
+ * ledger state of the degree (credentialStatus).
+ *
+ * ABAC: Public endpoint - không yêu cầu xác thực
+ *
+ * Request Body: the credential itself, or { "credential": { ... } }
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "valid": true,
+ *   "verified": false,
+ *   "status": "REVOKED",
+ *   "checks": { "proof": true, "issuer": true, "ledger": true, "status": false },
+ *   "errors": ["Degree is REVOKED on the ledger"]
+ * }
+ */
+router.post('/verify/credential', optionalAuth, async (req, res) => {
+  try {
+    const credential = req.body && req.body.credential ? req.body.credential : req.body;
+    const username = req.user ? req.user.username : null;
+
+    const result = await CredentialService.verifyDegreeCredential(credential, username);
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/verify/credential:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to verify credential' });
+  }
+});
+
+/**
+ * POST /api/verify/transcript-disclosure
+ *
+ * Verify a selective disclosure package created with POST /api/my-transcript/disclosures.
+ * Checks the organisation signature on the statement, that every disclosed value
+ * matches a signed digest, the expiry, and that the transcript on the ledger still
+ * has the transcriptHash the statement was made from. Only the disclosed fields are returned.
+ *
+ * ABAC: Public endpoint - không yêu cầu xác thực
+ *
+ * Request Body: the package, or { "package": { "statement": { ... }, "disclosures": [ ... ] } }
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "valid": true,
+ *   "verified": true,
+ *   "studentId": "CT070211",
+ *   "disclosed": { "gpa": "3.6", "transcript": { "Mat ma hoc": "9" } },
+ *   "checks": { "proof": true, "issuer": true, "disclosures": true, "notExpired": true, "current": true },
+ *   "errors": []
+ * }
+ */
+router.post('/verify/transcript-disclosure', optionalAuth, async (req, res) => {
+  try {
+    const disclosurePackage = req.body && req.body.package ? req.body.package : req.body;
+    const username = req.user ? req.user.username : null;
+
+    const result = await DisclosureService.verifyDisclosurePackage(disclosurePackage, username);
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/verify/transcript-disclosure:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to verify disclosure package' });
+  }
+});
+
+/**
+ * POST /api/verify/transcript
+ *
+ * Check a transcript document received from a student against the ledger.
+ * The document is serialised the way UpdateTranscript stores it and hashed; only
+ * the hash is compared with the on-chain transcript hash and the hashes of earlier
+ * versions. No stored transcript data is returned.
+ *
+ * The complete transcript record is required (as returned by GET /api/my-transcript,
+ * including personalInfo). Partial views cannot be verified; use selective
+ * disclosure (POST /api/verify/transcript-disclosure) for those.
+ *
+ * ABAC: Public endpoint - không yêu cầu xác thực
+ *
+ * Request Body: the transcript record, or { "document": { ... } }
+ * {
+ *   "studentId": "CT070211",
+ *   "transcript": { "Mat ma hoc": "9" },
+ *   "gpa": "3.60",
+ *   "personalInfo": { ... },
+ *   "version": 3,
+ *   "updatedAt": "...",
+ *   "updatedBy": "Org1MSP"
+ * }
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "studentId": "CT070211",
+ *   "transcriptHash": "a1b2c3d4...",
+ *   "match": true,
+ *   "current": true,
+ *   "status": "valid",
+ *   "version": 3,
+ *   "currentVersion": 3,
+ *   "updatedAt": "..."
+ * }
+ *
+ * status is valid (matches the current transcript), superseded (matches an earlier
+ * version) or mismatch (matches no version; the document was altered).
+ *
+ * Error Responses:
+ * - 400: not a complete transcript record
+ * - 404: no transcript exists for the student
+ */
+router.post('/verify/transcript', optionalAuth, async (req, res) => {
+  try {
+    const document = req.body && req.body.document ? req.body.document : req.body;
+    const username = req.user ? req.user.username : null;
+
+    const result = await TranscriptService.verifyTranscriptDocument(document, username);
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/verify/transcript:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to verify transcript' });
+  }
+});
+
+/**
+ * GET /api/shared/:token
+ *
+ * Open a transcript share link created by a student.
+ *
+ * ABAC: Public endpoint - quyền truy cập do token chia sẻ quyết định
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "studentId": "CT070211",
+ *   "transcript": { "studentId": "CT070211", "gpa": "3.6", "transcript": { ... }, ... },
+ *   "expiresAt": "...",
+ *   "remainingViews": 4
+ * }
+ *
+ * Error Responses:
+ * - 404: unknown token
+ * - 410: link expired, revoked or view limit reached ("reason" tells which)
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const result = await ShareLinkService.accessSharedTranscript(req.params.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!result.granted) {
+      return res.status(410).json({
+        success: false,
+        reason: result.reason,
+        error: `This share link is no longer available (${result.reason})`
+      });
+    }
+
+    const { granted, ...shared } = result;
+    return res.status(200).json({ success: true, ...shared });
+
+  } catch (error) {
+    console.error('Error in GET /api/shared/:token:', error.message);
+
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: 'Failed to open share link' });
+  }
+});
+
 /**
  * POST /api/degrees/revoke
  * Revoke a degree
+ *
+ * Multi-signature: the request creates a pending revoke_degree action approved by
+ * the caller; the degree is revoked once enough distinct admins have approved it via
+ * POST /api/admin/pending-actions/:id/approve (APPROVAL_QUORUM_REVOKE_DEGREE, default 2).
+ *
+ * Request Body:
+ * { "degreeId": "VN.KMA.2025.001", "reason": "..." }
+ *
+ * Responses: 202 with the pending action (see POST /api/degrees), or 200 with the
+ * revocation result when the quorum is 1; 404 if the degree does not exist,
+ * 409 if it is already revoked or a revocation is already pending.
  */
 router.post('/degrees/revoke', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     const { degreeId, reason } = req.body;
-    const username = req.user ? req.user.username : null;
-    const result = await DegreeService.revokeDegree(degreeId, reason, username);
-    return res.status(200).json(result);
+    const outcome = await PendingActionService.proposeAction('revoke_degree', { degreeId, reason }, req.user.username);
+    return sendPendingActionOutcome(res, outcome);
   } catch (error) {
     console.error('Error in POST /api/degrees/revoke:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
     return res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /api/transcripts/:studentId
- * Get transcript for a student
+ * POST /api/degrees/reinstate
+ *
+ * Reinstate a revoked degree (revocation made in error or overturned on appeal).
+ * The original revocation details are kept in the degree's revocationHistory
+ * and ledger history; GET /api/verify/:id reports verified: true again.
+ *
+ * Multi-signature: creates a pending reinstate_degree action
+ * (APPROVAL_QUORUM_REINSTATE_DEGREE, default 2).
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Request Body:
+ * {
+ *   "degreeId": "VN.KMA.2025.001",
+ *   "reason": "Revocation overturned on appeal (decision 12/QD-HV)"
+ * }
+ *
+ * Responses: 202 with the pending action (see POST /api/degrees), or 200 with the
+ * reinstatement result when the quorum is 1; 400 if the degree is not revoked,
+ * 404 if it does not exist, 409 if a reinstatement is already pending.
  */
-router.get('/transcripts/:studentId', authMiddleware, requireRole('admin', 'student'), async (req, res) => {
+router.post('/degrees/reinstate', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const { studentId } = req.params;
-    const username = req.user ? req.user.username : null;
-    
-    // AUTHORIZATION: Student can only access their own transcript
-    if (req.user.ou === 'student') {
-      // Get student's actual studentId from profile
-      const authService = getAuthService();
-      const userProfile = await authService.getUserProfile(req.user.username);
-      const userStudentId = userProfile ? userProfile.studentId : req.user.username;
-      
-      if (userStudentId !== studentId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied. Students can only access their own transcript.'
-        });
-      }
+    const { degreeId, reason } = req.body;
+    const outcome = await PendingActionService.proposeAction('reinstate_degree', { degreeId, reason }, req.user.username);
+    return sendPendingActionOutcome(res, outcome);
+  } catch (error) {
+    console.error('Error in POST /api/degrees/reinstate:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
     }
 
-    const result = await TranscriptService.getTranscript(studentId, username);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/degrees/suspend
+ *
+ * Temporarily suspend a degree while an investigation is pending.
+ * GET /api/verify/:id reports status SUSPENDED with verified: false and only
+ * the public-safe reason category. The detailed reason is kept in a private
+ * data collection and never written to the public ledger
+ * (GET /api/degrees/:id/suspensions).
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Request Body:
+ * {
+ *   "degreeId": "VN.KMA.2025.001",
+ *   "category": "ACADEMIC_INTEGRITY_REVIEW",
+ *   "reason": "Plagiarism report on thesis under review",
+ *   "reviewBy": "2025-12-31"
+ * }
+ *
+ * Categories: DISCIPLINARY_INVESTIGATION, ACADEMIC_INTEGRITY_REVIEW,
+ * ADMINISTRATIVE_REVIEW, LEGAL_HOLD
+ */
+router.post('/degrees/suspend', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { degreeId, category, reason, reviewBy } = req.body;
+    const username = req.user ? req.user.username : null;
+    const result = await DegreeService.suspendDegree(degreeId, { category, reason, reviewBy }, username);
     return res.status(200).json(result);
   } catch (error) {
-    console.error('Error in GET /api/transcripts/:studentId:', error.message);
+    console.error('Error in POST /api/degrees/suspend:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
     return res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * POST /api/transcripts/grant-access
- * Grant access to transcript
+ * POST /api/degrees/unsuspend
+ *
+ * Lift the suspension of a degree once the investigation is closed.
+ * The suspension (without its reasons) is kept in the degree's suspensionHistory;
+ * the outcome is added to the private suspension record.
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Request Body:
+ * {
+ *   "degreeId": "VN.KMA.2025.001",
+ *   "reason": "Investigation closed, no violation found"
+ * }
  */
-router.post('/transcripts/grant-access', authMiddleware, requireRole('student'), async (req, res) => {
+router.post('/degrees/unsuspend', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const { studentId, targetMSP } = req.body;
+    const { degreeId, reason } = req.body;
     const username = req.user ? req.user.username : null;
-    const result = await TranscriptService.grantAccess(studentId, targetMSP, username);
+    const result = await DegreeService.unsuspendDegree(degreeId, reason, username);
     return res.status(200).json(result);
   } catch (error) {
-    console.error('Error in POST /api/transcripts/grant-access:', error.message);
+    console.error('Error in POST /api/degrees/unsuspend:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/degrees/:id/suspensions
+ *
+ * Get the detailed reasons of a degree's current and past suspensions,
+ * read from the private DegreeSuspensionCollection.
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "degreeId": "VN.KMA.2025.001",
+ *   "suspensions": [
+ *     {
+ *       "category": "ACADEMIC_INTEGRITY_REVIEW",
+ *       "reason": "Plagiarism report on thesis under review",
+ *       "suspendedAt": "...", "suspendedBy": "Org1MSP",
+ *       "liftReason": "Investigation closed, no violation found", "liftedAt": "...", "liftedBy": "Org1MSP"
+ *     }
+ *   ]
+ * }
+ */
+router.get('/degrees/:id/suspensions', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const suspensions = await DegreeService.getSuspensionDetails(req.params.id, username);
+    return res.status(200).json({ success: true, degreeId: req.params.id, suspensions });
+  } catch (error) {
+    console.error('Error in GET /api/degrees/:id/suspensions:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/degrees/:id
+ *
+ * Amend (reissue) a degree, e.g. to fix a misspelled student name.
+ * A new version of the degree is recorded with the changed fields, the
+ * amendment reason and a pointer to the previous version; the degreeId stays the same.
+ *
+ * Multi-signature: creates a pending amend_degree action
+ * (APPROVAL_QUORUM_AMEND_DEGREE, default 2).
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Request Body:
+ * {
+ *   "changes": { "studentName": "Nguyen Van An" },
+ *   "reason": "Misspelled student name"
+ * }
+ *
+ * Amendable fields: degreeType, studentName, universityName, major,
+ * classification, issueDate, transcriptHash
+ *
+ * Pending Response (202): the pending action (see POST /api/degrees); 409 if an
+ * amendment of the degree is already pending
+ *
+ * Success Response (200), when the quorum is 1:
+ * {
+ *   "success": true,
+ *   "transactionId": "abc123...",
+ *   "degree": { ..., "version": 2, "previousVersionKey": "degree-version-VN.KMA.2025.001-1" },
+ *   "pendingAction": { ..., "status": "executed" }
+ * }
+ */
+router.put('/degrees/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { changes, reason } = req.body;
+
+    const outcome = await PendingActionService.proposeAction('amend_degree', {
+      degreeId: req.params.id,
+      changes,
+      reason
+    }, req.user.username);
+    return sendPendingActionOutcome(res, outcome);
+
+  } catch (error) {
+    console.error('Error in PUT /api/degrees/:id:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to amend degree'
+    });
+  }
+});
+
+/**
+ * GET /api/degrees/:id/history
+ *
+ * Get every change a degree went through (issued, revoked, amended),
+ * ordered from oldest to newest, backed by the ledger key history.
+ * Public endpoint for verifiers and auditors.
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "degreeId": "VN.KMA.2025.001",
+ *   "history": [
+ *     {
+ *       "txId": "abc123...",
+ *       "timestamp": "2025-06-20T08:00:00.000Z",
+ *       "action": "ISSUED",
+ *       "status": "ACTIVE",
+ *       "version": 1,
+ *       "modifiedBy": { "mspId": "Org1MSP", "ou": "admin" },
+ *       "state": { ... }
+ *     },
+ *     { "txId": "def456...", "action": "REVOKED", "revokedBy": "Org1MSP", ... }
+ *   ]
+ * }
+ */
+router.get('/degrees/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const history = await DegreeService.getDegreeHistory(req.params.id, username);
+    return res.status(200).json({ success: true, degreeId: req.params.id, history });
+  } catch (error) {
+    console.error('Error in GET /api/degrees/:id/history:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/degrees/:id/versions/:version
+ * Get a specific (possibly superseded) version of an amended degree
+ */
+router.get('/degrees/:id/versions/:version', optionalAuth, async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const degree = await DegreeService.getDegreeVersion(req.params.id, req.params.version, username);
+    return res.status(200).json({ success: true, degree });
+  } catch (error) {
+    console.error('Error in GET /api/degrees/:id/versions/:version:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/degrees/:id/endorsement-policy
+ *
+ * Get the state-based endorsement policy of a degree: the organisations whose
+ * peers must endorse every change to it. Empty when only the chaincode
+ * endorsement policy applies. Public endpoint for verifiers and auditors.
+ *
+ * Success Response (200):
+ * { "success": true, "degreeId": "VN.KMA.2025.001", "endorsingOrgs": ["MoetMSP", "Org1MSP"] }
+ */
+router.get('/degrees/:id/endorsement-policy', optionalAuth, async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const policy = await DegreeService.getDegreeEndorsementPolicy(req.params.id, username);
+    return res.status(200).json({ success: true, ...policy });
+  } catch (error) {
+    console.error('Error in GET /api/degrees/:id/endorsement-policy:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/degrees/:id/endorsement-policy
+ *
+ * Require peers of each listed organisation (e.g. the university and the
+ * Ministry of Education) to endorse every later change to the degree.
+ * Replacing an existing policy needs the endorsement of its organisations,
+ * so ENDORSING_ORGANIZATIONS must include them.
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ *
+ * Request Body:
+ * { "organizations": ["Org1MSP", "MoetMSP"] }
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "transactionId": "abc123...",
+ *   "degreeId": "VN.KMA.2025.001",
+ *   "endorsingOrgs": ["MoetMSP", "Org1MSP"],
+ *   "previousEndorsingOrgs": []
+ * }
+ *
+ * Error Responses:
+ * - 400: invalid MSP IDs
+ * - 404: unknown degree
+ * - 500: the current policy was not satisfied (EndorsementError)
+ */
+router.put('/degrees/:id/endorsement-policy', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const result = await DegreeService.setDegreeEndorsementPolicy(req.params.id, req.body.organizations, username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in PUT /api/degrees/:id/endorsement-policy:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to set degree endorsement policy'
+    });
+  }
+});
+
+/**
+ * GET /api/degrees/:id/qr
+ *
+ * Generate the QR code printed on the diploma. The code encodes the public
+ * verification URL plus the degree's on-chain hash:
+ *   <VERIFY_BASE_URL>/<degreeId>?h=<sha256>
+ * Employers scan it to reach the verification page, which checks it with POST /api/verify/qr.
+ *
+ * Query Parameters:
+ * - format: png (default) | svg
+ *
+ * Success Response (200): the image (Content-Type image/png or image/svg+xml),
+ * with the encoded URL and hash in the X-Verification-Url and X-Degree-Hash headers.
+ */
+router.get('/degrees/:id/qr', optionalAuth, async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+
+    // Repeated query parameters arrive as arrays (?format=png&format=svg)
+    if (req.query.format !== undefined && typeof req.query.format !== 'string') {
+      return res.status(400).json({ success: false, error: 'format must be a single value: png or svg' });
+    }
+    const format = (req.query.format || 'png').toLowerCase();
+
+    const qr = await QrService.generateDegreeQr(req.params.id, format, username);
+
+    res.set('Content-Type', qr.contentType);
+    res.set('X-Verification-Url', qr.verificationUrl);
+    res.set('X-Degree-Hash', qr.degreeHash);
+    return res.status(200).send(qr.data);
+
+  } catch (error) {
+    console.error('Error in GET /api/degrees/:id/qr:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to generate QR code' });
+  }
+});
+
+/**
+ * GET /api/degrees/:id/credential
+ *
+ * Export a degree as a signed verifiable credential (JSON-LD).
+ * - issuer: did:web DID of the organisation (DID document at /.well-known/did.json)
+ * - credentialSubject: student and degree fields
+ * - credentialStatus: the public ledger verification endpoint and degree hash
+ * - proof: DataIntegrityProof (ecdsa-jcs-2019) signed with the organisation key
+ *
+ * ABAC: OU=admin hoặc OU=student (sinh viên chỉ xuất văn bằng của chính mình)
+ *
+ * Format selection (query parameter takes precedence over Accept):
+ * - ?format=w3c-vc (default) - W3C VC 2.0 UniversityDegreeCredential
+ * - ?format=openbadges-3 - Open Badges 3.0 OpenBadgeCredential
+ *   (or Accept with an Open Badges profile, e.g. profile="https://purl.imsglobal.org/spec/ob/v3p0")
+ * - ?format=europass-edc - Europass European Digital Credential
+ *   (or Accept with a Europass profile, e.g. profile="http://data.europa.eu/snb/model/edc")
+ *
+ * Success Response (200): the credential (application/vc+ld+json or application/ld+json)
+ */
+router.get('/degrees/:id/credential', authMiddleware, requireRole('admin', 'student'), async (req, res) => {
+  try {
+    const username = req.user.username;
+    const format = CredentialService.resolveCredentialFormat(req.query.format, req.get('Accept'));
+    const verification = await DegreeService.verifyDegree(req.params.id, username);
+
+    // AUTHORIZATION: Student can only export their own degree
+    if (req.user.ou === 'student') {
+      const authService = getAuthService();
+      const userProfile = await authService.getUserProfile(username);
+      const studentId = userProfile ? userProfile.studentId : username;
+
+      if (verification.degree.studentId !== studentId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Students can only export their own degree.'
+        });
+      }
+    }
+
+    const { credential, contentType } = await CredentialService.issueDegreeCredential(verification, format);
+
+    res.set('Content-Type', contentType);
+    return res.status(200).send(JSON.stringify(credential));
+
+  } catch (error) {
+    console.error('Error in GET /api/degrees/:id/credential:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message || 'Failed to export credential' });
+  }
+});
+
+/**
+ * GET /api/transcripts/grants
+ *
+ * List the access grants of the logged-in student's transcript.
+ * Declared before /transcripts/:studentId so "grants" is not taken as a studentId.
+ *
+ * ABAC: Chỉ cho phép OU=student (bảng điểm của chính mình)
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "studentId": "CT070211",
+ *   "grants": [
+ *     {
+ *       "targetMSP": "Org2MSP", "scope": "gpa-only", "status": "ACTIVE",
+ *       "expiresAt": "2026-12-31T00:00:00.000Z", "grantedAt": "...", "active": true
+ *     }
+ *   ]
+ * }
+ */
+router.get('/transcripts/grants', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    // Get studentId from user profile
+    const authService = getAuthService();
+    const userProfile = await authService.getUserProfile(req.user.username);
+    const studentId = userProfile ? userProfile.studentId : req.user.username;
+
+    const result = await TranscriptService.listAccessGrants(studentId, req.user.username);
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error in GET /api/transcripts/grants:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/transcripts/:studentId
+ * Get transcript for a student
+ */
+router.get('/transcripts/:studentId', authMiddleware, requireRole('admin', 'student'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const username = req.user ? req.user.username : null;
+    
+    // AUTHORIZATION: Student can only access their own transcript
+    if (req.user.ou === 'student') {
+      // Get student's actual studentId from profile
+      const authService = getAuthService();
+      const userProfile = await authService.getUserProfile(req.user.username);
+      const userStudentId = userProfile ? userProfile.studentId : req.user.username;
+      
+      if (userStudentId !== studentId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Students can only access their own transcript.'
+        });
+      }
+    }
+
+    const result = await TranscriptService.getTranscript(studentId, username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/transcripts/:studentId:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/transcripts/:studentId/versions
+ *
+ * List the versions of a student's transcript (metadata only: version,
+ * updatedAt, updatedBy, transcriptHash), oldest first.
+ *
+ * ABAC: OU=admin xem mọi bảng điểm, OU=student chỉ xem bảng điểm của chính mình
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "studentId": "CT070211",
+ *   "currentVersion": 2,
+ *   "versions": [
+ *     { "version": 1, "updatedAt": "...", "updatedBy": "Org1MSP", "transcriptHash": "..." },
+ *     { "version": 2, "updatedAt": "...", "updatedBy": "Org1MSP", "transcriptHash": "..." }
+ *   ]
+ * }
+ */
+router.get('/transcripts/:studentId/versions', authMiddleware, requireRole('admin', 'student'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const username = req.user ? req.user.username : null;
+    
+    // AUTHORIZATION: Student can only access their own transcript
+    if (req.user.ou === 'student') {
+      // Get student's actual studentId from profile
+      const authService = getAuthService();
+      const userProfile = await authService.getUserProfile(req.user.username);
+      const userStudentId = userProfile ? userProfile.studentId : req.user.username;
+      
+      if (userStudentId !== studentId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Students can only access their own transcript.'
+        });
+      }
+    }
+
+    const result = await TranscriptService.getTranscriptVersions(studentId, username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/transcripts/:studentId/versions:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/transcripts/:studentId/versions/diff?from=1&to=2
+ *
+ * Show what changed between two versions of a student's transcript.
+ * Without query parameters the current version is compared with the previous one.
+ *
+ * ABAC: OU=admin xem mọi bảng điểm, OU=student chỉ xem bảng điểm của chính mình
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "studentId": "CT070211",
+ *   "from": { "version": 1, "updatedAt": "...", "updatedBy": "Org1MSP" },
+ *   "to": { "version": 2, "updatedAt": "...", "updatedBy": "Org1MSP" },
+ *   "gpa": { "from": "3.4", "to": "3.5", "changed": true },
+ *   "courses": {
+ *     "added": [{ "course": "Networks", "grade": "8.5" }],
+ *     "removed": [],
+ *     "changed": [{ "course": "Databases", "from": "7.0", "to": "8.0" }],
+ *     "unchangedCount": 12
+ *   }
+ * }
+ */
+router.get('/transcripts/:studentId/versions/diff', authMiddleware, requireRole('admin', 'student'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { from, to } = req.query;
+    const username = req.user ? req.user.username : null;
+    
+    // AUTHORIZATION: Student can only access their own transcript
+    if (req.user.ou === 'student') {
+      // Get student's actual studentId from profile
+      const authService = getAuthService();
+      const userProfile = await authService.getUserProfile(req.user.username);
+      const userStudentId = userProfile ? userProfile.studentId : req.user.username;
+      
+      if (userStudentId !== studentId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Students can only access their own transcript.'
+        });
+      }
+    }
+
+    const result = await TranscriptService.diffTranscriptVersions(studentId, { from, to }, username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/transcripts/:studentId/versions/diff:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/transcripts/grant-access
+ * Grant an organisation (MSP) read access to the student's transcript
+ *
+ * ABAC: Chỉ cho phép OU=student (bảng điểm của chính mình)
+ *
+ * Request Body:
+ * {
+ *   "studentId": "CT070211",
+ *   "targetMSP": "Org2MSP",
+ *   "scope": "gpa-only",                       // full (default) or gpa-only
+ *   "expiresAt": "2026-12-31T00:00:00.000Z"    // optional, no expiry if omitted
+ * }
+ */
+router.post('/transcripts/grant-access', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const { studentId, targetMSP, scope, expiresAt } = req.body;
+    const username = req.user ? req.user.username : null;
+    const result = await TranscriptService.grantAccess(studentId, targetMSP, { scope, expiresAt }, username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/transcripts/grant-access:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/transcripts/revoke-access
+ * Revoke an organisation's access to the logged-in student's transcript
+ *
+ * ABAC: Chỉ cho phép OU=student (bảng điểm của chính mình)
+ *
+ * Request Body:
+ * {
+ *   "targetMSP": "Org2MSP"
+ * }
+ */
+router.post('/transcripts/revoke-access', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    // Get studentId from user profile
+    const authService = getAuthService();
+    const userProfile = await authService.getUserProfile(req.user.username);
+    const studentId = userProfile ? userProfile.studentId : req.user.username;
+
+    const result = await TranscriptService.revokeAccess(studentId, req.body.targetMSP, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/transcripts/revoke-access:', error.message);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error instanceof ConnectionError) {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+
     return res.status(500).json({ success: false, error: error.message });
   }
 });
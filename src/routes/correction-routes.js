@@ -0,0 +1,209 @@
+/**
+ * Correction Routes Module
+ *
+ * Defines admin endpoints for reviewing transcript correction requests filed
+ * by students (POST /api/transcripts/request-correction).
+ *
+ * - GET /api/admin/corrections - List requests (filter by status, studentId)
+ * - GET /api/admin/corrections/integrity - Re-check decisions against the ledger
+ * - GET /api/admin/corrections/:id - A request with the student's current transcript
+ * - POST /api/admin/corrections/:id/approve - Apply the corrected transcript
+ * - POST /api/admin/corrections/:id/reject - Reject with notes
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const CorrectionService = require('../services/correction-service');
+
+// Import auth middleware for ABAC
+const {
+  authMiddleware,
+  requireRole
+} = require('../middleware/auth-middleware');
+
+// Import error classes
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ConnectionError
+} = require('../middleware/error-handler');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by CorrectionService
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConnectionError) {
+    return res.status(503).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+/**
+ * GET /api/admin/corrections
+ *
+ * List correction requests, oldest first.
+ *
+ * Query Parameters:
+ * - status: pending | approving | approved | rejected
+ * - studentId: only requests of this student
+ * - limit (default 50, max 200), offset
+ *
+ * Success Response (200):
+ * { "success": true, "total": 3, "requests": [{ "requestId": 12, "studentId": "CT070211", "status": "pending", ... }] }
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { status, studentId, limit, offset } = req.query;
+    const result = await CorrectionService.listCorrectionRequests({ status, studentId, limit, offset });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/corrections:', error.message);
+    return sendError(res, error, 'Failed to list correction requests');
+  }
+});
+
+/**
+ * GET /api/admin/corrections/integrity
+ *
+ * Re-check every reviewed request against the correction-decision records on the
+ * ledger (decision, reviewer, student, hash of the requested data, transcript
+ * transaction) and list the requests whose database row has drifted.
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "checked": 42,
+ *   "consistent": false,
+ *   "drift": [
+ *     {
+ *       "requestId": 12,
+ *       "issues": ["decision_mismatch"],
+ *       "database": { "status": "approved", "reviewedBy": "admin", ... },
+ *       "ledger": { "decision": "rejected", "reviewer": "admin", "decidedAt": "...", "txId": "..." }
+ *     }
+ *   ]
+ * }
+ *
+ * Issues: not_anchored, decision_mismatch, reviewer_mismatch, student_mismatch,
+ * requested_data_mismatch, transaction_mismatch, pending_in_database, missing_in_database
+ */
+router.get('/integrity', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await CorrectionService.checkDecisionIntegrity(req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/corrections/integrity:', error.message);
+    return sendError(res, error, 'Failed to check correction decisions');
+  }
+});
+
+/**
+ * GET /api/admin/corrections/:id
+ *
+ * A correction request with the student's transcript next to it: the current
+ * on-chain transcript while pending, the transcript at review time afterwards
+ * (null if the student had none).
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "request": { "requestId": 12, "requestedData": { ... }, "status": "pending", ... },
+ *   "currentTranscript": { "studentId": "CT070211", "gpa": "3.60", "transcript": { ... }, ... }
+ * }
+ */
+router.get('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await CorrectionService.getCorrectionRequest(req.params.id, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/corrections/:id:', error.message);
+    return sendError(res, error, 'Failed to get correction request');
+  }
+});
+
+/**
+ * POST /api/admin/corrections/:id/approve
+ *
+ * Approve a pending request: the corrected transcript is submitted with
+ * UpdateTranscript (a new transcript version) and the transaction ID recorded.
+ * If the submission fails the request stays pending. The decision is then
+ * anchored on the ledger; if that fails the approval still stands and
+ * "anchored" is false (reported as not_anchored by /integrity).
+ *
+ * Request Body:
+ * {
+ *   "transcriptData": {
+ *     "gpa": "3.65",
+ *     "detailedGrades": { "Mat ma hoc": "9" },
+ *     "personalInfo": { ... }
+ *   },
+ *   "notes": "Grade corrected after re-marking"
+ * }
+ * transcriptData takes the same fields as POST /api/transcripts (courses instead of
+ * detailedGrades for structured transcripts); studentId comes from the request and
+ * personalInfo defaults to the current one.
+ *
+ * Success Response (200):
+ * { "success": true, "request": { "status": "approved", ... }, "transactionId": "abc123...", "anchored": true }
+ *
+ * Error Responses:
+ * - 400: invalid transcript data
+ * - 404: unknown request
+ * - 409: the request has already been reviewed
+ */
+router.post('/:id/approve', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { transcriptData, notes } = req.body;
+    const result = await CorrectionService.approveCorrectionRequest(
+      req.params.id,
+      { transcriptData, notes },
+      req.user.username
+    );
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/admin/corrections/:id/approve:', error.message);
+    return sendError(res, error, 'Failed to approve correction request');
+  }
+});
+
+/**
+ * POST /api/admin/corrections/:id/reject
+ *
+ * Reject a pending request. notes are required and shown to the student.
+ * The rejection is anchored on the ledger first; if that fails it is not stored.
+ *
+ * Request Body:
+ * { "notes": "The grade was recorded correctly" }
+ *
+ * Success Response (200):
+ * { "success": true, "request": { "status": "rejected", "notes": "...", ... } }
+ */
+router.post('/:id/reject', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await CorrectionService.rejectCorrectionRequest(req.params.id, req.body.notes, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/admin/corrections/:id/reject:', error.message);
+    return sendError(res, error, 'Failed to reject correction request');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * Endorsement Policy Routes Module
+ *
+ * Defines admin endpoints for the state-based endorsement policy that
+ * IssueDegree applies to newly issued degrees (e.g. requiring both the
+ * university and the Ministry of Education to endorse later changes).
+ * Policies of individual degrees are managed with
+ * GET/PUT /api/degrees/:id/endorsement-policy.
+ *
+ * - GET /api/admin/endorsement-policy - Current default policy
+ * - PUT /api/admin/endorsement-policy - Replace the default policy
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const DegreeService = require('../services/degree-service');
+
+// Import auth middleware for ABAC
+const {
+  authMiddleware,
+  requireRole
+} = require('../middleware/auth-middleware');
+
+// Import error classes
+const {
+  ValidationError,
+  ConflictError,
+  ConnectionError
+} = require('../middleware/error-handler');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by DegreeService
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConnectionError) {
+    return res.status(503).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+/**
+ * GET /api/admin/endorsement-policy
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "endorsingOrgs": ["MoetMSP", "Org1MSP"],
+ *   "updatedAt": "2025-06-20T08:00:00.000Z",
+ *   "updatedBy": { "mspId": "Org1MSP", "ou": "admin", "id": "x509::..." },
+ *   "txId": "abc123..."
+ * }
+ * endorsingOrgs is empty when new degrees only need the chaincode endorsement policy.
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const defaults = await DegreeService.getEndorsementDefaults(req.user.username);
+    return res.status(200).json({ success: true, ...defaults });
+  } catch (error) {
+    console.error('Error in GET /api/admin/endorsement-policy:', error.message);
+    return sendError(res, error, 'Failed to get endorsement policy');
+  }
+});
+
+/**
+ * PUT /api/admin/endorsement-policy
+ *
+ * Set the organisations whose peers must endorse changes to degrees issued from
+ * now on; degrees already issued keep their policy. An empty list stops applying
+ * a policy. Once organisations are configured, this setting can only be changed
+ * with their endorsement too, so ENDORSING_ORGANIZATIONS must include them.
+ *
+ * Request Body:
+ * { "organizations": ["Org1MSP", "MoetMSP"] }
+ *
+ * Success Response (200):
+ * { "success": true, "transactionId": "abc123...", "endorsingOrgs": ["MoetMSP", "Org1MSP"] }
+ */
+router.put('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await DegreeService.setEndorsementDefaults(req.body.organizations, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in PUT /api/admin/endorsement-policy:', error.message);
+    return sendError(res, error, 'Failed to set endorsement policy');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * Grading Scale Routes Module
+ *
+ * Defines admin endpoints for the grading-scale registry used to normalise
+ * structured transcript grades (10-point -> letter -> 4-point), compute the
+ * cumulative GPA and derive degree classifications.
+ *
+ * - GET /api/admin/grading-scales - List registered scales and the default scale
+ * - GET /api/admin/grading-scales/:id - Get one scale
+ * - POST /api/admin/grading-scales - Register a scale for a university
+ * - PUT /api/admin/grading-scales/:id - Replace a scale
+ * - DELETE /api/admin/grading-scales/:id - Delete a scale (the default applies again)
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const GradingService = require('../services/grading-service');
+
+// Import auth middleware for ABAC
+const {
+  authMiddleware,
+  requireRole
+} = require('../middleware/auth-middleware');
+
+// Import error classes
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/error-handler');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by GradingService
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+/**
+ * GET /api/admin/grading-scales
+ * List registered grading scales; universities without one use defaultScale
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await GradingService.listGradingScales();
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/grading-scales:', error.message);
+    return sendError(res, error, 'Failed to list grading scales');
+  }
+});
+
+/**
+ * GET /api/admin/grading-scales/:id
+ * Get a grading scale
+ */
+router.get('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const scale = await GradingService.getGradingScale(req.params.id);
+    return res.status(200).json({ success: true, scale });
+  } catch (error) {
+    console.error('Error in GET /api/admin/grading-scales/:id:', error.message);
+    return sendError(res, error, 'Failed to get grading scale');
+  }
+});
+
+/**
+ * POST /api/admin/grading-scales
+ *
+ * Register the grading scale of a university. Structured transcripts of that
+ * university (personalInfo.university) are normalised with it, and degrees
+ * issued without a classification get one from its thresholds.
+ *
+ * Request Body:
+ * {
+ *   "university": "Hoc Vien Ky Thuat Mat Ma",
+ *   "name": "KMA 2021",
+ *   "tenPointToLetter": [
+ *     { "min": 9.0, "letter": "A+" }, { "min": 8.5, "letter": "A" }, { "min": 8.0, "letter": "B+" },
+ *     { "min": 7.0, "letter": "B" }, { "min": 6.5, "letter": "C+" }, { "min": 5.5, "letter": "C" },
+ *     { "min": 5.0, "letter": "D+" }, { "min": 4.0, "letter": "D" }, { "min": 0, "letter": "F" }
+ *   ],
+ *   "letterToPoint": { "A+": 4.0, "A": 3.8, "B+": 3.5, "B": 3.0, "C+": 2.5, "C": 2.0, "D+": 1.5, "D": 1.0, "F": 0 },
+ *   "classifications": [
+ *     { "minGpa": 3.6, "classification": "Xuat sac" },
+ *     { "minGpa": 3.2, "classification": "Gioi" },
+ *     { "minGpa": 2.5, "classification": "Kha" },
+ *     { "minGpa": 2.0, "classification": "Trung binh" }
+ *   ]
+ * }
+ *
+ * Success Response (201):
+ * { "success": true, "scale": { "id": 1, "university": "...", ... } }
+ *
+ * Error Responses:
+ * - 400: invalid definition
+ * - 409: the university already has a scale
+ */
+router.post('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await GradingService.createGradingScale(req.body, req.user.username);
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/admin/grading-scales:', error.message);
+    return sendError(res, error, 'Failed to create grading scale');
+  }
+});
+
+/**
+ * PUT /api/admin/grading-scales/:id
+ * Replace a grading scale (same body as POST; university may be omitted to keep it).
+ * Transcripts already recorded keep the grade points they were stored with.
+ */
+router.put('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await GradingService.updateGradingScale(req.params.id, req.body);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in PUT /api/admin/grading-scales/:id:', error.message);
+    return sendError(res, error, 'Failed to update grading scale');
+  }
+});
+
+/**
+ * DELETE /api/admin/grading-scales/:id
+ * Delete a grading scale; the university falls back to the default scale
+ */
+router.delete('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await GradingService.deleteGradingScale(req.params.id);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/grading-scales/:id:', error.message);
+    return sendError(res, error, 'Failed to delete grading scale');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+/**
+ * Import Routes Module
+ *
+ * Defines admin endpoints for importing graduating cohorts from CSV exports
+ * of the student information system into degrees and transcripts.
+ *
+ * - POST /api/admin/imports - Validate (dry run) or commit a CSV import
+ * - GET /api/admin/imports - List import jobs
+ * - GET /api/admin/imports/:id - Job status and per-row results
+ * - POST /api/admin/imports/:id/retry - Re-run only the failed rows
+ *
+ * Degree imports are submitted only after their import_degrees pending action
+ * has been approved by other admins (see /api/admin/pending-actions).
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const ImportService = require('../services/import-service');
+
+// Import auth middleware for ABAC
+const {
+  authMiddleware,
+  requireRole
+} = require('../middleware/auth-middleware');
+
+// Import error classes
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/error-handler');
+
+// Accept raw CSV uploads (Content-Type: text/csv) in addition to JSON bodies
+router.use(express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }));
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by ImportService
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+/**
+ * POST /api/admin/imports
+ *
+ * Validate or commit a CSV import. The first CSV row is the header.
+ *
+ * Column mapping:
+ * - By default a column maps to the field with the same name (case, spaces,
+ *   underscores and dashes are ignored), e.g. "Degree ID" -> degreeId.
+ * - columnMapping overrides this: { "studentName": "Ho va ten" }.
+ * - type=degree fields: degreeId, studentId, degreeType, studentName, universityName,
+ *   major, classification, issueDate, transcriptHash; an empty classification is
+ *   derived from the student's transcript GPA when the row is issued
+ * - type=transcript fields: studentId, gpa, university, major, dateOfBirth, gender,
+ *   nationality, contactInfo, citizenId; every "grade:<subject>" column becomes
+ *   detailedGrades[<subject>]
+ *
+ * Request (JSON):
+ * {
+ *   "type": "degree",
+ *   "dryRun": true,
+ *   "fileName": "k70-graduates.csv",
+ *   "columnMapping": { "studentName": "Ho va ten" },
+ *   "csv": "degreeId,studentId,...\nVN.KMA.2025.001,CT070211,..."
+ * }
+ *
+ * Request (raw file):
+ *   Content-Type: text/csv
+ *   POST /api/admin/imports?type=degree&dryRun=true&fileName=k70.csv
+ *
+ * Dry-run Response (200):
+ * {
+ *   "success": true,
+ *   "dryRun": true,
+ *   "totalRows": 2, "validRows": 1, "invalidRows": 1,
+ *   "rows": [{ "rowNumber": 1, "valid": false, "error": "issueDate must be ...", "data": { ... } }]
+ * }
+ *
+ * Commit Response (202):
+ * {
+ *   "success": true,
+ *   "job": { "jobId": 12, "status": "awaiting_approval", "totalRows": 2, ... },
+ *   "pendingAction": { "actionId": 8, "type": "import_degrees", "subject": "import-job-12", ... }
+ * }
+ * A transcript job starts at once (status pending, no pendingAction). A degree
+ * job waits in awaiting_approval until its pending action is approved, unless
+ * APPROVAL_QUORUM_IMPORT_DEGREES is 1.
+ */
+router.post('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const isRawCsv = typeof req.body === 'string';
+    const params = isRawCsv ? req.query : { ...req.query, ...req.body };
+
+    const importData = {
+      type: params.type,
+      csv: isRawCsv ? req.body : params.csv,
+      columnMapping: params.columnMapping,
+      fileName: params.fileName
+    };
+
+    if (typeof importData.columnMapping === 'string') {
+      try {
+        importData.columnMapping = JSON.parse(importData.columnMapping);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          error: 'columnMapping must be valid JSON'
+        });
+      }
+    }
+
+    const dryRun = params.dryRun === true || params.dryRun === 'true';
+
+    if (dryRun) {
+      const report = ImportService.previewImport(importData);
+      return res.status(200).json(report);
+    }
+
+    const result = await ImportService.createImportJob(importData, req.user.username);
+    return res.status(202).json(result);
+
+  } catch (error) {
+    console.error('Error in POST /api/admin/imports:', error.message);
+    return sendError(res, error, 'Failed to import CSV');
+  }
+});
+
+/**
+ * GET /api/admin/imports
+ * List import jobs (newest first)
+ *
+ * Query: ?status=completed_with_errors&type=degree&limit=50&offset=0
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { status, type, limit, offset } = req.query;
+    const result = await ImportService.listImportJobs({ status, type, limit, offset });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/imports:', error.message);
+    return sendError(res, error, 'Failed to list import jobs');
+  }
+});
+
+/**
+ * GET /api/admin/imports/:id
+ * Get job status and per-row results
+ *
+ * Query: ?rowStatus=failed to only return failed rows
+ */
+router.get('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await ImportService.getImportJob(req.params.id, { rowStatus: req.query.rowStatus });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/imports/:id:', error.message);
+    return sendError(res, error, 'Failed to get import job');
+  }
+});
+
+/**
+ * POST /api/admin/imports/:id/retry
+ * Re-run only the failed rows of a finished (or stalled) import job
+ *
+ * A degree job also retries after its pending action was rejected or expired.
+ * Its failed rows are re-run once a new import_degrees action (returned as
+ * pendingAction) is approved.
+ *
+ * Request (optional, corrects failed rows before they are re-run):
+ * {
+ *   "rows": [{ "rowNumber": 3, "data": { "issueDate": "2025-06-30" } }]
+ * }
+ */
+router.post('/:id/retry', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const corrections = req.body && typeof req.body === 'object' ? req.body.rows : undefined;
+    const result = await ImportService.retryFailedRows(req.params.id, req.user.username, corrections);
+    return res.status(202).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/admin/imports/:id/retry:', error.message);
+    return sendError(res, error, 'Failed to retry import job');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+/**
+ * Pending Action Routes Module
+ *
+ * Defines admin endpoints for the multi-signature approval of degree actions.
+ * POST /api/degrees, /api/degrees/batch, /api/degrees/revoke, /api/degrees/reinstate,
+ * PUT /api/degrees/:id and degree imports (POST /api/admin/imports) create pending
+ * actions; they are submitted to Fabric once enough distinct admins have approved them.
+ *
+ * The quorum is enforced here only: the chaincode accepts these transactions
+ * from any single OU=admin identity that submits to Fabric directly.
+ *
+ * - GET /api/admin/pending-actions - List actions (filter by status, type)
+ * - GET /api/admin/pending-actions/:id - An action with its approvals
+ * - POST /api/admin/pending-actions/:id/approve - Approve (executes at quorum)
+ * - POST /api/admin/pending-actions/:id/reject - Reject or withdraw
+ *
+ * ABAC: Chỉ cho phép OU=admin
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const PendingActionService = require('../services/pending-action-service');
+
+// Import auth middleware for ABAC
+const {
+  authMiddleware,
+  requireRole
+} = require('../middleware/auth-middleware');
+
+// Import error classes
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ConnectionError
+} = require('../middleware/error-handler');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by PendingActionService or DegreeService
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConnectionError) {
+    return res.status(503).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+/**
+ * GET /api/admin/pending-actions
+ *
+ * List degree actions, newest first. Pending actions past their expiry are
+ * marked expired first.
+ *
+ * Query Parameters:
+ * - status: pending | executing | executed | rejected | expired | failed
+ * - type: issue_degree | issue_degree_batch | import_degrees | revoke_degree |
+ *   reinstate_degree | amend_degree
+ *
+ * Success Response (200):
+ * { "success": true, "actions": [{ "actionId": 7, "type": "issue_degree", "status": "pending", ... }] }
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const result = await PendingActionService.listActions({ status, type });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/pending-actions:', error.message);
+    return sendError(res, error, 'Failed to list pending actions');
+  }
+});
+
+/**
+ * GET /api/admin/pending-actions/:id
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "pendingAction": {
+ *     "actionId": 7,
+ *     "type": "issue_degree",
+ *     "subject": "VN.KMA.2025.001",
+ *     "payload": { "degreeId": "VN.KMA.2025.001", "classification": "Gioi", ... },
+ *     "status": "pending",
+ *     "requiredApprovals": 2,
+ *     "approvals": [{ "approver": "registrar", "approvedAt": "..." }],
+ *     "proposedBy": "registrar",
+ *     "expiresAt": "...",
+ *     ...
+ *   }
+ * }
+ */
+router.get('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await PendingActionService.getAction(req.params.id);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in GET /api/admin/pending-actions/:id:', error.message);
+    return sendError(res, error, 'Failed to get pending action');
+  }
+});
+
+/**
+ * POST /api/admin/pending-actions/:id/approve
+ *
+ * Approve a pending action. Each admin can approve once and the proposer's
+ * approval is already counted. When the quorum is reached the action is submitted
+ * to Fabric with the caller's identity; if that fails the action is marked failed
+ * (with the error) and has to be proposed again.
+ *
+ * Success Response (200):
+ * { "success": true, "executed": true, "pendingAction": { ..., "status": "executed", "transactionId": "..." }, "result": { ... } }
+ *
+ * Error Responses:
+ * - 404: unknown action
+ * - 409: not pending, expired, or already approved by the caller
+ */
+router.post('/:id/approve', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await PendingActionService.approveAction(req.params.id, req.user.username);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/admin/pending-actions/:id/approve:', error.message);
+    return sendError(res, error, 'Failed to approve pending action');
+  }
+});
+
+/**
+ * POST /api/admin/pending-actions/:id/reject
+ *
+ * Reject a pending action; the proposer can use this to withdraw it.
+ *
+ * Request Body:
+ * { "notes": "Wrong major" }
+ *
+ * Success Response (200):
+ * { "success": true, "pendingAction": { ..., "status": "rejected" } }
+ */
+router.post('/:id/reject', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await PendingActionService.rejectAction(req.params.id, req.user.username, req.body.notes);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in POST /api/admin/pending-actions/:id/reject:', error.message);
+    return sendError(res, error, 'Failed to reject pending action');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * University Routes Module
+ *
+ * Defines endpoints for the on-chain university registry. A degree can only be
+ * issued in the name of a registered, accredited university by admins of the
+ * MSPs (and, if listed, the issuers) authorised for it.
+ *
+ * - GET /api/universities - List registered universities
+ * - GET /api/universities/:code - A university by code or legal name
+ *
+ * The registry is maintained by the governance MSP (e.g. the Ministry of
+ * Education) with its own identities; this backend has no write endpoints.
+ *
+ * ABAC: GET công khai
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const UniversityService = require('../services/university-service');
+
+// Import auth middleware for ABAC
+const { optionalAuth } = require('../middleware/auth-middleware');
+
+// Import error classes
+const {
+  ValidationError,
+  NotFoundError,
+  ConnectionError
+} = require('../middleware/error-handler');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by UniversityService
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ConnectionError) {
+    return res.status(503).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+}
+
+/**
+ * GET /api/universities
+ * List registered universities, sorted by code
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const universities = await UniversityService.listUniversities(username);
+    return res.status(200).json({ success: true, universities });
+  } catch (error) {
+    console.error('Error in GET /api/universities:', error.message);
+    return sendError(res, error, 'Failed to list universities');
+  }
+});
+
+/**
+ * GET /api/universities/:code
+ *
+ * Success Response (200):
+ * {
+ *   "success": true,
+ *   "university": {
+ *     "code": "KMA",
+ *     "legalName": "Hoc Vien Ky Thuat Mat Ma",
+ *     "authorizedMSPs": ["Org1MSP"],
+ *     "authorizedIssuers": [],
+ *     "accreditationStatus": "ACCREDITED",
+ *     "validFrom": "2025-01-01T00:00:00.000Z",
+ *     "validUntil": null,
+ *     "registeredAt": "...",
+ *     "updatedAt": "...",
+ *     "updatedBy": { "mspId": "MoetMSP", "ou": "governance", "id": "x509::..." },
+ *     "txId": "abc123..."
+ *   }
+ * }
+ */
+router.get('/:code', optionalAuth, async (req, res) => {
+  try {
+    const username = req.user ? req.user.username : null;
+    const university = await UniversityService.getUniversity(req.params.code, username);
+    return res.status(200).json({ success: true, university });
+  } catch (error) {
+    console.error('Error in GET /api/universities/:code:', error.message);
+    return sendError(res, error, 'Failed to get university');
+  }
+});
+
+module.exports = router;
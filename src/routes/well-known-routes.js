@@ -0,0 +1,31 @@
+/**
+ * Well-Known Routes Module
+ *
+ * Public discovery documents served under /.well-known.
+ *
+ * - GET /.well-known/did.json - DID document of the credential issuer (did:web),
+ *   used by verifiers to resolve the key that signs Verifiable Credentials
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const CredentialService = require('../services/credential-service');
+
+/**
+ * GET /.well-known/did.json
+ * Resolve the issuer DID (did:web) to its DID document
+ */
+router.get('/did.json', async (req, res) => {
+  try {
+    const didDocument = await CredentialService.getIssuerDidDocument();
+    res.set('Content-Type', 'application/did+json');
+    return res.status(200).send(JSON.stringify(didDocument));
+  } catch (error) {
+    console.error('Error in GET /.well-known/did.json:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
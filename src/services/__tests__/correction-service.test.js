@@ -0,0 +1,411 @@
+/**
+ * Correction Service tests: review workflow of correction requests
+ */
+
+jest.mock('../../database/db');
+
+const crypto = require('crypto');
+const db = require('../../database/db');
+const { GatewayConnectionManager } = require('../../fabric/gateway-connection');
+const TranscriptService = require('../transcript-service');
+const CorrectionService = require('../correction-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../../middleware/error-handler');
+
+const REQUEST_ROW = {
+  id: 12,
+  student_id: 'CT070211',
+  request_type: 'transcript_correction',
+  status: 'pending',
+  requested_data: { course: 'ATTT101', grade: 'A', reason: 'Grade entered wrongly' },
+  reason: 'Grade entered wrongly',
+  requested_by: 'CT070211'
+};
+
+const CURRENT_TRANSCRIPT = {
+  studentId: 'CT070211',
+  gpa: '3.20',
+  transcript: { ATTT101: 'B' },
+  personalInfo: { citizenId: '001200000001' }
+};
+
+let contract;
+let proposal;
+
+/**
+ * Build a fake pg client whose query results are chosen by SQL text
+ * @param {Array<[RegExp, Function|Object]>} handlers - First matching handler wins
+ * @returns {Object} Client with a query mock and release
+ */
+function fakeClient(handlers) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      for (const [pattern, result] of handlers) {
+        if (pattern.test(sql)) {
+          return typeof result === 'function' ? result(params) : result;
+        }
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+}
+
+/**
+ * Fake client holding a copy of the given request row (client.stored), updated
+ * in place by the service through the client and through db.query
+ * @param {Object} row - correction_requests row
+ * @returns {Object} Client
+ */
+function clientFor(row) {
+  const stored = { ...row };
+  const update = fields => () => {
+    Object.assign(stored, fields);
+    return { rows: [{ ...stored }] };
+  };
+  const client = fakeClient([
+    [/FOR UPDATE/, () => ({ rows: [{ ...stored }] })],
+    [/SET status = 'approving'/, params =>
+      update({ status: 'approving', reviewed_by: params[1], notes: params[2], current_data: params[3] })()],
+    [/SET status = 'rejected'/, params =>
+      update({ status: 'rejected', reviewed_by: params[1], notes: params[2], current_data: params[3] })()]
+  ]);
+  db.query.mockImplementation(async (sql, params) => {
+    if (/SET status = 'approved'/.test(sql)) {
+      return update({ status: 'approved', transaction_id: params[1], decision_transaction_id: params[2] })();
+    }
+    if (/SET status = 'pending'/.test(sql)) {
+      return update({ status: 'pending', reviewed_by: null, notes: null, current_data: null })();
+    }
+    return { rows: [] };
+  });
+  client.stored = stored;
+  return client;
+}
+
+/**
+ * SQL statements issued through a fake client, whitespace collapsed
+ * @param {Object} client - Fake client
+ * @returns {Array<string>} Statements in order
+ */
+function statements(client) {
+  return client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  proposal = {
+    getTransactionId: jest.fn().mockReturnValue('tx-decision'),
+    endorse: jest.fn().mockResolvedValue({ submit: jest.fn().mockResolvedValue() })
+  };
+  contract = {
+    newProposal: jest.fn().mockReturnValue(proposal),
+    evaluateTransaction: jest.fn()
+  };
+  jest.spyOn(GatewayConnectionManager, 'getInstance').mockResolvedValue({
+    getContractWithUserIdentity: jest.fn().mockResolvedValue(contract)
+  });
+  jest.spyOn(TranscriptService, 'getTranscriptRecord').mockResolvedValue({
+    raw: JSON.stringify(CURRENT_TRANSCRIPT),
+    transcript: CURRENT_TRANSCRIPT
+  });
+  jest.spyOn(TranscriptService, 'addPrivateTranscript').mockResolvedValue({ transactionId: 'tx-transcript' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('approveCorrectionRequest', () => {
+  it('applies the correction, anchors the decision and stores the transcript as it was', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await CorrectionService.approveCorrectionRequest('12', {
+      transcriptData: { gpa: '3.40', detailedGrades: { ATTT101: 'A' } },
+      notes: 'Checked with the lecturer'
+    }, 'admin1');
+
+    expect(result).toMatchObject({ success: true, transactionId: 'tx-transcript', anchored: true });
+    expect(result.request).toMatchObject({ status: 'approved', reviewedBy: 'admin1', notes: 'Checked with the lecturer' });
+    // personalInfo defaults to the current one
+    expect(TranscriptService.addPrivateTranscript).toHaveBeenCalledWith({
+      gpa: '3.40',
+      detailedGrades: { ATTT101: 'A' },
+      studentId: 'CT070211',
+      personalInfo: CURRENT_TRANSCRIPT.personalInfo
+    }, 'admin1');
+
+    const anchorArgs = contract.newProposal.mock.calls[0][1].arguments;
+    expect(anchorArgs).toEqual(['12', 'CT070211', expect.stringMatching(/^[0-9a-f]{64}$/), 'approved', 'admin1', 'tx-transcript']);
+
+    expect(client.stored).toMatchObject({
+      status: 'approved',
+      reviewed_by: 'admin1',
+      notes: 'Checked with the lecturer',
+      current_data: JSON.stringify(CURRENT_TRANSCRIPT),
+      transaction_id: 'tx-transcript',
+      decision_transaction_id: 'tx-decision'
+    });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('commits the request as approving before submitting the transcript', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+    TranscriptService.addPrivateTranscript.mockImplementation(async () => {
+      expect(statements(client).slice(-2)).toEqual([expect.stringMatching(/SET status = 'approving'/), 'COMMIT']);
+      // A second reviewer finds the request claimed
+      await expect(CorrectionService.rejectCorrectionRequest(12, 'Duplicate', 'admin2'))
+        .rejects.toThrow('Correction request 12 is being approved');
+      return { transactionId: 'tx-transcript' };
+    });
+
+    await CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '3.40' } }, 'admin1');
+
+    expect(TranscriptService.addPrivateTranscript).toHaveBeenCalledTimes(1);
+    expect(client.stored.status).toBe('approved');
+  });
+
+  it('does not apply the correction again when the approval cannot be recorded', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+    db.query.mockRejectedValue(new Error('Connection terminated unexpectedly'));
+
+    await expect(CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '3.40' } }, 'admin1'))
+      .rejects.toThrow('Connection terminated unexpectedly');
+
+    expect(client.stored.status).toBe('approving');
+    await expect(CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '3.40' } }, 'admin2'))
+      .rejects.toThrow('Correction request 12 is being approved');
+    expect(TranscriptService.addPrivateTranscript).toHaveBeenCalledTimes(1);
+  });
+
+  it.each(['approved', 'rejected'])('refuses a request that has already been %s', async (status) => {
+    const client = clientFor({ ...REQUEST_ROW, status });
+    db.getClient.mockResolvedValue(client);
+
+    await expect(CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '3.40' } }, 'admin1'))
+      .rejects.toThrow(`Correction request 12 has already been ${status}`);
+    expect(TranscriptService.addPrivateTranscript).not.toHaveBeenCalled();
+    expect(statements(client)).toContain('ROLLBACK');
+  });
+
+  it('leaves the request pending when the corrected transcript is rejected by the ledger', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+    TranscriptService.addPrivateTranscript.mockRejectedValue(new ValidationError('Invalid GPA value'));
+
+    await expect(CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '9' } }, 'admin1'))
+      .rejects.toThrow(ValidationError);
+    expect(client.stored).toMatchObject({ status: 'pending', reviewed_by: null, current_data: null });
+    expect(contract.newProposal).not.toHaveBeenCalled();
+  });
+
+  it('keeps an applied correction approved when anchoring the decision fails', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+    proposal.endorse.mockRejectedValue(new Error('UNAVAILABLE: peer down'));
+
+    const result = await CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '3.40' } }, 'admin1');
+
+    expect(result.anchored).toBe(false);
+    expect(client.stored).toMatchObject({ status: 'approved', transaction_id: 'tx-transcript', decision_transaction_id: null });
+  });
+
+  it('validates the request ID and the corrected data before locking anything', async () => {
+    await expect(CorrectionService.approveCorrectionRequest('12abc', { transcriptData: {} }, 'admin1'))
+      .rejects.toThrow('requestId must be a number');
+    await expect(CorrectionService.approveCorrectionRequest(12, { transcriptData: [] }, 'admin1'))
+      .rejects.toThrow('transcriptData is required and must be an object');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('reports an unknown request as not found', async () => {
+    const client = fakeClient([]);
+    db.getClient.mockResolvedValue(client);
+
+    await expect(CorrectionService.approveCorrectionRequest(99, { transcriptData: {} }, 'admin1'))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('students without a transcript', () => {
+  beforeEach(() => {
+    // Let the real TranscriptService read fail as the gateway reports it
+    TranscriptService.getTranscriptRecord.mockRestore();
+    contract.evaluateTransaction.mockRejectedValue(
+      new Error('10 ABORTED: failed to evaluate transaction: chaincode response 500, Transcript for student CT070211 not found')
+    );
+  });
+
+  it('shows a pending request with no current transcript', async () => {
+    db.query.mockResolvedValue({ rows: [REQUEST_ROW] });
+
+    const result = await CorrectionService.getCorrectionRequest('12', 'admin1');
+
+    expect(result.currentTranscript).toBeNull();
+    expect(result.request).toMatchObject({ requestId: 12, status: 'pending' });
+  });
+
+  it('approves the first transcript of a student', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await CorrectionService.approveCorrectionRequest(12, { transcriptData: { gpa: '3.40' } }, 'admin1');
+
+    expect(result.request.status).toBe('approved');
+    expect(TranscriptService.addPrivateTranscript).toHaveBeenCalledWith(
+      { gpa: '3.40', studentId: 'CT070211', personalInfo: undefined },
+      'admin1'
+    );
+    expect(client.stored).toMatchObject({ status: 'approved', current_data: null });
+  });
+
+  it('still fails on other ledger errors', async () => {
+    contract.evaluateTransaction.mockRejectedValue(new Error('14 UNAVAILABLE: connection refused'));
+    db.query.mockResolvedValue({ rows: [REQUEST_ROW] });
+
+    await expect(CorrectionService.getCorrectionRequest('12', 'admin1')).rejects.toThrow('Service unavailable.');
+  });
+});
+
+describe('rejectCorrectionRequest', () => {
+  it('requires notes for the student', async () => {
+    await expect(CorrectionService.rejectCorrectionRequest(12, '  ', 'admin1')).rejects.toThrow(ValidationError);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('anchors the rejection before storing it, without touching the transcript', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await CorrectionService.rejectCorrectionRequest(12, ' Grade is correct ', 'admin1');
+
+    expect(result.request).toMatchObject({ status: 'rejected', notes: 'Grade is correct' });
+    expect(TranscriptService.addPrivateTranscript).not.toHaveBeenCalled();
+    expect(contract.newProposal.mock.calls[0][1].arguments).toEqual(
+      ['12', 'CT070211', expect.any(String), 'rejected', 'admin1', '']
+    );
+  });
+
+  it('keeps the request pending when the rejection cannot be anchored', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+    proposal.endorse.mockRejectedValue(new Error('UNAVAILABLE: peer down'));
+
+    await expect(CorrectionService.rejectCorrectionRequest(12, 'Grade is correct', 'admin1')).rejects.toThrow('UNAVAILABLE');
+    expect(statements(client).some(sql => /SET status = 'rejected'/.test(sql))).toBe(false);
+    expect(statements(client)).toContain('ROLLBACK');
+  });
+
+  it('reports a decision already on the ledger as a conflict', async () => {
+    const client = clientFor(REQUEST_ROW);
+    db.getClient.mockResolvedValue(client);
+    proposal.endorse.mockRejectedValue(new Error('Decision for correction request 12 already recorded'));
+
+    await expect(CorrectionService.rejectCorrectionRequest(12, 'Grade is correct', 'admin1')).rejects.toThrow(ConflictError);
+  });
+});
+
+describe('checkDecisionIntegrity', () => {
+  // requested_data is JSONB, so the anchored hash must not depend on key order
+  const REQUESTED_DATA_HASH = crypto.createHash('sha256')
+    .update(JSON.stringify({ course: 'ATTT101', grade: 'A', reason: 'Grade entered wrongly' }))
+    .digest('hex');
+
+  const APPROVED_ROW = {
+    ...REQUEST_ROW,
+    requested_data: { reason: 'Grade entered wrongly', grade: 'A', course: 'ATTT101' },
+    status: 'approved',
+    reviewed_by: 'admin1',
+    transaction_id: 'tx-transcript'
+  };
+
+  const DECISION = {
+    requestId: '12',
+    studentId: 'CT070211',
+    requestedDataHash: REQUESTED_DATA_HASH,
+    decision: 'approved',
+    reviewer: 'admin1',
+    transcriptTxId: 'tx-transcript',
+    decidedAt: '2025-07-01T00:00:00.000Z',
+    txId: 'tx-decision'
+  };
+
+  /**
+   * Run the check against the given rows and ledger decisions
+   * @param {Array<Object>} rows - correction_requests rows
+   * @param {Array<Object>} decisions - Ledger decisions
+   * @returns {Promise<Object>} Check result
+   */
+  function check(rows, decisions) {
+    db.query.mockResolvedValue({ rows });
+    contract.evaluateTransaction.mockResolvedValue(Buffer.from(JSON.stringify(decisions)));
+    return CorrectionService.checkDecisionIntegrity('admin1');
+  }
+
+  it('finds no drift when every reviewed row matches its anchored decision', async () => {
+    const result = await check([APPROVED_ROW, { ...REQUEST_ROW, id: 13 }], [DECISION]);
+
+    expect(result).toEqual({ success: true, checked: 1, consistent: true, drift: [] });
+    expect(contract.evaluateTransaction).toHaveBeenCalledWith('QueryCorrectionDecisions');
+  });
+
+  it('reports rows changed after the decision was anchored', async () => {
+    const tampered = {
+      ...APPROVED_ROW,
+      status: 'rejected',
+      reviewed_by: 'admin2',
+      requested_data: { ...APPROVED_ROW.requested_data, grade: 'A+' }
+    };
+
+    const { consistent, drift } = await check([tampered], [DECISION]);
+
+    expect(consistent).toBe(false);
+    expect(drift).toEqual([expect.objectContaining({
+      requestId: 12,
+      issues: ['decision_mismatch', 'reviewer_mismatch', 'requested_data_mismatch']
+    })]);
+  });
+
+  it('reports unanchored, reopened and deleted requests', async () => {
+    const { drift } = await check(
+      [
+        { ...REQUEST_ROW, id: 12 },
+        { ...APPROVED_ROW, id: 14 }
+      ],
+      [DECISION, { ...DECISION, requestId: '15' }]
+    );
+
+    expect(drift.map(({ requestId, issues }) => [requestId, issues])).toEqual([
+      [12, ['pending_in_database']],
+      [14, ['not_anchored']],
+      [15, ['missing_in_database']]
+    ]);
+  });
+
+  it('skips an approval that is still being applied', async () => {
+    const { checked, consistent } = await check([{ ...REQUEST_ROW, status: 'approving', reviewed_by: 'admin1' }], []);
+
+    expect(checked).toBe(0);
+    expect(consistent).toBe(true);
+  });
+});
+
+describe('resetInterruptedApprovals', () => {
+  it('returns requests left approving by a restart to pending', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 12 }, { id: 15 }] });
+
+    await expect(CorrectionService.resetInterruptedApprovals()).resolves.toEqual([12, 15]);
+
+    const [sql] = db.query.mock.calls[0];
+    expect(sql.replace(/\s+/g, ' ')).toMatch(/SET status = 'pending', .* WHERE status = 'approving'/);
+  });
+});
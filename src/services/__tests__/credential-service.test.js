@@ -0,0 +1,120 @@
+/**
+ * Credential Service tests: every export format is checked against a JSON
+ * Schema of its specification (see ./schemas)
+ */
+
+jest.mock('../../database/db');
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const CredentialService = require('../credential-service');
+const QrService = require('../qr-service');
+const { ValidationError } = require('../../middleware/error-handler');
+
+const SCHEMAS = {
+  'w3c-vc': require('./schemas/w3c-vc-2.0.schema.json'),
+  'openbadges-3': require('./schemas/openbadges-3.0.schema.json'),
+  'europass-edc': require('./schemas/europass-edc.schema.json')
+};
+
+const DEGREE = {
+  degreeId: 'VN.KMA.2025.001',
+  studentId: 'CT070211',
+  degreeType: 'Ky Su',
+  studentName: 'Nguyễn Văn A',
+  university: 'Hoc vien Ky thuat Mat ma',
+  major: 'An toan thong tin',
+  classification: 'Gioi',
+  issueDate: '2025-06-30',
+  version: 2,
+  status: 'ACTIVE'
+};
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+addFormats(ajv);
+
+/**
+ * Build a credential with the builder of a format
+ * @param {string} format - Format key
+ * @param {Object} [degree] - Degree record
+ * @returns {Object} Unsigned credential
+ */
+function build(format, degree = DEGREE) {
+  const definition = CredentialService.CREDENTIAL_FORMATS[format];
+  return definition.build(degree, QrService.computeDegreeHash(degree), CredentialService.getIssuerDid());
+}
+
+/**
+ * Validate a credential and report schema errors readably
+ * @param {string} format - Format key
+ * @param {Object} credential - Credential
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function schemaErrors(format, credential) {
+  const validate = ajv.compile(SCHEMAS[format]);
+  return validate(credential)
+    ? []
+    : validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+describe('credential formats', () => {
+  it('covers every supported format with a schema', () => {
+    expect(Object.keys(CredentialService.CREDENTIAL_FORMATS).sort()).toEqual(Object.keys(SCHEMAS).sort());
+  });
+
+  describe.each(Object.keys(SCHEMAS))('%s', (format) => {
+    it('produces a credential valid against the format schema', () => {
+      expect(schemaErrors(format, build(format))).toEqual([]);
+    });
+
+    it('stays valid for degree IDs and names that need escaping', () => {
+      const credential = build(format, {
+        ...DEGREE,
+        degreeId: 'VN/KMA 2025#001',
+        studentId: 'CT 070211',
+        studentName: 'Trần "Bình" O\'Brien',
+        version: undefined
+      });
+
+      expect(schemaErrors(format, credential)).toEqual([]);
+    });
+
+    it('points the status entry at the ledger record of the degree', () => {
+      const { credentialStatus } = build(format);
+
+      expect(credentialStatus.degreeId).toBe(DEGREE.degreeId);
+      expect(credentialStatus.degreeHash).toBe(QrService.computeDegreeHash(DEGREE));
+    });
+
+    it('fails the schema when a required field is dropped', () => {
+      const { issuer, ...credential } = build(format);
+
+      expect(schemaErrors(format, credential)).toContain("/ must have required property 'issuer'");
+    });
+  });
+
+  it('identifies Open Badges subjects with spec-defined identity types', () => {
+    const { credentialSubject } = build('openbadges-3');
+
+    expect(credentialSubject.identifier.map(identifier => identifier.identityType)).toEqual(['sisSourcedId', 'name']);
+  });
+});
+
+describe('resolveCredentialFormat', () => {
+  it('prefers the explicit format over the Accept header', () => {
+    expect(CredentialService.resolveCredentialFormat('europass-edc', 'application/ld+json; profile="https://purl.imsglobal.org/spec/ob/v3p0"'))
+      .toBe('europass-edc');
+  });
+
+  it('falls back to Accept profile hints, then to w3c-vc', () => {
+    expect(CredentialService.resolveCredentialFormat(undefined, 'application/ld+json; profile="https://purl.imsglobal.org/spec/ob/v3p0"'))
+      .toBe('openbadges-3');
+    expect(CredentialService.resolveCredentialFormat(undefined, 'application/ld+json; profile="http://data.europa.eu/snb/model/edc"'))
+      .toBe('europass-edc');
+    expect(CredentialService.resolveCredentialFormat(undefined, 'application/json')).toBe('w3c-vc');
+  });
+
+  it.each([['pdf'], ['constructor'], [['w3c-vc']]])('rejects format %p', (format) => {
+    expect(() => CredentialService.resolveCredentialFormat(format)).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Degree Service tests (Fabric gateway mocked)
+ */
+
+jest.mock('../../database/db');
+
+const { GatewayConnectionManager } = require('../../fabric/gateway-connection');
+const config = require('../../config/fabric-config');
+const DegreeService = require('../degree-service');
+const TranscriptService = require('../transcript-service');
+const GradingService = require('../grading-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConnectionError,
+  EndorsementError
+} = require('../../middleware/error-handler');
+
+let contract;
+
+beforeEach(() => {
+  contract = {
+    evaluateTransaction: jest.fn(),
+    newProposal: jest.fn()
+  };
+  jest.spyOn(GatewayConnectionManager, 'getInstance').mockResolvedValue({
+    getContractWithUserIdentity: jest.fn().mockResolvedValue(contract)
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getDegreeVersion', () => {
+  it.each([0, '0', '-1', '1.5', 'abc', '', '99999999999999999999'])('rejects version %p', async (version) => {
+    await expect(DegreeService.getDegreeVersion('VN.KMA.2025.001', version)).rejects.toThrow(ValidationError);
+    expect(contract.evaluateTransaction).not.toHaveBeenCalled();
+  });
+
+  it('queries the normalised version number', async () => {
+    contract.evaluateTransaction.mockResolvedValue(Buffer.from(JSON.stringify({ degreeId: 'VN.KMA.2025.001', version: 2 })));
+
+    const degree = await DegreeService.getDegreeVersion('VN.KMA.2025.001', '02');
+
+    expect(degree.version).toBe(2);
+    expect(contract.evaluateTransaction).toHaveBeenCalledWith('QueryDegreeVersion', 'VN.KMA.2025.001', '2');
+  });
+
+  it('maps a missing version to NotFoundError', async () => {
+    contract.evaluateTransaction.mockRejectedValue(new Error('Version 5 of degree VN.KMA.2025.001 does not exist'));
+
+    await expect(DegreeService.getDegreeVersion('VN.KMA.2025.001', 5)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('suspendDegree / unsuspendDegree', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    contract.newProposal.mockReturnValue({
+      getTransactionId: () => 'tx1',
+      endorse: jest.fn().mockResolvedValue({ submit: jest.fn().mockResolvedValue({}) })
+    });
+  });
+
+  it('sends the detailed reason as transient data only', async () => {
+    await DegreeService.suspendDegree('VN.KMA.2025.001', {
+      category: 'LEGAL_HOLD',
+      reason: 'Court order 12/2025',
+      reviewBy: '2025-12-31'
+    });
+
+    const [fn, options] = contract.newProposal.mock.calls[0];
+    expect(fn).toBe('SuspendDegree');
+    expect(options.arguments).toEqual(['VN.KMA.2025.001', 'LEGAL_HOLD', '2025-12-31']);
+    expect(Buffer.from(options.transientData.reason).toString()).toBe('Court order 12/2025');
+  });
+
+  it('sends the lift reason as transient data only', async () => {
+    await DegreeService.unsuspendDegree('VN.KMA.2025.001', 'Order lifted');
+
+    const [fn, options] = contract.newProposal.mock.calls[0];
+    expect(fn).toBe('UnsuspendDegree');
+    expect(options.arguments).toEqual(['VN.KMA.2025.001']);
+    expect(Buffer.from(options.transientData.reason).toString()).toBe('Order lifted');
+  });
+});
+
+describe('endorsement policies', () => {
+  let submit;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    submit = jest.fn().mockResolvedValue(Buffer.from(JSON.stringify({
+      endorsingOrgs: ['MoetMSP', 'Org1MSP'],
+      previousEndorsingOrgs: []
+    })));
+    contract.newProposal.mockReturnValue({
+      getTransactionId: () => 'tx1',
+      endorse: jest.fn().mockResolvedValue({ submit })
+    });
+  });
+
+  it.each([
+    [undefined],
+    [[]],
+    ['Org1MSP'],
+    [['Org1 MSP']],
+    [[42]]
+  ])('rejects the organisations %p of a degree policy before contacting Fabric', async (organizations) => {
+    await expect(DegreeService.setDegreeEndorsementPolicy('VN.KMA.2025.001', organizations)).rejects.toThrow(ValidationError);
+    expect(contract.newProposal).not.toHaveBeenCalled();
+  });
+
+  it('accepts an empty list only for the defaults', async () => {
+    await expect(DegreeService.setEndorsementDefaults([{}])).rejects.toThrow('Invalid MSP ID: [object Object]');
+
+    submit.mockResolvedValue(Buffer.from(JSON.stringify({ endorsingOrgs: [] })));
+    await expect(DegreeService.setEndorsementDefaults([])).resolves.toEqual({
+      success: true,
+      transactionId: 'tx1',
+      endorsingOrgs: []
+    });
+    expect(contract.newProposal).toHaveBeenCalledWith('SetDegreeEndorsementDefaults', { arguments: ['[]'] });
+  });
+
+  it('collects endorsements from the configured organisations', async () => {
+    const original = config.ENDORSING_ORGANIZATIONS;
+    config.ENDORSING_ORGANIZATIONS = ['Org1MSP', 'MoetMSP'];
+    try {
+      const result = await DegreeService.setDegreeEndorsementPolicy('VN.KMA.2025.001', ['Org1MSP', 'MoetMSP']);
+
+      expect(result).toEqual({
+        success: true,
+        transactionId: 'tx1',
+        degreeId: 'VN.KMA.2025.001',
+        endorsingOrgs: ['MoetMSP', 'Org1MSP'],
+        previousEndorsingOrgs: []
+      });
+      expect(contract.newProposal).toHaveBeenCalledWith('SetDegreeEndorsementPolicy', {
+        arguments: ['VN.KMA.2025.001', '["Org1MSP","MoetMSP"]'],
+        endorsingOrganizations: ['Org1MSP', 'MoetMSP']
+      });
+    } finally {
+      config.ENDORSING_ORGANIZATIONS = original;
+    }
+  });
+
+  it.each([
+    ['Degree VN.KMA.2025.001 does not exist', NotFoundError],
+    ['Invalid MSP ID: x y', ValidationError],
+    ['Endorsing organisations must be a non-empty array of MSP IDs', ValidationError],
+    ['14 UNAVAILABLE: No connection established', ConnectionError],
+    ['ENDORSEMENT_POLICY_FAILURE', EndorsementError]
+  ])('maps the chaincode error %p', async (message, ErrorClass) => {
+    contract.newProposal.mockReturnValue({
+      getTransactionId: () => 'tx1',
+      endorse: jest.fn().mockRejectedValue(new Error(message))
+    });
+
+    await expect(DegreeService.setDegreeEndorsementPolicy('VN.KMA.2025.001', ['Org1MSP'])).rejects.toThrow(ErrorClass);
+  });
+
+  it('names the degree when reading the policy of a missing degree', async () => {
+    contract.evaluateTransaction.mockRejectedValue(new Error('Degree VN.KMA.2025.999 does not exist'));
+
+    await expect(DegreeService.getDegreeEndorsementPolicy('VN.KMA.2025.999'))
+      .rejects.toThrow('Degree with ID VN.KMA.2025.999 not found');
+  });
+
+  it('returns the defaults without the ledger docType', async () => {
+    contract.evaluateTransaction.mockResolvedValue(Buffer.from(JSON.stringify({
+      docType: 'degree-endorsement-config',
+      endorsingOrgs: ['MoetMSP'],
+      txId: 'tx0'
+    })));
+
+    await expect(DegreeService.getEndorsementDefaults()).resolves.toEqual({ endorsingOrgs: ['MoetMSP'], txId: 'tx0' });
+    expect(contract.evaluateTransaction).toHaveBeenCalledWith('GetDegreeEndorsementDefaults');
+  });
+});
+
+describe('issueDegreesBatch', () => {
+  const RECORD = {
+    degreeId: 'VN.KMA.2025.001',
+    studentId: 'CT070211',
+    degreeType: 'Ky Su',
+    studentName: 'Nguyen Van A',
+    universityName: 'KMA',
+    major: 'An toan thong tin',
+    issueDate: '2025-06-30'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(GradingService, 'getGradingScaleForUniversity').mockResolvedValue(GradingService.DEFAULT_GRADING_SCALE);
+    jest.spyOn(TranscriptService, 'getTranscriptRecord').mockImplementation(async (studentId) => {
+      if (studentId === 'CT070299') {
+        throw new NotFoundError(`Transcript for student ${studentId} not found`);
+      }
+      return { raw: '{}', transcript: { studentId, gpa: '3.50' } };
+    });
+    contract.newProposal.mockImplementation((name, { arguments: [payloadJson] }) => ({
+      getTransactionId: () => 'tx-batch',
+      endorse: jest.fn().mockResolvedValue({
+        getResult: () => Buffer.from(JSON.stringify({
+          succeeded: JSON.parse(payloadJson).length,
+          results: JSON.parse(payloadJson).map((item, index) => ({ index, degreeId: item.degreeId, success: true }))
+        })),
+        submit: jest.fn().mockResolvedValue()
+      })
+    }));
+  });
+
+  it('derives missing classifications from the transcript GPA like a single issuance', async () => {
+    const result = await DegreeService.issueDegreesBatch([
+      RECORD,
+      { ...RECORD, degreeId: 'VN.KMA.2025.002', studentId: 'CT070212', classification: 'Kha' }
+    ]);
+
+    expect(result).toMatchObject({ succeeded: 2, failed: 0 });
+    const payload = JSON.parse(contract.newProposal.mock.calls[0][1].arguments[0]);
+    expect(payload.map(item => item.classification)).toEqual([
+      GradingService.deriveClassification('3.50', GradingService.DEFAULT_GRADING_SCALE),
+      'Kha'
+    ]);
+    expect(TranscriptService.getTranscriptRecord).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports records whose classification cannot be derived individually', async () => {
+    const result = await DegreeService.issueDegreesBatch([
+      { ...RECORD, studentId: 'CT070299' },
+      { ...RECORD, degreeId: 'VN.KMA.2025.002' }
+    ]);
+
+    expect(result.results[0]).toEqual({
+      index: 0,
+      degreeId: RECORD.degreeId,
+      success: false,
+      error: 'classification is required: student CT070299 has no transcript to derive it from'
+    });
+    expect(result.results[1]).toMatchObject({ index: 1, success: true });
+  });
+});
+
+describe('listDegrees', () => {
+  it.each([
+    ['universityName', { $regex: '.*' }],
+    ['major', { $ne: null }],
+    ['degreeType', ['Ky Su']],
+    ['classification', { $gt: null }],
+    ['issueDateFrom', ['2025-01-01']]
+  ])('rejects a non-string %s filter', async (field, value) => {
+    await expect(DegreeService.listDegrees({ [field]: value })).rejects.toThrow(`${field} must be a string`);
+    expect(contract.evaluateTransaction).not.toHaveBeenCalled();
+  });
+
+  it('passes string filters to the chaincode', async () => {
+    contract.evaluateTransaction.mockResolvedValue(Buffer.from(JSON.stringify({ records: [], fetchedRecordsCount: 0, bookmark: '' })));
+
+    await DegreeService.listDegrees({ universityName: 'KMA', classification: 'Gioi' });
+
+    const [, filtersJson] = contract.evaluateTransaction.mock.calls[0];
+    expect(JSON.parse(filtersJson)).toMatchObject({ university: 'KMA', classification: 'Gioi' });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Disclosure Service tests: selective disclosure packages and their
+ * verification against forged or tampered input
+ */
+
+jest.mock('../../database/db');
+
+const crypto = require('crypto');
+const TranscriptService = require('../transcript-service');
+const CredentialService = require('../credential-service');
+const DisclosureService = require('../disclosure-service');
+const { ValidationError, NotFoundError } = require('../../middleware/error-handler');
+
+const TRANSCRIPT = {
+  studentId: 'CT070211',
+  transcript: { 'An toan mang': 'A', 'Mat ma hoc': 'B+' },
+  gpa: 3.5,
+  totalCredits: 150,
+  personalInfo: { citizenId: '001200000001', dateOfBirth: '2003-01-01' },
+  updatedAt: '2025-06-30T00:00:00.000Z'
+};
+const RAW = JSON.stringify(TRANSCRIPT);
+const TRANSCRIPT_HASH = crypto.createHash('sha256').update(RAW).digest('hex');
+
+/**
+ * Encode a disclosure as the service does
+ * @param {Array} path - Claim path
+ * @param {*} value - Claim value
+ * @returns {string} Base64url disclosure
+ */
+function encodeDisclosure(path, value) {
+  return Buffer.from(JSON.stringify(['salt', path, value])).toString('base64url');
+}
+
+/**
+ * Digest of an encoded disclosure
+ * @param {string} disclosure - Base64url disclosure
+ * @returns {string} Base64url SHA-256 digest
+ */
+function digest(disclosure) {
+  return crypto.createHash('sha256').update(disclosure, 'ascii').digest('base64url');
+}
+
+/**
+ * Build a statement over the given disclosures
+ * @param {Array<string>} disclosures - Encoded disclosures
+ * @returns {Object} Statement
+ */
+function statementFor(disclosures) {
+  return {
+    type: ['VerifiableCredential', 'TranscriptDisclosureStatement'],
+    issuer: 'did:web:example.edu.vn',
+    validUntil: new Date(Date.now() + 60000).toISOString(),
+    credentialSubject: {
+      studentId: 'CT070211',
+      transcriptHash: TRANSCRIPT_HASH,
+      digests: disclosures.map(digest)
+    },
+    proof: { type: 'DataIntegrityProof' }
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(TranscriptService, 'getTranscriptRecord').mockResolvedValue({ raw: RAW, transcript: TRANSCRIPT });
+  jest.spyOn(TranscriptService, 'getTranscriptHash').mockResolvedValue(TRANSCRIPT_HASH);
+  jest.spyOn(CredentialService, 'getIssuerDid').mockReturnValue('did:web:example.edu.vn');
+  jest.spyOn(CredentialService, 'signDocument').mockImplementation(async document => ({
+    ...document,
+    proof: { type: 'DataIntegrityProof' }
+  }));
+  jest.spyOn(CredentialService, 'verifyDocumentProof').mockResolvedValue({ proof: true, issuer: true, errors: [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete Object.prototype.polluted;
+});
+
+describe('createDisclosurePackage', () => {
+  it('discloses only the selected fields and commits to every field', async () => {
+    const result = await DisclosureService.createDisclosurePackage('CT070211', {
+      fields: ['gpa'],
+      courses: ['Mat ma hoc']
+    });
+
+    expect(result.disclosedFields).toEqual(['gpa', 'transcript.Mat ma hoc']);
+    expect(result.package.disclosures).toHaveLength(2);
+    expect(result.package.statement.credentialSubject).toMatchObject({
+      studentId: 'CT070211',
+      transcriptHash: TRANSCRIPT_HASH
+    });
+    expect(result.package.statement.credentialSubject.digests).toHaveLength(7);
+  });
+
+  it('rejects selections the transcript does not contain', async () => {
+    await expect(DisclosureService.createDisclosurePackage('CT070211', { courses: ['Lap trinh'] }))
+      .rejects.toThrow('Not present in the transcript: transcript.Lap trinh');
+    await expect(DisclosureService.createDisclosurePackage('CT070211', { fields: ['personalInfo'] }))
+      .rejects.toThrow(ValidationError);
+    await expect(DisclosureService.createDisclosurePackage('CT070211', {}))
+      .rejects.toThrow('Select at least one field');
+  });
+
+  it('refuses a transcript that does not match its on-chain hash', async () => {
+    TranscriptService.getTranscriptHash.mockResolvedValue('0'.repeat(64));
+
+    await expect(DisclosureService.createDisclosurePackage('CT070211', { fields: ['gpa'] }))
+      .rejects.toThrow('Transcript data does not match its on-chain hash');
+  });
+});
+
+describe('verifyDisclosurePackage', () => {
+  it('returns the disclosed values of a package it created', async () => {
+    const { package: disclosurePackage } = await DisclosureService.createDisclosurePackage('CT070211', {
+      fields: ['gpa'],
+      courses: ['An toan mang'],
+      personalInfo: ['dateOfBirth']
+    });
+
+    const result = await DisclosureService.verifyDisclosurePackage(disclosurePackage);
+
+    expect(result).toMatchObject({ valid: true, verified: true, studentId: 'CT070211', errors: [] });
+    expect(result.disclosed).toEqual({
+      gpa: 3.5,
+      transcript: { 'An toan mang': 'A' },
+      personalInfo: { dateOfBirth: '2003-01-01' }
+    });
+  });
+
+  it('flags a disclosure whose value was modified', async () => {
+    const { package: disclosurePackage } = await DisclosureService.createDisclosurePackage('CT070211', { fields: ['gpa'] });
+    const [salt, path] = JSON.parse(Buffer.from(disclosurePackage.disclosures[0], 'base64url').toString('utf8'));
+    disclosurePackage.disclosures = [Buffer.from(JSON.stringify([salt, path, 4.0])).toString('base64url')];
+
+    const result = await DisclosureService.verifyDisclosurePackage(disclosurePackage);
+
+    expect(result).toMatchObject({ valid: false, verified: false, disclosed: null });
+    expect(result.checks.disclosures).toBe(false);
+  });
+
+  it('does not parse the disclosures of a statement without a valid proof', async () => {
+    CredentialService.verifyDocumentProof.mockResolvedValue({
+      proof: false,
+      issuer: true,
+      errors: ['Proof signature is invalid']
+    });
+    const disclosures = [encodeDisclosure(['__proto__', 'polluted'], 'yes')];
+
+    const result = await DisclosureService.verifyDisclosurePackage({ statement: statementFor(disclosures), disclosures });
+
+    expect(result).toMatchObject({ valid: false, verified: false, disclosed: null, errors: ['Proof signature is invalid'] });
+    expect(result.checks.disclosures).toBe(false);
+    expect(TranscriptService.getTranscriptHash).not.toHaveBeenCalled();
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it.each([
+    [['__proto__', 'polluted']],
+    [['constructor', 'prototype']],
+    [['transcript', 'Mat ma hoc', 'extra']],
+    [['personalInfo']],
+    [['studentId']],
+    [['transcript', 42]],
+    [[]]
+  ])('rejects the disclosure path %j even in a signed statement', async (path) => {
+    const disclosures = [encodeDisclosure(path, 'yes')];
+
+    await expect(DisclosureService.verifyDisclosurePackage({ statement: statementFor(disclosures), disclosures }))
+      .rejects.toThrow('disclosures contain an invalid or duplicate entry');
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('rejects duplicate disclosures', async () => {
+    const disclosures = [encodeDisclosure(['gpa'], 3.5), encodeDisclosure(['gpa'], 3.5)];
+
+    await expect(DisclosureService.verifyDisclosurePackage({ statement: statementFor(disclosures), disclosures }))
+      .rejects.toThrow('disclosures contain an invalid or duplicate entry');
+  });
+
+  it('keeps disclosed keys off the object prototype', async () => {
+    const disclosures = [encodeDisclosure(['personalInfo', '__proto__'], { polluted: 'yes' })];
+
+    const result = await DisclosureService.verifyDisclosurePackage({ statement: statementFor(disclosures), disclosures });
+
+    expect(result.valid).toBe(true);
+    expect(Object.getPrototypeOf(result.disclosed)).toBeNull();
+    expect(result.disclosed.personalInfo.__proto__).toEqual({ polluted: 'yes' });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('reports expired packages and transcripts updated since', async () => {
+    const disclosures = [encodeDisclosure(['gpa'], 3.5)];
+    const statement = { ...statementFor(disclosures), validUntil: '2020-01-01T00:00:00.000Z' };
+    TranscriptService.getTranscriptHash.mockResolvedValue('f'.repeat(64));
+
+    const result = await DisclosureService.verifyDisclosurePackage({ statement, disclosures });
+
+    expect(result).toMatchObject({ valid: true, verified: false });
+    expect(result.checks).toMatchObject({ notExpired: false, current: false });
+  });
+
+  it('reports a transcript missing from the ledger', async () => {
+    const disclosures = [encodeDisclosure(['gpa'], 3.5)];
+    TranscriptService.getTranscriptHash.mockRejectedValue(new NotFoundError('Transcript for student CT070211 not found'));
+
+    const result = await DisclosureService.verifyDisclosurePackage({ statement: statementFor(disclosures), disclosures });
+
+    expect(result.verified).toBe(false);
+    expect(result.errors).toContain('No transcript for student CT070211 exists on the ledger');
+  });
+
+  it('rejects malformed packages', async () => {
+    await expect(DisclosureService.verifyDisclosurePackage({ statement: {}, disclosures: ['x'] }))
+      .rejects.toThrow('statement must be a TranscriptDisclosureStatement');
+    await expect(DisclosureService.verifyDisclosurePackage({ statement: statementFor([]), disclosures: [] }))
+      .rejects.toThrow('disclosures must be a non-empty array of strings');
+  });
+});
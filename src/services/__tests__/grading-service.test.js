@@ -0,0 +1,148 @@
+/**
+ * Grading Service tests: grade conversion with default and registered scales
+ */
+
+jest.mock('../../database/db');
+
+const db = require('../../database/db');
+const GradingService = require('../grading-service');
+const ChaincodeGrading = require('../../../chaincode/lib/grading');
+const { ValidationError, ConflictError } = require('../../middleware/error-handler');
+
+// A university that uses plus grades down to D and a stricter honours band
+const CUSTOM_SCALE = {
+  university: 'Dai hoc Bach khoa',
+  name: 'BK 2022',
+  tenPointToLetter: [
+    { min: 0, letter: 'f' },
+    { min: 9.0, letter: 'A+' },
+    { min: 8.0, letter: 'A' },
+    { min: 6.5, letter: 'B' },
+    { min: 5.0, letter: 'C' },
+    { min: 4.0, letter: 'D' }
+  ],
+  letterToPoint: { 'A+': 4.0, 'A': 3.7, 'B': 3.0, 'C': 2.0, 'D': 1.0, 'F': 0 },
+  classifications: [
+    { minGpa: 2.5, classification: 'Kha' },
+    { minGpa: 3.8, classification: 'Xuat sac' }
+  ]
+};
+
+/**
+ * Grading scale row as stored by createGradingScale
+ * @param {Array} params - INSERT parameters
+ * @returns {Object} Row
+ */
+function scaleRow(params) {
+  return {
+    id: 4,
+    university: params[0],
+    name: params[1],
+    ten_point_to_letter: JSON.parse(params[2]),
+    letter_to_point: JSON.parse(params[3]),
+    classifications: JSON.parse(params[4]),
+    created_by: params[5]
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('default grading scale', () => {
+  it('converts the same way as the chaincode for every 10-point grade', () => {
+    for (let tenth = 0; tenth <= 100; tenth++) {
+      const grade = (tenth / 10).toFixed(1);
+      expect(GradingService.toGradePoint(grade, '10-point')).toBe(ChaincodeGrading.toGradePoint(grade, '10-point'));
+    }
+  });
+
+  it.each([
+    ['8.5', '10-point', { letter: 'A', gradePoint: 4.0 }],
+    ['6.9', '10-point', { letter: 'C+', gradePoint: 2.5 }],
+    ['d+', 'letter', { letter: 'D+', gradePoint: 1.5 }],
+    ['2.75', '4-point', { letter: null, gradePoint: 2.75 }]
+  ])('converts %p on the %s scale', (grade, scale, expected) => {
+    expect(GradingService.convertGrade(grade, scale)).toEqual(expected);
+  });
+
+  it('rejects grades outside the scale with ValidationError', () => {
+    expect(() => GradingService.convertGrade('10.1', '10-point')).toThrow(ValidationError);
+    expect(() => GradingService.convertGrade('E', 'letter')).toThrow(ValidationError);
+  });
+
+  it.each([
+    ['3.60', 'Xuat sac'],
+    ['3.59', 'Gioi'],
+    ['2.5', 'Kha'],
+    ['2.0', 'Trung binh'],
+    ['1.99', null]
+  ])('classifies GPA %s as %p', (gpa, classification) => {
+    expect(GradingService.deriveClassification(gpa)).toBe(classification);
+  });
+});
+
+describe('registered grading scales', () => {
+  let scale;
+
+  beforeEach(async () => {
+    db.query.mockImplementation(async (sql, params) => ({ rows: [scaleRow(params)] }));
+    ({ scale } = await GradingService.createGradingScale(CUSTOM_SCALE, 'admin1'));
+  });
+
+  it('normalises letters and sorts thresholds in descending order', () => {
+    expect(scale.tenPointToLetter.map(step => step.min)).toEqual([9.0, 8.0, 6.5, 5.0, 4.0, 0]);
+    expect(scale.tenPointToLetter[5].letter).toBe('F');
+    expect(scale.classifications.map(step => step.minGpa)).toEqual([3.8, 2.5]);
+  });
+
+  it('converts 10-point grades with the university\'s own tables', () => {
+    expect(GradingService.convertGrade('8.5', '10-point', scale)).toEqual({ letter: 'A', gradePoint: 3.7 });
+    expect(GradingService.convertGrade('9.0', '10-point', scale)).toEqual({ letter: 'A+', gradePoint: 4.0 });
+    expect(GradingService.convertGrade('6.9', '10-point', scale)).toEqual({ letter: 'B', gradePoint: 3.0 });
+    expect(() => GradingService.convertGrade('C+', 'letter', scale)).toThrow('Invalid letter grade: C+');
+  });
+
+  it('adds the scale\'s letter and grade point to validated courses', () => {
+    const courses = GradingService.validateCourses([
+      { code: 'IT3011', name: 'Cau truc du lieu', credits: 3, semester: '2023-1', grade: '8.5' },
+      { code: 'IT3020', name: 'Toan roi rac', credits: 2, semester: '2023-1', grade: '6.5' }
+    ], scale);
+
+    expect(courses.map(({ letter, gradePoint }) => ({ letter, gradePoint }))).toEqual([
+      { letter: 'A', gradePoint: 3.7 },
+      { letter: 'B', gradePoint: 3.0 }
+    ]);
+    // The chaincode keeps the grade points computed with the scale
+    const onChain = ChaincodeGrading.validateCourses(courses);
+    expect(ChaincodeGrading.computeGpa(onChain)).toEqual({ gpa: 3.42, totalCredits: 5 });
+    expect(GradingService.deriveClassification(3.42, scale)).toBe('Kha');
+  });
+
+  it('falls back to the default scale for a university without one', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await expect(GradingService.getGradingScaleForUniversity('Dai hoc Hue'))
+      .resolves.toBe(GradingService.DEFAULT_GRADING_SCALE);
+    expect(db.query).toHaveBeenLastCalledWith(expect.stringMatching(/LOWER\(university\)/), ['Dai hoc Hue']);
+  });
+});
+
+describe('createGradingScale', () => {
+  it.each([
+    [{ ...CUSTOM_SCALE, university: '' }, /university is required/],
+    [{ ...CUSTOM_SCALE, letterToPoint: { A: 4.5 } }, /letterToPoint.A must be a number between 0 and 4/],
+    [{ ...CUSTOM_SCALE, tenPointToLetter: [{ min: 0, letter: 'E' }] }, /must be one of the letters in letterToPoint/],
+    [{ ...CUSTOM_SCALE, tenPointToLetter: [{ min: 5, letter: 'A' }] }, /must cover grades down to 0/],
+    [{ ...CUSTOM_SCALE, classifications: [] }, /classifications is required/]
+  ])('rejects an invalid definition (%#)', async (definition, message) => {
+    await expect(GradingService.createGradingScale(definition, 'admin1')).rejects.toThrow(message);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('reports a second scale for the same university as a conflict', async () => {
+    db.query.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+    await expect(GradingService.createGradingScale(CUSTOM_SCALE, 'admin1')).rejects.toThrow(ConflictError);
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Import Service tests: recovery of interrupted jobs, retrying failed rows and
+ * the approval of degree imports
+ */
+
+jest.mock('../../database/db');
+jest.mock('../pending-action-service', () => ({ proposeAction: jest.fn() }));
+
+const db = require('../../database/db');
+const PendingActionService = require('../pending-action-service');
+const ImportService = require('../import-service');
+const { ValidationError, ConflictError } = require('../../middleware/error-handler');
+
+const VALID_DEGREE = {
+  degreeId: 'VN.KMA.2025.001',
+  studentId: 'CT070211',
+  degreeType: 'Ky Su',
+  studentName: 'Nguyen Van A',
+  universityName: 'Hoc vien Ky thuat Mat ma',
+  major: 'An toan thong tin',
+  classification: 'Gioi',
+  issueDate: '2025-06-30'
+};
+
+const JOB_ROW = {
+  id: 7,
+  import_type: 'degree',
+  status: 'completed_with_errors',
+  total_rows: 2,
+  succeeded_rows: 1,
+  failed_rows: 1,
+  created_by: 'admin1'
+};
+
+/**
+ * Build a fake pg client whose query results are chosen by SQL text
+ * @param {Array<[RegExp, Function|Object]>} handlers - First matching handler wins
+ * @returns {Object} Client with a query mock and release
+ */
+function fakeClient(handlers) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      for (const [pattern, result] of handlers) {
+        if (pattern.test(sql)) {
+          return typeof result === 'function' ? result(params) : result;
+        }
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+}
+
+/**
+ * SQL statements issued through a fake client, whitespace collapsed
+ * @param {Object} client - Fake client
+ * @returns {Array<string>} Statements in order
+ */
+function statements(client) {
+  return client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  db.query.mockResolvedValue({ rows: [JOB_ROW] });
+  PendingActionService.proposeAction.mockResolvedValue({
+    success: true,
+    executed: false,
+    pendingAction: { actionId: 5, type: 'import_degrees', subject: 'import-job-7', status: 'pending' }
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('failInterruptedJobs', () => {
+  it('marks pending and running jobs failed together with their unprocessed rows', async () => {
+    const client = fakeClient([
+      [/^\s*UPDATE import_jobs\s+SET status = 'failed'/, { rows: [{ id: 3 }, { id: 4 }] }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const jobIds = await ImportService.failInterruptedJobs();
+
+    expect(jobIds).toEqual([3, 4]);
+    const sql = statements(client);
+    expect(sql[0]).toBe('BEGIN');
+    expect(sql[1]).toMatch(/WHERE status IN \('pending', 'running'\)/);
+    expect(sql[2]).toMatch(/UPDATE import_job_rows SET status = 'failed'.*status = 'pending'/);
+    expect(client.query.mock.calls[2][1]).toEqual([[3, 4]]);
+    expect(sql[sql.length - 1]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('does nothing else when no job was interrupted', async () => {
+    const client = fakeClient([]);
+    db.getClient.mockResolvedValue(client);
+
+    await expect(ImportService.failInterruptedJobs()).resolves.toEqual([]);
+    expect(statements(client)).toHaveLength(3);
+  });
+});
+
+describe('retryFailedRows', () => {
+  it('refuses a job that another retry or run has already claimed', async () => {
+    db.query.mockResolvedValue({ rows: [{ ...JOB_ROW, status: 'running' }] });
+    const client = fakeClient([[/UPDATE import_jobs AS job/, { rows: [] }]]);
+    db.getClient.mockResolvedValue(client);
+
+    await expect(ImportService.retryFailedRows(7, 'admin1')).rejects.toThrow(ConflictError);
+    expect(statements(client)).toContain('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('claims the job with a conditional update limited to finished or stalled jobs', async () => {
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'completed_with_errors', previous_error: null }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, { rows: [{ row_number: 2, row_data: VALID_DEGREE }] }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await ImportService.retryFailedRows(7, 'admin1');
+
+    expect(result.queuedRows).toBe(1);
+    const claim = client.query.mock.calls.find(([sql]) => /UPDATE import_jobs AS job/.test(sql));
+    expect(claim[0]).toMatch(/RETURNING/);
+    expect(claim[1]).toEqual([7, ['completed_with_errors', 'failed'], expect.any(Number), 'import-job-7']);
+    expect(statements(client)).toContain('COMMIT');
+  });
+
+  it('only reclaims a job awaiting approval once no live import_degrees action remains', async () => {
+    db.query.mockResolvedValue({ rows: [{ ...JOB_ROW, status: 'awaiting_approval' }] });
+    const client = fakeClient([[/UPDATE import_jobs AS job/, { rows: [] }]]);
+    db.getClient.mockResolvedValue(client);
+
+    await expect(ImportService.retryFailedRows(7, 'admin1'))
+      .rejects.toThrow('Import job 7 is awaiting approval of its pending action');
+    const [claimSql] = client.query.mock.calls.find(([sql]) => /UPDATE import_jobs AS job/.test(sql));
+    expect(claimSql.replace(/\s+/g, ' ')).toMatch(
+      /previous.status = 'awaiting_approval' AND NOT EXISTS .*action_type = 'import_degrees' AND subject = \$4 .*status = 'executing' OR \(status = 'pending' AND expires_at > CURRENT_TIMESTAMP\)/
+    );
+  });
+
+  it('puts a degree job with queued rows back to awaiting approval instead of running it', async () => {
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'failed', previous_error: 'x' }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, { rows: [{ row_number: 2, row_data: VALID_DEGREE }] }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await ImportService.retryFailedRows(7, 'admin1');
+
+    expect(result.queuedRows).toBe(1);
+    expect(result.pendingAction).toMatchObject({ actionId: 5, type: 'import_degrees' });
+    expect(statements(client)).toContain(`UPDATE import_jobs SET status = 'awaiting_approval' WHERE id = $1`);
+    expect(PendingActionService.proposeAction).toHaveBeenCalledWith('import_degrees', { jobId: 7 }, 'admin1');
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('runs a transcript job with queued rows at once', async () => {
+    db.query.mockResolvedValue({ rows: [{ ...JOB_ROW, import_type: 'transcript' }] });
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'failed', previous_error: 'x' }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, {
+        rows: [{
+          row_number: 2,
+          row_data: {
+            studentId: 'CT070211',
+            gpa: '3.50',
+            detailedGrades: { 'Mat ma hoc': '8.5' },
+            personalInfo: { university: 'Hoc vien Ky thuat Mat ma', major: 'An toan thong tin', dateOfBirth: '2003-05-01', gender: 'Nam' }
+          }
+        }]
+      }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await ImportService.retryFailedRows(7, 'admin1');
+
+    expect(result.queuedRows).toBe(1);
+    expect(result.pendingAction).toBeUndefined();
+    expect(PendingActionService.proposeAction).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(1);
+  });
+
+  it('merges corrections over the stored row before re-validating it', async () => {
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'completed_with_errors', previous_error: null }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, {
+        rows: [{ row_number: 2, row_data: { ...VALID_DEGREE, issueDate: '30/06/2025' } }]
+      }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await ImportService.retryFailedRows(7, 'admin1', [
+      { rowNumber: 2, data: { issueDate: '2025-06-30' } }
+    ]);
+
+    expect(result.queuedRows).toBe(1);
+    const rowUpdate = client.query.mock.calls.find(([sql]) => /UPDATE import_job_rows SET row_data/.test(sql));
+    expect(JSON.parse(rowUpdate[1][2])).toEqual(VALID_DEGREE);
+    expect(rowUpdate[1].slice(3)).toEqual(['pending', null]);
+  });
+
+  it('keeps an uncorrected invalid row failed and restores the job status', async () => {
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'completed_with_errors', previous_error: null }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, {
+        rows: [{ row_number: 2, row_data: { ...VALID_DEGREE, issueDate: '30/06/2025' } }]
+      }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await ImportService.retryFailedRows(7, 'admin1');
+
+    expect(result.queuedRows).toBe(0);
+    const restore = client.query.mock.calls.find(([sql]) => /UPDATE import_jobs SET status = \$2/.test(sql));
+    expect(restore[1]).toEqual([7, 'completed_with_errors', null]);
+    expect(statements(client)).toContain('COMMIT');
+  });
+
+  it('rejects a correction that duplicates the key of another row', async () => {
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'failed', previous_error: 'x' }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, { rows: [{ row_number: 2, row_data: VALID_DEGREE }] }],
+      [/row_data ->> \$3/, { rows: [{ row_number: 1 }] }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    const result = await ImportService.retryFailedRows(7, 'admin1', [
+      { rowNumber: 2, data: { degreeId: 'VN.KMA.2025.000' } }
+    ]);
+
+    expect(result.queuedRows).toBe(0);
+    const rowUpdate = client.query.mock.calls.find(([sql]) => /UPDATE import_job_rows SET row_data/.test(sql));
+    expect(rowUpdate[1][3]).toBe('failed');
+    expect(rowUpdate[1][4]).toMatch(/Duplicate degreeId VN.KMA.2025.000 \(also in row 1\)/);
+  });
+
+  it('rejects corrections for rows that did not fail', async () => {
+    const client = fakeClient([
+      [/UPDATE import_jobs AS job/, { rows: [{ previous_status: 'completed_with_errors', previous_error: null }] }],
+      [/SELECT row_number, row_data FROM import_job_rows/, { rows: [{ row_number: 2, row_data: VALID_DEGREE }] }]
+    ]);
+    db.getClient.mockResolvedValue(client);
+
+    await expect(ImportService.retryFailedRows(7, 'admin1', [{ rowNumber: 1, data: {} }]))
+      .rejects.toThrow('Row 1 is not a failed row of import job 7');
+    expect(statements(client)).toContain('ROLLBACK');
+  });
+
+  it('validates the shape of corrections before touching the job', async () => {
+    await expect(ImportService.retryFailedRows(7, 'admin1', { rowNumber: 2 }))
+      .rejects.toThrow(ValidationError);
+    await expect(ImportService.retryFailedRows(7, 'admin1', [{ rowNumber: 0, data: {} }]))
+      .rejects.toThrow(ValidationError);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+});
+
+describe('degree import approval', () => {
+  const CSV = [
+    'degreeId,studentId,degreeType,studentName,universityName,major,classification,issueDate',
+    'VN.KMA.2025.001,CT070211,Ky Su,Nguyen Van A,Hoc vien Ky thuat Mat ma,An toan thong tin,Gioi,2025-06-30'
+  ].join('\n');
+
+  it('accepts degree rows without a classification, which is derived on issuance', async () => {
+    const preview = ImportService.previewImport({
+      type: 'degree',
+      csv: [
+        'degreeId,studentId,degreeType,studentName,universityName,major,classification,issueDate',
+        'VN.KMA.2025.001,CT070211,Ky Su,Nguyen Van A,Hoc vien Ky thuat Mat ma,An toan thong tin,,2025-06-30',
+        'VN.KMA.2025.002,CT070212,Ky Su,Nguyen Van B,Hoc vien Ky thuat Mat ma,,Gioi,2025-06-30'
+      ].join('\n')
+    });
+
+    expect(preview.rows.map(row => row.error)).toEqual([null, 'major is required and must be a non-empty string']);
+  });
+
+  it('creates a degree job awaiting approval and proposes one import_degrees action for it', async () => {
+    const client = fakeClient([[/INSERT INTO import_jobs/, { rows: [{ id: 7 }] }]]);
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [{ ...JOB_ROW, status: 'awaiting_approval' }] });
+
+    const result = await ImportService.createImportJob({ type: 'degree', csv: CSV }, 'admin1');
+
+    const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO import_jobs/.test(sql));
+    expect(insert[1][1]).toBe('awaiting_approval');
+    expect(PendingActionService.proposeAction).toHaveBeenCalledTimes(1);
+    expect(PendingActionService.proposeAction).toHaveBeenCalledWith('import_degrees', { jobId: 7 }, 'admin1');
+    expect(result.job.status).toBe('awaiting_approval');
+    expect(result.pendingAction).toMatchObject({ actionId: 5 });
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('marks the job failed when its approval cannot be requested', async () => {
+    const client = fakeClient([[/INSERT INTO import_jobs/, { rows: [{ id: 7 }] }]]);
+    db.getClient.mockResolvedValue(client);
+    PendingActionService.proposeAction.mockRejectedValue(new ConflictError('already pending'));
+
+    await expect(ImportService.createImportJob({ type: 'degree', csv: CSV }, 'admin1'))
+      .rejects.toThrow(ConflictError);
+    expect(db.query).toHaveBeenCalledWith(
+      expect.stringMatching(/SET status = 'failed'.*\s+WHERE id = \$1 AND status = 'awaiting_approval'/),
+      [7, 'Approval could not be requested: already pending']
+    );
+  });
+
+  it('starts an approved job only if it is still awaiting approval', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+    const result = await ImportService.startApprovedJob(7, 'admin2');
+
+    expect(result).toMatchObject({ success: true, jobId: 7, transactionId: null });
+    expect(db.query).toHaveBeenCalledWith(
+      expect.stringMatching(/SET status = 'pending' WHERE id = \$1 AND status = 'awaiting_approval'/),
+      [7]
+    );
+    expect(jest.getTimerCount()).toBe(1);
+
+    db.query.mockResolvedValueOnce({ rows: [] });
+    await expect(ImportService.startApprovedJob(7, 'admin2')).rejects.toThrow(ConflictError);
+  });
+});
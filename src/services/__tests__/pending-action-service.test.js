@@ -0,0 +1,355 @@
+/**
+ * Pending Action Service tests: multi-admin approval of degree actions
+ */
+
+jest.mock('../../database/db');
+
+const db = require('../../database/db');
+const approvalConfig = require('../../config/approval-config');
+const DegreeService = require('../degree-service');
+const UniversityService = require('../university-service');
+const ImportService = require('../import-service');
+const PendingActionService = require('../pending-action-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../../middleware/error-handler');
+
+const DEGREE = {
+  degreeId: 'VN.KMA.2025.001',
+  studentId: 'CT070211',
+  degreeType: 'Ky Su',
+  studentName: 'Nguyen Van A',
+  universityName: 'Hoc vien Ky thuat Mat ma',
+  major: 'An toan thong tin',
+  classification: 'Gioi',
+  issueDate: '2025-06-30'
+};
+
+const HOUR = 60 * 60 * 1000;
+
+let actions;
+let approvals;
+
+/**
+ * Answer the statements of pending-action-service from in-memory tables
+ * @param {string} sql - Statement
+ * @param {Array} [params] - Parameters
+ * @returns {Object} { rows }
+ */
+function runQuery(sql, params = []) {
+  if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) {
+    return { rows: [] };
+  }
+  if (/^INSERT INTO pending_actions /.test(sql)) {
+    const [type, subject, payload, requiredApprovals, proposer, hours] = params;
+    if (actions.some(row => row.action_type === type && row.subject === subject &&
+        ['pending', 'executing'].includes(row.status))) {
+      throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+    }
+    const row = {
+      id: actions.length + 1,
+      action_type: type,
+      subject,
+      payload: JSON.parse(payload),
+      status: 'pending',
+      required_approvals: requiredApprovals,
+      proposed_by: proposer,
+      expires_at: new Date(Date.now() + hours * HOUR)
+    };
+    actions.push(row);
+    return { rows: [{ ...row }] };
+  }
+  if (/^INSERT INTO pending_action_approvals/.test(sql)) {
+    approvals.push({ action_id: params[0], approver: params[1], approved_at: new Date() });
+    return { rows: [] };
+  }
+  if (/^UPDATE pending_actions SET status = 'expired'/.test(sql)) {
+    const stale = params.length > 0
+      ? actions.filter(row => row.id === params[0])
+      : actions.filter(row => row.status === 'pending' && row.expires_at <= new Date());
+    stale.forEach(row => { row.status = 'expired'; });
+    return { rows: [] };
+  }
+  if (/^SELECT \* FROM pending_actions WHERE id = \$1/.test(sql)) {
+    return { rows: actions.filter(row => row.id === params[0]).map(row => ({ ...row })) };
+  }
+  if (/^SELECT (\*|approver) FROM pending_action_approvals WHERE action_id = \$1/.test(sql)) {
+    return { rows: approvals.filter(approval => approval.action_id === params[0]) };
+  }
+
+  if (/^UPDATE pending_actions SET status = 'failed', .* WHERE status = 'executing' RETURNING id$/.test(sql)) {
+    const interrupted = actions.filter(row => row.status === 'executing');
+    interrupted.forEach(row => { Object.assign(row, { status: 'failed', error: 'Interrupted by server restart' }); });
+    return { rows: interrupted.map(row => ({ id: row.id })) };
+  }
+
+  const decision = sql.match(/^UPDATE pending_actions SET status = '(executing|executed|failed|rejected)'/);
+  if (decision) {
+    const row = actions.find(action => action.id === params[0]);
+    const from = { executed: 'executing', failed: 'executing', rejected: 'pending' }[decision[1]];
+    if (from && row.status !== from) {
+      return { rows: [] };
+    }
+    row.status = decision[1];
+    if (decision[1] === 'executing') {
+      row.decided_by = params[1];
+    } else if (decision[1] === 'executed') {
+      Object.assign(row, { transaction_id: params[1], result: JSON.parse(params[2]) });
+    } else if (decision[1] === 'failed') {
+      row.error = params[1];
+    } else {
+      Object.assign(row, { decided_by: params[1], notes: params[2] });
+    }
+    return { rows: [{ id: row.id }] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  actions = [];
+  approvals = [];
+  const query = jest.fn(async (sql, params) => runQuery(sql.replace(/\s+/g, ' ').trim(), params));
+  db.query.mockImplementation(query);
+  db.getClient.mockResolvedValue({ query, release: jest.fn() });
+
+  jest.spyOn(DegreeService, 'prepareDegreeData').mockImplementation(async data => ({ ...data }));
+  jest.spyOn(DegreeService, 'verifyDegree').mockImplementation(async (degreeId) => {
+    throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+  });
+  jest.spyOn(DegreeService, 'issueDegree').mockResolvedValue({ success: true, transactionId: 'tx-issue' });
+  jest.spyOn(UniversityService, 'getUniversity').mockResolvedValue({ code: 'KMA' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('approval quorum', () => {
+  it('does not let the proposer approve their own action a second time', async () => {
+    const proposed = await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+
+    expect(proposed.executed).toBe(false);
+    await expect(PendingActionService.approveAction(proposed.pendingAction.actionId, 'registrar'))
+      .rejects.toThrow('Pending action 1 must be approved by a different admin');
+    expect(approvals).toHaveLength(1);
+    expect(DegreeService.issueDegree).not.toHaveBeenCalled();
+  });
+
+  it('executes the action with the identity of the distinct admin who reaches the quorum', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+
+    const outcome = await PendingActionService.approveAction('1', 'dean');
+
+    expect(outcome.executed).toBe(true);
+    expect(outcome.result).toEqual({ success: true, transactionId: 'tx-issue' });
+    expect(DegreeService.issueDegree).toHaveBeenCalledWith(DEGREE, 'dean');
+    expect(outcome.pendingAction).toMatchObject({
+      status: 'executed',
+      decidedBy: 'dean',
+      transactionId: 'tx-issue',
+      approvals: [{ approver: 'registrar' }, { approver: 'dean' }]
+    });
+  });
+
+  it('rejects an approval of an expired action and records it as expired', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+    actions[0].expires_at = new Date(Date.now() - 1000);
+
+    await expect(PendingActionService.approveAction(1, 'dean')).rejects.toThrow(/Pending action 1 expired at/);
+    expect(actions[0].status).toBe('expired');
+    expect(DegreeService.issueDegree).not.toHaveBeenCalled();
+
+    await expect(PendingActionService.approveAction(1, 'rector')).rejects.toThrow('Pending action 1 is expired');
+  });
+
+  describe('per-type quorum', () => {
+    const { quorum } = approvalConfig;
+    const original = { ...quorum };
+
+    afterEach(() => {
+      Object.assign(quorum, original);
+    });
+
+    it('takes the number of approvals from the configuration of the action type', async () => {
+      quorum.revoke_degree = 3;
+      DegreeService.verifyDegree.mockResolvedValue({ status: 'ACTIVE' });
+      const revokeDegree = jest.spyOn(DegreeService, 'revokeDegree').mockResolvedValue({ success: true, transactionId: 'tx-revoke' });
+
+      const proposed = await PendingActionService.proposeAction('revoke_degree', { degreeId: DEGREE.degreeId, reason: 'Fraud' }, 'registrar');
+      expect(proposed.pendingAction.requiredApprovals).toBe(3);
+
+      await expect(PendingActionService.approveAction(1, 'dean')).resolves.toMatchObject({ executed: false });
+      await expect(PendingActionService.approveAction(1, 'rector')).resolves.toMatchObject({ executed: true });
+      expect(revokeDegree).toHaveBeenCalledWith(DEGREE.degreeId, 'Fraud', 'rector');
+    });
+
+    it('executes at once when the quorum of the type is 1', async () => {
+      quorum.issue_degree = 1;
+
+      const outcome = await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+
+      expect(outcome.executed).toBe(true);
+      expect(DegreeService.issueDegree).toHaveBeenCalledWith(DEGREE, 'registrar');
+    });
+  });
+
+  it('records a failed execution as final and throws its error', async () => {
+    DegreeService.issueDegree.mockRejectedValue(new ValidationError('University KMA is not accredited'));
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+
+    await expect(PendingActionService.approveAction(1, 'dean')).rejects.toThrow('University KMA is not accredited');
+
+    expect(actions[0]).toMatchObject({ status: 'failed', decided_by: 'dean', error: 'University KMA is not accredited' });
+    await expect(PendingActionService.approveAction(1, 'rector')).rejects.toThrow('Pending action 1 is failed');
+  });
+});
+
+describe('execution', () => {
+  it('commits the claim before submitting to Fabric', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+    DegreeService.issueDegree.mockImplementation(async () => {
+      // Another admin approving meanwhile finds the action already claimed
+      expect(actions[0]).toMatchObject({ status: 'executing', decided_by: 'dean' });
+      await expect(PendingActionService.approveAction(1, 'rector')).rejects.toThrow('Pending action 1 is executing');
+      return { success: true, transactionId: 'tx-issue' };
+    });
+
+    const outcome = await PendingActionService.approveAction(1, 'dean');
+
+    expect(outcome.pendingAction.status).toBe('executed');
+    const client = await db.getClient();
+    const statementsOf = client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+    const claimed = statementsOf.findIndex(sql => /SET status = 'executing'/.test(sql));
+    expect(statementsOf[claimed + 1]).toBe('COMMIT');
+    expect(DegreeService.issueDegree).toHaveBeenCalledTimes(1);
+  });
+
+  it('never executes an action twice when its outcome cannot be recorded', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+    db.query.mockImplementation(async (sql, params) => {
+      if (/SET status = 'executed'/.test(sql)) {
+        throw new Error('Connection terminated unexpectedly');
+      }
+      return runQuery(sql.replace(/\s+/g, ' ').trim(), params);
+    });
+
+    await expect(PendingActionService.approveAction(1, 'dean')).rejects.toThrow('Connection terminated unexpectedly');
+
+    expect(actions[0].status).toBe('executing');
+    expect(approvals.map(approval => approval.approver)).toEqual(['registrar', 'dean']);
+    await expect(PendingActionService.approveAction(1, 'rector')).rejects.toThrow('Pending action 1 is executing');
+    await expect(PendingActionService.proposeAction('issue_degree', DEGREE, 'rector')).rejects.toThrow(ConflictError);
+    expect(DegreeService.issueDegree).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails actions left executing by a restart', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+    await PendingActionService.proposeAction('issue_degree', { ...DEGREE, degreeId: 'VN.KMA.2025.002' }, 'registrar');
+    actions[0].status = 'executing';
+
+    await expect(PendingActionService.failInterruptedActions()).resolves.toEqual([1]);
+
+    expect(actions.map(row => row.status)).toEqual(['failed', 'pending']);
+    await expect(PendingActionService.failInterruptedActions()).resolves.toEqual([]);
+  });
+});
+
+describe('proposeAction', () => {
+  it('refuses a second pending action for the same subject', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+
+    await expect(PendingActionService.proposeAction('issue_degree', DEGREE, 'dean'))
+      .rejects.toThrow(`A issue_degree action for ${DEGREE.degreeId} is already pending`);
+  });
+
+  it('proposes a whole batch as one action keyed by its degreeIds', async () => {
+    const degrees = [DEGREE, { ...DEGREE, degreeId: 'VN.KMA.2025.002' }];
+    const issueDegreesBatch = jest.spyOn(DegreeService, 'issueDegreesBatch').mockResolvedValue({ success: true, transactionId: 'tx-batch' });
+
+    const { pendingAction } = await PendingActionService.proposeAction('issue_degree_batch', { degrees }, 'registrar');
+
+    expect(pendingAction.subject).toMatch(/^batch:[0-9a-f]{16}$/);
+    expect(pendingAction.payload).toEqual({ degrees });
+    await expect(PendingActionService.proposeAction('issue_degree_batch', { degrees }, 'dean')).rejects.toThrow(ConflictError);
+
+    await PendingActionService.approveAction(pendingAction.actionId, 'dean');
+    expect(issueDegreesBatch).toHaveBeenCalledTimes(1);
+    expect(issueDegreesBatch).toHaveBeenCalledWith(degrees, 'dean');
+  });
+
+  it('validates the size of a batch before recording it', async () => {
+    await expect(PendingActionService.proposeAction('issue_degree_batch', { degrees: [] }, 'registrar'))
+      .rejects.toThrow(ValidationError);
+    const degrees = new Array(DegreeService.MAX_BATCH_SIZE + 1).fill(DEGREE);
+    await expect(PendingActionService.proposeAction('issue_degree_batch', { degrees }, 'registrar'))
+      .rejects.toThrow(`A batch may contain at most ${DegreeService.MAX_BATCH_SIZE} degrees`);
+    expect(actions).toHaveLength(0);
+  });
+
+  it('only proposes reinstating a revoked degree', async () => {
+    DegreeService.verifyDegree.mockResolvedValue({ status: 'ACTIVE' });
+
+    await expect(PendingActionService.proposeAction('reinstate_degree', { degreeId: DEGREE.degreeId, reason: 'Appeal' }, 'registrar'))
+      .rejects.toThrow(`Degree with ID ${DEGREE.degreeId} is not revoked`);
+
+    DegreeService.verifyDegree.mockResolvedValue({ status: 'REVOKED' });
+    const { pendingAction } = await PendingActionService.proposeAction('reinstate_degree', { degreeId: DEGREE.degreeId, reason: 'Appeal' }, 'registrar');
+    expect(pendingAction).toMatchObject({ type: 'reinstate_degree', subject: DEGREE.degreeId });
+  });
+
+  it('validates amendments when proposed and applies them once approved', async () => {
+    DegreeService.verifyDegree.mockResolvedValue({ status: 'ACTIVE' });
+    const amendDegree = jest.spyOn(DegreeService, 'amendDegree').mockResolvedValue({ success: true, transactionId: 'tx-amend' });
+
+    await expect(PendingActionService.proposeAction('amend_degree', {
+      degreeId: DEGREE.degreeId, changes: { studentId: 'CT070212' }, reason: 'Typo'
+    }, 'registrar')).rejects.toThrow(/Field studentId cannot be amended/);
+
+    const changes = { studentName: 'Nguyen Van An' };
+    await PendingActionService.proposeAction('amend_degree', { degreeId: DEGREE.degreeId, changes, reason: 'Typo' }, 'registrar');
+    await PendingActionService.approveAction(1, 'dean');
+
+    expect(amendDegree).toHaveBeenCalledWith(DEGREE.degreeId, changes, 'Typo', 'dean');
+  });
+
+  it('proposes one import_degrees action per degree import job awaiting approval', async () => {
+    const getImportJob = jest.spyOn(ImportService, 'getImportJob')
+      .mockResolvedValue({ success: true, job: { jobId: 12, type: 'degree', status: 'awaiting_approval' } });
+    const startApprovedJob = jest.spyOn(ImportService, 'startApprovedJob').mockResolvedValue({ success: true, jobId: 12, transactionId: null });
+
+    const { pendingAction } = await PendingActionService.proposeAction('import_degrees', { jobId: 12 }, 'registrar');
+    expect(pendingAction).toMatchObject({ subject: 'import-job-12', payload: { jobId: 12 } });
+    expect(getImportJob).toHaveBeenCalledWith(12, { includeRows: false });
+
+    const outcome = await PendingActionService.approveAction(1, 'dean');
+    expect(outcome.executed).toBe(true);
+    expect(startApprovedJob).toHaveBeenCalledWith(12, 'dean');
+
+    getImportJob.mockResolvedValue({ success: true, job: { jobId: 13, type: 'degree', status: 'running' } });
+    await expect(PendingActionService.proposeAction('import_degrees', { jobId: 13 }, 'registrar'))
+      .rejects.toThrow('Import job 13 is not awaiting approval');
+  });
+
+  it('rejects unknown action types', async () => {
+    await expect(PendingActionService.proposeAction('suspend_degree', {}, 'registrar'))
+      .rejects.toThrow(/type must be one of: issue_degree, issue_degree_batch, revoke_degree/);
+  });
+});
+
+describe('rejectAction', () => {
+  it('rejects a pending action once', async () => {
+    await PendingActionService.proposeAction('issue_degree', DEGREE, 'registrar');
+
+    const outcome = await PendingActionService.rejectAction(1, 'dean', 'Wrong major');
+
+    expect(outcome.pendingAction).toMatchObject({ status: 'rejected', decidedBy: 'dean', notes: 'Wrong major' });
+    await expect(PendingActionService.approveAction(1, 'rector')).rejects.toThrow('Pending action 1 is rejected');
+    await expect(PendingActionService.rejectAction(1, 'rector')).rejects.toThrow(ConflictError);
+  });
+});
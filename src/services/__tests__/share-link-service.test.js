@@ -0,0 +1,182 @@
+/**
+ * Share Link Service tests: expiry, revocation and view limits
+ */
+
+jest.mock('../../database/db');
+
+const crypto = require('crypto');
+const db = require('../../database/db');
+const TranscriptService = require('../transcript-service');
+const ShareLinkService = require('../share-link-service');
+const { ValidationError, NotFoundError } = require('../../middleware/error-handler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TRANSCRIPT = {
+  studentId: 'CT070211',
+  gpa: 3.5,
+  courseGrades: [{ courseId: 'ATTT101', grade: 'A' }],
+  personalInfo: { citizenId: '001200000001', dateOfBirth: '2003-01-01' }
+};
+
+/**
+ * Build a transcript_share_links row
+ * @param {Object} [overrides] - Column overrides
+ * @returns {Object} Row
+ */
+function linkRow(overrides = {}) {
+  return {
+    id: 5,
+    token_hash: 'hash',
+    student_id: 'CT070211',
+    created_by: 'student1',
+    label: 'Recruiter',
+    include_personal_info: false,
+    expires_at: new Date(Date.now() + DAY),
+    max_views: null,
+    view_count: 0,
+    last_viewed_at: null,
+    revoked_at: null,
+    created_at: new Date(),
+    ...overrides
+  };
+}
+
+/**
+ * Route db.query calls to results by SQL text
+ * @param {Array<[RegExp, Object]>} handlers - First matching handler wins
+ */
+function routeQueries(handlers) {
+  db.query.mockImplementation(async (sql, params) => {
+    for (const [pattern, result] of handlers) {
+      if (pattern.test(sql)) {
+        return typeof result === 'function' ? result(params) : result;
+      }
+    }
+    return { rows: [] };
+  });
+}
+
+/**
+ * Outcomes written to the access log
+ * @returns {Array<string>} Outcomes in order
+ */
+function loggedOutcomes() {
+  return db.query.mock.calls
+    .filter(([sql]) => /INSERT INTO transcript_share_access_log/.test(sql))
+    .map(([, params]) => params[1]);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(TranscriptService, 'getTranscript').mockResolvedValue(TRANSCRIPT);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createShareLink', () => {
+  it('stores only the token hash and returns the token once', async () => {
+    routeQueries([[/INSERT INTO transcript_share_links/, params => ({
+      rows: [linkRow({ token_hash: params[0], expires_at: params[5] })]
+    })]]);
+
+    const result = await ShareLinkService.createShareLink('CT070211', { expiresInDays: 3 }, 'student1');
+
+    const params = db.query.mock.calls[0][1];
+    expect(params[0]).toBe(crypto.createHash('sha256').update(result.link.token).digest('hex'));
+    expect(params).not.toContain(result.link.token);
+    expect(result.link.url).toMatch(new RegExp(`/shared/${result.link.token}$`));
+    expect(result.link.state).toBe('active');
+    expect(params[5].getTime() - Date.now()).toBeGreaterThan(3 * DAY - 60 * 1000);
+  });
+
+  it('rejects an expiry outside 1-90 days and an invalid view limit', async () => {
+    await expect(ShareLinkService.createShareLink('CT070211', { expiresInDays: 0 }, 'student1'))
+      .rejects.toThrow(ValidationError);
+    await expect(ShareLinkService.createShareLink('CT070211', { expiresInDays: 91 }, 'student1'))
+      .rejects.toThrow(ValidationError);
+    await expect(ShareLinkService.createShareLink('CT070211', { maxViews: 0 }, 'student1'))
+      .rejects.toThrow(ValidationError);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('accessSharedTranscript', () => {
+  it('returns the transcript without personalInfo and logs the view', async () => {
+    routeQueries([[/SET view_count = view_count \+ 1/, { rows: [linkRow({ max_views: 3, view_count: 1 })] }]]);
+
+    const result = await ShareLinkService.accessSharedTranscript('token', { ipAddress: '10.0.0.1' });
+
+    expect(result.granted).toBe(true);
+    expect(result.transcript.personalInfo).toBeUndefined();
+    expect(result.transcript.gpa).toBe(3.5);
+    expect(result.remainingViews).toBe(2);
+    expect(TranscriptService.getTranscript).toHaveBeenCalledWith('CT070211', 'student1');
+    expect(loggedOutcomes()).toEqual(['granted']);
+  });
+
+  it('claims the view only for links that are unrevoked, unexpired and under the view limit', async () => {
+    routeQueries([[/SET view_count = view_count \+ 1/, { rows: [linkRow()] }]]);
+
+    await ShareLinkService.accessSharedTranscript('token');
+
+    const claim = db.query.mock.calls[0][0];
+    expect(claim).toMatch(/revoked_at IS NULL/);
+    expect(claim).toMatch(/expires_at > CURRENT_TIMESTAMP/);
+    expect(claim).toMatch(/max_views IS NULL OR view_count < max_views/);
+  });
+
+  it.each([
+    ['expired', linkRow({ expires_at: new Date(Date.now() - 1000) })],
+    ['revoked', linkRow({ revoked_at: new Date() })],
+    ['view_limit_reached', linkRow({ max_views: 2, view_count: 2 })]
+  ])('denies access with reason %s and logs it', async (reason, row) => {
+    routeQueries([[/SELECT \* FROM transcript_share_links WHERE token_hash/, { rows: [row] }]]);
+
+    await expect(ShareLinkService.accessSharedTranscript('token'))
+      .resolves.toEqual({ granted: false, reason: reason });
+    expect(TranscriptService.getTranscript).not.toHaveBeenCalled();
+    expect(loggedOutcomes()).toEqual([reason]);
+  });
+
+  it('throws NotFoundError for an unknown token', async () => {
+    routeQueries([]);
+
+    await expect(ShareLinkService.accessSharedTranscript('unknown')).rejects.toThrow(NotFoundError);
+    expect(loggedOutcomes()).toEqual([]);
+  });
+
+  it('gives the view back when the transcript cannot be read', async () => {
+    routeQueries([[/SET view_count = view_count \+ 1/, { rows: [linkRow({ max_views: 1, view_count: 1 })] }]]);
+    TranscriptService.getTranscript.mockRejectedValue(new Error('peer unavailable'));
+
+    await expect(ShareLinkService.accessSharedTranscript('token')).rejects.toThrow('peer unavailable');
+    expect(db.query.mock.calls.some(([sql]) => /SET view_count = view_count - 1/.test(sql))).toBe(true);
+    expect(loggedOutcomes()).toEqual(['error']);
+  });
+});
+
+describe('revokeShareLink', () => {
+  it('revokes a link owned by the caller, keeping the first revocation time', async () => {
+    const revokedAt = new Date();
+    routeQueries([
+      [/SELECT \* FROM transcript_share_links WHERE id/, { rows: [linkRow()] }],
+      [/SET revoked_at = COALESCE\(revoked_at, CURRENT_TIMESTAMP\)/, { rows: [linkRow({ revoked_at: revokedAt })] }]
+    ]);
+
+    const result = await ShareLinkService.revokeShareLink('5', 'student1');
+
+    expect(db.query.mock.calls[0][1]).toEqual([5, 'student1']);
+    expect(result.link.state).toBe('revoked');
+    expect(result.link.revokedAt).toBe(revokedAt);
+  });
+
+  it('does not reveal links owned by someone else', async () => {
+    routeQueries([]);
+
+    await expect(ShareLinkService.revokeShareLink(5, 'student2')).rejects.toThrow(NotFoundError);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
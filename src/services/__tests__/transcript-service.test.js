@@ -0,0 +1,191 @@
+/**
+ * Transcript Service tests (Fabric gateway mocked)
+ */
+
+const { GatewayConnectionManager } = require('../../fabric/gateway-connection');
+const DegreeContract = require('../../../chaincode/lib/degree-contract');
+const { MockContext } = require('../../../chaincode/test/mock-context');
+const TranscriptService = require('../transcript-service');
+const { ValidationError, NotFoundError } = require('../../middleware/error-handler');
+
+const STUDENT_ID = 'CT070211';
+
+const VERSIONS = {
+  1: { studentId: STUDENT_ID, version: 1, gpa: '3.20', transcript: { ATTT101: 'B', ATTT102: 'A' }, updatedAt: '2025-01-10T00:00:00.000Z', updatedBy: 'Org1MSP' },
+  2: { studentId: STUDENT_ID, version: 2, gpa: '3.40', transcript: { ATTT101: 'A', ATTT102: 'A', ATTT201: 'B+' }, updatedAt: '2025-06-10T00:00:00.000Z', updatedBy: 'Org1MSP' },
+  3: { studentId: STUDENT_ID, version: 3, gpa: '3.40', transcript: { ATTT101: 'A', ATTT201: 'B+' }, updatedAt: '2025-07-01T00:00:00.000Z', updatedBy: 'Org1MSP' }
+};
+
+let contract;
+
+/**
+ * Answer the version queries from VERSIONS, as the chaincode would
+ * @param {Function} [transform] - Applied to each returned version record
+ */
+function serveVersions(transform = record => record) {
+  contract.evaluateTransaction.mockImplementation(async (fn, studentId, version) => {
+    if (fn === 'QueryTranscriptVersions') {
+      return Buffer.from(JSON.stringify(Object.values(VERSIONS).map(({ transcript, gpa, ...meta }) => meta)));
+    }
+    if (fn === 'QueryTranscriptVersion') {
+      if (!VERSIONS[version]) {
+        throw new Error(`Version ${version} of transcript for student ${studentId} does not exist`);
+      }
+      return Buffer.from(JSON.stringify(transform(VERSIONS[version])));
+    }
+    throw new Error(`Unexpected transaction ${fn}`);
+  });
+}
+
+beforeEach(() => {
+  contract = {
+    evaluateTransaction: jest.fn(),
+    newProposal: jest.fn()
+  };
+  jest.spyOn(GatewayConnectionManager, 'getInstance').mockResolvedValue({
+    getContractWithUserIdentity: jest.fn().mockResolvedValue(contract)
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('diffTranscriptVersions', () => {
+  it('compares the current version with the one before it by default', async () => {
+    serveVersions();
+
+    const diff = await TranscriptService.diffTranscriptVersions(STUDENT_ID);
+
+    expect(diff.from).toEqual({ version: 2, updatedAt: VERSIONS[2].updatedAt, updatedBy: 'Org1MSP' });
+    expect(diff.to.version).toBe(3);
+    expect(diff.gpa).toEqual({ from: '3.40', to: '3.40', changed: false });
+    expect(diff.courses).toEqual({
+      added: [],
+      removed: [{ course: 'ATTT102', grade: 'A' }],
+      changed: [],
+      unchangedCount: 2
+    });
+  });
+
+  it('reports added, changed and unchanged courses between explicit versions', async () => {
+    serveVersions();
+
+    const diff = await TranscriptService.diffTranscriptVersions(STUDENT_ID, { from: '1', to: '2' });
+
+    expect(diff.gpa).toEqual({ from: '3.20', to: '3.40', changed: true });
+    expect(diff.courses).toEqual({
+      added: [{ course: 'ATTT201', grade: 'B+' }],
+      removed: [],
+      changed: [{ course: 'ATTT101', from: 'B', to: 'A' }],
+      unchangedCount: 1
+    });
+    expect(contract.evaluateTransaction).not.toHaveBeenCalledWith('QueryTranscriptVersions', STUDENT_ID);
+  });
+
+  it('returns courses: null when the caller only sees the GPA', async () => {
+    serveVersions(({ studentId, gpa, version, updatedAt }) => ({ studentId, gpa, version, updatedAt, scope: 'gpa-only' }));
+
+    const diff = await TranscriptService.diffTranscriptVersions(STUDENT_ID, { from: 1, to: 3 });
+
+    expect(diff.courses).toBeNull();
+    expect(diff.gpa.changed).toBe(true);
+  });
+
+  it.each([
+    [{ from: '2', to: '2' }, 'from and to must be different versions'],
+    [{ from: '0', to: '2' }, 'from must be a positive integer'],
+    [{ to: '1' }, 'has only one version'],
+    [{ from: '1', to: 'x' }, 'to must be a positive integer']
+  ])('rejects range %p', async (range, message) => {
+    serveVersions();
+
+    const error = await TranscriptService.diffTranscriptVersions(STUDENT_ID, range).catch(err => err);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toContain(message);
+  });
+
+  it('maps a missing version to NotFoundError', async () => {
+    serveVersions();
+
+    await expect(TranscriptService.diffTranscriptVersions(STUDENT_ID, { from: 1, to: 9 }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('verifyTranscriptDocument', () => {
+  let ledger;
+  let chaincode;
+  let versions;
+
+  /**
+   * Write a transcript with the chaincode, as the admin
+   * @param {Object} transient - Transient data of UpdateTranscript
+   * @returns {Promise<Object>} Stored transcript record (as QueryTranscript returns it)
+   */
+  async function recordTranscript(transient) {
+    ledger.setIdentity({ mspId: 'Org1MSP', attrs: { ou: 'admin' } }).nextTransaction(transient);
+    await chaincode.UpdateTranscript(ledger, STUDENT_ID);
+    return JSON.parse(await chaincode.QueryTranscript(ledger, STUDENT_ID));
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ledger = new MockContext();
+    chaincode = new DegreeContract();
+    // The gateway evaluates transactions against the in-memory ledger
+    contract.evaluateTransaction.mockImplementation(async (fn, ...args) => Buffer.from(await chaincode[fn](ledger, ...args)));
+
+    versions = [
+      await recordTranscript({
+        courses: [{ code: 'INT1306', name: 'Cau truc du lieu', credits: 3, semester: '2023-2024/1', grade: '7.5', letter: 'B', gradePoint: 3.0 }],
+        gradingScale: { id: 1, university: 'KMA', name: 'KMA 2021' },
+        personalInfo: { citizenId: '001200000001' }
+      }),
+      await recordTranscript({ transcript: { INT1306: 'A' }, gpa: '4.00', personalInfo: {} })
+    ];
+  });
+
+  it('reports the current record as valid, sending only its hash', async () => {
+    const result = await TranscriptService.verifyTranscriptDocument(versions[1]);
+
+    expect(result).toMatchObject({ match: true, current: true, status: 'valid', version: 2, currentVersion: 2 });
+    const [, studentId, hash] = contract.evaluateTransaction.mock.calls[0];
+    expect([studentId, hash]).toEqual([STUDENT_ID, result.transcriptHash]);
+  });
+
+  it('reports an earlier version as superseded, even with its keys reordered', async () => {
+    const { courses, gradingScale, ...rest } = versions[0];
+    const reordered = {
+      gradingScale: { name: gradingScale.name, id: gradingScale.id, university: gradingScale.university },
+      courses: courses.map(course => Object.fromEntries(Object.entries(course).reverse())),
+      ...Object.fromEntries(Object.entries(rest).reverse())
+    };
+
+    await expect(TranscriptService.verifyTranscriptDocument(reordered))
+      .resolves.toMatchObject({ match: true, current: false, status: 'superseded', version: 1 });
+  });
+
+  it('reports a tampered record as a mismatch', async () => {
+    const tampered = { ...versions[1], gpa: '3.99' };
+
+    await expect(TranscriptService.verifyTranscriptDocument(tampered))
+      .resolves.toMatchObject({ match: false, status: 'mismatch', version: null });
+  });
+
+  it.each([
+    [{ studentId: STUDENT_ID, gpa: '4.00', version: 2, scope: 'gpa-only' }, /gpa-only transcript view cannot be verified/],
+    [{ studentId: STUDENT_ID, gpa: '4.00' }, /Missing transcript fields/],
+    [{ ...VERSIONS[1], personalInfo: {}, grades: {} }, /Unknown transcript fields: grades/]
+  ])('rejects an incomplete or unknown document (%#)', async (document, message) => {
+    await expect(TranscriptService.verifyTranscriptDocument(document)).rejects.toThrow(message);
+    expect(contract.evaluateTransaction).not.toHaveBeenCalled();
+  });
+
+  it('maps a student without a transcript to NotFoundError', async () => {
+    await expect(TranscriptService.verifyTranscriptDocument({ ...versions[1], studentId: 'CT070299' }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
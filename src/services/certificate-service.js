@@ -0,0 +1,288 @@
+/**
+ * Certificate Service Module
+ *
+ * Renders a graduate's diploma as a downloadable PDF and digitally signs it
+ * with the issuing organisation's key.
+ *
+ * The PDF contains:
+ * - The degree fields returned by DegreeService.verifyDegree
+ * - The Fabric transaction ID that issued the degree (from the ledger key history)
+ * - The verification QR code (same payload as GET /api/degrees/:id/qr)
+ *
+ * The signature is a detached CMS (PKCS#7) signature embedded in the PDF
+ * (adbe.pkcs7.detached), so any PDF reader can validate the document offline
+ * against the organisation's certificate. Fabric identities use ECDSA keys,
+ * which the CMS signer supports alongside RSA.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const PDFDocument = require('pdfkit');
+const asn1js = require('asn1js');
+const pkijs = require('pkijs');
+const signpdf = require('@signpdf/signpdf').default;
+const { plainAddPlaceholder } = require('@signpdf/placeholder-plain');
+const { Signer } = require('@signpdf/utils');
+const config = require('../config/fabric-config');
+const DegreeService = require('./degree-service');
+const QrService = require('./qr-service');
+const {
+  ValidationError
+} = require('../middleware/error-handler');
+
+pkijs.setEngine('nodeEngine', new pkijs.CryptoEngine({ name: 'node', crypto: crypto.webcrypto }));
+
+// CMS object identifiers
+const OID_DATA = '1.2.840.113549.1.7.1';
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_CONTENT_TYPE = '1.2.840.113549.1.9.3';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_SIGNING_TIME = '1.2.840.113549.1.9.5';
+
+// WebCrypto names for the EC curves used by Fabric CAs
+const EC_CURVES = {
+  prime256v1: 'P-256',
+  secp384r1: 'P-384',
+  secp521r1: 'P-521'
+};
+
+/**
+ * Signs PDFs with a PEM certificate and private key (ECDSA or RSA)
+ * producing a detached CMS SignedData structure
+ * @private
+ */
+class OrganizationSigner extends Signer {
+  /**
+   * @param {string|Buffer} certificatePem - Signer certificate (PEM)
+   * @param {string|Buffer} privateKeyPem - Signer private key (PEM)
+   */
+  constructor(certificatePem, privateKeyPem) {
+    super();
+    this.certificate = pkijs.Certificate.fromBER(new crypto.X509Certificate(certificatePem).raw);
+    this.keyObject = crypto.createPrivateKey(privateKeyPem);
+  }
+
+  /**
+   * Import the private key into WebCrypto for pkijs
+   * @returns {Promise<CryptoKey>} Signing key
+   */
+  async importKey() {
+    let algorithm;
+    if (this.keyObject.asymmetricKeyType === 'ec') {
+      const namedCurve = EC_CURVES[this.keyObject.asymmetricKeyDetails.namedCurve];
+      if (!namedCurve) {
+        throw new Error(`Unsupported signing key curve: ${this.keyObject.asymmetricKeyDetails.namedCurve}`);
+      }
+      algorithm = { name: 'ECDSA', namedCurve };
+    } else if (this.keyObject.asymmetricKeyType === 'rsa') {
+      algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    } else {
+      throw new Error(`Unsupported signing key type: ${this.keyObject.asymmetricKeyType}`);
+    }
+
+    const pkcs8 = this.keyObject.export({ format: 'der', type: 'pkcs8' });
+    return crypto.webcrypto.subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']);
+  }
+
+  /**
+   * @param {Buffer} pdfBuffer - PDF bytes covered by the signature ByteRange
+   * @param {Date} [signingTime] - Signing time
+   * @returns {Promise<Buffer>} DER-encoded CMS ContentInfo
+   */
+  async sign(pdfBuffer, signingTime = undefined) {
+    const privateKey = await this.importKey();
+    const digest = crypto.createHash('sha256').update(pdfBuffer).digest();
+
+    const signedData = new pkijs.SignedData({
+      version: 1,
+      encapContentInfo: new pkijs.EncapsulatedContentInfo({ eContentType: OID_DATA }),
+      signerInfos: [
+        new pkijs.SignerInfo({
+          version: 1,
+          sid: new pkijs.IssuerAndSerialNumber({
+            issuer: this.certificate.issuer,
+            serialNumber: this.certificate.serialNumber
+          }),
+          signedAttrs: new pkijs.SignedAndUnsignedAttributes({
+            type: 0,
+            attributes: [
+              new pkijs.Attribute({
+                type: OID_CONTENT_TYPE,
+                values: [new asn1js.ObjectIdentifier({ value: OID_DATA })]
+              }),
+              new pkijs.Attribute({
+                type: OID_SIGNING_TIME,
+                values: [new asn1js.UTCTime({ valueDate: signingTime || new Date() })]
+              }),
+              new pkijs.Attribute({
+                type: OID_MESSAGE_DIGEST,
+                values: [new asn1js.OctetString({ valueHex: digest })]
+              })
+            ]
+          })
+        })
+      ],
+      certificates: [this.certificate]
+    });
+
+    await signedData.sign(privateKey, 0, 'SHA-256');
+
+    const contentInfo = new pkijs.ContentInfo({
+      contentType: OID_SIGNED_DATA,
+      content: signedData.toSchema(true)
+    });
+
+    return Buffer.from(contentInfo.toSchema().toBER(false));
+  }
+}
+
+let signerPromise = null;
+
+/**
+ * Load the organisation signer once (certificate and key files are read on first use)
+ * @returns {Promise<OrganizationSigner>} Signer
+ * @private
+ */
+function getSigner() {
+  if (!signerPromise) {
+    signerPromise = Promise.all([
+      fs.readFile(config.CERTIFICATE_SIGNING_CERT_PATH),
+      fs.readFile(config.CERTIFICATE_SIGNING_KEY_PATH)
+    ]).then(([certificatePem, privateKeyPem]) => new OrganizationSigner(certificatePem, privateKeyPem))
+      .catch(error => {
+        signerPromise = null;
+        throw new Error(`Failed to load certificate signing identity: ${error.message}`);
+      });
+  }
+  return signerPromise;
+}
+
+/**
+ * Find the transaction that issued a degree from its ledger history
+ *
+ * @param {Array<Object>} history - Entries from DegreeService.getDegreeHistory
+ * @returns {{issuedTxId: string|null, latestTxId: string|null}} Transaction IDs
+ * @private
+ */
+function findTransactionIds(history) {
+  const entries = Array.isArray(history) ? history : [];
+  const issued = entries.find(entry => entry.action === 'ISSUED') || entries[0];
+  const latest = entries[entries.length - 1];
+
+  return {
+    issuedTxId: issued ? issued.txId : null,
+    latestTxId: latest ? latest.txId : null
+  };
+}
+
+/**
+ * Render the (unsigned) diploma PDF
+ *
+ * @param {Object} data - Render data
+ * @returns {Promise<Buffer>} PDF bytes
+ * @private
+ */
+function renderPdf({ degree, issuedTxId, latestTxId, degreeHash, verificationUrl, qrPng }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: {
+        Title: `${degree.degreeType} - ${degree.studentName}`,
+        Author: degree.university,
+        Subject: `Degree ${degree.degreeId}`,
+        Keywords: `degreeId=${degree.degreeId}; txId=${issuedTxId || ''}; degreeHash=${degreeHash}`
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    if (config.CERTIFICATE_FONT_PATH) {
+      doc.registerFont('Body', config.CERTIFICATE_FONT_PATH);
+      doc.font('Body');
+    }
+
+    const { width, height } = doc.page;
+
+    doc.rect(25, 25, width - 50, height - 50).lineWidth(3).stroke('#1f3a68');
+
+    doc.fillColor('#1f3a68').fontSize(22).text(degree.university, 50, 70, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(30).text(degree.degreeType, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fillColor('black').fontSize(14).text('This is to certify that', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(26).text(degree.studentName, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(14).text(`has been awarded the degree in ${degree.major}`, { align: 'center' });
+    doc.text(`Classification: ${degree.classification}`, { align: 'center' });
+
+    const detailsTop = height - 200;
+    doc.fontSize(10)
+      .text(`Degree ID: ${degree.degreeId}`, 60, detailsTop)
+      .text(`Student ID: ${degree.studentId}`)
+      .text(`Issue date: ${degree.issueDate}`)
+      .text(`Version: ${degree.version || 1}`)
+      .text(`Fabric transaction ID: ${issuedTxId || 'unavailable'}`, { width: width - 260 });
+    if (latestTxId && latestTxId !== issuedTxId) {
+      doc.text(`Last updated in transaction: ${latestTxId}`, { width: width - 260 });
+    }
+    doc.text(`Degree hash: ${degreeHash}`, { width: width - 260 })
+      .text(`Verify at: ${verificationUrl}`, { width: width - 260 });
+
+    doc.image(qrPng, width - 190, height - 210, { fit: [130, 130] });
+
+    doc.end();
+  });
+}
+
+/**
+ * Generate the signed PDF diploma for a degree
+ *
+ * @param {Object} verification - Result of DegreeService.verifyDegree
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { pdf, fileName, degreeHash, transactionId }
+ * @throws {ValidationError} If the degree is not active
+ */
+async function generateDegreeCertificate(verification, username = null) {
+  const { degree, status } = verification;
+
+  if (status !== 'ACTIVE') {
+    throw new ValidationError(`Certificates can only be generated for active degrees (status: ${status})`);
+  }
+
+  const history = await DegreeService.getDegreeHistory(degree.degreeId, username);
+  const { issuedTxId, latestTxId } = findTransactionIds(history);
+
+  const degreeHash = QrService.computeDegreeHash(degree);
+  const verificationUrl = QrService.buildVerificationUrl(degree.degreeId, degreeHash);
+  const qrPng = await QrService.renderQrCode(verificationUrl, 'png');
+
+  const unsignedPdf = await renderPdf({ degree, issuedTxId, latestTxId, degreeHash, verificationUrl, qrPng });
+
+  const pdfWithPlaceholder = plainAddPlaceholder({
+    pdfBuffer: unsignedPdf,
+    reason: `Diploma ${degree.degreeId} issued on Hyperledger Fabric`,
+    contactInfo: verificationUrl,
+    name: `${degree.university} (${config.MSP_ID})`,
+    location: degree.university
+  });
+
+  const signer = await getSigner();
+  const pdf = await signpdf.sign(pdfWithPlaceholder, signer);
+
+  return {
+    pdf: pdf,
+    fileName: `${degree.degreeId.replace(/[^A-Za-z0-9._-]/g, '_')}.pdf`,
+    degreeHash: degreeHash,
+    transactionId: issuedTxId
+  };
+}
+
+module.exports = {
+  generateDegreeCertificate
+};
@@ -0,0 +1,596 @@
+/**
+ * Transcript Correction Service Module
+ *
+ * Students file correction requests for their transcript; admins review them.
+ *
+ * - Requests are stored in PostgreSQL (correction_requests)
+ * - Reviewing shows the current on-chain transcript next to the requested change
+ * - Approving submits the corrected transcript via UpdateTranscript and records
+ *   the Fabric transaction ID; rejecting requires notes for the student
+ * - The transcript as it was at review time is kept in current_data
+ * - Every decision is also anchored on the ledger (RecordCorrectionDecision),
+ *   so later changes to the rows can be detected (checkDecisionIntegrity)
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+const config = require('../config/fabric-config');
+const { GatewayConnectionManager } = require('../fabric/gateway-connection');
+const TranscriptService = require('./transcript-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ConnectionError
+} = require('../middleware/error-handler');
+
+const REQUEST_STATUSES = ['pending', 'approving', 'approved', 'rejected'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Format a correction_requests row for API responses
+ * @param {Object} row - Database row
+ * @returns {Object} Correction request
+ * @private
+ */
+function formatRequest(row) {
+  return {
+    requestId: row.id,
+    studentId: row.student_id,
+    type: row.request_type,
+    status: row.status,
+    requestedData: row.requested_data,
+    reason: row.reason,
+    requestedBy: row.requested_by,
+    requestedAt: row.requested_at,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    notes: row.notes,
+    transactionId: row.transaction_id,
+    decisionTransactionId: row.decision_transaction_id
+  };
+}
+
+/**
+ * JSON with object keys sorted at every level
+ *
+ * requested_data is JSONB, which does not keep key order, so the hash is taken
+ * over this form to be reproducible from the stored row.
+ * @private
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 (hex) of a request's requested data
+ * @private
+ */
+function hashRequestedData(requestedData) {
+  return crypto.createHash('sha256').update(canonicalJson(requestedData)).digest('hex');
+}
+
+/**
+ * Anchor a decision on the ledger
+ * @param {Object} row - correction_requests row (before the decision)
+ * @param {string} decision - approved or rejected
+ * @param {string} username - Reviewing admin (also the Fabric identity)
+ * @param {string} [transcriptTxId] - Transaction that applied the correction
+ * @returns {Promise<string>} Transaction ID of the anchoring transaction
+ * @private
+ */
+async function anchorDecision(row, decision, username, transcriptTxId = null) {
+  const gatewayManager = await GatewayConnectionManager.getInstance();
+  const contract = await gatewayManager.getContractWithUserIdentity(
+    config.CHANNEL_NAME,
+    config.CHAINCODE_NAME,
+    username
+  );
+
+  const proposal = contract.newProposal('RecordCorrectionDecision', {
+    arguments: [
+      String(row.id),
+      row.student_id,
+      hashRequestedData(row.requested_data),
+      decision,
+      username,
+      transcriptTxId || ''
+    ]
+  });
+  const transactionId = proposal.getTransactionId();
+
+  try {
+    const transaction = await proposal.endorse();
+    await transaction.submit();
+  } catch (error) {
+    if ((error.message || '').includes('already recorded')) {
+      throw new ConflictError(`A decision for correction request ${row.id} is already recorded on the ledger`);
+    }
+    throw error;
+  }
+
+  return transactionId;
+}
+
+/**
+ * Parse a request ID from a URL parameter
+ * @private
+ */
+function parseRequestId(requestId) {
+  const id = parseInt(requestId, 10);
+  if (isNaN(id) || String(id) !== String(requestId).trim()) {
+    throw new ValidationError('requestId must be a number');
+  }
+  return id;
+}
+
+/**
+ * Read the student's current transcript, or null if there is none yet
+ * @private
+ */
+async function getCurrentTranscript(studentId, username) {
+  try {
+    // getTranscriptRecord reports a missing transcript as NotFoundError
+    const { transcript } = await TranscriptService.getTranscriptRecord(studentId, username);
+    return transcript;
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Submit a correction request for a transcript
+ *
+ * @param {string} studentId - Student ID
+ * @param {Object|string} requestDetails - Details of the correction request
+ * @param {string} username - Username of the requester
+ * @returns {Promise<Object>} { success, message, request }
+ * @throws {ValidationError} If no details are given
+ */
+async function submitCorrectionRequest(studentId, requestDetails, username) {
+  if (!requestDetails) {
+    throw new ValidationError('Request details are required');
+  }
+
+  const result = await db.query(
+    `INSERT INTO correction_requests (student_id, request_type, status, requested_data, reason, requested_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *`,
+    [
+      studentId,
+      requestDetails.type || 'transcript_correction',
+      'pending',
+      JSON.stringify(requestDetails),
+      requestDetails.reason || null,
+      username
+    ]
+  );
+
+  return {
+    success: true,
+    message: 'Correction request submitted successfully',
+    request: formatRequest(result.rows[0])
+  };
+}
+
+/**
+ * List correction requests (admin)
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, approving, approved or rejected
+ * @param {string} [filters.studentId] - Only requests of this student
+ * @param {number} [filters.limit=50] - Page size (at most 200)
+ * @param {number} [filters.offset=0] - Rows to skip
+ * @returns {Promise<Object>} { success, total, requests }
+ * @throws {ValidationError} If a filter is invalid
+ */
+async function listCorrectionRequests(filters = {}) {
+  const { status, studentId } = filters;
+  const limit = filters.limit === undefined ? DEFAULT_PAGE_SIZE : Number(filters.limit);
+  const offset = filters.offset === undefined ? 0 : Number(filters.offset);
+
+  if (status !== undefined && !REQUEST_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('offset must be a non-negative integer');
+  }
+
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (studentId) {
+    params.push(studentId);
+    conditions.push(`student_id = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await db.query(`SELECT COUNT(*) AS total FROM correction_requests ${where}`, params);
+  const result = await db.query(
+    `SELECT * FROM correction_requests ${where}
+    ORDER BY requested_at ASC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    success: true,
+    total: parseInt(countResult.rows[0].total, 10),
+    requests: result.rows.map(formatRequest)
+  };
+}
+
+/**
+ * Get a correction request with the student's current transcript (admin)
+ *
+ * For a pending request currentTranscript is read from the ledger; for a
+ * reviewed one it is the transcript as it was at review time.
+ *
+ * @param {number|string} requestId - Correction request ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, request, currentTranscript }
+ * @throws {NotFoundError} If the request does not exist
+ */
+async function getCorrectionRequest(requestId, username = null) {
+  const id = parseRequestId(requestId);
+
+  const result = await db.query('SELECT * FROM correction_requests WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Correction request ${id} not found`);
+  }
+  const row = result.rows[0];
+
+  return {
+    success: true,
+    request: formatRequest(row),
+    currentTranscript: row.status === 'pending'
+      ? await getCurrentTranscript(row.student_id, username)
+      : row.current_data
+  };
+}
+
+/**
+ * Lock a pending request inside a database transaction
+ * @private
+ */
+async function lockPendingRequest(client, id) {
+  const result = await client.query('SELECT * FROM correction_requests WHERE id = $1 FOR UPDATE', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Correction request ${id} not found`);
+  }
+  if (result.rows[0].status === 'approving') {
+    throw new ConflictError(`Correction request ${id} is being approved`);
+  }
+  if (result.rows[0].status !== 'pending') {
+    throw new ConflictError(`Correction request ${id} has already been ${result.rows[0].status}`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Approve a correction request and apply the corrected transcript (admin)
+ *
+ * The request is first committed as approving, so it cannot be reviewed twice,
+ * and the transcript is submitted outside any database transaction. If the
+ * submission fails the request returns to pending.
+ *
+ * @param {number|string} requestId - Correction request ID
+ * @param {Object} decision
+ * @param {Object} decision.transcriptData - Corrected transcript, as for addPrivateTranscript
+ *   (gpa, detailedGrades or courses, personalInfo); personalInfo defaults to the current one
+ * @param {string} [decision.notes] - Notes for the student
+ * @param {string} username - Admin approving the request (also the Fabric identity)
+ * @returns {Promise<Object>} { success, request, transactionId, anchored }
+ * @throws {ValidationError} If the corrected data is invalid
+ * @throws {NotFoundError} If the request does not exist
+ * @throws {ConflictError} If the request has already been reviewed
+ */
+async function approveCorrectionRequest(requestId, { transcriptData, notes } = {}, username) {
+  const id = parseRequestId(requestId);
+  if (!transcriptData || typeof transcriptData !== 'object' || Array.isArray(transcriptData)) {
+    throw new ValidationError('transcriptData is required and must be an object');
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    throw new ValidationError('notes must be a string');
+  }
+
+  const client = await db.getClient();
+  let row;
+  let currentTranscript;
+  try {
+    await client.query('BEGIN');
+
+    row = await lockPendingRequest(client, id);
+    currentTranscript = await getCurrentTranscript(row.student_id, username);
+
+    await client.query(
+      `UPDATE correction_requests
+      SET status = 'approving', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, notes = $3, current_data = $4
+      WHERE id = $1`,
+      [id, username, notes || null, currentTranscript ? JSON.stringify(currentTranscript) : null]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Error approving correction request ${id}:`, error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const corrected = {
+    ...transcriptData,
+    studentId: row.student_id,
+    personalInfo: transcriptData.personalInfo || (currentTranscript && currentTranscript.personalInfo) || undefined
+  };
+
+  let submitted;
+  try {
+    submitted = await TranscriptService.addPrivateTranscript(corrected, username);
+  } catch (error) {
+    console.error(`Error approving correction request ${id}:`, error.message);
+    await db.query(
+      `UPDATE correction_requests
+      SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL, notes = NULL, current_data = NULL
+      WHERE id = $1 AND status = 'approving'`,
+      [id]
+    );
+    throw error;
+  }
+
+  // The correction is applied at this point, so a failed anchoring must not
+  // undo the approval; checkDecisionIntegrity reports it as not anchored
+  let decisionTransactionId = null;
+  try {
+    decisionTransactionId = await anchorDecision(row, 'approved', username, submitted.transactionId);
+  } catch (error) {
+    console.error(`Failed to anchor approval of correction request ${id}:`, error.message);
+  }
+
+  const result = await db.query(
+    `UPDATE correction_requests
+    SET status = 'approved', transaction_id = $2, decision_transaction_id = $3
+    WHERE id = $1
+    RETURNING *`,
+    [id, submitted.transactionId, decisionTransactionId]
+  );
+
+  console.log(`Correction request ${id} approved by ${username} (tx ${submitted.transactionId})`);
+
+  return {
+    success: true,
+    request: formatRequest(result.rows[0]),
+    transactionId: submitted.transactionId,
+    anchored: decisionTransactionId !== null
+  };
+}
+
+/**
+ * Reject a correction request (admin)
+ *
+ * @param {number|string} requestId - Correction request ID
+ * @param {string} notes - Reason given to the student
+ * @param {string} username - Admin rejecting the request
+ * @returns {Promise<Object>} { success, request }
+ * @throws {ValidationError} If notes are missing
+ * @throws {NotFoundError} If the request does not exist
+ * @throws {ConflictError} If the request has already been reviewed
+ */
+async function rejectCorrectionRequest(requestId, notes, username) {
+  const id = parseRequestId(requestId);
+  if (typeof notes !== 'string' || notes.trim() === '') {
+    throw new ValidationError('notes are required when rejecting a request');
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const row = await lockPendingRequest(client, id);
+    const currentTranscript = await getCurrentTranscript(row.student_id, username);
+
+    // Nothing has changed yet, so the rejection is only stored once anchored
+    const decisionTransactionId = await anchorDecision(row, 'rejected', username);
+
+    const result = await client.query(
+      `UPDATE correction_requests
+      SET status = 'rejected', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+        notes = $3, current_data = $4, decision_transaction_id = $5
+      WHERE id = $1
+      RETURNING *`,
+      [id, username, notes.trim(), currentTranscript ? JSON.stringify(currentTranscript) : null, decisionTransactionId]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      success: true,
+      request: formatRequest(result.rows[0])
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Error rejecting correction request ${id}:`, error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the correction requests filed by a student
+ *
+ * @param {string} username - Username of the student
+ * @returns {Promise<Object>} { success, requests }, newest first
+ */
+async function listMyCorrectionRequests(username) {
+  const result = await db.query(
+    'SELECT * FROM correction_requests WHERE requested_by = $1 ORDER BY requested_at DESC',
+    [username]
+  );
+
+  return {
+    success: true,
+    requests: result.rows.map(formatRequest)
+  };
+}
+
+/**
+ * Re-check reviewed correction requests against the decisions on the ledger
+ *
+ * Issues reported per request:
+ * - not_anchored: reviewed in the database, no decision on the ledger
+ * - decision_mismatch, reviewer_mismatch, student_mismatch: the row differs from the ledger
+ * - requested_data_mismatch: requested_data no longer hashes to the anchored hash
+ * - transaction_mismatch: transaction_id differs from the anchored transcript transaction
+ * - pending_in_database: decided on the ledger, pending in the database
+ * - missing_in_database: decided on the ledger, row deleted
+ *
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, checked, consistent, drift: [{ requestId, issues, database, ledger }] }
+ */
+async function checkDecisionIntegrity(username = null) {
+  const gatewayManager = await GatewayConnectionManager.getInstance();
+  const contract = await gatewayManager.getContractWithUserIdentity(
+    config.CHANNEL_NAME,
+    config.CHAINCODE_NAME,
+    username
+  );
+
+  let resultBytes;
+  try {
+    resultBytes = await contract.evaluateTransaction('QueryCorrectionDecisions');
+  } catch (error) {
+    if ((error.message || '').includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+    throw error;
+  }
+  const decisions = new Map(
+    JSON.parse(Buffer.from(resultBytes).toString('utf8')).map(decision => [String(decision.requestId), decision])
+  );
+
+  const result = await db.query('SELECT * FROM correction_requests ORDER BY id ASC');
+  const drift = [];
+  let checked = 0;
+
+  for (const row of result.rows) {
+    const decision = decisions.get(String(row.id));
+    decisions.delete(String(row.id));
+
+    // An approving request is still being applied
+    const reviewed = row.status !== 'pending' && row.status !== 'approving';
+    if (!reviewed && !decision) {
+      continue;
+    }
+    checked++;
+
+    const issues = [];
+    if (!decision) {
+      issues.push('not_anchored');
+    } else if (!reviewed) {
+      issues.push('pending_in_database');
+    } else {
+      if (decision.decision !== row.status) issues.push('decision_mismatch');
+      if (decision.reviewer !== row.reviewed_by) issues.push('reviewer_mismatch');
+      if (decision.studentId !== row.student_id) issues.push('student_mismatch');
+      if (decision.requestedDataHash !== hashRequestedData(row.requested_data)) issues.push('requested_data_mismatch');
+      if ((decision.transcriptTxId || null) !== (row.transaction_id || null)) issues.push('transaction_mismatch');
+    }
+
+    if (issues.length > 0) {
+      drift.push({
+        requestId: row.id,
+        issues: issues,
+        database: {
+          status: row.status,
+          studentId: row.student_id,
+          reviewedBy: row.reviewed_by,
+          reviewedAt: row.reviewed_at,
+          transactionId: row.transaction_id
+        },
+        ledger: decision ? {
+          decision: decision.decision,
+          studentId: decision.studentId,
+          reviewer: decision.reviewer,
+          decidedAt: decision.decidedAt,
+          transcriptTxId: decision.transcriptTxId,
+          txId: decision.txId
+        } : null
+      });
+    }
+  }
+
+  // Decisions whose row no longer exists
+  for (const decision of decisions.values()) {
+    checked++;
+    drift.push({
+      requestId: Number(decision.requestId),
+      issues: ['missing_in_database'],
+      database: null,
+      ledger: {
+        decision: decision.decision,
+        studentId: decision.studentId,
+        reviewer: decision.reviewer,
+        decidedAt: decision.decidedAt,
+        transcriptTxId: decision.transcriptTxId,
+        txId: decision.txId
+      }
+    });
+  }
+
+  return {
+    success: true,
+    checked: checked,
+    consistent: drift.length === 0,
+    drift: drift
+  };
+}
+
+/**
+ * Return approvals interrupted by a server restart to pending
+ *
+ * The corrected transcript of such a request may or may not have reached the
+ * ledger; the admin reviewing it again sees the current transcript, and
+ * checkDecisionIntegrity reports a decision that was anchored meanwhile.
+ *
+ * @returns {Promise<Array<number>>} IDs of the requests returned to pending
+ */
+async function resetInterruptedApprovals() {
+  const result = await db.query(
+    `UPDATE correction_requests
+    SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL, notes = NULL, current_data = NULL
+    WHERE status = 'approving'
+    RETURNING id`
+  );
+  const requestIds = result.rows.map(row => row.id);
+
+  if (requestIds.length > 0) {
+    console.log(`Returned interrupted correction approvals to pending: ${requestIds.join(', ')}`);
+  }
+  return requestIds;
+}
+
+module.exports = {
+  submitCorrectionRequest,
+  listCorrectionRequests,
+  getCorrectionRequest,
+  approveCorrectionRequest,
+  rejectCorrectionRequest,
+  listMyCorrectionRequests,
+  checkDecisionIntegrity,
+  resetInterruptedApprovals,
+  REQUEST_STATUSES
+};
@@ -0,0 +1,553 @@
+/**
+ * Verifiable Credential Service Module
+ *
+ * Exports issued degrees as verifiable credentials and verifies them.
+ * Supported formats (all JSON-LD Verifiable Credentials):
+ * - w3c-vc: UniversityDegreeCredential (VC Data Model 2.0)
+ * - openbadges-3: 1EdTech Open Badges 3.0 OpenBadgeCredential (LinkedIn and badge wallets)
+ * - europass-edc: Europass European Digital Credential (European Learning Model)
+ *
+ * - Issuer: a did:web DID whose DID document (GET /.well-known/did.json)
+ *   publishes the organisation's public key
+ * - Proof: Data Integrity proof with the ecdsa-jcs-2019 cryptosuite, signed
+ *   with the organisation key (Fabric identities use ECDSA P-256)
+ * - credentialStatus: points at the public ledger verification endpoint, so
+ *   verifiers always check the current revocation/suspension state on-chain
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const config = require('../config/fabric-config');
+const DegreeService = require('./degree-service');
+const QrService = require('./qr-service');
+const {
+  ValidationError,
+  NotFoundError
+} = require('../middleware/error-handler');
+
+const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const VC_V1_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+const OPEN_BADGES_CONTEXT = 'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json';
+const EUROPASS_CONTEXT = 'http://data.europa.eu/snb/model/context/edc-ap';
+const EUROPASS_SCHEMA = 'http://data.europa.eu/snb/model/ap/edc-generic-full';
+const CREDENTIAL_TYPE = 'UniversityDegreeCredential';
+const STATUS_TYPE = 'FabricLedgerStatus';
+const CRYPTOSUITE = 'ecdsa-jcs-2019';
+const KEY_FRAGMENT = 'org-key';
+
+// Hash algorithm and signature size per curve (ecdsa-jcs-2019 supports P-256 and P-384)
+const CURVE_PARAMS = {
+  'P-256': { hash: 'sha256', signatureLength: 64 },
+  'P-384': { hash: 'sha384', signatureLength: 96 }
+};
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+let identityPromise = null;
+
+/**
+ * Load the organisation signing key and certificate once
+ * @returns {Promise<Object>} { privateKey, publicKey, publicKeyJwk, curve }
+ * @private
+ */
+function getSigningIdentity() {
+  if (!identityPromise) {
+    identityPromise = Promise.all([
+      fs.readFile(config.CERTIFICATE_SIGNING_CERT_PATH),
+      fs.readFile(config.CERTIFICATE_SIGNING_KEY_PATH)
+    ]).then(([certificatePem, privateKeyPem]) => {
+      const publicKey = new crypto.X509Certificate(certificatePem).publicKey;
+      const publicKeyJwk = publicKey.export({ format: 'jwk' });
+
+      if (publicKey.asymmetricKeyType !== 'ec' || !CURVE_PARAMS[publicKeyJwk.crv]) {
+        throw new Error(`${CRYPTOSUITE} requires an ECDSA P-256 or P-384 key`);
+      }
+
+      return {
+        privateKey: crypto.createPrivateKey(privateKeyPem),
+        publicKey: publicKey,
+        publicKeyJwk: publicKeyJwk,
+        curve: publicKeyJwk.crv
+      };
+    }).catch(error => {
+      identityPromise = null;
+      throw new Error(`Failed to load credential signing identity: ${error.message}`);
+    });
+  }
+  return identityPromise;
+}
+
+/**
+ * Issuer DID (ISSUER_DID, or did:web of the public API host)
+ * @returns {string} DID
+ */
+function getIssuerDid() {
+  if (config.ISSUER_DID) {
+    return config.ISSUER_DID;
+  }
+  // did:web percent-encodes the port separator
+  return `did:web:${new URL(config.PUBLIC_API_URL).host.replace(':', '%3A')}`;
+}
+
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ *
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ * @private
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * Multibase base58btc encoding ('z' prefix)
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Encoded string
+ * @private
+ */
+function encodeBase58btc(bytes) {
+  let number = BigInt(`0x${bytes.toString('hex') || '0'}`);
+  let encoded = '';
+  while (number > 0n) {
+    encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+    number /= 58n;
+  }
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    encoded = `1${encoded}`;
+  }
+  return `z${encoded}`;
+}
+
+/**
+ * Decode a multibase base58btc string
+ * @param {string} value - Encoded string ('z' prefix)
+ * @returns {Buffer} Decoded bytes
+ * @throws {ValidationError} If the value is not base58btc
+ * @private
+ */
+function decodeBase58btc(value) {
+  if (typeof value !== 'string' || !value.startsWith('z')) {
+    throw new ValidationError('proofValue must be multibase base58btc encoded');
+  }
+  const body = value.slice(1);
+  let number = 0n;
+  for (const char of body) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new ValidationError('proofValue must be multibase base58btc encoded');
+    }
+    number = number * 58n + BigInt(digit);
+  }
+  let hex = number === 0n ? '' : number.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const leadingZeros = body.length - body.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+/**
+ * ecdsa-jcs-2019 hash data: hash(canonical proof config) || hash(canonical document)
+ *
+ * @param {Object} document - Credential without proof
+ * @param {Object} proofConfig - Proof without proofValue
+ * @param {string} hash - Hash algorithm
+ * @returns {Buffer} Data to sign
+ * @private
+ */
+function createHashData(document, proofConfig, hash) {
+  const proofConfigHash = crypto.createHash(hash)
+    .update(canonicalize({ ...proofConfig, '@context': document['@context'] }))
+    .digest();
+  const documentHash = crypto.createHash(hash).update(canonicalize(document)).digest();
+  return Buffer.concat([proofConfigHash, documentHash]);
+}
+
+/**
+ * Build the issuer DID document (served at /.well-known/did.json for did:web)
+ *
+ * @returns {Promise<Object>} DID document
+ */
+async function getIssuerDidDocument() {
+  const { publicKeyJwk } = await getSigningIdentity();
+  const did = getIssuerDid();
+  const verificationMethod = `${did}#${KEY_FRAGMENT}`;
+
+  return {
+    '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/jwk/v1'],
+    id: did,
+    verificationMethod: [{
+      id: verificationMethod,
+      type: 'JsonWebKey',
+      controller: did,
+      publicKeyJwk: publicKeyJwk
+    }],
+    assertionMethod: [verificationMethod]
+  };
+}
+
+/**
+ * Attach a Data Integrity proof (ecdsa-jcs-2019) signed with the organisation key
+ *
+ * @param {Object} document - JSON-LD document without proof
+ * @returns {Promise<Object>} Document with proof
+ */
+async function signDocument(document) {
+  const identity = await getSigningIdentity();
+  const proofConfig = {
+    type: 'DataIntegrityProof',
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: `${getIssuerDid()}#${KEY_FRAGMENT}`,
+    proofPurpose: 'assertionMethod'
+  };
+
+  const { hash } = CURVE_PARAMS[identity.curve];
+  const signature = crypto.sign(hash, createHashData(document, proofConfig, hash), {
+    key: identity.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return {
+    ...document,
+    proof: {
+      ...proofConfig,
+      proofValue: encodeBase58btc(signature)
+    }
+  };
+}
+
+/**
+ * Check that a document was issued and signed by this organisation
+ *
+ * @param {Object} signedDocument - Document with issuer and proof
+ * @returns {Promise<Object>} { issuer, proof, errors }
+ */
+async function verifyDocumentProof(signedDocument) {
+  const { proof, ...document } = signedDocument;
+  const did = getIssuerDid();
+  const result = { issuer: false, proof: false, errors: [] };
+
+  const issuerId = typeof document.issuer === 'string' ? document.issuer : (document.issuer || {}).id;
+  result.issuer = issuerId === did &&
+    !!proof && proof.verificationMethod === `${did}#${KEY_FRAGMENT}`;
+  if (!result.issuer) {
+    result.errors.push('Document was not issued by this organisation');
+  }
+
+  if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) {
+    result.errors.push(`Proof must be a DataIntegrityProof using ${CRYPTOSUITE}`);
+  } else if (result.issuer) {
+    const identity = await getSigningIdentity();
+    const { hash, signatureLength } = CURVE_PARAMS[identity.curve];
+    const { proofValue, ...proofConfig } = proof;
+    const signature = decodeBase58btc(proofValue);
+
+    result.proof = signature.length === signatureLength && crypto.verify(
+      hash,
+      createHashData(document, proofConfig, hash),
+      { key: identity.publicKey, dsaEncoding: 'ieee-p1363' },
+      signature
+    );
+    if (!result.proof) {
+      result.errors.push('Proof signature is invalid; the document was modified or forged');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Status entry pointing at the public ledger verification endpoint
+ *
+ * @param {Object} degree - Degree record
+ * @param {string} degreeHash - Degree hash from QrService.computeDegreeHash
+ * @returns {Object} credentialStatus
+ * @private
+ */
+function buildCredentialStatus(degree, degreeHash) {
+  const apiUrl = config.PUBLIC_API_URL.replace(/\/+$/, '');
+  return {
+    id: `${apiUrl}/verify/${encodeURIComponent(degree.degreeId)}`,
+    type: STATUS_TYPE,
+    statusPurpose: 'revocation',
+    degreeId: degree.degreeId,
+    degreeHash: degreeHash,
+    channel: config.CHANNEL_NAME,
+    chaincode: config.CHAINCODE_NAME
+  };
+}
+
+/**
+ * W3C Verifiable Credential (VC Data Model 2.0) for a degree
+ * @private
+ */
+function buildW3cCredential(degree, degreeHash, did) {
+  return {
+    '@context': [VC_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', CREDENTIAL_TYPE],
+    issuer: {
+      id: did,
+      name: degree.university
+    },
+    validFrom: new Date(`${degree.issueDate}T00:00:00Z`).toISOString(),
+    credentialSubject: {
+      studentId: degree.studentId,
+      name: degree.studentName,
+      degree: {
+        id: degree.degreeId,
+        type: degree.degreeType,
+        major: degree.major,
+        classification: degree.classification,
+        issueDate: degree.issueDate,
+        version: degree.version || 1,
+        degreeHash: degreeHash
+      }
+    },
+    credentialStatus: buildCredentialStatus(degree, degreeHash)
+  };
+}
+
+/**
+ * 1EdTech Open Badges 3.0 OpenBadgeCredential for a degree
+ * @private
+ */
+function buildOpenBadgeCredential(degree, degreeHash, did) {
+  const issuerProfile = {
+    id: did,
+    type: ['Profile'],
+    name: degree.university
+  };
+
+  return {
+    '@context': [VC_CONTEXT, OPEN_BADGES_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    name: `${degree.degreeType} - ${degree.major}`,
+    issuer: issuerProfile,
+    validFrom: new Date(`${degree.issueDate}T00:00:00Z`).toISOString(),
+    credentialSubject: {
+      type: ['AchievementSubject'],
+      identifier: [
+        // sisSourcedId: the identifier assigned by the student information system
+        { type: 'IdentityObject', identityType: 'sisSourcedId', hashed: false, identityHash: degree.studentId },
+        { type: 'IdentityObject', identityType: 'name', hashed: false, identityHash: degree.studentName }
+      ],
+      achievement: {
+        id: `urn:degree:${encodeURIComponent(degree.degreeId)}`,
+        type: ['Achievement'],
+        achievementType: 'Degree',
+        name: degree.degreeType,
+        description: `${degree.degreeType} in ${degree.major} awarded by ${degree.university}`,
+        criteria: {
+          narrative: `Completed all requirements of the ${degree.major} programme at ${degree.university}.`
+        },
+        fieldOfStudy: degree.major,
+        creator: issuerProfile
+      },
+      result: [
+        { type: ['Result'], value: degree.classification }
+      ]
+    },
+    credentialStatus: buildCredentialStatus(degree, degreeHash)
+  };
+}
+
+/**
+ * Europass European Digital Credential (European Learning Model) for a degree
+ * @private
+ */
+function buildEuropassCredential(degree, degreeHash, did) {
+  const awardingDate = new Date(`${degree.issueDate}T00:00:00Z`).toISOString();
+  const degreeUrn = `urn:degree:${encodeURIComponent(degree.degreeId)}`;
+  const awardingBody = {
+    id: did,
+    type: 'Organisation',
+    legalName: { en: degree.university }
+  };
+
+  return {
+    '@context': [VC_V1_CONTEXT, EUROPASS_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', 'EuropeanDigitalCredential'],
+    credentialSchema: [
+      { id: EUROPASS_SCHEMA, type: 'ShaclValidator2017' }
+    ],
+    issuer: awardingBody,
+    issuanceDate: new Date().toISOString(),
+    validFrom: awardingDate,
+    credentialSubject: {
+      id: `urn:student:${encodeURIComponent(degree.studentId)}`,
+      type: 'Person',
+      fullName: { en: degree.studentName },
+      identifier: [
+        { id: `urn:student:${encodeURIComponent(degree.studentId)}#id`, type: 'Identifier', notation: degree.studentId, schemeName: 'studentId' }
+      ],
+      hasClaim: [{
+        id: `${degreeUrn}#achievement`,
+        type: 'LearningAchievement',
+        title: { en: `${degree.degreeType} - ${degree.major}` },
+        awardedBy: {
+          id: `${degreeUrn}#awarding`,
+          type: 'AwardingProcess',
+          awardingBody: [awardingBody],
+          awardingDate: awardingDate
+        },
+        specifiedBy: {
+          id: `${degreeUrn}#qualification`,
+          type: 'Qualification',
+          title: { en: degree.degreeType },
+          additionalNote: [
+            { id: `${degreeUrn}#field`, type: 'Note', noteLiteral: { en: `Field of study: ${degree.major}` } },
+            { id: `${degreeUrn}#classification`, type: 'Note', noteLiteral: { en: `Classification: ${degree.classification}` } }
+          ]
+        }
+      }]
+    },
+    credentialStatus: buildCredentialStatus(degree, degreeHash)
+  };
+}
+
+/**
+ * Supported export formats (format parameter -> builder and media type)
+ */
+const CREDENTIAL_FORMATS = {
+  'w3c-vc': { build: buildW3cCredential, type: CREDENTIAL_TYPE, contentType: 'application/vc+ld+json' },
+  'openbadges-3': { build: buildOpenBadgeCredential, type: 'OpenBadgeCredential', contentType: 'application/vc+ld+json' },
+  'europass-edc': { build: buildEuropassCredential, type: 'EuropeanDigitalCredential', contentType: 'application/ld+json' }
+};
+
+// Accept header hints (media type or profile) for each format
+const ACCEPT_HINTS = [
+  { pattern: /openbadges|purl\.imsglobal\.org\/spec\/ob/i, format: 'openbadges-3' },
+  { pattern: /europass|edc|data\.europa\.eu\/snb/i, format: 'europass-edc' }
+];
+
+/**
+ * Resolve the export format from a format parameter or Accept header
+ *
+ * @param {string} [format] - Explicit format (w3c-vc, openbadges-3, europass-edc)
+ * @param {string} [acceptHeader] - Request Accept header
+ * @returns {string} Format key
+ * @throws {ValidationError} If the explicit format is not supported
+ */
+function resolveCredentialFormat(format, acceptHeader) {
+  if (format) {
+    if (typeof format !== 'string' || !Object.prototype.hasOwnProperty.call(CREDENTIAL_FORMATS, format)) {
+      throw new ValidationError(`format must be one of: ${Object.keys(CREDENTIAL_FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+  const hint = ACCEPT_HINTS.find(({ pattern }) => pattern.test(acceptHeader || ''));
+  return hint ? hint.format : 'w3c-vc';
+}
+
+/**
+ * Convert a degree into a signed credential in the requested format
+ *
+ * @param {Object} verification - Result of DegreeService.verifyDegree
+ * @param {string} [format='w3c-vc'] - w3c-vc, openbadges-3 or europass-edc
+ * @returns {Promise<Object>} { credential, contentType }
+ * @throws {ValidationError} If the degree is not active or the format is unsupported
+ */
+async function issueDegreeCredential(verification, format = 'w3c-vc') {
+  const { degree, status } = verification;
+  const formatDefinition = CREDENTIAL_FORMATS[resolveCredentialFormat(format)];
+
+  if (status !== 'ACTIVE') {
+    throw new ValidationError(`Credentials can only be issued for active degrees (status: ${status})`);
+  }
+
+  const credential = formatDefinition.build(degree, QrService.computeDegreeHash(degree), getIssuerDid());
+
+  return {
+    credential: await signDocument(credential),
+    contentType: formatDefinition.contentType
+  };
+}
+
+/**
+ * Verify a degree Verifiable Credential: proof signature, issuer and the
+ * current ledger state of the degree it refers to
+ *
+ * @param {Object} credential - Verifiable Credential
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, valid, verified, status, checks, errors }
+ * @throws {ValidationError} If the input is not a degree credential
+ */
+async function verifyDegreeCredential(credential, username = null) {
+  if (!credential || typeof credential !== 'object' || Array.isArray(credential)) {
+    throw new ValidationError('credential must be a JSON object');
+  }
+  const supportedTypes = Object.values(CREDENTIAL_FORMATS).map(definition => definition.type);
+  if (!Array.isArray(credential.type) || !credential.type.some(type => supportedTypes.includes(type))) {
+    throw new ValidationError(`credential type must include one of: ${supportedTypes.join(', ')}`);
+  }
+
+  // The status entry identifies the ledger record in every format
+  const credentialStatus = credential.credentialStatus || {};
+  const subjectDegree = (credential.credentialSubject && credential.credentialSubject.degree) || {};
+  const degreeId = credentialStatus.degreeId || subjectDegree.id;
+  const degreeHash = credentialStatus.degreeHash || subjectDegree.degreeHash;
+  if (!degreeId || typeof degreeId !== 'string') {
+    throw new ValidationError('credentialStatus.degreeId is required');
+  }
+
+  // 1. Issuer and proof signature
+  const proofResult = await verifyDocumentProof(credential);
+  const checks = { proof: proofResult.proof, issuer: proofResult.issuer, ledger: false, status: false };
+  const errors = [...proofResult.errors];
+
+  // 2. Current ledger state
+  let verification = null;
+  try {
+    verification = await DegreeService.verifyDegree(degreeId, username);
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+    errors.push(`Degree ${degreeId} does not exist on the ledger`);
+  }
+
+  if (verification) {
+    checks.ledger = QrService.computeDegreeHash(verification.degree) === degreeHash;
+    if (!checks.ledger) {
+      errors.push('Credential does not match the current degree on the ledger (amended or superseded)');
+    }
+    checks.status = verification.status === 'ACTIVE';
+    if (!checks.status) {
+      errors.push(`Degree is ${verification.status} on the ledger`);
+    }
+  }
+
+  const valid = checks.proof && checks.issuer;
+
+  return {
+    success: true,
+    valid: valid,
+    verified: valid && checks.ledger && checks.status,
+    status: verification ? verification.status : null,
+    suspension: verification ? verification.suspension : null,
+    checks: checks,
+    errors: errors
+  };
+}
+
+module.exports = {
+  getIssuerDid,
+  getIssuerDidDocument,
+  CREDENTIAL_FORMATS,
+  resolveCredentialFormat,
+  signDocument,
+  verifyDocumentProof,
+  issueDegreeCredential,
+  verifyDegreeCredential
+};
@@ -8,6 +8,9 @@
 
 const { GatewayConnectionManager } = require('../fabric/gateway-connection');
 const config = require('../config/fabric-config');
+const TranscriptService = require('./transcript-service');
+const GradingService = require('./grading-service');
+const UniversityService = require('./university-service');
 const { 
   ValidationError, 
   NotFoundError, 
@@ -16,6 +19,30 @@ const {
   ConflictError
 } = require('../middleware/error-handler');
 
+/**
+ * Chaincode messages of IssueDegree and AmendDegree when the caller may not
+ * issue degrees in the name of the university (see the university registry)
+ */
+const ISSUER_AUTHORIZATION_PATTERN = /(University .+ is not registered|(MSP|Issuer) .+ is not authorised to issue degrees of university \S+|University \S+ is not accredited \(\w+\)|Registration of university \S+ is not valid at \S+)/;
+
+/**
+ * Add the configured endorsing organisations to degree proposal options
+ *
+ * Degrees can carry a state-based endorsement policy (e.g. university and
+ * Ministry of Education); with ENDORSING_ORGANIZATIONS set the gateway collects
+ * endorsements from peers of each of those organisations.
+ *
+ * @param {Object} options - Proposal options ({ arguments, transientData })
+ * @returns {Object} Options with endorsingOrganizations when configured
+ * @private
+ */
+function withEndorsingOrganizations(options) {
+  if (config.ENDORSING_ORGANIZATIONS.length === 0) {
+    return options;
+  }
+  return { ...options, endorsingOrganizations: config.ENDORSING_ORGANIZATIONS };
+}
+
 /**
  * Validate degree data input
  * @param {Object} degreeData - Degree data to validate
@@ -28,9 +55,12 @@ const {
  * @param {string} degreeData.classification - Classification (Xuat sac, Gioi, Kha, Trung binh)
  * @param {string} degreeData.issueDate - Date of issuance (ISO 8601 format)
  * @param {string} [degreeData.transcriptHash] - Hash reference to private transcript data
+ * @param {Object} [options]
+ * @param {boolean} [options.requireClassification=true] - false to accept data whose
+ *   classification is still to be derived by prepareDegreeData
  * @throws {ValidationError} If validation fails
  */
-function validateDegreeData(degreeData) {
+function validateDegreeData(degreeData, { requireClassification = true } = {}) {
   const { degreeId, studentId, degreeType, studentName, universityName, major, classification, issueDate } = degreeData;
 
   // Check required fields
@@ -58,7 +88,9 @@ function validateDegreeData(degreeData) {
     throw new ValidationError('major is required and must be a non-empty string');
   }
 
-  if (!classification || typeof classification !== 'string' || classification.trim() === '') {
+  const hasClassification = classification !== undefined && classification !== null && classification !== '';
+  if ((requireClassification || hasClassification) &&
+      (!classification || typeof classification !== 'string' || classification.trim() === '')) {
     throw new ValidationError('classification is required and must be a non-empty string');
   }
 
@@ -80,11 +112,72 @@ function validateDegreeData(degreeData) {
 
   // Validate classification
   const validClassifications = ['Xuat sac', 'Gioi', 'Kha', 'Trung binh', 'Excellent', 'Good', 'Fair', 'Average'];
-  if (!validClassifications.includes(classification)) {
+  if (hasClassification && !validClassifications.includes(classification)) {
     console.warn(`Warning: classification "${classification}" is not in the standard list`);
   }
 }
 
+/**
+ * Derive a degree classification from the student's cumulative GPA
+ * using the university's grading scale
+ *
+ * @param {string} studentId - Student ID
+ * @param {string} universityName - Issuing university (selects the grading scale)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<string>} Classification (e.g. Xuat sac, Gioi, Kha, Trung binh)
+ * @throws {ValidationError} If there is no transcript or the GPA is below every threshold
+ * @private
+ */
+async function deriveClassification(studentId, universityName, username = null) {
+  if (!studentId || typeof studentId !== 'string') {
+    throw new ValidationError('studentId is required and must be a non-empty string');
+  }
+
+  let transcript;
+  try {
+    ({ transcript } = await TranscriptService.getTranscriptRecord(studentId, username));
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new ValidationError(
+        `classification is required: student ${studentId} has no transcript to derive it from`
+      );
+    }
+    throw error;
+  }
+
+  const gradingScale = await GradingService.getGradingScaleForUniversity(universityName);
+  const classification = GradingService.deriveClassification(transcript.gpa, gradingScale);
+  if (!classification) {
+    throw new ValidationError(
+      `GPA ${transcript.gpa} of student ${studentId} is below the lowest classification of grading scale "${gradingScale.name}"`
+    );
+  }
+
+  console.log(`Derived classification "${classification}" from GPA ${transcript.gpa} (${gradingScale.name})`);
+  return classification;
+}
+
+/**
+ * Complete and validate degree data before issuance
+ *
+ * A missing classification is derived from the student's transcript GPA with
+ * the university's grading scale, so the data can be reviewed (e.g. by the
+ * approvers of a pending issuance) exactly as it will be issued.
+ *
+ * @param {Object} degreeData - Degree data (same fields as issueDegree)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Degree data with classification
+ * @throws {ValidationError} If the data is invalid or no classification can be derived
+ */
+async function prepareDegreeData(degreeData, username = null) {
+  const prepared = degreeData.classification
+    ? { ...degreeData }
+    : { ...degreeData, classification: await deriveClassification(degreeData.studentId, degreeData.universityName, username) };
+
+  validateDegreeData(prepared);
+  return prepared;
+}
+
 /**
  * Issue a new degree
  * 
@@ -104,21 +197,25 @@ function validateDegreeData(degreeData) {
  * @param {string} degreeData.studentId - Student ID
  * @param {string} degreeData.degreeType - Type of degree (Ky Su, Cu Nhan, etc.)
  * @param {string} degreeData.studentName - Student full name
- * @param {string} degreeData.universityName - Issuing university name
+ * @param {string} degreeData.universityName - Issuing university (code or legal name), registered
+ *   to the caller's MSP in the university registry
  * @param {string} degreeData.major - Major/field of study
- * @param {string} degreeData.classification - Classification (Xuat sac, Gioi, etc.)
+ * @param {string} [degreeData.classification] - Classification (Xuat sac, Gioi, etc.); derived from
+ *   the student's transcript GPA with the university's grading scale if omitted
  * @param {string} degreeData.issueDate - Date of issuance
- * @param {string} [degreeData.transcriptHash] - Hash reference to private transcript data
+ * @param {string} [degreeData.transcriptHash] - Hash reference to private transcript data. The chaincode
+ *   binds the hash of the student's current transcript itself; if given, it must match it
  * @param {string} [username] - Username for dynamic identity (optional, uses default if not provided)
  * @returns {Promise<Object>} Transaction result with transactionId and degree data
- * @throws {ValidationError} If input validation fails
+ * @throws {ValidationError} If input validation fails, the caller may not issue degrees of the
+ *   university, or transcriptHash does not match the current transcript
  * @throws {Error} If transaction fails
  * @requirement 6.1, 6.2, 6.3
  */
 async function issueDegree(degreeData, username = null) {
   try {
-    // Validate input data
-    validateDegreeData(degreeData);
+    // Derive a missing classification and validate input data
+    degreeData = await prepareDegreeData(degreeData, username);
 
     const { degreeId, studentId, degreeType, studentName, universityName, major, classification, issueDate, transcriptHash } = degreeData;
 
@@ -142,7 +239,7 @@ async function issueDegree(degreeData, username = null) {
     console.log('Submitting transaction to chaincode...');
 
     // Create proposal to get transaction ID before submitting
-    const proposal = contract.newProposal('IssueDegree', {
+    const proposal = contract.newProposal('IssueDegree', withEndorsingOrganizations({
       arguments: [
         degreeId,
         studentId,
@@ -154,7 +251,7 @@ async function issueDegree(degreeData, username = null) {
         issueDate,
         transcriptHash || ''
       ]
-    });
+    }));
 
     const transactionId = proposal.getTransactionId();
     console.log(`Generated Transaction ID: ${transactionId}`);
@@ -188,10 +285,13 @@ async function issueDegree(degreeData, username = null) {
         degreeType,
         studentName,
         universityName,
+        universityCode: resultData.universityCode || null,
         major,
         classification,
         issueDate,
-        transcriptHash: transcriptHash || '',
+        // Bound by the chaincode to the student's current transcript
+        transcriptHash: resultData.transcriptHash !== undefined ? resultData.transcriptHash : (transcriptHash || ''),
+        transcriptVersion: resultData.transcriptVersion !== undefined ? resultData.transcriptVersion : null,
         status: 'ACTIVE'
       }
     };
@@ -218,6 +318,17 @@ async function issueDegree(degreeData, username = null) {
       throw new ConnectionError('Failed to connect to Fabric network. Service unavailable.');
     }
 
+    // Supplied transcriptHash differs from the student's current transcript
+    if (errorMessage.includes('does not match the current transcript')) {
+      throw new ValidationError(`transcriptHash does not match the current transcript of student ${degreeData.studentId}`);
+    }
+
+    // University not registered to the caller, not accredited or outside its validity period
+    const issuerError = errorMessage.match(ISSUER_AUTHORIZATION_PATTERN);
+    if (issuerError) {
+      throw new ValidationError(issuerError[0]);
+    }
+
     // Endorsement policy failures
     if (
       errorMessage.includes('endorsement policy') ||
@@ -241,6 +352,188 @@ async function issueDegree(degreeData, username = null) {
   }
 }
 
+/**
+ * Maximum number of degrees accepted in a single batch transaction
+ */
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Issue multiple degrees in a single transaction
+ *
+ * Every record is completed and validated with prepareDegreeData (a missing
+ * classification is derived from the student's transcript GPA) before anything
+ * is sent to the ledger. Invalid records and duplicate degreeIds within the batch are
+ * reported individually; the remaining records are submitted together via
+ * IssueDegreesBatch, which also reports degreeIds already on the ledger and
+ * transcriptHash values that differ from the student's current transcript.
+ *
+ * @param {Array<Object>} degrees - Degree records (same shape as issueDegree input)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Batch result with transactionId and per-item results
+ * @throws {ValidationError} If the batch itself is empty or too large
+ * @throws {Error} If transaction fails
+ */
+async function issueDegreesBatch(degrees, username = null) {
+  try {
+    if (!Array.isArray(degrees) || degrees.length === 0) {
+      throw new ValidationError('degrees is required and must be a non-empty array');
+    }
+    if (degrees.length > MAX_BATCH_SIZE) {
+      throw new ValidationError(`A batch may contain at most ${MAX_BATCH_SIZE} degrees`);
+    }
+
+    console.log(`Issuing batch of ${degrees.length} degrees...`);
+
+    // Validate each record locally and keep track of the original positions
+    const results = new Array(degrees.length);
+    const seenIds = new Set();
+    const pending = [];
+
+    for (const [index, record] of degrees.entries()) {
+      let degreeData;
+      try {
+        degreeData = await prepareDegreeData(record || {}, username);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        results[index] = { index, degreeId: (record && record.degreeId) || null, success: false, error: error.message };
+        continue;
+      }
+
+      if (seenIds.has(degreeData.degreeId)) {
+        results[index] = { index, degreeId: degreeData.degreeId, success: false, error: `Duplicate degreeId ${degreeData.degreeId} in batch` };
+        continue;
+      }
+      seenIds.add(degreeData.degreeId);
+
+      pending.push({ index, degreeData });
+    }
+
+    let transactionId = null;
+
+    if (pending.length > 0) {
+      const gatewayManager = await GatewayConnectionManager.getInstance();
+      const contract = await gatewayManager.getContractWithUserIdentity(
+        config.CHANNEL_NAME,
+        config.CHAINCODE_NAME,
+        username
+      );
+
+      // Map backend field names to the chaincode record shape
+      const payload = pending.map(({ degreeData }) => ({
+        degreeId: degreeData.degreeId,
+        studentId: degreeData.studentId,
+        degreeType: degreeData.degreeType,
+        studentName: degreeData.studentName,
+        university: degreeData.universityName,
+        major: degreeData.major,
+        classification: degreeData.classification,
+        issueDate: degreeData.issueDate,
+        transcriptHash: degreeData.transcriptHash || ''
+      }));
+
+      const proposal = contract.newProposal('IssueDegreesBatch', withEndorsingOrganizations({
+        arguments: [JSON.stringify(payload)]
+      }));
+
+      transactionId = proposal.getTransactionId();
+      console.log(`Generated Transaction ID: ${transactionId}`);
+
+      const transaction = await proposal.endorse();
+      const chaincodeResult = JSON.parse(Buffer.from(transaction.getResult()).toString('utf8'));
+
+      // Only commit when at least one record was accepted by the chaincode
+      if (chaincodeResult.succeeded > 0) {
+        await transaction.submit();
+      } else {
+        transactionId = null;
+      }
+
+      // Chaincode indexes refer to positions in the submitted payload
+      for (const itemResult of chaincodeResult.results) {
+        const originalIndex = pending[itemResult.index].index;
+        results[originalIndex] = {
+          ...itemResult,
+          index: originalIndex,
+          transactionId: itemResult.success ? transactionId : null
+        };
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    console.log(`Degree batch completed: ${succeeded}/${degrees.length} issued.`);
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      total: degrees.length,
+      succeeded: succeeded,
+      failed: degrees.length - succeeded,
+      results: results
+    };
+
+  } catch (error) {
+    console.error('Error issuing degree batch:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+    if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) throw new EndorsementError('Endorsement failed.');
+    if (errorMessage.includes('MVCC_READ_CONFLICT')) throw new ConflictError('Conflict detected.');
+
+    throw new Error(`Failed to issue degree batch: ${error.message}`);
+  }
+}
+
+/**
+ * Compare the transcript hash recorded at issuance with the student's current transcript
+ *
+ * @param {Object} degree - Degree record from the ledger
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { linked, recordedHash, recordedVersion, currentHash, matches }
+ * @private
+ */
+async function checkTranscriptBinding(degree, username = null) {
+  const recordedHash = degree.transcriptHash || null;
+  const binding = {
+    linked: Boolean(recordedHash),
+    recordedHash: recordedHash,
+    recordedVersion: degree.transcriptVersion || null,
+    currentHash: null,
+    matches: null
+  };
+
+  if (!binding.linked) {
+    return binding;
+  }
+
+  try {
+    binding.currentHash = await TranscriptService.getTranscriptHash(degree.studentId, username);
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+  }
+  binding.matches = binding.currentHash === recordedHash;
+
+  return binding;
+}
+
+/**
+ * Look up the registry entry of a degree's university
+ *
+ * @param {Object} degree - Degree record from the ledger
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object|null>} Registry entry, or null if the university is not
+ *   registered (degrees issued before the registry existed)
+ * @private
+ */
+async function lookupUniversity(degree, username = null) {
+  try {
+    return await UniversityService.getUniversity(degree.universityCode || degree.university, username);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) return null;
+    throw error;
+  }
+}
+
 /**
  * Verify/Query degree information by degree ID
  * 
@@ -251,6 +544,9 @@ async function issueDegree(degreeData, username = null) {
  * Theo thiết kế: VerifyDegree(ctx, degreeId)
  * - Truy vấn World State để lấy thông tin văn bằng
  * - Trả về trạng thái hiện tại (ACTIVE/REVOKED) và thông tin xác thực
+ * - transcript: bảng điểm hiện tại còn khớp với hash ghi nhận khi cấp bằng hay không
+ *   (matches is null when the degree is not linked to a transcript)
+ * - university: registry entry of the issuing university (null if not registered)
  * 
  * @param {string} degreeId - Unique degree identifier
  * @param {string} [username] - Username for dynamic identity (optional, uses default if not provided)
@@ -323,12 +619,41 @@ async function verifyDegree(degreeId, username = null) {
     // If status is missing from chaincode (v1.3), assume ACTIVE if it exists
     const status = degreeData.status || 'ACTIVE';
 
+    // Amendment details are summarized separately from the current version
+    // Suspension details are internal; verifiers only get the public-safe category
+    const { amendments = [], suspension, suspensionHistory, ...currentDegree } = degreeData;
+
+    const transcript = await checkTranscriptBinding(degreeData, username);
+    const university = await lookupUniversity(degreeData, username);
+
     return {
       success: true,
       verified: status === 'ACTIVE',
+      status: status,
       degree: {
-        ...degreeData,
+        ...currentDegree,
+        version: degreeData.version || 1,
         status: status
+      },
+      suspension: status === 'SUSPENDED' && suspension ? {
+        category: suspension.category,
+        suspendedAt: suspension.suspendedAt,
+        reviewBy: suspension.reviewBy
+      } : null,
+      transcript: transcript,
+      university: university,
+      amendments: {
+        count: amendments.length,
+        lastAmendedAt: amendments.length > 0 ? amendments[amendments.length - 1].amendedAt : null,
+        history: amendments.map(amendment => ({
+          version: amendment.version,
+          previousVersion: amendment.previousVersion,
+          reason: amendment.reason,
+          changedFields: Object.keys(amendment.changes || {}),
+          amendedAt: amendment.amendedAt,
+          amendedBy: amendment.amendedBy,
+          txId: amendment.txId
+        }))
       }
     };
 
@@ -394,6 +719,125 @@ async function getDegreesByStudent(studentId, username = null) {
   }
 }
 
+/**
+ * Sortable fields for listDegrees (API name -> chaincode name)
+ */
+const DEGREE_SORT_FIELDS = {
+  issueDate: 'issueDate',
+  studentName: 'studentName',
+  degreeId: 'degreeId',
+  universityName: 'university',
+  major: 'major',
+  classification: 'classification'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * List degrees with filters, sorting and bookmark-based pagination (admin)
+ *
+ * @param {Object} [options] - Query options
+ * @param {string} [options.universityName] - Filter by university
+ * @param {string} [options.major] - Filter by major
+ * @param {string} [options.degreeType] - Filter by degree type
+ * @param {string} [options.classification] - Filter by classification
+ * @param {string} [options.status] - Filter by status (ACTIVE, REVOKED, SUSPENDED)
+ * @param {string} [options.issueDateFrom] - Issued on or after (YYYY-MM-DD)
+ * @param {string} [options.issueDateTo] - Issued on or before (YYYY-MM-DD)
+ * @param {string} [options.sortBy] - Sort field
+ * @param {string} [options.sortOrder] - asc or desc
+ * @param {number|string} [options.pageSize] - Records per page (1-100)
+ * @param {string} [options.bookmark] - Bookmark from the previous page
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, degrees, pagination: { pageSize, fetchedRecordsCount, bookmark, hasMore } }
+ * @throws {ValidationError} If options are invalid
+ */
+async function listDegrees(options = {}, username = null) {
+  try {
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    const pageSize = options.pageSize === undefined || options.pageSize === ''
+      ? DEFAULT_PAGE_SIZE
+      : Number(options.pageSize);
+
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new ValidationError(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    // Express parses ?major[$ne]=x into an object, which CouchDB would read as selector operators
+    for (const field of ['universityName', 'major', 'degreeType', 'classification', 'status',
+      'issueDateFrom', 'issueDateTo', 'sortBy', 'sortOrder', 'bookmark']) {
+      if (options[field] !== undefined && typeof options[field] !== 'string') {
+        throw new ValidationError(`${field} must be a string`);
+      }
+    }
+    for (const field of ['issueDateFrom', 'issueDateTo']) {
+      if (options[field] && !dateRegex.test(options[field])) {
+        throw new ValidationError(`${field} must be in ISO 8601 format (YYYY-MM-DD)`);
+      }
+    }
+    if (options.issueDateFrom && options.issueDateTo && options.issueDateFrom > options.issueDateTo) {
+      throw new ValidationError('issueDateFrom must not be after issueDateTo');
+    }
+    if (options.status && !['ACTIVE', 'REVOKED', 'SUSPENDED'].includes(options.status)) {
+      throw new ValidationError('status must be one of: ACTIVE, REVOKED, SUSPENDED');
+    }
+    if (options.sortBy && !DEGREE_SORT_FIELDS[options.sortBy]) {
+      throw new ValidationError(`sortBy must be one of: ${Object.keys(DEGREE_SORT_FIELDS).join(', ')}`);
+    }
+    if (options.sortOrder && !['asc', 'desc'].includes(options.sortOrder)) {
+      throw new ValidationError('sortOrder must be asc or desc');
+    }
+
+    const filters = {
+      university: options.universityName,
+      major: options.major,
+      degreeType: options.degreeType,
+      classification: options.classification,
+      status: options.status,
+      issueDateFrom: options.issueDateFrom,
+      issueDateTo: options.issueDateTo,
+      sortBy: options.sortBy ? DEGREE_SORT_FIELDS[options.sortBy] : undefined,
+      sortOrder: options.sortOrder
+    };
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction(
+      'QueryDegreesWithPagination',
+      JSON.stringify(filters),
+      String(pageSize),
+      options.bookmark || ''
+    );
+    const result = JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+    return {
+      success: true,
+      degrees: result.records,
+      pagination: {
+        pageSize: pageSize,
+        fetchedRecordsCount: result.fetchedRecordsCount,
+        bookmark: result.bookmark,
+        // A full page means there may be more records after the bookmark
+        hasMore: result.fetchedRecordsCount === pageSize
+      }
+    };
+
+  } catch (error) {
+    console.error('Error listing degrees:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+
+    throw new Error(`Failed to list degrees: ${error.message}`);
+  }
+}
+
 /**
  * Revoke a degree
  * 
@@ -420,9 +864,9 @@ async function revokeDegree(degreeId, reason, username = null) {
       username
     );
 
-    const proposal = contract.newProposal('RevokeDegree', {
+    const proposal = contract.newProposal('RevokeDegree', withEndorsingOrganizations({
       arguments: [degreeId, reason]
-    });
+    }));
 
     const transactionId = proposal.getTransactionId();
     const transaction = await proposal.endorse();
@@ -442,17 +886,663 @@ async function revokeDegree(degreeId, reason, username = null) {
     
     const errorMessage = error.message || '';
     if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
-    if (errorMessage.includes('endorsement policy')) throw new EndorsementError('Endorsement failed.');
+    if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) throw new EndorsementError('Endorsement failed.');
     if (errorMessage.includes('MVCC_READ_CONFLICT')) throw new ConflictError('Conflict detected.');
     
     throw new Error(`Failed to revoke degree: ${error.message}`);
   }
 }
 
+/**
+ * Reinstate a revoked degree
+ *
+ * @param {string} degreeId - Degree ID to reinstate
+ * @param {string} reason - Reason for reinstatement (e.g. appeal decision)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Transaction result
+ * @throws {ValidationError} If input is invalid or the degree is not revoked
+ * @throws {NotFoundError} If degree does not exist
+ */
+async function reinstateDegree(degreeId, reason, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+      throw new ValidationError('reason is required');
+    }
+
+    console.log(`Reinstating degree ${degreeId}...`);
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('ReinstateDegree', withEndorsingOrganizations({
+      arguments: [degreeId, reason]
+    }));
+
+    const transactionId = proposal.getTransactionId();
+    const transaction = await proposal.endorse();
+    await transaction.submit();
+
+    console.log(`Degree ${degreeId} reinstated successfully.`);
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      message: 'Degree reinstated successfully'
+    };
+
+  } catch (error) {
+    console.error('Error reinstating degree:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('does not exist')) throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+    if (errorMessage.includes('is not revoked')) throw new ValidationError(`Degree with ID ${degreeId} is not revoked`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+    if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) throw new EndorsementError('Endorsement failed.');
+    if (errorMessage.includes('MVCC_READ_CONFLICT')) throw new ConflictError('Conflict detected.');
+
+    throw new Error(`Failed to reinstate degree: ${error.message}`);
+  }
+}
+
+/**
+ * Public-safe reason categories for degree suspension (must match the chaincode)
+ */
+const SUSPENSION_CATEGORIES = [
+  'DISCIPLINARY_INVESTIGATION',
+  'ACADEMIC_INTEGRITY_REVIEW',
+  'ADMINISTRATIVE_REVIEW',
+  'LEGAL_HOLD'
+];
+
+/**
+ * Temporarily suspend a degree while an investigation is pending
+ *
+ * A suspended degree is reported by verifyDegree as SUSPENDED with
+ * verified: false and only the public-safe reason category. The detailed
+ * reason is sent as transient data and kept in the chaincode's
+ * DegreeSuspensionCollection (see getSuspensionDetails).
+ *
+ * @param {string} degreeId - Degree ID to suspend
+ * @param {Object} suspensionData - Suspension details
+ * @param {string} suspensionData.category - Public-safe reason category
+ * @param {string} suspensionData.reason - Detailed reason (internal)
+ * @param {string} [suspensionData.reviewBy] - Review-by date (YYYY-MM-DD)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Transaction result
+ * @throws {ValidationError} If input is invalid or the degree is not active
+ * @throws {NotFoundError} If degree does not exist
+ */
+async function suspendDegree(degreeId, { category, reason, reviewBy } = {}, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+    if (!SUSPENSION_CATEGORIES.includes(category)) {
+      throw new ValidationError(`category must be one of: ${SUSPENSION_CATEGORIES.join(', ')}`);
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+      throw new ValidationError('reason is required');
+    }
+    if (reviewBy && (typeof reviewBy !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(reviewBy))) {
+      throw new ValidationError('reviewBy must be in ISO 8601 format (YYYY-MM-DD)');
+    }
+
+    console.log(`Suspending degree ${degreeId} (${category})...`);
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('SuspendDegree', withEndorsingOrganizations({
+      arguments: [degreeId, category, reviewBy || ''],
+      transientData: { reason: Buffer.from(reason.trim()) }
+    }));
+
+    const transactionId = proposal.getTransactionId();
+    const transaction = await proposal.endorse();
+    await transaction.submit();
+
+    console.log(`Degree ${degreeId} suspended successfully.`);
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      message: 'Degree suspended successfully'
+    };
+
+  } catch (error) {
+    console.error('Error suspending degree:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('does not exist')) throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+    if (errorMessage.includes('cannot be suspended')) throw new ValidationError(`Degree with ID ${degreeId} is not active and cannot be suspended`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+    if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) throw new EndorsementError('Endorsement failed.');
+    if (errorMessage.includes('MVCC_READ_CONFLICT')) throw new ConflictError('Conflict detected.');
+
+    throw new Error(`Failed to suspend degree: ${error.message}`);
+  }
+}
+
+/**
+ * Lift the suspension of a degree
+ *
+ * @param {string} degreeId - Degree ID to unsuspend
+ * @param {string} reason - Outcome of the investigation (internal, sent as transient data)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Transaction result
+ * @throws {ValidationError} If input is invalid or the degree is not suspended
+ * @throws {NotFoundError} If degree does not exist
+ */
+async function unsuspendDegree(degreeId, reason, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+      throw new ValidationError('reason is required');
+    }
+
+    console.log(`Lifting suspension of degree ${degreeId}...`);
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('UnsuspendDegree', withEndorsingOrganizations({
+      arguments: [degreeId],
+      transientData: { reason: Buffer.from(reason.trim()) }
+    }));
+
+    const transactionId = proposal.getTransactionId();
+    const transaction = await proposal.endorse();
+    await transaction.submit();
+
+    console.log(`Degree ${degreeId} suspension lifted.`);
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      message: 'Degree suspension lifted successfully'
+    };
+
+  } catch (error) {
+    console.error('Error unsuspending degree:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('does not exist')) throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+    if (errorMessage.includes('is not suspended')) throw new ValidationError(`Degree with ID ${degreeId} is not suspended`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+    if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) throw new EndorsementError('Endorsement failed.');
+    if (errorMessage.includes('MVCC_READ_CONFLICT')) throw new ConflictError('Conflict detected.');
+
+    throw new Error(`Failed to unsuspend degree: ${error.message}`);
+  }
+}
+
+/**
+ * Get the detailed reasons of a degree's current and past suspensions
+ *
+ * The reasons are kept in a private data collection, so only admins of
+ * member organisations can read them.
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Array>} Suspension records, oldest first
+ * @throws {NotFoundError} If degree does not exist
+ */
+async function getSuspensionDetails(degreeId, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('QuerySuspensionDetails', degreeId);
+    return JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+  } catch (error) {
+    console.error('Error getting suspension details:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('does not exist')) throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+
+    throw new Error(`Failed to get suspension details: ${error.message}`);
+  }
+}
+
+/**
+ * Map of API field names to chaincode field names for amendable degree fields
+ */
+const AMENDABLE_FIELDS = {
+  degreeType: 'degreeType',
+  studentName: 'studentName',
+  universityName: 'university',
+  major: 'major',
+  classification: 'classification',
+  issueDate: 'issueDate',
+  transcriptHash: 'transcriptHash'
+};
+
+/**
+ * Validate the changes of a degree amendment
+ *
+ * @param {Object} changes - Changed fields (API field names)
+ * @returns {Object} The changes with chaincode field names
+ * @throws {ValidationError} If a field cannot be amended or a value is invalid
+ */
+function validateAmendment(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new ValidationError('changes is required and must be a non-empty object');
+  }
+
+  // Map API field names to chaincode field names
+  const chaincodeChanges = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (!AMENDABLE_FIELDS[field]) {
+      throw new ValidationError(`Field ${field} cannot be amended. Amendable fields: ${Object.keys(AMENDABLE_FIELDS).join(', ')}`);
+    }
+    if (typeof value !== 'string' || (field !== 'transcriptHash' && value.trim() === '')) {
+      throw new ValidationError(`${field} must be a non-empty string`);
+    }
+    chaincodeChanges[AMENDABLE_FIELDS[field]] = value;
+  }
+
+  if (chaincodeChanges.issueDate && !/^\d{4}-\d{2}-\d{2}$/.test(chaincodeChanges.issueDate)) {
+    throw new ValidationError('issueDate must be in ISO 8601 format (YYYY-MM-DD)');
+  }
+
+  return chaincodeChanges;
+}
+
+/**
+ * Amend (reissue) a degree
+ *
+ * Records a new version of the degree with the changed fields instead of
+ * revoking it and issuing a new degreeId. The chaincode keeps the previous
+ * version and links it from the new one.
+ *
+ * @param {string} degreeId - Degree ID to amend
+ * @param {Object} changes - Changed fields (degreeType, studentName, universityName,
+ *   major, classification, issueDate, transcriptHash)
+ * @param {string} reason - Reason for the amendment
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Transaction result with the new degree version
+ * @throws {ValidationError} If input validation fails
+ * @throws {NotFoundError} If degree does not exist
+ */
+async function amendDegree(degreeId, changes, reason, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+      throw new ValidationError('reason is required');
+    }
+    const chaincodeChanges = validateAmendment(changes);
+
+    console.log(`Amending degree ${degreeId} (${Object.keys(changes).join(', ')})...`);
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('AmendDegree', withEndorsingOrganizations({
+      arguments: [degreeId, JSON.stringify(chaincodeChanges), reason]
+    }));
+
+    const transactionId = proposal.getTransactionId();
+    const transaction = await proposal.endorse();
+    const amendedDegree = JSON.parse(Buffer.from(transaction.getResult()).toString('utf8'));
+    await transaction.submit();
+
+    console.log(`Degree ${degreeId} amended to version ${amendedDegree.version}.`);
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      degree: amendedDegree,
+      message: `Degree amended to version ${amendedDegree.version}`
+    };
+
+  } catch (error) {
+    console.error('Error amending degree:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('does not exist')) throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+    if (errorMessage.includes('is revoked')) throw new ValidationError(`Degree with ID ${degreeId} is revoked and cannot be amended`);
+    if (errorMessage.includes('does not change any field')) throw new ValidationError('Amendment does not change any field');
+    const issuerError = errorMessage.match(ISSUER_AUTHORIZATION_PATTERN);
+    if (issuerError) throw new ValidationError(issuerError[0]);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+    if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) throw new EndorsementError('Endorsement failed.');
+    if (errorMessage.includes('MVCC_READ_CONFLICT')) throw new ConflictError('Conflict detected.');
+
+    throw new Error(`Failed to amend degree: ${error.message}`);
+  }
+}
+
+/**
+ * Get a specific version of a degree
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {string|number} version - Version number
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Degree version data
+ * @throws {NotFoundError} If the degree or version does not exist
+ */
+async function getDegreeVersion(degreeId, version, username = null) {
+  try {
+    if (!degreeId) throw new ValidationError('degreeId is required');
+    const versionNumber = /^\d+$/.test(String(version)) ? Number(version) : NaN;
+    if (!Number.isSafeInteger(versionNumber) || versionNumber < 1) {
+      throw new ValidationError('version must be a positive integer');
+    }
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('QueryDegreeVersion', degreeId, String(versionNumber));
+    return JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+  } catch (error) {
+    console.error('Error getting degree version:', error.message);
+    if (error instanceof ValidationError) throw error;
+    if ((error.message || '').includes('does not exist')) {
+      throw new NotFoundError(`Version ${version} of degree ${degreeId} not found`);
+    }
+    throw new Error(`Failed to get degree version: ${error.message}`);
+  }
+}
+
+/**
+ * Get the change history of a degree
+ *
+ * Reads the ledger key history through GetDegreeHistory and returns every
+ * state the degree went through (issued, revoked, amended) from oldest to
+ * newest, with transaction IDs, timestamps and the organisation (MSP and OU)
+ * behind each change.
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Array>} Ordered history entries
+ * @throws {NotFoundError} If the degree has no history
+ */
+async function getDegreeHistory(degreeId, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('GetDegreeHistory', degreeId);
+    return JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+  } catch (error) {
+    console.error('Error getting degree history:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('does not exist')) throw new NotFoundError(`Degree with ID ${degreeId} not found`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+
+    throw new Error(`Failed to get degree history: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a list of MSP IDs for an endorsement policy
+ * @param {Array<string>} organizations - MSP IDs
+ * @param {boolean} allowEmpty - Whether an empty list is accepted
+ * @throws {ValidationError} If the list is invalid
+ * @private
+ */
+function validateOrganizations(organizations, allowEmpty) {
+  if (!Array.isArray(organizations) || (!allowEmpty && organizations.length === 0)) {
+    throw new ValidationError('organizations is required and must be a non-empty array of MSP IDs');
+  }
+  for (const org of organizations) {
+    if (typeof org !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(org)) {
+      throw new ValidationError(`Invalid MSP ID: ${org}`);
+    }
+  }
+}
+
+/**
+ * Map errors of endorsement policy transactions
+ * @param {Error} error - Error from the gateway or chaincode
+ * @param {string} action - Action for the wrapped error message
+ * @param {string} [degreeId] - Degree ID of the transaction
+ * @returns {Error} Error to throw
+ * @private
+ */
+function endorsementPolicyError(error, action, degreeId = null) {
+  if (error instanceof ValidationError) return error;
+
+  const errorMessage = error.message || '';
+  if (errorMessage.includes('does not exist')) return new NotFoundError(`Degree with ID ${degreeId} not found`);
+  if (errorMessage.includes('Invalid MSP ID') || errorMessage.includes('Endorsing organisations')) return new ValidationError(errorMessage);
+  if (errorMessage.includes('UNAVAILABLE')) return new ConnectionError('Service unavailable.');
+  if (errorMessage.includes('endorsement policy') || errorMessage.includes('ENDORSEMENT_POLICY_FAILURE')) {
+    return new EndorsementError('Endorsement failed. The current policy requires endorsement by all of its organisations.');
+  }
+  if (errorMessage.includes('MVCC_READ_CONFLICT')) return new ConflictError('Conflict detected.');
+
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
+
+/**
+ * Get the state-based endorsement policy of a degree
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { degreeId, endorsingOrgs } (empty: chaincode policy only)
+ * @throws {NotFoundError} If the degree does not exist
+ */
+async function getDegreeEndorsementPolicy(degreeId, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('GetDegreeEndorsementPolicy', degreeId);
+    return JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+  } catch (error) {
+    console.error('Error getting degree endorsement policy:', error.message);
+    throw endorsementPolicyError(error, 'get degree endorsement policy', degreeId);
+  }
+}
+
+/**
+ * Set the state-based endorsement policy of a degree
+ *
+ * Afterwards every change to the degree must be endorsed by a peer of each
+ * organisation. Changing an existing policy needs the endorsement of the
+ * organisations in it, so ENDORSING_ORGANIZATIONS must include them.
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {Array<string>} organizations - MSP IDs, e.g. ['Org1MSP', 'MoetMSP']
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, transactionId, degreeId, endorsingOrgs, previousEndorsingOrgs }
+ * @throws {ValidationError} If the input is invalid
+ * @throws {NotFoundError} If the degree does not exist
+ * @throws {EndorsementError} If the current policy is not satisfied
+ */
+async function setDegreeEndorsementPolicy(degreeId, organizations, username = null) {
+  try {
+    if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+      throw new ValidationError('degreeId is required');
+    }
+    validateOrganizations(organizations, false);
+
+    console.log(`Setting endorsement policy of degree ${degreeId} to ${organizations.join(', ')}...`);
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('SetDegreeEndorsementPolicy', withEndorsingOrganizations({
+      arguments: [degreeId, JSON.stringify(organizations)]
+    }));
+
+    const transactionId = proposal.getTransactionId();
+    const transaction = await proposal.endorse();
+    const result = JSON.parse(Buffer.from(await transaction.submit()).toString('utf8'));
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      degreeId: degreeId,
+      endorsingOrgs: result.endorsingOrgs,
+      previousEndorsingOrgs: result.previousEndorsingOrgs
+    };
+
+  } catch (error) {
+    console.error('Error setting degree endorsement policy:', error.message);
+    throw endorsementPolicyError(error, 'set degree endorsement policy', degreeId);
+  }
+}
+
+/**
+ * Get the endorsement policy applied to newly issued degrees
+ *
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { endorsingOrgs, updatedAt, updatedBy, txId }
+ */
+async function getEndorsementDefaults(username = null) {
+  try {
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('GetDegreeEndorsementDefaults');
+    const { docType, ...defaults } = JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+    return defaults;
+
+  } catch (error) {
+    console.error('Error getting degree endorsement defaults:', error.message);
+    throw endorsementPolicyError(error, 'get degree endorsement defaults');
+  }
+}
+
+/**
+ * Set the endorsement policy applied to newly issued degrees
+ *
+ * An empty list stops applying a policy to new degrees. Once organisations are
+ * configured, changing the setting needs their endorsement as well.
+ *
+ * @param {Array<string>} organizations - MSP IDs (may be empty)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, transactionId, endorsingOrgs }
+ * @throws {ValidationError} If the list is invalid
+ * @throws {EndorsementError} If the current setting's organisations did not endorse
+ */
+async function setEndorsementDefaults(organizations, username = null) {
+  try {
+    validateOrganizations(organizations, true);
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('SetDegreeEndorsementDefaults', withEndorsingOrganizations({
+      arguments: [JSON.stringify(organizations)]
+    }));
+
+    const transactionId = proposal.getTransactionId();
+    const transaction = await proposal.endorse();
+    const result = JSON.parse(Buffer.from(await transaction.submit()).toString('utf8'));
+
+    console.log(`New degrees require endorsement by: ${result.endorsingOrgs.join(', ') || '(chaincode policy only)'}`);
+
+    return {
+      success: true,
+      transactionId: transactionId,
+      endorsingOrgs: result.endorsingOrgs
+    };
+
+  } catch (error) {
+    console.error('Error setting degree endorsement defaults:', error.message);
+    throw endorsementPolicyError(error, 'set degree endorsement defaults');
+  }
+}
+
 module.exports = {
   issueDegree,
+  prepareDegreeData,
+  issueDegreesBatch,
+  MAX_BATCH_SIZE,
   verifyDegree,
   revokeDegree,
+  reinstateDegree,
+  suspendDegree,
+  unsuspendDegree,
+  getSuspensionDetails,
+  SUSPENSION_CATEGORIES,
+  amendDegree,
+  validateAmendment,
+  getDegreeVersion,
+  getDegreeHistory,
+  getDegreeEndorsementPolicy,
+  setDegreeEndorsementPolicy,
+  getEndorsementDefaults,
+  setEndorsementDefaults,
   getDegreesByStudent,
+  listDegrees,
   validateDegreeData
 };
@@ -0,0 +1,310 @@
+/**
+ * Selective Disclosure Service Module
+ *
+ * Lets a student share a chosen subset of their private transcript (e.g. GPA
+ * and a few courses) with a verifier, without revealing the rest
+ * (personalInfo, other grades).
+ *
+ * Mechanism (salted hashes, as in SD-JWT):
+ * 1. The transcript is read from the Private Data Collection and checked
+ *    against its on-chain hash (transcriptHash).
+ * 2. Every field becomes a disclosure [salt, path, value]; only the SHA-256
+ *    digest of each disclosure goes into a statement, together with the
+ *    studentId and transcriptHash. The statement is signed with the
+ *    organisation key (Data Integrity proof, see CredentialService).
+ * 3. The package handed to the verifier contains the signed statement and
+ *    the disclosures of the selected fields only. Undisclosed fields are
+ *    represented solely by salted digests, which reveal nothing about them.
+ */
+
+const crypto = require('crypto');
+const TranscriptService = require('./transcript-service');
+const CredentialService = require('./credential-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/error-handler');
+
+const STATEMENT_TYPE = 'TranscriptDisclosureStatement';
+const TOP_LEVEL_FIELDS = ['gpa', 'totalCredits', 'updatedAt'];
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Base64url encode a string or buffer
+ * @private
+ */
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Digest of an encoded disclosure
+ * @param {string} disclosure - Base64url-encoded [salt, path, value]
+ * @returns {string} Base64url SHA-256 digest
+ * @private
+ */
+function digestDisclosure(disclosure) {
+  return crypto.createHash('sha256').update(disclosure, 'ascii').digest('base64url');
+}
+
+/**
+ * Break a transcript record into disclosable claims
+ *
+ * @param {Object} transcript - Transcript record from the Private Data Collection
+ * @returns {Array<{path: string[], value: *}>} Claims
+ * @private
+ */
+function toClaims(transcript) {
+  const claims = TOP_LEVEL_FIELDS
+    .filter(field => transcript[field] !== undefined)
+    .map(field => ({ path: [field], value: transcript[field] }));
+
+  for (const [course, grade] of Object.entries(transcript.transcript || {})) {
+    claims.push({ path: ['transcript', course], value: grade });
+  }
+  for (const [key, value] of Object.entries(transcript.personalInfo || {})) {
+    claims.push({ path: ['personalInfo', key], value: value });
+  }
+
+  return claims;
+}
+
+/**
+ * Check that a disclosure path has one of the shapes produced by toClaims
+ *
+ * @param {*} path - Path from a disclosure
+ * @returns {boolean} True for [field], ['transcript', course] or ['personalInfo', key]
+ * @private
+ */
+function isClaimPath(path) {
+  if (!Array.isArray(path) || path.some(key => typeof key !== 'string')) {
+    return false;
+  }
+  if (path.length === 1) {
+    return TOP_LEVEL_FIELDS.includes(path[0]);
+  }
+  return path.length === 2 && ['transcript', 'personalInfo'].includes(path[0]);
+}
+
+/**
+ * Validate the student's field selection against the transcript
+ *
+ * @param {Object} selection - { fields, courses, personalInfo }
+ * @param {Array<Object>} claims - Claims from toClaims
+ * @returns {Set<string>} Selected claim paths (JSON-encoded)
+ * @private
+ */
+function resolveSelection(selection, claims) {
+  const { fields = [], courses = [], personalInfo = [] } = selection;
+
+  for (const [name, list] of Object.entries({ fields, courses, personalInfo })) {
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+      throw new ValidationError(`${name} must be an array of strings`);
+    }
+  }
+
+  const unknownFields = fields.filter(field => !TOP_LEVEL_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(`fields must only contain: ${TOP_LEVEL_FIELDS.join(', ')}`);
+  }
+
+  const requested = [
+    ...fields.map(field => [field]),
+    ...courses.map(course => ['transcript', course]),
+    ...personalInfo.map(key => ['personalInfo', key])
+  ].map(path => JSON.stringify(path));
+
+  if (requested.length === 0) {
+    throw new ValidationError('Select at least one field, course or personalInfo entry to disclose');
+  }
+
+  const available = new Set(claims.map(claim => JSON.stringify(claim.path)));
+  const missing = requested.filter(path => !available.has(path)).map(path => JSON.parse(path).join('.'));
+  if (missing.length > 0) {
+    throw new ValidationError(`Not present in the transcript: ${missing.join(', ')}`);
+  }
+
+  return new Set(requested);
+}
+
+/**
+ * Create a selective disclosure package from the student's transcript
+ *
+ * @param {string} studentId - Student ID (owner of the transcript)
+ * @param {Object} selection - Fields to disclose
+ * @param {string[]} [selection.fields] - Top-level fields: gpa, totalCredits, updatedAt
+ * @param {string[]} [selection.courses] - Course names from the transcript
+ * @param {string[]} [selection.personalInfo] - personalInfo keys
+ * @param {number} [selection.expiresInDays=30] - Package validity (1-365 days)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, package: { statement, disclosures }, disclosedFields, expiresAt }
+ * @throws {ValidationError} If the selection is invalid
+ * @throws {NotFoundError} If the student has no transcript
+ * @throws {ConflictError} If the stored transcript does not match its on-chain hash
+ */
+async function createDisclosurePackage(studentId, selection = {}, username = null) {
+  const expiresInDays = selection.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(selection.expiresInDays);
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new ValidationError(`expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  const { raw, transcript } = await TranscriptService.getTranscriptRecord(studentId, username);
+  const transcriptHash = await TranscriptService.getTranscriptHash(studentId, username);
+
+  // The digests are only meaningful if they were derived from the on-chain transcript
+  const computedHash = crypto.createHash('sha256').update(Buffer.from(raw, 'utf8')).digest('hex');
+  if (computedHash !== transcriptHash) {
+    throw new ConflictError('Transcript data does not match its on-chain hash');
+  }
+
+  const claims = toClaims(transcript);
+  const selected = resolveSelection(selection, claims);
+
+  const encoded = claims.map(claim => {
+    const salt = crypto.randomBytes(16).toString('base64url');
+    const disclosure = toBase64Url(JSON.stringify([salt, claim.path, claim.value]));
+    return { path: claim.path, disclosure, digest: digestDisclosure(disclosure) };
+  });
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const statement = await CredentialService.signDocument({
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', STATEMENT_TYPE],
+    issuer: CredentialService.getIssuerDid(),
+    validFrom: now.toISOString(),
+    validUntil: expiresAt.toISOString(),
+    credentialSubject: {
+      studentId: studentId,
+      transcriptHash: transcriptHash,
+      digestAlgorithm: 'sha-256',
+      // Sorted so the position of a digest does not reveal which field it belongs to
+      digests: encoded.map(item => item.digest).sort()
+    }
+  });
+
+  const disclosed = encoded.filter(item => selected.has(JSON.stringify(item.path)));
+
+  return {
+    success: true,
+    package: {
+      statement: statement,
+      disclosures: disclosed.map(item => item.disclosure)
+    },
+    disclosedFields: disclosed.map(item => item.path.join('.')),
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Verify a selective disclosure package
+ *
+ * @param {Object} disclosurePackage - { statement, disclosures }
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, valid, verified, studentId, disclosed, checks, errors }
+ * @throws {ValidationError} If the package is malformed
+ */
+async function verifyDisclosurePackage(disclosurePackage, username = null) {
+  const { statement, disclosures } = disclosurePackage || {};
+
+  if (!statement || typeof statement !== 'object' ||
+      !Array.isArray(statement.type) || !statement.type.includes(STATEMENT_TYPE)) {
+    throw new ValidationError(`statement must be a ${STATEMENT_TYPE}`);
+  }
+  if (!Array.isArray(disclosures) || disclosures.length === 0 ||
+      disclosures.some(item => typeof item !== 'string')) {
+    throw new ValidationError('disclosures must be a non-empty array of strings');
+  }
+
+  const subject = statement.credentialSubject || {};
+  const digests = new Set(Array.isArray(subject.digests) ? subject.digests : []);
+  const checks = { proof: false, issuer: false, disclosures: false, notExpired: false, current: false };
+
+  // 1. Statement signature
+  const proofResult = await CredentialService.verifyDocumentProof(statement);
+  checks.proof = proofResult.proof;
+  checks.issuer = proofResult.issuer;
+  const errors = [...proofResult.errors];
+
+  const result = {
+    success: true,
+    valid: false,
+    verified: false,
+    studentId: subject.studentId,
+    transcriptHash: subject.transcriptHash,
+    expiresAt: statement.validUntil || null,
+    disclosed: null,
+    checks: checks,
+    errors: errors
+  };
+
+  // Nothing in an unsigned or foreign statement is worth parsing
+  if (!checks.proof || !checks.issuer) {
+    return result;
+  }
+
+  // 2. Disclosed values must hash to digests in the signed statement
+  const disclosed = Object.create(null);
+  const seenPaths = new Set();
+  let disclosuresValid = true;
+
+  for (const disclosure of disclosures) {
+    if (!digests.has(digestDisclosure(disclosure))) {
+      disclosuresValid = false;
+      errors.push('A disclosed value does not match the signed statement; it was modified');
+      continue;
+    }
+
+    let path;
+    let value;
+    try {
+      [, path, value] = JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('disclosures contain an invalid entry');
+    }
+    if (!isClaimPath(path) || seenPaths.has(JSON.stringify(path))) {
+      throw new ValidationError('disclosures contain an invalid or duplicate entry');
+    }
+    seenPaths.add(JSON.stringify(path));
+
+    if (path.length === 1) {
+      disclosed[path[0]] = value;
+    } else {
+      disclosed[path[0]] = disclosed[path[0]] || Object.create(null);
+      disclosed[path[0]][path[1]] = value;
+    }
+  }
+  checks.disclosures = disclosuresValid;
+
+  // 3. Validity period
+  checks.notExpired = !statement.validUntil || new Date(statement.validUntil) > new Date();
+  if (!checks.notExpired) {
+    errors.push(`Disclosure package expired at ${statement.validUntil}`);
+  }
+
+  // 4. The transcript on the ledger must still be the one the statement was made from
+  try {
+    const currentHash = await TranscriptService.getTranscriptHash(subject.studentId, username);
+    checks.current = currentHash === subject.transcriptHash;
+    if (!checks.current) {
+      errors.push('The transcript has been updated on the ledger since this package was created');
+    }
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+    errors.push(`No transcript for student ${subject.studentId} exists on the ledger`);
+  }
+
+  result.valid = checks.disclosures;
+  result.verified = result.valid && checks.notExpired && checks.current;
+  result.disclosed = result.valid ? disclosed : null;
+  return result;
+}
+
+module.exports = {
+  createDisclosurePackage,
+  verifyDisclosurePackage
+};
@@ -0,0 +1,524 @@
+/**
+ * Grading Service Module
+ *
+ * Validates structured transcript courses and computes the cumulative GPA,
+ * mirroring chaincode/lib/grading.js so bad input is rejected before a
+ * transaction is endorsed. The chaincode repeats the same checks.
+ *
+ * Grading scales registry:
+ * Each university can have its own conversion tables, stored in PostgreSQL
+ * (grading_scales):
+ * - tenPointToLetter: 10-point grade -> letter grade (lower bounds)
+ * - letterToPoint: letter grade -> 4-point grade point
+ * - classifications: minimum 4-point GPA -> degree classification
+ * Universities without a registered scale use DEFAULT_GRADING_SCALE. Courses
+ * are normalised with the scale (letter and gradePoint are added) before they
+ * are sent to the chaincode, which computes the GPA from those grade points.
+ *
+ * A course record:
+ * {
+ *   code: 'INT1306',            // course code
+ *   name: 'Cau truc du lieu',   // course name
+ *   credits: 3,                 // credit hours (> 0)
+ *   semester: '2023-2024/1',    // semester label
+ *   grade: '8.5',               // grade on the course's scale
+ *   scale: '10-point',          // 10-point | letter | 4-point
+ *   attempt: 1                  // 1 for the first attempt, 2+ for retakes
+ * }
+ *
+ * GPA is the credit-weighted average of 4-point grade points, counting only
+ * the latest attempt of each course.
+ */
+
+const db = require('../database/db');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/error-handler');
+
+/**
+ * Scale used for universities without a registered grading scale:
+ * the Vietnamese credit-based training regulation
+ */
+const DEFAULT_GRADING_SCALE = Object.freeze({
+  id: null,
+  university: null,
+  name: 'Default (credit-based training regulation)',
+  // 10-point grade -> letter grade (lower bound inclusive)
+  tenPointToLetter: [
+    { min: 8.5, letter: 'A' },
+    { min: 8.0, letter: 'B+' },
+    { min: 7.0, letter: 'B' },
+    { min: 6.5, letter: 'C+' },
+    { min: 5.5, letter: 'C' },
+    { min: 5.0, letter: 'D+' },
+    { min: 4.0, letter: 'D' },
+    { min: 0, letter: 'F' }
+  ],
+  // Letter grade -> 4-point grade point
+  letterToPoint: {
+    'A+': 4.0,
+    'A': 4.0,
+    'B+': 3.5,
+    'B': 3.0,
+    'C+': 2.5,
+    'C': 2.0,
+    'D+': 1.5,
+    'D': 1.0,
+    'F': 0
+  },
+  // Minimum cumulative GPA (4-point) -> degree classification
+  classifications: [
+    { minGpa: 3.6, classification: 'Xuat sac' },
+    { minGpa: 3.2, classification: 'Gioi' },
+    { minGpa: 2.5, classification: 'Kha' },
+    { minGpa: 2.0, classification: 'Trung binh' }
+  ]
+});
+
+const GRADE_SCALES = ['10-point', 'letter', '4-point'];
+
+/**
+ * Largest difference allowed between the submitted and the computed GPA
+ */
+const GPA_TOLERANCE = 0.01;
+
+/**
+ * Convert a grade to a letter grade and a 4-point grade point
+ *
+ * @param {string|number} grade - Grade on the given scale
+ * @param {string} scale - 10-point, letter or 4-point
+ * @param {Object} [gradingScale] - Conversion tables (default: DEFAULT_GRADING_SCALE)
+ * @returns {{letter: string|null, gradePoint: number}} Letter (null for 4-point grades) and grade point (0-4)
+ * @throws {ValidationError} If the grade is not valid on the scale
+ */
+function convertGrade(grade, scale, gradingScale = DEFAULT_GRADING_SCALE) {
+  if (scale === 'letter') {
+    const letter = String(grade).trim().toUpperCase();
+    const gradePoint = gradingScale.letterToPoint[letter];
+    if (gradePoint === undefined) {
+      throw new ValidationError(`Invalid letter grade: ${grade}`);
+    }
+    return { letter, gradePoint };
+  }
+
+  const value = Number(grade);
+  const max = scale === '10-point' ? 10 : 4;
+  if (grade === '' || grade === null || isNaN(value) || value < 0 || value > max) {
+    throw new ValidationError(`Invalid ${scale} grade: ${grade}. Must be between 0 and ${max}`);
+  }
+  if (scale === '4-point') {
+    return { letter: null, gradePoint: value };
+  }
+
+  const { letter } = gradingScale.tenPointToLetter.find(step => value >= step.min);
+  return { letter, gradePoint: gradingScale.letterToPoint[letter] };
+}
+
+/**
+ * Convert a grade to a 4-point grade point
+ *
+ * @param {string|number} grade - Grade on the given scale
+ * @param {string} scale - 10-point, letter or 4-point
+ * @param {Object} [gradingScale] - Conversion tables (default: DEFAULT_GRADING_SCALE)
+ * @returns {number} Grade point (0-4)
+ * @throws {ValidationError} If the grade is not valid on the scale
+ */
+function toGradePoint(grade, scale, gradingScale = DEFAULT_GRADING_SCALE) {
+  return convertGrade(grade, scale, gradingScale).gradePoint;
+}
+
+/**
+ * Validate and normalise structured course records
+ *
+ * @param {Array<Object>} courses - Course records
+ * @param {Object} [gradingScale] - Conversion tables (default: DEFAULT_GRADING_SCALE)
+ * @returns {Array<Object>} Normalised records (scale and attempt filled in, credits as numbers,
+ *   letter and gradePoint from the grading scale)
+ * @throws {ValidationError} If a record is invalid
+ */
+function validateCourses(courses, gradingScale = DEFAULT_GRADING_SCALE) {
+  if (!Array.isArray(courses) || courses.length === 0) {
+    throw new ValidationError('courses must be a non-empty array');
+  }
+
+  const seen = new Set();
+  return courses.map((course, index) => {
+    const label = `courses[${index}]`;
+    if (!course || typeof course !== 'object') {
+      throw new ValidationError(`${label} must be an object`);
+    }
+    for (const field of ['code', 'name', 'semester']) {
+      if (typeof course[field] !== 'string' || course[field].trim() === '') {
+        throw new ValidationError(`${label}.${field} is required and must be a non-empty string`);
+      }
+    }
+
+    const credits = Number(course.credits);
+    if (isNaN(credits) || credits <= 0 || credits > 30) {
+      throw new ValidationError(`${label}.credits must be a number greater than 0 and at most 30`);
+    }
+
+    const scale = course.scale || '10-point';
+    if (!GRADE_SCALES.includes(scale)) {
+      throw new ValidationError(`${label}.scale must be one of: ${GRADE_SCALES.join(', ')}`);
+    }
+
+    const attempt = course.attempt === undefined ? 1 : Number(course.attempt);
+    if (!Number.isInteger(attempt) || attempt < 1) {
+      throw new ValidationError(`${label}.attempt must be a positive integer`);
+    }
+
+    let converted;
+    try {
+      converted = convertGrade(course.grade, scale, gradingScale);
+    } catch (error) {
+      throw new ValidationError(`${label}.grade: ${error.message}`);
+    }
+
+    const key = `${course.code}#${attempt}`;
+    if (seen.has(key)) {
+      throw new ValidationError(`Duplicate course ${course.code} attempt ${attempt}`);
+    }
+    seen.add(key);
+
+    return {
+      code: course.code.trim(),
+      name: course.name.trim(),
+      credits: credits,
+      semester: course.semester.trim(),
+      grade: String(course.grade).trim(),
+      scale: scale,
+      attempt: attempt,
+      letter: converted.letter,
+      gradePoint: converted.gradePoint
+    };
+  });
+}
+
+/**
+ * Latest attempt of each course
+ *
+ * @param {Array<Object>} courses - Validated course records
+ * @returns {Array<Object>} One record per course code
+ */
+function latestAttempts(courses) {
+  const latest = new Map();
+  for (const course of courses) {
+    const current = latest.get(course.code);
+    if (!current || course.attempt > current.attempt) {
+      latest.set(course.code, course);
+    }
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Compute the cumulative GPA (4-point) of validated course records
+ *
+ * @param {Array<Object>} courses - Courses from validateCourses (with gradePoint)
+ * @returns {{gpa: number, totalCredits: number}} GPA rounded to 2 decimals
+ */
+function computeGpa(courses) {
+  let totalCredits = 0;
+  let totalPoints = 0;
+  for (const course of latestAttempts(courses)) {
+    totalCredits += course.credits;
+    totalPoints += course.credits * course.gradePoint;
+  }
+
+  return {
+    gpa: totalCredits > 0 ? Math.round((totalPoints / totalCredits) * 100) / 100 : 0,
+    totalCredits: totalCredits
+  };
+}
+
+/**
+ * Check a submitted GPA against the computed one
+ *
+ * @param {string|number} submitted - Submitted GPA
+ * @param {number} computed - GPA from computeGpa
+ * @returns {boolean} True if they differ by at most GPA_TOLERANCE
+ */
+function gpaMatches(submitted, computed) {
+  const value = parseFloat(submitted);
+  // Compare in hundredths to avoid floating point noise
+  return !isNaN(value) && Math.abs(Math.round(value * 100) - Math.round(computed * 100)) <= GPA_TOLERANCE * 100;
+}
+
+/**
+ * Derive the degree classification from a cumulative GPA
+ *
+ * @param {string|number} gpa - Cumulative GPA (4-point)
+ * @param {Object} [gradingScale] - Scale with classification thresholds (default: DEFAULT_GRADING_SCALE)
+ * @returns {string|null} Classification, or null if the GPA is below every threshold
+ * @throws {ValidationError} If gpa is not a number
+ */
+function deriveClassification(gpa, gradingScale = DEFAULT_GRADING_SCALE) {
+  const value = parseFloat(gpa);
+  if (isNaN(value)) {
+    throw new ValidationError(`Invalid GPA: ${gpa}`);
+  }
+
+  const band = gradingScale.classifications.find(step => value >= step.minGpa);
+  return band ? band.classification : null;
+}
+
+/**
+ * Validate and normalise a grading scale definition
+ *
+ * @param {Object} definition - { university, name, tenPointToLetter, letterToPoint, classifications }
+ * @returns {Object} Normalised definition (tables sorted by descending threshold)
+ * @throws {ValidationError} If the definition is invalid
+ * @private
+ */
+function validateScaleDefinition(definition) {
+  const { university, name, tenPointToLetter, letterToPoint, classifications } = definition || {};
+
+  if (!university || typeof university !== 'string' || university.trim() === '') {
+    throw new ValidationError('university is required and must be a non-empty string');
+  }
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    throw new ValidationError('name must be a string');
+  }
+
+  if (!letterToPoint || typeof letterToPoint !== 'object' || Array.isArray(letterToPoint) ||
+      Object.keys(letterToPoint).length === 0) {
+    throw new ValidationError('letterToPoint is required and must be an object of letter -> grade point');
+  }
+  const normalisedLetters = {};
+  for (const [letter, point] of Object.entries(letterToPoint)) {
+    if (typeof point !== 'number' || point < 0 || point > 4) {
+      throw new ValidationError(`letterToPoint.${letter} must be a number between 0 and 4`);
+    }
+    normalisedLetters[letter.trim().toUpperCase()] = point;
+  }
+
+  if (!Array.isArray(tenPointToLetter) || tenPointToLetter.length === 0) {
+    throw new ValidationError('tenPointToLetter is required and must be a non-empty array of { min, letter }');
+  }
+  const normalisedSteps = tenPointToLetter.map((step, index) => {
+    if (!step || typeof step.min !== 'number' || step.min < 0 || step.min > 10) {
+      throw new ValidationError(`tenPointToLetter[${index}].min must be a number between 0 and 10`);
+    }
+    const letter = typeof step.letter === 'string' ? step.letter.trim().toUpperCase() : '';
+    if (normalisedLetters[letter] === undefined) {
+      throw new ValidationError(`tenPointToLetter[${index}].letter must be one of the letters in letterToPoint`);
+    }
+    return { min: step.min, letter };
+  }).sort((a, b) => b.min - a.min);
+  if (normalisedSteps[normalisedSteps.length - 1].min !== 0) {
+    throw new ValidationError('tenPointToLetter must cover grades down to 0 (a step with min 0)');
+  }
+
+  if (!Array.isArray(classifications) || classifications.length === 0) {
+    throw new ValidationError('classifications is required and must be a non-empty array of { minGpa, classification }');
+  }
+  const normalisedClassifications = classifications.map((step, index) => {
+    if (!step || typeof step.minGpa !== 'number' || step.minGpa < 0 || step.minGpa > 4) {
+      throw new ValidationError(`classifications[${index}].minGpa must be a number between 0 and 4`);
+    }
+    if (typeof step.classification !== 'string' || step.classification.trim() === '') {
+      throw new ValidationError(`classifications[${index}].classification must be a non-empty string`);
+    }
+    return { minGpa: step.minGpa, classification: step.classification.trim() };
+  }).sort((a, b) => b.minGpa - a.minGpa);
+
+  return {
+    university: university.trim(),
+    name: name ? name.trim() : null,
+    tenPointToLetter: normalisedSteps,
+    letterToPoint: normalisedLetters,
+    classifications: normalisedClassifications
+  };
+}
+
+/**
+ * Format a grading_scales row for API responses and conversions
+ * @param {Object} row - Database row
+ * @returns {Object} Grading scale
+ * @private
+ */
+function formatScale(row) {
+  return {
+    id: row.id,
+    university: row.university,
+    name: row.name,
+    tenPointToLetter: row.ten_point_to_letter,
+    letterToPoint: row.letter_to_point,
+    classifications: row.classifications,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List the registered grading scales
+ *
+ * @returns {Promise<Object>} { success, defaultScale, scales }
+ */
+async function listGradingScales() {
+  const result = await db.query('SELECT * FROM grading_scales ORDER BY university');
+
+  return {
+    success: true,
+    defaultScale: DEFAULT_GRADING_SCALE,
+    scales: result.rows.map(formatScale)
+  };
+}
+
+/**
+ * Get a grading scale by ID
+ *
+ * @param {number|string} id - Grading scale ID
+ * @returns {Promise<Object>} Grading scale
+ * @throws {NotFoundError} If the scale does not exist
+ */
+async function getGradingScale(id) {
+  const scaleId = parseInt(id, 10);
+  if (isNaN(scaleId)) {
+    throw new ValidationError('id must be a number');
+  }
+
+  const result = await db.query('SELECT * FROM grading_scales WHERE id = $1', [scaleId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Grading scale ${scaleId} not found`);
+  }
+  return formatScale(result.rows[0]);
+}
+
+/**
+ * Get the grading scale of a university
+ *
+ * @param {string} [university] - University name
+ * @returns {Promise<Object>} Its registered scale, or DEFAULT_GRADING_SCALE
+ */
+async function getGradingScaleForUniversity(university) {
+  if (!university) {
+    return DEFAULT_GRADING_SCALE;
+  }
+
+  const result = await db.query(
+    'SELECT * FROM grading_scales WHERE LOWER(university) = LOWER($1)',
+    [university.trim()]
+  );
+  return result.rows.length > 0 ? formatScale(result.rows[0]) : DEFAULT_GRADING_SCALE;
+}
+
+/**
+ * Register a grading scale for a university
+ *
+ * @param {Object} definition - { university, name, tenPointToLetter, letterToPoint, classifications }
+ * @param {string} username - Admin creating the scale
+ * @returns {Promise<Object>} { success, scale }
+ * @throws {ValidationError} If the definition is invalid
+ * @throws {ConflictError} If the university already has a scale
+ */
+async function createGradingScale(definition, username) {
+  const scale = validateScaleDefinition(definition);
+
+  try {
+    const result = await db.query(
+      `INSERT INTO grading_scales
+        (university, name, ten_point_to_letter, letter_to_point, classifications, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *`,
+      [
+        scale.university,
+        scale.name,
+        JSON.stringify(scale.tenPointToLetter),
+        JSON.stringify(scale.letterToPoint),
+        JSON.stringify(scale.classifications),
+        username
+      ]
+    );
+
+    return { success: true, scale: formatScale(result.rows[0]) };
+  } catch (error) {
+    // unique_violation
+    if (error.code === '23505') {
+      throw new ConflictError(`A grading scale for ${scale.university} already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replace a grading scale
+ *
+ * Transcripts already on the ledger keep the grade points they were stored with;
+ * the new tables apply to transcripts recorded afterwards.
+ *
+ * @param {number|string} id - Grading scale ID
+ * @param {Object} definition - { university, name, tenPointToLetter, letterToPoint, classifications }
+ * @returns {Promise<Object>} { success, scale }
+ * @throws {NotFoundError} If the scale does not exist
+ * @throws {ConflictError} If another scale already uses the university
+ */
+async function updateGradingScale(id, definition) {
+  const existing = await getGradingScale(id);
+  const scale = validateScaleDefinition({ university: existing.university, ...definition });
+
+  try {
+    const result = await db.query(
+      `UPDATE grading_scales
+      SET university = $1, name = $2, ten_point_to_letter = $3, letter_to_point = $4, classifications = $5
+      WHERE id = $6
+      RETURNING *`,
+      [
+        scale.university,
+        scale.name,
+        JSON.stringify(scale.tenPointToLetter),
+        JSON.stringify(scale.letterToPoint),
+        JSON.stringify(scale.classifications),
+        existing.id
+      ]
+    );
+
+    return { success: true, scale: formatScale(result.rows[0]) };
+  } catch (error) {
+    // unique_violation
+    if (error.code === '23505') {
+      throw new ConflictError(`A grading scale for ${scale.university} already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a grading scale (the university falls back to the default scale)
+ *
+ * @param {number|string} id - Grading scale ID
+ * @returns {Promise<Object>} { success, message }
+ * @throws {NotFoundError} If the scale does not exist
+ */
+async function deleteGradingScale(id) {
+  const existing = await getGradingScale(id);
+  await db.query('DELETE FROM grading_scales WHERE id = $1', [existing.id]);
+
+  return {
+    success: true,
+    message: `Grading scale for ${existing.university} deleted; the default scale applies`
+  };
+}
+
+module.exports = {
+  GRADE_SCALES,
+  GPA_TOLERANCE,
+  DEFAULT_GRADING_SCALE,
+  convertGrade,
+  toGradePoint,
+  validateCourses,
+  latestAttempts,
+  computeGpa,
+  gpaMatches,
+  deriveClassification,
+  listGradingScales,
+  getGradingScale,
+  getGradingScaleForUniversity,
+  createGradingScale,
+  updateGradingScale,
+  deleteGradingScale
+};
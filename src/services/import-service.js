@@ -0,0 +1,969 @@
+/**
+ * Import Service Module
+ *
+ * Handles CSV imports of graduating cohorts exported from the student
+ * information system. A CSV file is mapped to the fields used by
+ * DegreeService.issueDegree or TranscriptService.addPrivateTranscript,
+ * validated row by row (dry run), and then committed as a tracked import job.
+ *
+ * Import jobs and the result of every row are stored in PostgreSQL
+ * (import_jobs / import_job_rows) so that status can be queried afterward
+ * and only the failed rows re-run.
+ *
+ * Degree imports issue degrees, so like every other issuance they need the
+ * approval of several admins: each commit or retry of a degree job creates one
+ * import_degrees pending action (see pending-action-service) and the job waits
+ * in status awaiting_approval until the quorum is reached.
+ */
+
+const db = require('../database/db');
+const DegreeService = require('./degree-service');
+const TranscriptService = require('./transcript-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/error-handler');
+
+/**
+ * Supported import types and the record fields each one maps from CSV columns
+ */
+const IMPORT_FIELDS = {
+  degree: [
+    'degreeId',
+    'studentId',
+    'degreeType',
+    'studentName',
+    'universityName',
+    'major',
+    'classification',
+    'issueDate',
+    'transcriptHash'
+  ],
+  transcript: [
+    'studentId',
+    'gpa',
+    'university',
+    'major',
+    'dateOfBirth',
+    'gender',
+    'nationality',
+    'contactInfo',
+    'citizenId'
+  ]
+};
+
+/**
+ * Transcript columns starting with this prefix are collected into detailedGrades
+ * (e.g. a "grade:Giai tich" column becomes detailedGrades["Giai tich"])
+ */
+const GRADE_COLUMN_PREFIX = 'grade:';
+
+/**
+ * Personal info fields of a transcript record
+ */
+const PERSONAL_INFO_FIELDS = ['university', 'major', 'dateOfBirth', 'gender', 'nationality', 'contactInfo', 'citizenId'];
+
+/**
+ * Number of degree rows submitted per IssueDegreesBatch transaction
+ */
+const DEGREE_CHUNK_SIZE = 100;
+
+/**
+ * Maximum number of data rows accepted in a single CSV file
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Minutes after which a job still pending or running is considered stalled
+ * (e.g. the process died mid-run) and may be retried
+ */
+const JOB_TIMEOUT_MINUTES = parseInt(process.env.IMPORT_JOB_TIMEOUT_MINUTES, 10) || 60;
+
+/**
+ * Job statuses from which failed rows can be re-run
+ */
+const RETRYABLE_JOB_STATUSES = ['completed_with_errors', 'failed'];
+
+/**
+ * Subject of the import_degrees pending action of a job
+ * @param {number} jobId - Import job ID
+ * @returns {string} Subject
+ */
+function approvalSubject(jobId) {
+  return `import-job-${jobId}`;
+}
+
+/**
+ * Parse CSV text into an array of rows (RFC 4180: quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Parsed rows
+ * @throws {ValidationError} If a quoted field is not terminated
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError('Invalid CSV: unterminated quoted field');
+  }
+
+  // Last line without trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Normalize a header or field name for case/spacing-insensitive matching
+ * @param {string} name - Header or field name
+ * @returns {string} Normalized name
+ * @private
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[\s_\-]/g, '');
+}
+
+/**
+ * Resolve the CSV column index of every record field
+ *
+ * By default a column matches a field when their names are equal ignoring
+ * case, spaces, underscores and dashes. columnMapping overrides this with
+ * explicit { fieldName: "CSV Header" } pairs.
+ *
+ * @param {string} type - Import type (degree, transcript)
+ * @param {Array<string>} headers - CSV header row
+ * @param {Object} [columnMapping] - Explicit field to header mapping
+ * @returns {Object} Map of field name to column index
+ * @throws {ValidationError} If a mapped header is not present in the file
+ * @private
+ */
+function resolveColumns(type, headers, columnMapping = {}) {
+  const normalizedHeaders = headers.map(normalizeName);
+  const columns = {};
+
+  for (const field of IMPORT_FIELDS[type]) {
+    if (columnMapping[field]) {
+      const index = normalizedHeaders.indexOf(normalizeName(columnMapping[field]));
+      if (index === -1) {
+        throw new ValidationError(`Mapped column "${columnMapping[field]}" for field ${field} not found in CSV header`);
+      }
+      columns[field] = index;
+      continue;
+    }
+
+    const index = normalizedHeaders.indexOf(normalizeName(field));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Convert a CSV row into the record shape expected by the target service
+ * @param {string} type - Import type (degree, transcript)
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<string>} values - CSV data row
+ * @param {Object} columns - Field to column index map from resolveColumns
+ * @returns {Object} Degree or transcript record
+ * @private
+ */
+function mapRow(type, headers, values, columns) {
+  const valueOf = (field) => {
+    const index = columns[field];
+    if (index === undefined) return undefined;
+    const value = (values[index] || '').trim();
+    return value === '' ? undefined : value;
+  };
+
+  if (type === 'degree') {
+    const record = {};
+    for (const field of IMPORT_FIELDS.degree) {
+      record[field] = valueOf(field);
+    }
+    return record;
+  }
+
+  const detailedGrades = {};
+  headers.forEach((header, index) => {
+    if (header.trim().toLowerCase().startsWith(GRADE_COLUMN_PREFIX)) {
+      const subject = header.trim().slice(GRADE_COLUMN_PREFIX.length).trim();
+      const grade = (values[index] || '').trim();
+      if (subject && grade !== '') {
+        detailedGrades[subject] = grade;
+      }
+    }
+  });
+
+  const personalInfo = {};
+  for (const field of PERSONAL_INFO_FIELDS) {
+    const value = valueOf(field);
+    if (value !== undefined) {
+      personalInfo[field] = value;
+    }
+  }
+
+  return {
+    studentId: valueOf('studentId'),
+    gpa: valueOf('gpa'),
+    detailedGrades,
+    personalInfo
+  };
+}
+
+/**
+ * Validate a mapped record with the validator of the target service
+ * @param {string} type - Import type (degree, transcript)
+ * @param {Object} record - Mapped record
+ * @returns {string|null} Error message, or null if valid
+ * @private
+ */
+function validateRecord(type, record) {
+  try {
+    if (type === 'degree') {
+      // A missing classification is derived from the transcript GPA when the row is issued
+      DegreeService.validateDegreeData(record, { requireClassification: false });
+    } else {
+      TranscriptService.validateTranscriptData(record);
+      if (Object.keys(record.detailedGrades).length === 0) {
+        throw new ValidationError(`At least one "${GRADE_COLUMN_PREFIX}<subject>" column with a value is required`);
+      }
+    }
+    return null;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return error.message;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse, map and validate a CSV file
+ *
+ * @param {string} type - Import type (degree, transcript)
+ * @param {string} csv - CSV content (first row is the header)
+ * @param {Object} [columnMapping] - Explicit field to header mapping
+ * @returns {Array<Object>} Rows with rowNumber (1-based, header excluded), data and error
+ * @throws {ValidationError} If the file or mapping is invalid
+ * @private
+ */
+function buildRows(type, csv, columnMapping) {
+  if (!IMPORT_FIELDS[type]) {
+    throw new ValidationError(`type must be one of: ${Object.keys(IMPORT_FIELDS).join(', ')}`);
+  }
+  if (!csv || typeof csv !== 'string' || csv.trim() === '') {
+    throw new ValidationError('CSV content is required');
+  }
+  if (columnMapping && (typeof columnMapping !== 'object' || Array.isArray(columnMapping))) {
+    throw new ValidationError('columnMapping must be an object of { fieldName: "CSV Header" }');
+  }
+
+  const [headers, ...dataRows] = parseCsv(csv);
+  if (!headers || dataRows.length === 0) {
+    throw new ValidationError('CSV must contain a header row and at least one data row');
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`CSV may contain at most ${MAX_IMPORT_ROWS} data rows`);
+  }
+
+  const columns = resolveColumns(type, headers, columnMapping || {});
+  const keyField = type === 'degree' ? 'degreeId' : 'studentId';
+  const seenKeys = new Map();
+
+  return dataRows.map((values, index) => {
+    const rowNumber = index + 1;
+    const data = mapRow(type, headers, values, columns);
+    let error = validateRecord(type, data);
+
+    // Duplicate keys inside the same file would collide on the ledger
+    if (!error && seenKeys.has(data[keyField])) {
+      error = `Duplicate ${keyField} ${data[keyField]} (also in row ${seenKeys.get(data[keyField])})`;
+    }
+    if (!error) {
+      seenKeys.set(data[keyField], rowNumber);
+    }
+
+    return { rowNumber, data, error };
+  });
+}
+
+/**
+ * Dry-run an import: map and validate every row without touching the ledger
+ *
+ * @param {Object} importData - Import request
+ * @param {string} importData.type - Import type (degree, transcript)
+ * @param {string} importData.csv - CSV content
+ * @param {Object} [importData.columnMapping] - Explicit field to header mapping
+ * @returns {Object} Validation report with row-level errors
+ * @throws {ValidationError} If the file or mapping is invalid
+ */
+function previewImport({ type, csv, columnMapping }) {
+  const rows = buildRows(type, csv, columnMapping);
+  const invalidRows = rows.filter(row => row.error).length;
+
+  return {
+    success: true,
+    dryRun: true,
+    type,
+    totalRows: rows.length,
+    validRows: rows.length - invalidRows,
+    invalidRows,
+    rows: rows.map(row => ({
+      rowNumber: row.rowNumber,
+      valid: !row.error,
+      error: row.error,
+      data: row.data
+    }))
+  };
+}
+
+/**
+ * Commit an import as a tracked job
+ *
+ * All rows are stored with the job. Rows failing validation are recorded as
+ * failed immediately; the remaining rows are submitted to Fabric in the
+ * background, so the caller should poll getImportJob for progress.
+ * A degree job is only submitted once its import_degrees pending action is
+ * approved; the action is returned with the job.
+ *
+ * @param {Object} importData - Import request
+ * @param {string} importData.type - Import type (degree, transcript)
+ * @param {string} importData.csv - CSV content
+ * @param {Object} [importData.columnMapping] - Explicit field to header mapping
+ * @param {string} [importData.fileName] - Original file name (for display)
+ * @param {string} username - Admin creating the job (also used as Fabric identity)
+ * @returns {Promise<Object>} Created job summary, and pendingAction for degree jobs
+ * @throws {ValidationError} If the file or mapping is invalid
+ */
+async function createImportJob({ type, csv, columnMapping, fileName }, username) {
+  const rows = buildRows(type, csv, columnMapping);
+  const client = await db.getClient();
+  let jobId;
+
+  try {
+    await client.query('BEGIN');
+
+    const jobResult = await client.query(
+      `INSERT INTO import_jobs (import_type, status, file_name, column_mapping, total_rows, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id`,
+      [type, type === 'degree' ? 'awaiting_approval' : 'pending', fileName || null, JSON.stringify(columnMapping || {}), rows.length, username]
+    );
+    jobId = jobResult.rows[0].id;
+
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO import_job_rows (job_id, row_number, row_data, status, error, processed_at)
+        VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          jobId,
+          row.rowNumber,
+          JSON.stringify(row.data),
+          row.error ? 'failed' : 'pending',
+          row.error,
+          row.error ? new Date() : null
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating import job:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`Import job ${jobId} created with ${rows.length} ${type} rows`);
+
+  if (type === 'degree') {
+    const outcome = await requestApproval(jobId, username);
+    return { ...(await getImportJob(jobId, { includeRows: false })), pendingAction: outcome.pendingAction };
+  }
+
+  runJobInBackground(jobId, username);
+  return getImportJob(jobId, { includeRows: false });
+}
+
+/**
+ * Propose the import_degrees action of a job awaiting approval
+ *
+ * If the action cannot be created the job is marked failed, so its rows can
+ * be submitted again with retryFailedRows.
+ *
+ * @param {number} jobId - Import job ID
+ * @param {string} username - Proposing admin
+ * @returns {Promise<Object>} Result of PendingActionService.proposeAction
+ * @private
+ */
+async function requestApproval(jobId, username) {
+  // Required here: pending-action-service executes approved jobs through this module
+  const PendingActionService = require('./pending-action-service');
+
+  try {
+    return await PendingActionService.proposeAction('import_degrees', { jobId }, username);
+  } catch (error) {
+    await db.query(
+      `UPDATE import_jobs SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'awaiting_approval'`,
+      [jobId, `Approval could not be requested: ${error.message}`]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Start a degree job whose import_degrees action was approved
+ *
+ * @param {number} jobId - Import job ID
+ * @param {string} username - Admin whose approval completed the quorum (Fabric identity)
+ * @returns {Promise<Object>} { success, jobId, transactionId, message }; transactionId is
+ *   null, the rows record their own transactions
+ * @throws {ConflictError} If the job is not awaiting approval
+ */
+async function startApprovedJob(jobId, username) {
+  const result = await db.query(
+    `UPDATE import_jobs SET status = 'pending' WHERE id = $1 AND status = 'awaiting_approval' RETURNING id`,
+    [jobId]
+  );
+  if (result.rows.length === 0) {
+    throw new ConflictError(`Import job ${jobId} is not awaiting approval`);
+  }
+
+  runJobInBackground(jobId, username);
+
+  return {
+    success: true,
+    jobId: jobId,
+    transactionId: null,
+    message: `Import job ${jobId} started`
+  };
+}
+
+/**
+ * Start processing a job without blocking the HTTP request
+ * @param {number} jobId - Import job ID
+ * @param {string} username - Fabric identity to submit with
+ * @private
+ */
+function runJobInBackground(jobId, username) {
+  setImmediate(() => {
+    processImportJob(jobId, username).catch(async (error) => {
+      console.error(`Import job ${jobId} failed:`, error.message);
+      await db.query(
+        `UPDATE import_jobs SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [jobId, error.message]
+      ).catch(() => {});
+    });
+  });
+}
+
+/**
+ * Record the outcome of a processed row
+ * @param {number} jobId - Import job ID
+ * @param {number} rowNumber - Row number
+ * @param {Object} outcome - { success, error, transactionId }
+ * @private
+ */
+async function saveRowResult(jobId, rowNumber, outcome) {
+  await db.query(
+    `UPDATE import_job_rows
+    SET status = $3, error = $4, transaction_id = $5, attempts = attempts + 1, processed_at = CURRENT_TIMESTAMP
+    WHERE job_id = $1 AND row_number = $2`,
+    [
+      jobId,
+      rowNumber,
+      outcome.success ? 'succeeded' : 'failed',
+      outcome.success ? null : outcome.error,
+      outcome.transactionId || null
+    ]
+  );
+}
+
+/**
+ * Submit all pending rows of a job to Fabric and update the job counters
+ *
+ * Degree rows are submitted in chunks through DegreeService.issueDegreesBatch;
+ * transcript rows are submitted one by one through
+ * TranscriptService.addPrivateTranscript since each needs its own transient data.
+ *
+ * @param {number} jobId - Import job ID
+ * @param {string} username - Fabric identity to submit with
+ * @returns {Promise<void>}
+ */
+async function processImportJob(jobId, username) {
+  const jobResult = await db.query('SELECT import_type FROM import_jobs WHERE id = $1', [jobId]);
+  if (jobResult.rows.length === 0) {
+    throw new NotFoundError(`Import job ${jobId} not found`);
+  }
+  const type = jobResult.rows[0].import_type;
+
+  await db.query(
+    `UPDATE import_jobs SET status = 'running', error = NULL, started_at = CURRENT_TIMESTAMP, completed_at = NULL WHERE id = $1`,
+    [jobId]
+  );
+
+  const pendingResult = await db.query(
+    `SELECT row_number, row_data FROM import_job_rows WHERE job_id = $1 AND status = 'pending' ORDER BY row_number`,
+    [jobId]
+  );
+  const pendingRows = pendingResult.rows;
+
+  console.log(`Processing import job ${jobId}: ${pendingRows.length} pending ${type} rows`);
+
+  if (type === 'degree') {
+    for (let start = 0; start < pendingRows.length; start += DEGREE_CHUNK_SIZE) {
+      const chunk = pendingRows.slice(start, start + DEGREE_CHUNK_SIZE);
+      try {
+        const batchResult = await DegreeService.issueDegreesBatch(
+          chunk.map(row => row.row_data),
+          username
+        );
+        for (const itemResult of batchResult.results) {
+          await saveRowResult(jobId, chunk[itemResult.index].row_number, itemResult);
+        }
+      } catch (error) {
+        // Whole chunk failed (connection, endorsement...): mark every row so it can be re-run
+        for (const row of chunk) {
+          await saveRowResult(jobId, row.row_number, { success: false, error: error.message });
+        }
+      }
+    }
+  } else {
+    for (const row of pendingRows) {
+      try {
+        const result = await TranscriptService.addPrivateTranscript(row.row_data, username);
+        await saveRowResult(jobId, row.row_number, { success: true, transactionId: result.transactionId });
+      } catch (error) {
+        await saveRowResult(jobId, row.row_number, { success: false, error: error.message });
+      }
+    }
+  }
+
+  await db.query(
+    `UPDATE import_jobs SET
+      succeeded_rows = counts.succeeded,
+      failed_rows = counts.failed,
+      status = CASE WHEN counts.failed > 0 THEN 'completed_with_errors' ELSE 'completed' END,
+      completed_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'succeeded')::int AS succeeded,
+        COUNT(*) FILTER (WHERE status = 'failed')::int AS failed
+      FROM import_job_rows WHERE job_id = $1
+    ) AS counts
+    WHERE id = $1`,
+    [jobId]
+  );
+
+  console.log(`Import job ${jobId} finished`);
+}
+
+/**
+ * Format an import_jobs row for API responses
+ * @param {Object} row - Database row
+ * @returns {Object} Job summary
+ * @private
+ */
+function formatJob(row) {
+  return {
+    jobId: row.id,
+    type: row.import_type,
+    status: row.status,
+    fileName: row.file_name,
+    columnMapping: row.column_mapping,
+    totalRows: row.total_rows,
+    succeededRows: row.succeeded_rows,
+    failedRows: row.failed_rows,
+    error: row.error,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Get an import job with its per-row results
+ *
+ * @param {number|string} jobId - Import job ID
+ * @param {Object} [options]
+ * @param {string} [options.rowStatus] - Only return rows with this status (pending, succeeded, failed)
+ * @param {boolean} [options.includeRows=true] - Include per-row results
+ * @returns {Promise<Object>} Job summary and rows
+ * @throws {NotFoundError} If the job does not exist
+ */
+async function getImportJob(jobId, { rowStatus, includeRows = true } = {}) {
+  const id = parseInt(jobId, 10);
+  if (isNaN(id)) {
+    throw new ValidationError('jobId must be a number');
+  }
+
+  const jobResult = await db.query('SELECT * FROM import_jobs WHERE id = $1', [id]);
+  if (jobResult.rows.length === 0) {
+    throw new NotFoundError(`Import job ${jobId} not found`);
+  }
+
+  const job = formatJob(jobResult.rows[0]);
+  if (!includeRows) {
+    return { success: true, job };
+  }
+
+  const params = [id];
+  let rowQuery = `SELECT row_number, row_data, status, error, transaction_id, attempts, processed_at
+    FROM import_job_rows WHERE job_id = $1`;
+  if (rowStatus) {
+    params.push(rowStatus);
+    rowQuery += ' AND status = $2';
+  }
+  rowQuery += ' ORDER BY row_number';
+
+  const rowsResult = await db.query(rowQuery, params);
+
+  return {
+    success: true,
+    job,
+    rows: rowsResult.rows.map(row => ({
+      rowNumber: row.row_number,
+      status: row.status,
+      error: row.error,
+      transactionId: row.transaction_id,
+      attempts: row.attempts,
+      processedAt: row.processed_at,
+      data: row.row_data
+    }))
+  };
+}
+
+/**
+ * List import jobs, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Job status filter
+ * @param {string} [filters.type] - Import type filter
+ * @param {number} [filters.limit=50] - Page size
+ * @param {number} [filters.offset=0] - Page offset
+ * @returns {Promise<Object>} Job summaries
+ */
+async function listImportJobs({ status, type, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`import_type = $${params.length}`);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
+  params.push(pageSize, pageOffset);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await db.query(
+    `SELECT * FROM import_jobs ${where} ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    success: true,
+    jobs: result.rows.map(formatJob)
+  };
+}
+
+/**
+ * Mark jobs interrupted by a server restart as failed
+ *
+ * Jobs are processed inside the API process, so a job still pending or
+ * running when the server starts can no longer make progress. Its
+ * unprocessed rows are marked failed so they can be re-run with
+ * retryFailedRows.
+ *
+ * @returns {Promise<Array<number>>} IDs of the jobs marked failed
+ */
+async function failInterruptedJobs() {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const jobResult = await client.query(
+      `UPDATE import_jobs
+      SET status = 'failed', error = 'Interrupted by server restart', completed_at = CURRENT_TIMESTAMP
+      WHERE status IN ('pending', 'running')
+      RETURNING id`
+    );
+    const jobIds = jobResult.rows.map(row => row.id);
+
+    if (jobIds.length > 0) {
+      await client.query(
+        `UPDATE import_job_rows
+        SET status = 'failed', error = 'Not processed: import job was interrupted', processed_at = CURRENT_TIMESTAMP
+        WHERE job_id = ANY($1) AND status = 'pending'`,
+        [jobIds]
+      );
+      await client.query(
+        `UPDATE import_jobs SET
+          succeeded_rows = counts.succeeded,
+          failed_rows = counts.failed
+        FROM (
+          SELECT job_id,
+            COUNT(*) FILTER (WHERE status = 'succeeded')::int AS succeeded,
+            COUNT(*) FILTER (WHERE status = 'failed')::int AS failed
+          FROM import_job_rows WHERE job_id = ANY($1) GROUP BY job_id
+        ) AS counts
+        WHERE import_jobs.id = counts.job_id`,
+        [jobIds]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    if (jobIds.length > 0) {
+      console.log(`Marked interrupted import jobs as failed: ${jobIds.join(', ')}`);
+    }
+    return jobIds;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error failing interrupted import jobs:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Validate row corrections submitted with a retry
+ * @param {Array<Object>} corrections - [{ rowNumber, data }]
+ * @returns {Map<number, Object>} Map of row number to corrected fields
+ * @throws {ValidationError} If a correction is malformed
+ * @private
+ */
+function parseCorrections(corrections) {
+  const byRow = new Map();
+  if (corrections === undefined || corrections === null) {
+    return byRow;
+  }
+  if (!Array.isArray(corrections)) {
+    throw new ValidationError('rows must be an array of { rowNumber, data }');
+  }
+
+  for (const correction of corrections) {
+    const rowNumber = correction && correction.rowNumber;
+    if (!Number.isInteger(rowNumber) || rowNumber < 1) {
+      throw new ValidationError('Each corrected row needs a positive integer rowNumber');
+    }
+    if (!correction.data || typeof correction.data !== 'object' || Array.isArray(correction.data)) {
+      throw new ValidationError(`Corrected row ${rowNumber} needs a data object`);
+    }
+    if (byRow.has(rowNumber)) {
+      throw new ValidationError(`Row ${rowNumber} is corrected more than once`);
+    }
+    byRow.set(rowNumber, correction.data);
+  }
+
+  return byRow;
+}
+
+/**
+ * Re-run only the failed rows of an import job
+ *
+ * Failed rows are validated again (a previous validation failure stays failed)
+ * and the valid ones are reset to pending and processed in the background.
+ * Corrected field values can be supplied for failed rows; they are merged
+ * over the stored row data before validation.
+ *
+ * The job is claimed with a single conditional UPDATE so two concurrent
+ * retries cannot both start processing it. Jobs still pending or running can
+ * only be retried once they have been stalled for IMPORT_JOB_TIMEOUT_MINUTES,
+ * and jobs awaiting approval once their pending action was rejected or expired.
+ * A degree job then waits for the approval of a new import_degrees action.
+ *
+ * @param {number|string} jobId - Import job ID
+ * @param {string} username - Fabric identity to submit with
+ * @param {Array<Object>} [corrections] - Corrected rows: [{ rowNumber, data }]
+ * @returns {Promise<Object>} Job summary and number of rows queued, and pendingAction for degree jobs
+ * @throws {ValidationError} If a correction is invalid
+ * @throws {NotFoundError} If the job does not exist
+ * @throws {ConflictError} If the job is still running or awaiting approval
+ */
+async function retryFailedRows(jobId, username, corrections) {
+  const { job } = await getImportJob(jobId, { includeRows: false });
+  const correctedRows = parseCorrections(corrections);
+  const keyField = job.type === 'degree' ? 'degreeId' : 'studentId';
+  const client = await db.getClient();
+  let queuedRows = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    const claimResult = await client.query(
+      `UPDATE import_jobs AS job SET status = 'pending', error = NULL
+      FROM (SELECT id, status, error FROM import_jobs WHERE id = $1 FOR UPDATE) AS previous
+      WHERE job.id = previous.id AND (
+        previous.status = ANY($2)
+        OR (previous.status IN ('pending', 'running')
+          AND COALESCE(job.started_at, job.created_at) < CURRENT_TIMESTAMP - make_interval(mins => $3))
+        OR (previous.status = 'awaiting_approval' AND NOT EXISTS (
+          SELECT 1 FROM pending_actions
+          WHERE action_type = 'import_degrees' AND subject = $4
+            AND (status = 'executing' OR (status = 'pending' AND expires_at > CURRENT_TIMESTAMP))))
+      )
+      RETURNING previous.status AS previous_status, previous.error AS previous_error`,
+      [job.jobId, RETRYABLE_JOB_STATUSES, JOB_TIMEOUT_MINUTES, approvalSubject(job.jobId)]
+    );
+    if (claimResult.rows.length === 0) {
+      if (job.status === 'completed') {
+        throw new ConflictError(`Import job ${job.jobId} has no failed rows`);
+      }
+      throw new ConflictError(job.status === 'awaiting_approval'
+        ? `Import job ${job.jobId} is awaiting approval of its pending action`
+        : `Import job ${job.jobId} is still ${job.status}`);
+    }
+    const previous = claimResult.rows[0];
+
+    const failedResult = await client.query(
+      `SELECT row_number, row_data FROM import_job_rows
+      WHERE job_id = $1 AND status IN ('failed', 'pending') ORDER BY row_number`,
+      [job.jobId]
+    );
+    const retryableRows = new Map(failedResult.rows.map(row => [row.row_number, row]));
+
+    for (const rowNumber of correctedRows.keys()) {
+      if (!retryableRows.has(rowNumber)) {
+        throw new ValidationError(`Row ${rowNumber} is not a failed row of import job ${job.jobId}`);
+      }
+    }
+
+    for (const row of retryableRows.values()) {
+      const data = correctedRows.has(row.row_number)
+        ? { ...row.row_data, ...correctedRows.get(row.row_number) }
+        : row.row_data;
+      let error = validateRecord(job.type, data);
+
+      // A correction must not introduce a key already used by another row of the job
+      if (!error && correctedRows.has(row.row_number)) {
+        const duplicateResult = await client.query(
+          `SELECT row_number FROM import_job_rows
+          WHERE job_id = $1 AND row_number <> $2 AND row_data ->> $3 = $4 LIMIT 1`,
+          [job.jobId, row.row_number, keyField, String(data[keyField])]
+        );
+        if (duplicateResult.rows.length > 0) {
+          error = `Duplicate ${keyField} ${data[keyField]} (also in row ${duplicateResult.rows[0].row_number})`;
+        }
+      }
+
+      await client.query(
+        `UPDATE import_job_rows SET row_data = $3, status = $4, error = $5
+        WHERE job_id = $1 AND row_number = $2`,
+        [job.jobId, row.row_number, JSON.stringify(data), error ? 'failed' : 'pending', error]
+      );
+      if (!error) {
+        queuedRows++;
+      }
+    }
+
+    if (queuedRows > 0 && job.type === 'degree') {
+      await client.query(`UPDATE import_jobs SET status = 'awaiting_approval' WHERE id = $1`, [job.jobId]);
+    } else if (queuedRows === 0) {
+      // Nothing to re-run: keep the corrections and their errors, restore the job state
+      const stalled = ['pending', 'running', 'awaiting_approval'].includes(previous.previous_status);
+      await client.query(
+        'UPDATE import_jobs SET status = $2, error = $3 WHERE id = $1',
+        [
+          job.jobId,
+          stalled ? 'failed' : previous.previous_status,
+          stalled ? 'Import job stalled' : previous.previous_error
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  let pendingAction;
+  if (queuedRows > 0 && job.type === 'degree') {
+    ({ pendingAction } = await requestApproval(job.jobId, username));
+  } else if (queuedRows > 0) {
+    runJobInBackground(job.jobId, username);
+  }
+
+  console.log(`Import job ${job.jobId}: ${queuedRows} failed rows queued for retry`);
+
+  return {
+    success: true,
+    jobId: job.jobId,
+    queuedRows,
+    pendingAction,
+    message: queuedRows > 0
+      ? `${queuedRows} failed rows queued for retry`
+      : 'No retryable failed rows'
+  };
+}
+
+module.exports = {
+  parseCsv,
+  previewImport,
+  createImportJob,
+  processImportJob,
+  startApprovedJob,
+  approvalSubject,
+  getImportJob,
+  listImportJobs,
+  retryFailedRows,
+  failInterruptedJobs
+};
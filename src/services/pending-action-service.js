@@ -0,0 +1,582 @@
+/**
+ * Pending Action Service Module
+ *
+ * Degree issuance (single, batch and CSV import), revocation, reinstatement
+ * and amendment need the approval of several distinct admins (e.g. registrar
+ * and dean) before anything is submitted to Fabric.
+ *
+ * - Proposing an action validates it and records it as pending, with the
+ *   proposer's approval; the quorum per action type comes from approval-config
+ * - Each further admin may approve once; when the quorum is reached the action
+ *   is executed through DegreeService with the identity of the last approver.
+ *   The action is first committed as executing, so it cannot be executed twice,
+ *   and the Fabric submission runs outside any database transaction
+ * - Any admin may reject a pending action; unapproved actions expire
+ * - Actions and approvals are stored in PostgreSQL
+ *   (pending_actions / pending_action_approvals)
+ *
+ * The quorum is enforced by this backend only. The chaincode accepts
+ * IssueDegree, IssueDegreesBatch, RevokeDegree, ReinstateDegree and
+ * AmendDegree from any single identity with OU=admin of an authorised MSP, so
+ * an admin who submits to Fabric directly with their own certificate bypasses
+ * the approval. Suspending and unsuspending a degree are not covered either.
+ */
+
+const crypto = require('crypto');
+
+const db = require('../database/db');
+const approvalConfig = require('../config/approval-config');
+const DegreeService = require('./degree-service');
+const UniversityService = require('./university-service');
+const ImportService = require('./import-service');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/error-handler');
+
+const ACTION_STATUSES = ['pending', 'executing', 'executed', 'rejected', 'expired', 'failed'];
+
+/**
+ * Require a non-empty degreeId and reason
+ * @private
+ */
+function requireDegreeIdAndReason({ degreeId, reason }) {
+  if (!degreeId || typeof degreeId !== 'string' || degreeId.trim() === '') {
+    throw new ValidationError('degreeId is required');
+  }
+  if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+    throw new ValidationError('reason is required');
+  }
+}
+
+/**
+ * Supported actions: how to validate a proposal and how to execute it
+ */
+const ACTION_TYPES = {
+  issue_degree: {
+    /**
+     * Derive the classification now, so approvers see what will be issued
+     */
+    async prepare(payload, username) {
+      const degreeData = await DegreeService.prepareDegreeData(payload, username);
+
+      // Fail before approvals are collected if the university is not in the registry;
+      // the chaincode checks the issuer's authorisation when the action is executed
+      try {
+        await UniversityService.getUniversity(degreeData.universityName, username);
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          throw new ValidationError(error.message);
+        }
+        throw error;
+      }
+
+      try {
+        await DegreeService.verifyDegree(degreeData.degreeId, username);
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          return { subject: degreeData.degreeId, payload: degreeData };
+        }
+        throw error;
+      }
+      throw new ConflictError(`Degree ${degreeData.degreeId} already exists`);
+    },
+    execute: (payload, username) => DegreeService.issueDegree(payload, username)
+  },
+  issue_degree_batch: {
+    /**
+     * One action for the whole batch; invalid records are reported per item on execution
+     */
+    async prepare({ degrees }) {
+      if (!Array.isArray(degrees) || degrees.length === 0) {
+        throw new ValidationError('degrees is required and must be a non-empty array');
+      }
+      if (degrees.length > DegreeService.MAX_BATCH_SIZE) {
+        throw new ValidationError(`A batch may contain at most ${DegreeService.MAX_BATCH_SIZE} degrees`);
+      }
+
+      const degreeIds = degrees.map(degree => (degree && degree.degreeId) || '').join('\n');
+      const digest = crypto.createHash('sha256').update(degreeIds).digest('hex').slice(0, 16);
+      return { subject: `batch:${digest}`, payload: { degrees } };
+    },
+    execute: (payload, username) => DegreeService.issueDegreesBatch(payload.degrees, username)
+  },
+  revoke_degree: {
+    async prepare({ degreeId, reason }, username) {
+      requireDegreeIdAndReason({ degreeId, reason });
+
+      const { status } = await DegreeService.verifyDegree(degreeId, username);
+      if (status === 'REVOKED') {
+        throw new ConflictError(`Degree ${degreeId} is already revoked`);
+      }
+      return { subject: degreeId, payload: { degreeId, reason } };
+    },
+    execute: (payload, username) => DegreeService.revokeDegree(payload.degreeId, payload.reason, username)
+  },
+  reinstate_degree: {
+    async prepare({ degreeId, reason }, username) {
+      requireDegreeIdAndReason({ degreeId, reason });
+
+      const { status } = await DegreeService.verifyDegree(degreeId, username);
+      if (status !== 'REVOKED') {
+        throw new ValidationError(`Degree with ID ${degreeId} is not revoked`);
+      }
+      return { subject: degreeId, payload: { degreeId, reason } };
+    },
+    execute: (payload, username) => DegreeService.reinstateDegree(payload.degreeId, payload.reason, username)
+  },
+  amend_degree: {
+    async prepare({ degreeId, changes, reason }, username) {
+      requireDegreeIdAndReason({ degreeId, reason });
+      DegreeService.validateAmendment(changes);
+
+      const { status } = await DegreeService.verifyDegree(degreeId, username);
+      if (status === 'REVOKED') {
+        throw new ValidationError(`Degree with ID ${degreeId} is revoked and cannot be amended`);
+      }
+      return { subject: degreeId, payload: { degreeId, changes, reason } };
+    },
+    execute: (payload, username) =>
+      DegreeService.amendDegree(payload.degreeId, payload.changes, payload.reason, username)
+  },
+  import_degrees: {
+    /**
+     * One action per degree import job; the job waits in awaiting_approval
+     */
+    async prepare({ jobId }) {
+      const { job } = await ImportService.getImportJob(jobId, { includeRows: false });
+      if (job.type !== 'degree') {
+        throw new ValidationError(`Import job ${job.jobId} does not import degrees`);
+      }
+      if (job.status !== 'awaiting_approval') {
+        throw new ConflictError(`Import job ${job.jobId} is not awaiting approval`);
+      }
+      return { subject: ImportService.approvalSubject(job.jobId), payload: { jobId: job.jobId } };
+    },
+    execute: (payload, username) => ImportService.startApprovedJob(payload.jobId, username)
+  }
+};
+
+/**
+ * Format a pending_actions row (with its approvals) for API responses
+ * @param {Object} row - Database row
+ * @param {Array<Object>} approvals - pending_action_approvals rows
+ * @returns {Object} Pending action
+ * @private
+ */
+function formatAction(row, approvals) {
+  return {
+    actionId: row.id,
+    type: row.action_type,
+    subject: row.subject,
+    payload: row.payload,
+    status: row.status,
+    requiredApprovals: row.required_approvals,
+    approvals: approvals.map(approval => ({
+      approver: approval.approver,
+      approvedAt: approval.approved_at
+    })),
+    proposedBy: row.proposed_by,
+    proposedAt: row.proposed_at,
+    expiresAt: row.expires_at,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    notes: row.notes,
+    transactionId: row.transaction_id,
+    result: row.result,
+    error: row.error
+  };
+}
+
+/**
+ * Parse an action ID from a URL parameter
+ * @private
+ */
+function parseActionId(actionId) {
+  const id = parseInt(actionId, 10);
+  if (isNaN(id) || String(id) !== String(actionId).trim()) {
+    throw new ValidationError('actionId must be a number');
+  }
+  return id;
+}
+
+/**
+ * Mark pending actions past their expiry as expired
+ * @private
+ */
+async function expireStaleActions(client = db) {
+  await client.query(
+    `UPDATE pending_actions SET status = 'expired'
+    WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP`
+  );
+}
+
+/**
+ * Load an action with its approvals
+ * @private
+ */
+async function loadAction(client, id) {
+  const result = await client.query('SELECT * FROM pending_actions WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Pending action ${id} not found`);
+  }
+  const approvals = await client.query(
+    'SELECT * FROM pending_action_approvals WHERE action_id = $1 ORDER BY approved_at ASC',
+    [id]
+  );
+  return formatAction(result.rows[0], approvals.rows);
+}
+
+/**
+ * Claim an action that reached its quorum for execution
+ *
+ * Committed before anything is submitted to Fabric: an executing action can
+ * neither be approved again nor proposed a second time.
+ *
+ * @param {Object} client - Database client holding the action's row lock
+ * @param {number} id - Pending action ID
+ * @param {string} username - Admin whose approval completed the quorum
+ * @private
+ */
+async function claimAction(client, id, username) {
+  await client.query(
+    `UPDATE pending_actions
+    SET status = 'executing', decided_by = $2, decided_at = CURRENT_TIMESTAMP
+    WHERE id = $1`,
+    [id, username]
+  );
+}
+
+/**
+ * Execute a claimed action and record the outcome
+ *
+ * A failed execution is final (status failed, with the error); the action has
+ * to be proposed again. If the outcome cannot be recorded the action stays
+ * executing until failInterruptedActions runs at the next start.
+ *
+ * @param {Object} row - pending_actions row, claimed with claimAction
+ * @param {string} username - Admin whose approval completed the quorum
+ * @returns {Promise<Object>} DegreeService result
+ * @throws {Error} The error of the failed execution
+ * @private
+ */
+async function executeAction(row, username) {
+  let result;
+  try {
+    result = await ACTION_TYPES[row.action_type].execute(row.payload, username);
+  } catch (error) {
+    console.error(`Pending action ${row.id} (${row.action_type}) failed:`, error.message);
+    await db.query(
+      `UPDATE pending_actions
+      SET status = 'failed', decided_at = CURRENT_TIMESTAMP, error = $2
+      WHERE id = $1 AND status = 'executing'`,
+      [row.id, error.message]
+    );
+    throw error;
+  }
+
+  await db.query(
+    `UPDATE pending_actions
+    SET status = 'executed', decided_at = CURRENT_TIMESTAMP, transaction_id = $2, result = $3
+    WHERE id = $1 AND status = 'executing'`,
+    [row.id, result.transactionId || null, JSON.stringify(result)]
+  );
+  console.log(`Pending action ${row.id} (${row.action_type}) executed by ${username} (tx ${result.transactionId})`);
+  return result;
+}
+
+/**
+ * Execute an action claimed by proposeAction or approveAction, if any
+ * @param {Object} row - pending_actions row
+ * @param {boolean} claimed - Whether the quorum was reached
+ * @param {string} username - Approving admin
+ * @returns {Promise<Object>} { success, executed, pendingAction, result }
+ * @private
+ */
+async function completeApproval(row, claimed, username) {
+  const result = claimed ? await executeAction(row, username) : null;
+
+  return {
+    success: true,
+    executed: claimed,
+    pendingAction: await loadAction(db, row.id),
+    result: result
+  };
+}
+
+/**
+ * Run a function inside a database transaction
+ *
+ * The function may return { error } to commit its changes and still fail.
+ * @private
+ */
+async function withTransaction(work) {
+  const client = await db.getClient();
+  let outcome;
+  try {
+    await client.query('BEGIN');
+    outcome = await work(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (outcome.error) {
+    throw outcome.error;
+  }
+  return outcome;
+}
+
+/**
+ * Propose a degree action
+ *
+ * The proposer's approval counts towards the quorum. With a quorum of 1 the
+ * action is executed immediately.
+ *
+ * @param {string} type - One of ACTION_TYPES
+ * @param {Object} payload - issue_degree: degree data as for issueDegree;
+ *   issue_degree_batch: { degrees }; revoke_degree and reinstate_degree:
+ *   { degreeId, reason }; amend_degree: { degreeId, changes, reason };
+ *   import_degrees: { jobId } of a degree import job awaiting approval
+ * @param {string} username - Proposing admin
+ * @returns {Promise<Object>} { success, executed, pendingAction, result }
+ *   result is the DegreeService result when executed
+ * @throws {ValidationError} If the action is invalid
+ * @throws {ConflictError} If the action cannot succeed or the same action is already pending
+ * @throws {NotFoundError} If the degree or import job does not exist
+ */
+async function proposeAction(type, payload, username) {
+  const actionType = ACTION_TYPES[type];
+  if (!actionType) {
+    throw new ValidationError(`type must be one of: ${Object.keys(ACTION_TYPES).join(', ')}`);
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw new ValidationError('payload is required');
+  }
+
+  const prepared = await actionType.prepare(payload, username);
+  const requiredApprovals = approvalConfig.quorum[type];
+
+  const { row, claimed } = await withTransaction(async (client) => {
+    await expireStaleActions(client);
+
+    let row;
+    try {
+      const inserted = await client.query(
+        `INSERT INTO pending_actions (action_type, subject, payload, required_approvals, proposed_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(hours => $6))
+        RETURNING *`,
+        [type, prepared.subject, JSON.stringify(prepared.payload), requiredApprovals, username, approvalConfig.expiryHours]
+      );
+      row = inserted.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ConflictError(`A ${type} action for ${prepared.subject} is already pending`);
+      }
+      throw error;
+    }
+
+    await client.query(
+      'INSERT INTO pending_action_approvals (action_id, approver) VALUES ($1, $2)',
+      [row.id, username]
+    );
+
+    if (requiredApprovals <= 1) {
+      await claimAction(client, row.id, username);
+      return { row: row, claimed: true };
+    }
+    return { row: row, claimed: false };
+  });
+
+  return completeApproval(row, claimed, username);
+}
+
+/**
+ * Approve a pending action; executes it when the quorum is reached
+ *
+ * @param {number|string} actionId - Pending action ID
+ * @param {string} username - Approving admin (must not have approved it already)
+ * @returns {Promise<Object>} { success, executed, pendingAction, result }
+ * @throws {NotFoundError} If the action does not exist
+ * @throws {ConflictError} If the action is not pending, has expired or was already approved by this admin
+ */
+async function approveAction(actionId, username) {
+  const id = parseActionId(actionId);
+
+  const { row, claimed } = await withTransaction(async (client) => {
+    const locked = await client.query('SELECT * FROM pending_actions WHERE id = $1 FOR UPDATE', [id]);
+    if (locked.rows.length === 0) {
+      throw new NotFoundError(`Pending action ${id} not found`);
+    }
+    const row = locked.rows[0];
+
+    if (row.status === 'pending' && new Date(row.expires_at) <= new Date()) {
+      await client.query(`UPDATE pending_actions SET status = 'expired' WHERE id = $1`, [id]);
+      return { error: new ConflictError(`Pending action ${id} expired at ${new Date(row.expires_at).toISOString()}`) };
+    }
+    if (row.status !== 'pending') {
+      throw new ConflictError(`Pending action ${id} is ${row.status}`);
+    }
+
+    const approvals = await client.query(
+      'SELECT approver FROM pending_action_approvals WHERE action_id = $1',
+      [id]
+    );
+    if (approvals.rows.some(approval => approval.approver === username)) {
+      throw new ConflictError(`Pending action ${id} must be approved by a different admin`);
+    }
+
+    await client.query(
+      'INSERT INTO pending_action_approvals (action_id, approver) VALUES ($1, $2)',
+      [id, username]
+    );
+
+    if (approvals.rows.length + 1 >= row.required_approvals) {
+      await claimAction(client, id, username);
+      return { row: row, claimed: true };
+    }
+    return { row: row, claimed: false };
+  });
+
+  return completeApproval(row, claimed, username);
+}
+
+/**
+ * Reject a pending action (the proposer may use this to withdraw it)
+ *
+ * @param {number|string} actionId - Pending action ID
+ * @param {string} username - Rejecting admin
+ * @param {string} [notes] - Reason
+ * @returns {Promise<Object>} { success, pendingAction }
+ * @throws {NotFoundError} If the action does not exist
+ * @throws {ConflictError} If the action is not pending
+ */
+async function rejectAction(actionId, username, notes) {
+  const id = parseActionId(actionId);
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    throw new ValidationError('notes must be a string');
+  }
+
+  await expireStaleActions();
+
+  const result = await db.query(
+    `UPDATE pending_actions
+    SET status = 'rejected', decided_by = $2, decided_at = CURRENT_TIMESTAMP, notes = $3
+    WHERE id = $1 AND status = 'pending'
+    RETURNING id`,
+    [id, username, notes || null]
+  );
+
+  const pendingAction = await loadAction(db, id);
+  if (result.rows.length === 0) {
+    throw new ConflictError(`Pending action ${id} is ${pendingAction.status}`);
+  }
+
+  return {
+    success: true,
+    pendingAction: pendingAction
+  };
+}
+
+/**
+ * List pending actions
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, executing, executed, rejected, expired or failed
+ * @param {string} [filters.type] - One of ACTION_TYPES
+ * @returns {Promise<Object>} { success, actions }, newest first
+ * @throws {ValidationError} If a filter is invalid
+ */
+async function listActions(filters = {}) {
+  const { status, type } = filters;
+  if (status !== undefined && !ACTION_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${ACTION_STATUSES.join(', ')}`);
+  }
+  if (type !== undefined && !ACTION_TYPES[type]) {
+    throw new ValidationError(`type must be one of: ${Object.keys(ACTION_TYPES).join(', ')}`);
+  }
+
+  await expireStaleActions();
+
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`action_type = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await db.query(`SELECT * FROM pending_actions ${where} ORDER BY proposed_at DESC`, params);
+  const approvals = result.rows.length === 0 ? { rows: [] } : await db.query(
+    'SELECT * FROM pending_action_approvals WHERE action_id = ANY($1) ORDER BY approved_at ASC',
+    [result.rows.map(row => row.id)]
+  );
+
+  return {
+    success: true,
+    actions: result.rows.map(row =>
+      formatAction(row, approvals.rows.filter(approval => approval.action_id === row.id))
+    )
+  };
+}
+
+/**
+ * Get a pending action with its approvals
+ *
+ * @param {number|string} actionId - Pending action ID
+ * @returns {Promise<Object>} { success, pendingAction }
+ * @throws {NotFoundError} If the action does not exist
+ */
+async function getAction(actionId) {
+  const id = parseActionId(actionId);
+  await expireStaleActions();
+
+  return {
+    success: true,
+    pendingAction: await loadAction(db, id)
+  };
+}
+
+/**
+ * Mark actions interrupted by a server restart as failed
+ *
+ * An action still executing when the server starts may or may not have
+ * reached the ledger, so it is never executed again automatically; an admin
+ * checks the degree and proposes the action again if needed.
+ *
+ * @returns {Promise<Array<number>>} IDs of the actions marked failed
+ */
+async function failInterruptedActions() {
+  const result = await db.query(
+    `UPDATE pending_actions
+    SET status = 'failed', decided_at = CURRENT_TIMESTAMP,
+      error = 'Interrupted by server restart during execution; check the ledger before proposing it again'
+    WHERE status = 'executing'
+    RETURNING id`
+  );
+  const actionIds = result.rows.map(row => row.id);
+
+  if (actionIds.length > 0) {
+    console.log(`Marked interrupted pending actions as failed: ${actionIds.join(', ')}`);
+  }
+  return actionIds;
+}
+
+module.exports = {
+  proposeAction,
+  approveAction,
+  rejectAction,
+  listActions,
+  getAction,
+  failInterruptedActions,
+  ACTION_TYPES: Object.keys(ACTION_TYPES),
+  ACTION_STATUSES
+};
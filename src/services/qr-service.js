@@ -0,0 +1,227 @@
+/**
+ * QR Verification Service Module
+ *
+ * Generates the QR code printed on diplomas and verifies scanned QR payloads.
+ *
+ * The QR code encodes a verification URL of the form
+ *   <VERIFY_BASE_URL>/<degreeId>?h=<degreeHash>
+ * where degreeHash is a SHA-256 fingerprint of the degree content as recorded
+ * on the ledger. When a code is scanned, the hash is recomputed from the
+ * current ledger record (QueryDegree); a mismatch means the printed code was
+ * tampered with, forged, or belongs to a superseded (amended) version.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const config = require('../config/fabric-config');
+const DegreeService = require('./degree-service');
+const {
+  ValidationError,
+  NotFoundError
+} = require('../middleware/error-handler');
+
+/**
+ * Degree fields covered by the QR hash, in canonical order (chaincode field names)
+ */
+const HASHED_FIELDS = [
+  'degreeId',
+  'studentId',
+  'degreeType',
+  'studentName',
+  'university',
+  'major',
+  'classification',
+  'issueDate',
+  'transcriptHash'
+];
+
+const QR_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Compute the SHA-256 fingerprint of a degree record
+ * Status changes (revoke, suspend) do not change the hash; amendments do.
+ *
+ * @param {Object} degree - Degree record as stored on the ledger
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function computeDegreeHash(degree) {
+  const canonical = HASHED_FIELDS.map(field => [field, degree[field] === undefined ? '' : degree[field]]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Build the verification URL encoded in a degree's QR code
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {string} degreeHash - Degree hash from computeDegreeHash
+ * @returns {string} Verification URL
+ */
+function buildVerificationUrl(degreeId, degreeHash) {
+  const baseUrl = config.VERIFY_BASE_URL.replace(/\/+$/, '');
+  return `${baseUrl}/${encodeURIComponent(degreeId)}?h=${degreeHash}`;
+}
+
+/**
+ * Extract degreeId and hash from a scanned QR payload
+ *
+ * @param {string} payload - Scanned QR content (verification URL)
+ * @returns {{degreeId: string, hash: string}} Parsed payload
+ * @throws {ValidationError} If the payload is not a verification URL
+ */
+function parseVerificationPayload(payload) {
+  let url;
+  try {
+    url = new URL(payload);
+  } catch (error) {
+    throw new ValidationError('payload must be a verification URL');
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean);
+  let degreeId = '';
+  try {
+    degreeId = segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : '';
+  } catch (error) {
+    // Malformed percent-encoding (URIError)
+    throw new ValidationError('payload must be a verification URL');
+  }
+  const hash = url.searchParams.get('h') || '';
+
+  if (!degreeId || !hash) {
+    throw new ValidationError('payload is missing the degree ID or hash');
+  }
+
+  return { degreeId, hash };
+}
+
+/**
+ * Check that a value names a supported QR output format
+ * @param {*} format - Requested format
+ * @returns {boolean} True for png or svg
+ * @private
+ */
+function isQrFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(QR_FORMATS, format);
+}
+
+/**
+ * Render text as a QR code image
+ *
+ * @param {string} text - Content to encode
+ * @param {string} [format='png'] - Output format: png or svg
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ * @throws {ValidationError} If the format is not supported
+ */
+async function renderQrCode(text, format = 'png') {
+  if (!isQrFormat(format)) {
+    throw new ValidationError(`format must be one of: ${Object.keys(QR_FORMATS).join(', ')}`);
+  }
+
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+  return format === 'svg'
+    ? QRCode.toString(text, { ...options, type: 'svg' })
+    : QRCode.toBuffer(text, { ...options, type: 'png', width: 512 });
+}
+
+/**
+ * Generate the QR code for a degree
+ *
+ * @param {string} degreeId - Degree ID
+ * @param {string} [format='png'] - Output format: png or svg
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { contentType, data, verificationUrl, degreeHash }
+ * @throws {ValidationError} If the format is not supported
+ * @throws {NotFoundError} If degree does not exist
+ */
+async function generateDegreeQr(degreeId, format = 'png', username = null) {
+  if (!isQrFormat(format)) {
+    throw new ValidationError(`format must be one of: ${Object.keys(QR_FORMATS).join(', ')}`);
+  }
+
+  const { degree } = await DegreeService.verifyDegree(degreeId, username);
+  const degreeHash = computeDegreeHash(degree);
+  const verificationUrl = buildVerificationUrl(degree.degreeId || degreeId, degreeHash);
+
+  const data = await renderQrCode(verificationUrl, format);
+
+  return {
+    contentType: QR_FORMATS[format],
+    data: data,
+    verificationUrl: verificationUrl,
+    degreeHash: degreeHash
+  };
+}
+
+/**
+ * Verify a scanned QR payload against the ledger
+ *
+ * @param {Object} input - Scanned data
+ * @param {string} [input.payload] - Full scanned QR content (verification URL)
+ * @param {string} [input.degreeId] - Degree ID (alternative to payload)
+ * @param {string} [input.hash] - Degree hash (alternative to payload)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Verification result
+ * @throws {ValidationError} If the payload is malformed
+ */
+async function verifyQrPayload({ payload, degreeId, hash } = {}, username = null) {
+  const scanned = payload ? parseVerificationPayload(payload) : { degreeId, hash };
+
+  if (!scanned.degreeId || typeof scanned.degreeId !== 'string') {
+    throw new ValidationError('payload or degreeId is required');
+  }
+  if (!scanned.hash || typeof scanned.hash !== 'string') {
+    throw new ValidationError('hash is required');
+  }
+
+  let verification;
+  try {
+    verification = await DegreeService.verifyDegree(scanned.degreeId, username);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return {
+        success: true,
+        valid: false,
+        verified: false,
+        reason: 'DEGREE_NOT_FOUND',
+        message: `Degree ${scanned.degreeId} does not exist on the ledger; the QR code is forged`,
+        degreeId: scanned.degreeId
+      };
+    }
+    throw error;
+  }
+
+  const expectedHash = computeDegreeHash(verification.degree);
+  if (expectedHash !== scanned.hash.toLowerCase()) {
+    return {
+      success: true,
+      valid: false,
+      verified: false,
+      reason: 'HASH_MISMATCH',
+      message: 'The QR code does not match the degree on the ledger; it was tampered with or belongs to a superseded version',
+      degreeId: scanned.degreeId,
+      status: verification.status
+    };
+  }
+
+  return {
+    success: true,
+    valid: true,
+    verified: verification.verified,
+    reason: verification.verified ? null : `DEGREE_${verification.status}`,
+    degreeId: scanned.degreeId,
+    status: verification.status,
+    degree: verification.degree,
+    suspension: verification.suspension
+  };
+}
+
+module.exports = {
+  computeDegreeHash,
+  buildVerificationUrl,
+  parseVerificationPayload,
+  renderQrCode,
+  generateDegreeQr,
+  verifyQrPayload
+};
@@ -0,0 +1,318 @@
+/**
+ * Transcript Share Link Service Module
+ *
+ * Lets a student hand a recruiter a time-limited link to their transcript.
+ *
+ * - Each link has an expiry and an optional maximum number of views
+ * - Only the SHA-256 hash of the link token is stored; the token itself is
+ *   returned once, when the link is created
+ * - The transcript is read with the owning student's Fabric identity, so the
+ *   chaincode's own access checks still apply
+ * - personalInfo (citizenId, date of birth, contact) is withheld unless the
+ *   student explicitly includes it
+ * - Every access attempt is logged and visible to the student
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+const config = require('../config/fabric-config');
+const TranscriptService = require('./transcript-service');
+const {
+  ValidationError,
+  NotFoundError
+} = require('../middleware/error-handler');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_VIEWS_LIMIT = 1000;
+
+/**
+ * Hash a share token for storage and lookup
+ * @param {string} token - Share token
+ * @returns {string} Hex SHA-256 hash
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the public URL of a share token
+ * @param {string} token - Share token
+ * @returns {string} URL
+ * @private
+ */
+function buildShareUrl(token) {
+  return `${config.PUBLIC_API_URL.replace(/\/+$/, '')}/shared/${token}`;
+}
+
+/**
+ * Current state of a share link
+ * @param {Object} row - transcript_share_links row
+ * @returns {string} active, expired, revoked or view_limit_reached
+ * @private
+ */
+function getLinkState(row) {
+  if (row.revoked_at) return 'revoked';
+  if (new Date(row.expires_at) <= new Date()) return 'expired';
+  if (row.max_views !== null && row.view_count >= row.max_views) return 'view_limit_reached';
+  return 'active';
+}
+
+/**
+ * Format a transcript_share_links row for API responses
+ * @param {Object} row - Database row
+ * @returns {Object} Link summary (never includes the token)
+ * @private
+ */
+function formatLink(row) {
+  return {
+    linkId: row.id,
+    label: row.label,
+    state: getLinkState(row),
+    includePersonalInfo: row.include_personal_info,
+    expiresAt: row.expires_at,
+    maxViews: row.max_views,
+    viewCount: row.view_count,
+    lastViewedAt: row.last_viewed_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Load a link owned by the given user
+ * @private
+ */
+async function getOwnedLink(linkId, username) {
+  const id = parseInt(linkId, 10);
+  if (isNaN(id)) {
+    throw new ValidationError('linkId must be a number');
+  }
+
+  const result = await db.query(
+    'SELECT * FROM transcript_share_links WHERE id = $1 AND created_by = $2',
+    [id, username]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Share link ${id} not found`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Create a share link for a student's transcript
+ *
+ * @param {string} studentId - Student ID (owner of the transcript)
+ * @param {Object} [options]
+ * @param {number} [options.expiresInDays=7] - Validity (1-90 days)
+ * @param {number} [options.maxViews] - Maximum number of views (unlimited if omitted)
+ * @param {string} [options.label] - Note for the student, e.g. the recruiter's name
+ * @param {boolean} [options.includePersonalInfo=false] - Also share personalInfo
+ * @param {string} username - Username of the student creating the link
+ * @returns {Promise<Object>} { success, link: { ...summary, token, url } }
+ * @throws {ValidationError} If options are invalid
+ */
+async function createShareLink(studentId, options = {}, username) {
+  const { label, includePersonalInfo = false } = options;
+  const expiresInDays = options.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(options.expiresInDays);
+  const maxViews = options.maxViews === undefined || options.maxViews === null ? null : Number(options.maxViews);
+
+  if (!studentId) {
+    throw new ValidationError('studentId is required');
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new ValidationError(`expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+  if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_VIEWS_LIMIT)) {
+    throw new ValidationError(`maxViews must be an integer between 1 and ${MAX_VIEWS_LIMIT}`);
+  }
+  if (label !== undefined && (typeof label !== 'string' || label.length > 255)) {
+    throw new ValidationError('label must be a string of at most 255 characters');
+  }
+  if (typeof includePersonalInfo !== 'boolean') {
+    throw new ValidationError('includePersonalInfo must be a boolean');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const result = await db.query(
+    `INSERT INTO transcript_share_links
+      (token_hash, student_id, created_by, label, include_personal_info, expires_at, max_views)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [hashToken(token), studentId, username, label || null, includePersonalInfo, expiresAt, maxViews]
+  );
+
+  return {
+    success: true,
+    link: {
+      ...formatLink(result.rows[0]),
+      // The token is only returned here; it cannot be retrieved later
+      token: token,
+      url: buildShareUrl(token)
+    }
+  };
+}
+
+/**
+ * List the share links created by a student
+ *
+ * @param {string} username - Username of the student
+ * @returns {Promise<Object>} { success, links }
+ */
+async function listShareLinks(username) {
+  const result = await db.query(
+    'SELECT * FROM transcript_share_links WHERE created_by = $1 ORDER BY created_at DESC',
+    [username]
+  );
+
+  return {
+    success: true,
+    links: result.rows.map(formatLink)
+  };
+}
+
+/**
+ * Revoke a share link
+ *
+ * @param {number|string} linkId - Share link ID
+ * @param {string} username - Username of the student who owns the link
+ * @returns {Promise<Object>} { success, link }
+ * @throws {NotFoundError} If the link does not exist or belongs to someone else
+ */
+async function revokeShareLink(linkId, username) {
+  const link = await getOwnedLink(linkId, username);
+
+  const result = await db.query(
+    `UPDATE transcript_share_links
+    SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE id = $1
+    RETURNING *`,
+    [link.id]
+  );
+
+  return {
+    success: true,
+    link: formatLink(result.rows[0])
+  };
+}
+
+/**
+ * Get the access log of a share link
+ *
+ * @param {number|string} linkId - Share link ID
+ * @param {string} username - Username of the student who owns the link
+ * @returns {Promise<Object>} { success, link, accessLog }
+ * @throws {NotFoundError} If the link does not exist or belongs to someone else
+ */
+async function getShareLinkAccessLog(linkId, username) {
+  const link = await getOwnedLink(linkId, username);
+
+  const result = await db.query(
+    `SELECT outcome, ip_address, user_agent, accessed_at
+    FROM transcript_share_access_log
+    WHERE link_id = $1
+    ORDER BY accessed_at DESC`,
+    [link.id]
+  );
+
+  return {
+    success: true,
+    link: formatLink(link),
+    accessLog: result.rows.map(row => ({
+      outcome: row.outcome,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      accessedAt: row.accessed_at
+    }))
+  };
+}
+
+/**
+ * Record an access attempt
+ * @private
+ */
+async function logAccess(linkId, outcome, { ipAddress, userAgent } = {}) {
+  await db.query(
+    `INSERT INTO transcript_share_access_log (link_id, outcome, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4)`,
+    [linkId, outcome, ipAddress || null, userAgent || null]
+  );
+}
+
+/**
+ * Open a share link and return the shared transcript
+ *
+ * The view is counted atomically, so concurrent requests cannot exceed maxViews.
+ *
+ * @param {string} token - Share token from the URL
+ * @param {Object} [requestInfo] - { ipAddress, userAgent } for the access log
+ * @returns {Promise<Object>} { granted: true, transcript, ... } or { granted: false, reason }
+ * @throws {NotFoundError} If the token does not match any link
+ */
+async function accessSharedTranscript(token, requestInfo = {}) {
+  if (!token || typeof token !== 'string') {
+    throw new NotFoundError('Share link not found');
+  }
+
+  const tokenHash = hashToken(token);
+
+  const claimed = await db.query(
+    `UPDATE transcript_share_links
+    SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+      AND (max_views IS NULL OR view_count < max_views)
+    RETURNING *`,
+    [tokenHash]
+  );
+
+  if (claimed.rows.length === 0) {
+    const existing = await db.query('SELECT * FROM transcript_share_links WHERE token_hash = $1', [tokenHash]);
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    const reason = getLinkState(existing.rows[0]);
+    await logAccess(existing.rows[0].id, reason, requestInfo);
+    return { granted: false, reason: reason };
+  }
+
+  const link = claimed.rows[0];
+
+  let transcript;
+  try {
+    transcript = await TranscriptService.getTranscript(link.student_id, link.created_by);
+  } catch (error) {
+    // A failed read does not use up a view
+    await db.query(
+      'UPDATE transcript_share_links SET view_count = view_count - 1 WHERE id = $1',
+      [link.id]
+    );
+    await logAccess(link.id, 'error', requestInfo);
+    throw error;
+  }
+
+  await logAccess(link.id, 'granted', requestInfo);
+
+  const { personalInfo, ...sharedTranscript } = transcript;
+
+  return {
+    granted: true,
+    studentId: link.student_id,
+    transcript: link.include_personal_info ? transcript : sharedTranscript,
+    expiresAt: link.expires_at,
+    remainingViews: link.max_views === null ? null : link.max_views - link.view_count
+  };
+}
+
+module.exports = {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  getShareLinkAccessLog,
+  accessSharedTranscript
+};
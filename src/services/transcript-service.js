@@ -21,10 +21,13 @@
  * student academic records from public exposure.
  */
 
+const crypto = require('crypto');
 const { GatewayConnectionManager } = require('../fabric/gateway-connection');
 const config = require('../config/fabric-config');
+const GradingService = require('./grading-service');
 const {
   ValidationError,
+  NotFoundError,
   ConnectionError,
   EndorsementError,
   ConflictError
@@ -40,41 +43,72 @@ const {
  *   personalInfo: { dateOfBirth, gender, nationality, contactInfo, citizenId }
  * }
  * 
+ * Instead of detailedGrades, a structured `courses` array may be given
+ * (code, name, credits, semester, grade, scale, attempt - see GradingService).
+ * Grades are normalised with the university's grading scale and the GPA is
+ * computed from the courses; gpa becomes optional and, if given, must match
+ * the computed value.
+ * 
  * @param {Object} transcriptData - Transcript data to validate
  * @param {string} transcriptData.studentId - Unique student identifier (e.g., CT070211)
- * @param {string} transcriptData.gpa - Grade Point Average
+ * @param {string} transcriptData.gpa - Grade Point Average (optional with courses)
  * @param {Object} transcriptData.detailedGrades - Detailed grades object { mon1: "8", mon2: "9", ... }
+ * @param {Array<Object>} [transcriptData.courses] - Structured course records (instead of detailedGrades)
  * @param {Object} [transcriptData.personalInfo] - Personal information (optional)
+ * @param {Object} [gradingScale] - Grading scale for structured courses (default: GradingService.DEFAULT_GRADING_SCALE)
+ * @returns {Object|null} { courses, gpa, totalCredits } for structured courses (normalised), otherwise null
  * @throws {ValidationError} If validation fails
  */
-function validateTranscriptData(transcriptData) {
-  const { studentId, gpa, detailedGrades, personalInfo } = transcriptData;
+function validateTranscriptData(transcriptData, gradingScale = GradingService.DEFAULT_GRADING_SCALE) {
+  const { studentId, gpa, detailedGrades, courses, personalInfo } = transcriptData;
 
   // Validate studentId
   if (!studentId || typeof studentId !== 'string' || studentId.trim() === '') {
     throw new ValidationError('studentId is required and must be a non-empty string');
   }
 
-  // Validate GPA
-  if (!gpa || typeof gpa !== 'string') {
-    throw new ValidationError('gpa is required and must be a string');
-  }
+  let structured = null;
+  if (courses !== undefined) {
+    if (detailedGrades !== undefined) {
+      throw new ValidationError('Provide either courses or detailedGrades, not both');
+    }
 
-  // Validate GPA format (should be a number between 0.0 and 4.0 typically)
-  const gpaNumber = parseFloat(gpa);
-  if (isNaN(gpaNumber) || gpaNumber < 0 || gpaNumber > 4.0) {
-    throw new ValidationError('gpa must be a valid number between 0.0 and 4.0');
-  }
+    const normalisedCourses = GradingService.validateCourses(courses, gradingScale);
+    const computed = GradingService.computeGpa(normalisedCourses);
 
-  // Validate detailedGrades
-  if (!detailedGrades || typeof detailedGrades !== 'object' || Array.isArray(detailedGrades)) {
-    throw new ValidationError('detailedGrades is required and must be an object');
-  }
+    if (gpa !== undefined && gpa !== null && gpa !== '' && !GradingService.gpaMatches(gpa, computed.gpa)) {
+      throw new ValidationError(
+        `gpa ${gpa} does not match the GPA computed from courses (${computed.gpa.toFixed(2)})`
+      );
+    }
+
+    structured = {
+      courses: normalisedCourses,
+      gpa: computed.gpa.toFixed(2),
+      totalCredits: computed.totalCredits
+    };
+  } else {
+    // Validate GPA
+    if (!gpa || typeof gpa !== 'string') {
+      throw new ValidationError('gpa is required and must be a string');
+    }
+
+    // Validate GPA format (should be a number between 0.0 and 4.0 typically)
+    const gpaNumber = parseFloat(gpa);
+    if (isNaN(gpaNumber) || gpaNumber < 0 || gpaNumber > 4.0) {
+      throw new ValidationError('gpa must be a valid number between 0.0 and 4.0');
+    }
+
+    // Validate detailedGrades
+    if (!detailedGrades || typeof detailedGrades !== 'object' || Array.isArray(detailedGrades)) {
+      throw new ValidationError('detailedGrades (or courses) is required and must be an object');
+    }
 
-  // Validate each grade in detailedGrades
-  for (const [subject, grade] of Object.entries(detailedGrades)) {
-    if (typeof grade !== 'string' && typeof grade !== 'number') {
-      throw new ValidationError(`Grade for subject "${subject}" must be a string or number`);
+    // Validate each grade in detailedGrades
+    for (const [subject, grade] of Object.entries(detailedGrades)) {
+      if (typeof grade !== 'string' && typeof grade !== 'number') {
+        throw new ValidationError(`Grade for subject "${subject}" must be a string or number`);
+      }
     }
   }
 
@@ -109,6 +143,8 @@ function validateTranscriptData(transcriptData) {
   if (citizenId && typeof citizenId !== 'string') {
     throw new ValidationError('personalInfo.citizenId must be a string');
   }
+
+  return structured;
 }
 
 
@@ -137,6 +173,7 @@ function validateTranscriptData(transcriptData) {
  * @param {string} transcriptData.studentId - Unique student identifier (PUBLIC - in args)
  * @param {string} transcriptData.gpa - Grade Point Average (PRIVATE - in transient)
  * @param {Object} transcriptData.detailedGrades - Detailed grades (PRIVATE - in transient)
+ * @param {Array<Object>} [transcriptData.courses] - Structured courses instead of detailedGrades (PRIVATE - in transient)
  * @param {Object} [transcriptData.personalInfo] - Personal info (PRIVATE - in transient)
  * @param {string} [username] - Username for dynamic identity (optional, uses default if not provided)
  * @returns {Promise<Object>} Transaction result with transactionId
@@ -146,8 +183,12 @@ function validateTranscriptData(transcriptData) {
  */
 async function addPrivateTranscript(transcriptData, username = null) {
   try {
-    // Validate input data
-    validateTranscriptData(transcriptData);
+    // Validate input data (structured courses are normalised with the
+    // university's grading scale and their GPA computed)
+    const gradingScale = transcriptData.courses !== undefined
+      ? await GradingService.getGradingScaleForUniversity(transcriptData.personalInfo && transcriptData.personalInfo.university)
+      : null;
+    const structured = validateTranscriptData(transcriptData, gradingScale || undefined);
 
     const { studentId, gpa, detailedGrades, personalInfo } = transcriptData;
 
@@ -172,12 +213,22 @@ async function addPrivateTranscript(transcriptData, username = null) {
 
     // CRITICAL: Prepare Transient Data Map
     // Sensitive data is sent via Transient Data, not via args
-    // Chaincode expects keys: 'transcript', 'gpa', and optionally 'personalInfo'
-
-    const transientData = {
-      transcript: Buffer.from(JSON.stringify(detailedGrades)),
-      gpa: Buffer.from(String(gpa)),
-    };
+    // Chaincode expects keys: 'transcript' (or 'courses'), 'gpa', and optionally 'personalInfo'
+
+    const transientData = structured
+      ? {
+        courses: Buffer.from(JSON.stringify(structured.courses)),
+        gpa: Buffer.from(structured.gpa),
+        gradingScale: Buffer.from(JSON.stringify({
+          id: gradingScale.id,
+          university: gradingScale.university,
+          name: gradingScale.name
+        }))
+      }
+      : {
+        transcript: Buffer.from(JSON.stringify(detailedGrades)),
+        gpa: Buffer.from(String(gpa)),
+      };
 
     if (personalInfo) {
       transientData.personalInfo = Buffer.from(JSON.stringify(personalInfo));
@@ -232,7 +283,10 @@ async function addPrivateTranscript(transcriptData, username = null) {
       success: true,
       transactionId: transactionId, // Return the actual Transaction ID
       transcriptHash: resultData.transcriptHash, // Return the transcript hash
+      version: resultData.version,
       studentId: studentId,
+      gpa: structured ? structured.gpa : gpa,
+      totalCredits: structured ? structured.totalCredits : undefined,
       message: 'Transcript added to Private Data Collection successfully'
     };
 
@@ -320,18 +374,443 @@ async function getTranscript(studentId, username = null) {
   }
 }
 
+/**
+ * Get the transcript exactly as stored in the Private Data Collection
+ *
+ * The raw value is what the on-chain private data hash is computed over,
+ * so it can be checked against getTranscriptHash.
+ *
+ * @param {string} studentId - Student ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<{raw: string, transcript: Object}>} Raw JSON and parsed transcript
+ */
+async function getTranscriptRecord(studentId, username = null) {
+  try {
+    if (!studentId) throw new ValidationError('studentId is required');
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('QueryTranscript', studentId);
+    const raw = Buffer.from(resultBytes).toString('utf8');
+
+    return { raw: raw, transcript: JSON.parse(raw) };
+
+  } catch (error) {
+    console.error('Error getting transcript record:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('not found')) throw new NotFoundError(`Transcript for student ${studentId} not found`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+
+    throw new Error(`Failed to get transcript: ${error.message}`);
+  }
+}
+
+/**
+ * Get the on-chain hash (SHA-256, hex) of a student's private transcript
+ *
+ * @param {string} studentId - Student ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<string>} Transcript hash
+ * @throws {NotFoundError} If the student has no transcript
+ */
+async function getTranscriptHash(studentId, username = null) {
+  try {
+    if (!studentId) throw new ValidationError('studentId is required');
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('GetTranscriptHash', studentId);
+    return Buffer.from(resultBytes).toString('utf8');
+
+  } catch (error) {
+    console.error('Error getting transcript hash:', error.message);
+    if (error instanceof ValidationError) throw error;
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('not found')) throw new NotFoundError(`Transcript for student ${studentId} not found`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+
+    throw new Error(`Failed to get transcript hash: ${error.message}`);
+  }
+}
+
+/**
+ * Field order of a transcript record as written by UpdateTranscript
+ */
+const TRANSCRIPT_RECORD_FIELDS = [
+  'studentId', 'transcript', 'gpa', 'personalInfo', 'version', 'updatedAt', 'updatedBy',
+  'courses', 'totalCredits', 'gradingScale'
+];
+const REQUIRED_RECORD_FIELDS = ['studentId', 'transcript', 'gpa', 'personalInfo', 'updatedAt', 'updatedBy'];
+const COURSE_RECORD_FIELDS = ['code', 'name', 'credits', 'semester', 'grade', 'scale', 'attempt', 'letter', 'gradePoint'];
+const GRADING_SCALE_FIELDS = ['id', 'university', 'name'];
+
+/**
+ * Copy an object with the given keys first, in that order, then any others
+ * @private
+ */
+function orderKeys(object, keys) {
+  const ordered = {};
+  for (const key of keys) {
+    if (object[key] !== undefined) ordered[key] = object[key];
+  }
+  for (const key of Object.keys(object)) {
+    if (!keys.includes(key)) ordered[key] = object[key];
+  }
+  return ordered;
+}
+
+/**
+ * Serialise a transcript record the way UpdateTranscript does
+ *
+ * Top-level fields, course records and gradingScale are put in the chaincode's
+ * field order, so a document whose keys were reordered still hashes the same.
+ * Course and personalInfo maps keep the order they were given in.
+ *
+ * @param {Object} document - Complete transcript record (as returned by QueryTranscript)
+ * @returns {string} JSON string whose SHA-256 is the on-chain transcript hash
+ * @throws {ValidationError} If the document is not a complete transcript record
+ * @private
+ */
+function canonicalizeTranscript(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ValidationError('transcript document must be a JSON object');
+  }
+  if (document.scope) {
+    throw new ValidationError(`A ${document.scope} transcript view cannot be verified; the complete transcript record is required`);
+  }
+
+  const unknownFields = Object.keys(document).filter(field => !TRANSCRIPT_RECORD_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(`Unknown transcript fields: ${unknownFields.join(', ')}`);
+  }
+  const missingFields = REQUIRED_RECORD_FIELDS.filter(field => document[field] === undefined);
+  if (missingFields.length > 0) {
+    throw new ValidationError(`Missing transcript fields: ${missingFields.join(', ')}; the complete transcript record is required`);
+  }
+  if (typeof document.studentId !== 'string' || document.studentId.trim() === '') {
+    throw new ValidationError('studentId must be a non-empty string');
+  }
+
+  const record = orderKeys(document, TRANSCRIPT_RECORD_FIELDS);
+  if (Array.isArray(record.courses)) {
+    record.courses = record.courses.map(course =>
+      course && typeof course === 'object' ? orderKeys(course, COURSE_RECORD_FIELDS) : course
+    );
+  }
+  if (record.gradingScale && typeof record.gradingScale === 'object') {
+    record.gradingScale = orderKeys(record.gradingScale, GRADING_SCALE_FIELDS);
+  }
+
+  return JSON.stringify(record);
+}
+
+/**
+ * Verify a transcript document against the ledger
+ *
+ * The document is hashed locally and only the hash is sent to the chaincode,
+ * which compares it with the current transcript hash and the hashes of earlier
+ * versions. Nothing from the stored transcript is returned.
+ *
+ * @param {Object} document - Complete transcript record
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, studentId, transcriptHash, match, current, status, version, currentVersion, updatedAt }
+ *   status is valid, superseded or mismatch
+ * @throws {ValidationError} If the document is not a complete transcript record
+ * @throws {NotFoundError} If the student has no transcript
+ */
+async function verifyTranscriptDocument(document, username = null) {
+  const canonical = canonicalizeTranscript(document);
+  const transcriptHash = crypto.createHash('sha256').update(Buffer.from(canonical, 'utf8')).digest('hex');
+  const studentId = document.studentId;
+
+  try {
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('VerifyTranscriptHash', studentId, transcriptHash);
+    const result = JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+    let status = 'mismatch';
+    if (result.match) {
+      status = result.current ? 'valid' : 'superseded';
+    }
+
+    return {
+      success: true,
+      studentId: studentId,
+      transcriptHash: transcriptHash,
+      match: result.match,
+      current: result.current,
+      status: status,
+      version: result.version,
+      currentVersion: result.currentVersion,
+      updatedAt: result.updatedAt
+    };
+
+  } catch (error) {
+    console.error('Error verifying transcript:', error.message);
+
+    const errorMessage = error.message || '';
+    if (errorMessage.includes('not found')) throw new NotFoundError(`Transcript for student ${studentId} not found`);
+    if (errorMessage.includes('UNAVAILABLE')) throw new ConnectionError('Service unavailable.');
+
+    throw new Error(`Failed to verify transcript: ${error.message}`);
+  }
+}
+
+/**
+ * Map chaincode errors of the transcript version queries to service errors
+ * @private
+ */
+function mapVersionError(error, action, notFoundMessage) {
+  if (error instanceof ValidationError) return error;
+
+  const errorMessage = error.message || '';
+  if (errorMessage.includes('does not exist') || errorMessage.includes('not found')) {
+    return new NotFoundError(notFoundMessage);
+  }
+  if (errorMessage.includes('UNAVAILABLE')) return new ConnectionError('Service unavailable.');
+
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
+
+/**
+ * Parse a transcript version number
+ * @private
+ */
+function parseVersion(value, name) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError(`${name} must be a positive integer`);
+  }
+  return version;
+}
+
+/**
+ * List the versions of a student's transcript
+ * 
+ * Only public metadata is returned (version, updatedAt, updatedBy, transcriptHash).
+ * 
+ * @param {string} studentId - Student ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, studentId, currentVersion, versions } (oldest first)
+ * @throws {NotFoundError} If the student has no transcript
+ */
+async function getTranscriptVersions(studentId, username = null) {
+  try {
+    if (!studentId) throw new ValidationError('studentId is required');
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('QueryTranscriptVersions', studentId);
+    const versions = JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+    return {
+      success: true,
+      studentId: studentId,
+      currentVersion: versions.length > 0 ? versions[versions.length - 1].version : null,
+      versions: versions
+    };
+
+  } catch (error) {
+    console.error('Error getting transcript versions:', error.message);
+    throw mapVersionError(error, 'get transcript versions', `Transcript for student ${studentId} not found`);
+  }
+}
+
+/**
+ * Get one version of a student's transcript
+ * 
+ * @param {string} studentId - Student ID
+ * @param {number|string} version - Version number
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Transcript record of that version
+ * @throws {NotFoundError} If the version does not exist
+ */
+async function getTranscriptVersion(studentId, version, username = null) {
+  try {
+    if (!studentId) throw new ValidationError('studentId is required');
+    const versionNumber = parseVersion(version, 'version');
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const resultBytes = await contract.evaluateTransaction('QueryTranscriptVersion', studentId, String(versionNumber));
+    return JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
+  } catch (error) {
+    console.error('Error getting transcript version:', error.message);
+    throw mapVersionError(error, 'get transcript version', `Version ${version} of transcript for student ${studentId} does not exist`);
+  }
+}
+
+/**
+ * Compare the course grades of two transcript records
+ * @param {Object} fromGrades - course -> grade of the older version
+ * @param {Object} toGrades - course -> grade of the newer version
+ * @returns {Object} { added, removed, changed, unchangedCount }
+ * @private
+ */
+function diffCourseGrades(fromGrades, toGrades) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  for (const [course, grade] of Object.entries(toGrades)) {
+    if (!Object.prototype.hasOwnProperty.call(fromGrades, course)) {
+      added.push({ course, grade });
+    } else if (JSON.stringify(fromGrades[course]) !== JSON.stringify(grade)) {
+      changed.push({ course, from: fromGrades[course], to: grade });
+    } else {
+      unchangedCount++;
+    }
+  }
+  for (const [course, grade] of Object.entries(fromGrades)) {
+    if (!Object.prototype.hasOwnProperty.call(toGrades, course)) {
+      removed.push({ course, grade });
+    }
+  }
+
+  return { added, removed, changed, unchangedCount };
+}
+
+/**
+ * Diff two versions of a student's transcript
+ * 
+ * Defaults compare the current version with the one before it.
+ * Callers whose access is limited to GPA (gpa-only grant) get courses: null.
+ * 
+ * @param {string} studentId - Student ID
+ * @param {Object} [range]
+ * @param {number|string} [range.from] - Older version (default: to - 1)
+ * @param {number|string} [range.to] - Newer version (default: current version)
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, studentId, from, to, gpa, courses }
+ * @throws {ValidationError} If the versions are invalid
+ * @throws {NotFoundError} If a version does not exist
+ */
+async function diffTranscriptVersions(studentId, range = {}, username = null) {
+  if (!studentId) throw new ValidationError('studentId is required');
+
+  let to;
+  if (range.to === undefined || range.to === '') {
+    const { currentVersion } = await getTranscriptVersions(studentId, username);
+    to = currentVersion;
+  } else {
+    to = parseVersion(range.to, 'to');
+  }
+  const from = range.from === undefined || range.from === '' ? to - 1 : parseVersion(range.from, 'from');
+
+  if (from < 1) {
+    throw new ValidationError(`Transcript for student ${studentId} has only one version; nothing to compare`);
+  }
+  if (from === to) {
+    throw new ValidationError('from and to must be different versions');
+  }
+
+  const [fromRecord, toRecord] = await Promise.all([
+    getTranscriptVersion(studentId, from, username),
+    getTranscriptVersion(studentId, to, username)
+  ]);
+
+  const describe = (record, version) => ({
+    version: record.version || version,
+    updatedAt: record.updatedAt,
+    updatedBy: record.updatedBy
+  });
+
+  const hasCourses = fromRecord.transcript !== undefined && toRecord.transcript !== undefined;
+
+  return {
+    success: true,
+    studentId: studentId,
+    from: describe(fromRecord, from),
+    to: describe(toRecord, to),
+    gpa: {
+      from: fromRecord.gpa,
+      to: toRecord.gpa,
+      changed: String(fromRecord.gpa) !== String(toRecord.gpa)
+    },
+    courses: hasCourses ? diffCourseGrades(fromRecord.transcript || {}, toRecord.transcript || {}) : null
+  };
+}
+
+/**
+ * Transcript access grant scopes (see GrantAccess in the chaincode)
+ */
+const GRANT_SCOPES = ['full', 'gpa-only'];
+
+/**
+ * Map chaincode errors of the access grant functions to service errors
+ * @private
+ */
+function mapGrantError(error, action) {
+  if (error instanceof ValidationError) return error;
+
+  const errorMessage = error.message || '';
+  if (errorMessage.includes('does not exist')) return new NotFoundError('Access grant not found');
+  if (errorMessage.includes('already revoked')) return new ConflictError('Access grant is already revoked');
+  if (errorMessage.includes('expiresAt must be')) return new ValidationError('expiresAt must be in the future');
+  if (errorMessage.includes('UNAVAILABLE')) return new ConnectionError('Service unavailable.');
+
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
+
 /**
  * Grant access to transcript
  * 
+ * Callers from the target MSP can then read the transcript through
+ * QueryTranscript until the grant expires or is revoked.
+ * 
  * @param {string} studentId - Student ID
  * @param {string} targetMSP - Target MSP ID
+ * @param {Object} [options]
+ * @param {string} [options.scope='full'] - full or gpa-only
+ * @param {string} [options.expiresAt] - ISO 8601 expiry date (no expiry if omitted)
  * @param {string} [username] - Username for dynamic identity
- * @returns {Promise<Object>} Result
+ * @returns {Promise<Object>} Result with the grant record
  */
-async function grantAccess(studentId, targetMSP, username = null) {
+async function grantAccess(studentId, targetMSP, options = {}, username = null) {
   try {
+    const { scope = 'full', expiresAt } = options;
+
     if (!studentId) throw new ValidationError('studentId is required');
     if (!targetMSP) throw new ValidationError('targetMSP is required');
+    if (!GRANT_SCOPES.includes(scope)) {
+      throw new ValidationError(`scope must be one of: ${GRANT_SCOPES.join(', ')}`);
+    }
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime())) throw new ValidationError('expiresAt must be a valid date');
+      if (expiry <= new Date()) throw new ValidationError('expiresAt must be in the future');
+    }
 
     const gatewayManager = await GatewayConnectionManager.getInstance();
     const contract = await gatewayManager.getContractWithUserIdentity(
@@ -341,66 +820,110 @@ async function grantAccess(studentId, targetMSP, username = null) {
     );
 
     const proposal = contract.newProposal('GrantAccess', {
-      arguments: [studentId, targetMSP]
+      arguments: [studentId, targetMSP, scope, expiresAt ? new Date(expiresAt).toISOString() : '']
     });
 
     const transaction = await proposal.endorse();
-    await transaction.submit();
+    const result = await transaction.submit();
 
     return {
       success: true,
-      message: `Access granted to ${targetMSP}`
+      message: `Access granted to ${targetMSP}`,
+      grant: JSON.parse(Buffer.from(result).toString('utf8'))
     };
 
   } catch (error) {
     console.error('Error granting access:', error.message);
-    if (error instanceof ValidationError) throw error;
-    throw new Error(`Failed to grant access: ${error.message}`);
+    throw mapGrantError(error, 'grant access');
   }
 }
 
 /**
- * Submit a correction request for a transcript
+ * Revoke a transcript access grant
+ * 
  * @param {string} studentId - Student ID
- * @param {string} requestDetails - Details of the correction request
- * @param {string} username - Username of the requester
- * @returns {Promise<Object>} Result
+ * @param {string} targetMSP - MSP ID whose access is revoked
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Result with the revoked grant record
+ * @throws {NotFoundError} If no grant exists for the MSP
+ * @throws {ConflictError} If the grant is already revoked
  */
-async function submitCorrectionRequest(studentId, requestDetails, username) {
+async function revokeAccess(studentId, targetMSP, username = null) {
   try {
-    if (!requestDetails) {
-      throw new ValidationError('Request details are required');
-    }
+    if (!studentId) throw new ValidationError('studentId is required');
+    if (!targetMSP) throw new ValidationError('targetMSP is required');
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
+    );
+
+    const proposal = contract.newProposal('RevokeAccess', {
+      arguments: [studentId, targetMSP]
+    });
+
+    const transaction = await proposal.endorse();
+    const result = await transaction.submit();
+
+    return {
+      success: true,
+      message: `Access revoked for ${targetMSP}`,
+      grant: JSON.parse(Buffer.from(result).toString('utf8'))
+    };
+
+  } catch (error) {
+    console.error('Error revoking access:', error.message);
+    throw mapGrantError(error, 'revoke access');
+  }
+}
 
-    const db = require('../database/db');
-
-    await db.query(
-      `INSERT INTO correction_requests (student_id, request_type, status, requested_data, reason, requested_by)
-      VALUES ($1, $2, $3, $4, $5, $6)`,
-      [
-        studentId,
-        requestDetails.type || 'transcript_correction',
-        'pending',
-        JSON.stringify(requestDetails),
-        requestDetails.reason || null,
-        username
-      ]
+/**
+ * List the access grants of a student's transcript
+ * 
+ * @param {string} studentId - Student ID
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} { success, studentId, grants } (each grant has an "active" flag)
+ */
+async function listAccessGrants(studentId, username = null) {
+  try {
+    if (!studentId) throw new ValidationError('studentId is required');
+
+    const gatewayManager = await GatewayConnectionManager.getInstance();
+    const contract = await gatewayManager.getContractWithUserIdentity(
+      config.CHANNEL_NAME,
+      config.CHAINCODE_NAME,
+      username
     );
 
+    const resultBytes = await contract.evaluateTransaction('QueryAccessGrants', studentId);
+    const grants = JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+
     return {
       success: true,
-      message: 'Correction request submitted successfully'
+      studentId: studentId,
+      grants: grants
     };
+
   } catch (error) {
-    console.error('Error submitting correction request:', error.message);
-    throw error;
+    console.error('Error listing access grants:', error.message);
+    throw mapGrantError(error, 'list access grants');
   }
 }
 
 module.exports = {
   addPrivateTranscript,
   getTranscript,
+  getTranscriptRecord,
+  getTranscriptHash,
+  verifyTranscriptDocument,
+  getTranscriptVersions,
+  getTranscriptVersion,
+  diffTranscriptVersions,
   grantAccess,
-  submitCorrectionRequest,
-  validateTranscriptData
+  revokeAccess,
+  listAccessGrants,
+  validateTranscriptData,
+  GRANT_SCOPES
 };
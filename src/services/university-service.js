@@ -0,0 +1,105 @@
+/**
+ * University Service Module
+ *
+ * Reads the on-chain university registry. Each entry records a university's
+ * code, legal name, the MSPs (and optionally the enrollment IDs) allowed to
+ * issue its degrees, its accreditation status and validity period.
+ *
+ * - Entries are created and changed only by OU=governance identities of the
+ *   governance MSP (GOVERNANCE_MSP_ID of the chaincode, e.g. the Ministry of
+ *   Education), which submit RegisterUniversity / UpdateUniversity with their
+ *   own credentials. This backend only enrolls Org1MSP users, so it has no
+ *   registry write path.
+ * - IssueDegree only accepts universities registered to the caller's MSP,
+ *   accredited and within their validity period
+ * - Entries are public so verifiers can see who may issue a university's degrees
+ */
+
+const { GatewayConnectionManager } = require('../fabric/gateway-connection');
+const config = require('../config/fabric-config');
+const {
+  ValidationError,
+  NotFoundError,
+  ConnectionError
+} = require('../middleware/error-handler');
+
+/**
+ * Map errors of registry queries
+ * @param {Error} error - Error from the gateway or chaincode
+ * @param {string} action - Action for the wrapped error message
+ * @param {string} [university] - University code or name
+ * @returns {Error} Error to throw
+ * @private
+ */
+function registryError(error, action, university = null) {
+  if (error instanceof ValidationError) return error;
+
+  const errorMessage = error.message || '';
+  if (errorMessage.includes('is not registered')) return new NotFoundError(`University ${university} is not registered`);
+  if (errorMessage.includes('UNAVAILABLE')) return new ConnectionError('Service unavailable.');
+
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
+
+/**
+ * Get a contract for the caller's identity
+ * @private
+ */
+async function getContract(username) {
+  const gatewayManager = await GatewayConnectionManager.getInstance();
+  return gatewayManager.getContractWithUserIdentity(
+    config.CHANNEL_NAME,
+    config.CHAINCODE_NAME,
+    username
+  );
+}
+
+/**
+ * Get a registered university
+ *
+ * @param {string} codeOrName - University code or legal name
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Object>} Registry entry
+ * @throws {NotFoundError} If the university is not registered
+ */
+async function getUniversity(codeOrName, username = null) {
+  try {
+    if (!codeOrName || typeof codeOrName !== 'string') {
+      throw new ValidationError('University code or name is required');
+    }
+
+    const contract = await getContract(username);
+    const resultBytes = await contract.evaluateTransaction('QueryUniversity', codeOrName);
+    const { docType, ...university } = JSON.parse(Buffer.from(resultBytes).toString('utf8'));
+    return university;
+
+  } catch (error) {
+    console.error('Error getting university:', error.message);
+    throw registryError(error, 'get university', codeOrName);
+  }
+}
+
+/**
+ * List registered universities
+ *
+ * @param {string} [username] - Username for dynamic identity
+ * @returns {Promise<Array<Object>>} Registry entries sorted by code
+ */
+async function listUniversities(username = null) {
+  try {
+    const contract = await getContract(username);
+    const resultBytes = await contract.evaluateTransaction('QueryAllUniversities');
+    return JSON.parse(Buffer.from(resultBytes).toString('utf8'))
+      .map(({ docType, ...university }) => university)
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+  } catch (error) {
+    console.error('Error listing universities:', error.message);
+    throw registryError(error, 'list universities');
+  }
+}
+
+module.exports = {
+  getUniversity,
+  listUniversities
+};